@@ -0,0 +1,16 @@
+// Columns the routes already rely on but the baseline schema never created:
+// runs.client_id (POST /v1/runs) and users.avatar_url (GET /v1/profile).
+
+const up = `
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS client_id UUID;
+UPDATE runs SET client_id = id WHERE client_id IS NULL;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url VARCHAR(500);
+`;
+
+const down = `
+ALTER TABLE users DROP COLUMN IF EXISTS avatar_url;
+ALTER TABLE runs DROP COLUMN IF EXISTS client_id;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// Server-side track processing: the client's own numbers are kept in
+// reported_*, while distance/max_speed/average_speed/elevation_drop hold the
+// values computed from route_data when a usable track was uploaded.
+
+const up = `
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS reported_distance       DOUBLE PRECISION;
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS reported_max_speed      DOUBLE PRECISION;
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS reported_average_speed  DOUBLE PRECISION;
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS reported_elevation_drop DOUBLE PRECISION;
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS metrics_source          VARCHAR(10) DEFAULT 'client';
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS metrics_mismatch        JSONB DEFAULT '[]';
+
+UPDATE runs SET
+  reported_distance = distance,
+  reported_max_speed = max_speed,
+  reported_average_speed = average_speed,
+  reported_elevation_drop = elevation_drop
+WHERE reported_distance IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_runs_metrics_mismatch ON runs(user_id)
+  WHERE jsonb_array_length(metrics_mismatch) > 0;
+`;
+
+const down = `
+DROP INDEX IF EXISTS idx_runs_metrics_mismatch;
+ALTER TABLE runs DROP COLUMN IF EXISTS metrics_mismatch;
+ALTER TABLE runs DROP COLUMN IF EXISTS metrics_source;
+ALTER TABLE runs DROP COLUMN IF EXISTS reported_elevation_drop;
+ALTER TABLE runs DROP COLUMN IF EXISTS reported_average_speed;
+ALTER TABLE runs DROP COLUMN IF EXISTS reported_max_speed;
+ALTER TABLE runs DROP COLUMN IF EXISTS reported_distance;
+`;
+
+module.exports = { up, down };
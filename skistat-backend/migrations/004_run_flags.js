@@ -0,0 +1,23 @@
+// Anti-cheat: runs failing the plausibility checks are flagged, keep their
+// reasons, and are excluded from every leaderboard query.
+
+const up = `
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS flagged      BOOLEAN DEFAULT false;
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS flag_reasons JSONB DEFAULT '[]';
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS flagged_at   TIMESTAMPTZ;
+
+UPDATE runs SET flagged = false WHERE flagged IS NULL;
+ALTER TABLE runs ALTER COLUMN flagged SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_runs_leaderboard ON runs(user_id, start_time)
+  WHERE is_deleted = false AND flagged = false;
+`;
+
+const down = `
+DROP INDEX IF EXISTS idx_runs_leaderboard;
+ALTER TABLE runs DROP COLUMN IF EXISTS flagged_at;
+ALTER TABLE runs DROP COLUMN IF EXISTS flag_reasons;
+ALTER TABLE runs DROP COLUMN IF EXISTS flagged;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,93 @@
+// Ski days: runs grouped per user, resort and local calendar day (or by a
+// client-supplied session ID). Totals are denormalized onto the session row and
+// recomputed whenever one of its runs changes. Existing runs are backfilled.
+
+const up = `
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+CREATE TABLE IF NOT EXISTS ski_sessions (
+  id                UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id           UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  client_session_id VARCHAR(100),
+  resort_name       VARCHAR(255),
+  resort_key        VARCHAR(255) NOT NULL DEFAULT '',
+  local_date        DATE NOT NULL,
+  timezone          VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  started_at        TIMESTAMPTZ,
+  ended_at          TIMESTAMPTZ,
+  run_count         INTEGER DEFAULT 0,
+  total_vert        DOUBLE PRECISION DEFAULT 0,
+  total_distance    DOUBLE PRECISION DEFAULT 0,
+  top_speed         DOUBLE PRECISION DEFAULT 0,
+  ski_time          DOUBLE PRECISION DEFAULT 0,
+  lift_time         DOUBLE PRECISION DEFAULT 0,
+  calories          DOUBLE PRECISION DEFAULT 0,
+  created_at        TIMESTAMPTZ DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, client_session_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ski_sessions_day
+  ON ski_sessions(user_id, resort_key, local_date) WHERE client_session_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_ski_sessions_user_date ON ski_sessions(user_id, local_date DESC);
+
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES ski_sessions(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_runs_session ON runs(session_id);
+
+DO $$ BEGIN
+  CREATE TRIGGER ski_sessions_updated_at BEFORE UPDATE ON ski_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Backfill: approximate each run's zone from its longitude (nautical zones)
+UPDATE runs SET timezone = CASE
+    WHEN resort_longitude IS NULL OR ROUND(resort_longitude / 15) = 0 THEN 'UTC'
+    WHEN ROUND(resort_longitude / 15) > 0 THEN 'Etc/GMT-' || LEAST(ROUND(resort_longitude / 15), 14)::int
+    ELSE 'Etc/GMT+' || LEAST(-ROUND(resort_longitude / 15), 12)::int
+  END
+WHERE timezone IS NULL;
+
+INSERT INTO ski_sessions (user_id, resort_name, resort_key, local_date, timezone)
+SELECT user_id, MIN(resort_name), LOWER(TRIM(COALESCE(resort_name, ''))),
+       (start_time AT TIME ZONE timezone)::date, MIN(timezone)
+FROM runs
+WHERE session_id IS NULL AND is_deleted = false
+GROUP BY user_id, LOWER(TRIM(COALESCE(resort_name, ''))), (start_time AT TIME ZONE timezone)::date
+ON CONFLICT (user_id, resort_key, local_date) WHERE client_session_id IS NULL DO NOTHING;
+
+UPDATE runs r SET session_id = s.id
+FROM ski_sessions s
+WHERE r.session_id IS NULL AND r.is_deleted = false
+  AND s.user_id = r.user_id AND s.client_session_id IS NULL
+  AND s.resort_key = LOWER(TRIM(COALESCE(r.resort_name, '')))
+  AND s.local_date = (r.start_time AT TIME ZONE r.timezone)::date;
+
+WITH gaps AS (
+  SELECT session_id, start_time, end_time, duration, elevation_drop, distance, max_speed, calories,
+         EXTRACT(EPOCH FROM start_time - LAG(COALESCE(end_time, start_time))
+           OVER (PARTITION BY session_id ORDER BY start_time)) AS gap
+  FROM runs WHERE session_id IS NOT NULL AND is_deleted = false
+), totals AS (
+  SELECT session_id, COUNT(*) AS run_count, SUM(elevation_drop) AS total_vert,
+         SUM(distance) AS total_distance, MAX(max_speed) AS top_speed, SUM(duration) AS ski_time,
+         SUM(CASE WHEN gap > 0 AND gap <= 2700 THEN gap ELSE 0 END) AS lift_time,
+         SUM(calories) AS calories, MIN(start_time) AS started_at,
+         MAX(COALESCE(end_time, start_time)) AS ended_at
+  FROM gaps GROUP BY session_id
+)
+UPDATE ski_sessions s SET
+  run_count = t.run_count, total_vert = t.total_vert, total_distance = t.total_distance,
+  top_speed = t.top_speed, ski_time = t.ski_time, lift_time = t.lift_time,
+  calories = t.calories, started_at = t.started_at, ended_at = t.ended_at
+FROM totals t WHERE t.session_id = s.id;
+`;
+
+const down = `
+DROP INDEX IF EXISTS idx_runs_session;
+ALTER TABLE runs DROP COLUMN IF EXISTS session_id;
+DROP TABLE IF EXISTS ski_sessions;
+ALTER TABLE runs DROP COLUMN IF EXISTS timezone;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,11 @@
+// Pending friend requests: recipients may opt in to auto-accepting them.
+
+const up = `
+ALTER TABLE users ADD COLUMN IF NOT EXISTS auto_accept_friends BOOLEAN DEFAULT false;
+`;
+
+const down = `
+ALTER TABLE users DROP COLUMN IF EXISTS auto_accept_friends;
+`;
+
+module.exports = { up, down };
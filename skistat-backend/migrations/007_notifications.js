@@ -0,0 +1,28 @@
+// Push notifications: device registration details and per-user preferences.
+// notification_prefs only stores overrides; missing keys mean "on".
+
+const up = `
+ALTER TABLE device_tokens ADD COLUMN IF NOT EXISTS environment  VARCHAR(20);
+ALTER TABLE device_tokens ADD COLUMN IF NOT EXISTS updated_at   TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE device_tokens ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS notification_prefs JSONB DEFAULT '{}';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS quiet_hours_start  VARCHAR(5);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS quiet_hours_end    VARCHAR(5);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone           VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_device_tokens_token ON device_tokens(token);
+`;
+
+const down = `
+DROP INDEX IF EXISTS idx_device_tokens_token;
+ALTER TABLE users DROP COLUMN IF EXISTS timezone;
+ALTER TABLE users DROP COLUMN IF EXISTS quiet_hours_end;
+ALTER TABLE users DROP COLUMN IF EXISTS quiet_hours_start;
+ALTER TABLE users DROP COLUMN IF EXISTS notification_prefs;
+ALTER TABLE device_tokens DROP COLUMN IF EXISTS last_used_at;
+ALTER TABLE device_tokens DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE device_tokens DROP COLUMN IF EXISTS environment;
+`;
+
+module.exports = { up, down };
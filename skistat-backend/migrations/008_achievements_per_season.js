@@ -0,0 +1,25 @@
+// Achievements: season-scoped rules can be earned once per season, lifetime
+// rules once ever (stored with season = 'lifetime').
+
+const up = `
+UPDATE user_achievements SET season = 'lifetime' WHERE season IS NULL;
+ALTER TABLE user_achievements ALTER COLUMN season SET DEFAULT 'lifetime';
+ALTER TABLE user_achievements ALTER COLUMN season SET NOT NULL;
+
+ALTER TABLE user_achievements DROP CONSTRAINT IF EXISTS user_achievements_user_id_achievement_id_key;
+ALTER TABLE user_achievements DROP CONSTRAINT IF EXISTS user_achievements_user_season_key;
+ALTER TABLE user_achievements ADD CONSTRAINT user_achievements_user_season_key
+  UNIQUE (user_id, achievement_id, season);
+`;
+
+const down = `
+ALTER TABLE user_achievements DROP CONSTRAINT IF EXISTS user_achievements_user_season_key;
+DELETE FROM user_achievements a USING user_achievements b
+  WHERE a.user_id = b.user_id AND a.achievement_id = b.achievement_id AND a.unlocked_at > b.unlocked_at;
+ALTER TABLE user_achievements ADD CONSTRAINT user_achievements_user_id_achievement_id_key
+  UNIQUE (user_id, achievement_id);
+ALTER TABLE user_achievements ALTER COLUMN season DROP NOT NULL;
+ALTER TABLE user_achievements ALTER COLUMN season DROP DEFAULT;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Lift wait reports: normalized resort/lift keys so "Riva Bahn" and
+// "riva bahn " aggregate together, plus an index for the per-user rate limit.
+
+const up = `
+ALTER TABLE lift_reports ADD COLUMN IF NOT EXISTS resort_key VARCHAR(255);
+ALTER TABLE lift_reports ADD COLUMN IF NOT EXISTS lift_key   VARCHAR(255);
+
+UPDATE lift_reports SET resort_key = LOWER(TRIM(resort_name)), lift_key = LOWER(TRIM(lift_name))
+  WHERE resort_key IS NULL OR lift_key IS NULL;
+
+ALTER TABLE lift_reports ALTER COLUMN resort_key SET NOT NULL;
+ALTER TABLE lift_reports ALTER COLUMN lift_key SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_lift_reports_resort_key ON lift_reports(resort_key, reported_at DESC);
+CREATE INDEX IF NOT EXISTS idx_lift_reports_user_lift ON lift_reports(user_id, resort_key, lift_key, reported_at DESC);
+`;
+
+const down = `
+DROP INDEX IF EXISTS idx_lift_reports_user_lift;
+DROP INDEX IF EXISTS idx_lift_reports_resort_key;
+ALTER TABLE lift_reports DROP COLUMN IF EXISTS lift_key;
+ALTER TABLE lift_reports DROP COLUMN IF EXISTS resort_key;
+`;
+
+module.exports = { up, down };
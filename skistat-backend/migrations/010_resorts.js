@@ -0,0 +1,50 @@
+// Resort catalog. Runs are linked to a resort by coordinates (or, for old
+// runs, by fuzzy name match — see `npm run resorts:backfill`), and the
+// client's free-text name is kept in runs.reported_resort_name.
+
+const resortService = require('../src/services/resortService');
+
+const schema = `
+CREATE TABLE IF NOT EXISTS resorts (
+  id               UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  slug             VARCHAR(100) UNIQUE NOT NULL,
+  name             VARCHAR(255) NOT NULL,
+  aliases          JSONB NOT NULL DEFAULT '[]',
+  country          VARCHAR(2),
+  region           VARCHAR(100),
+  latitude         DOUBLE PRECISION NOT NULL,
+  longitude        DOUBLE PRECISION NOT NULL,
+  radius_m         INTEGER NOT NULL DEFAULT 5000,
+  boundary         JSONB,
+  timezone         VARCHAR(64) NOT NULL,
+  base_elevation   DOUBLE PRECISION,
+  summit_elevation DOUBLE PRECISION,
+  created_at       TIMESTAMPTZ DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  CREATE TRIGGER resorts_updated_at BEFORE UPDATE ON resorts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS resort_id UUID REFERENCES resorts(id) ON DELETE SET NULL;
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS reported_resort_name VARCHAR(255);
+CREATE INDEX IF NOT EXISTS idx_runs_resort ON runs(resort_id, start_time DESC);
+`;
+
+async function up(client) {
+  await client.query(schema);
+  await resortService.syncCatalog(client);
+}
+
+const down = `
+DROP INDEX IF EXISTS idx_runs_resort;
+UPDATE runs SET resort_name = reported_resort_name WHERE reported_resort_name IS NOT NULL;
+ALTER TABLE runs DROP COLUMN IF EXISTS reported_resort_name;
+ALTER TABLE runs DROP COLUMN IF EXISTS resort_id;
+DROP TABLE IF EXISTS resorts;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+// Season calendars and frozen end-of-season standings. `calendar` is a
+// hemisphere ("north" / "south") or "resort:<slug>" for resorts with their own
+// season dates.
+
+const up = `
+ALTER TABLE resorts ADD COLUMN IF NOT EXISTS season_start VARCHAR(5);
+
+CREATE TABLE IF NOT EXISTS season_snapshots (
+  season      VARCHAR(20) NOT NULL,
+  calendar    VARCHAR(110) NOT NULL,
+  starts_on   DATE NOT NULL,
+  ends_on     DATE NOT NULL,
+  frozen_at   TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (season, calendar)
+);
+
+CREATE TABLE IF NOT EXISTS season_standings (
+  season            VARCHAR(20) NOT NULL,
+  calendar          VARCHAR(110) NOT NULL,
+  user_id           UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  run_count         INTEGER NOT NULL DEFAULT 0,
+  points            INTEGER NOT NULL DEFAULT 0,
+  vert              DOUBLE PRECISION NOT NULL DEFAULT 0,
+  distance          DOUBLE PRECISION NOT NULL DEFAULT 0,
+  top_speed         DOUBLE PRECISION NOT NULL DEFAULT 0,
+  top_speed_run_id  UUID,
+  top_speed_detail  VARCHAR(520),
+  PRIMARY KEY (season, calendar, user_id),
+  FOREIGN KEY (season, calendar) REFERENCES season_snapshots(season, calendar) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_standings_user ON season_standings(user_id);
+`;
+
+const down = `
+DROP TABLE IF EXISTS season_standings;
+DROP TABLE IF EXISTS season_snapshots;
+ALTER TABLE resorts DROP COLUMN IF EXISTS season_start;
+`;
+
+module.exports = { up, down };
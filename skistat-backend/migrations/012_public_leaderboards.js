@@ -0,0 +1,40 @@
+// Public leaderboards: a per-user visibility opt-in and a daily rollup of
+// leaderboard totals, so boards sum a few rows per skier-day instead of
+// scanning runs. Rows are per user, local date and resort (NULL = unmatched).
+
+const up = `
+ALTER TABLE users ADD COLUMN IF NOT EXISTS leaderboard_visibility VARCHAR(10) NOT NULL DEFAULT 'friends';
+
+CREATE TABLE IF NOT EXISTS user_daily_totals (
+  user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  local_date  DATE NOT NULL,
+  resort_id   UUID REFERENCES resorts(id) ON DELETE CASCADE,
+  run_count   INTEGER NOT NULL DEFAULT 0,
+  points      INTEGER NOT NULL DEFAULT 0,
+  vert        DOUBLE PRECISION NOT NULL DEFAULT 0,
+  distance    DOUBLE PRECISION NOT NULL DEFAULT 0,
+  top_speed   DOUBLE PRECISION NOT NULL DEFAULT 0,
+  updated_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_totals_key
+  ON user_daily_totals(user_id, local_date, COALESCE(resort_id, '00000000-0000-0000-0000-000000000000'::uuid));
+CREATE INDEX IF NOT EXISTS idx_daily_totals_date ON user_daily_totals(local_date);
+CREATE INDEX IF NOT EXISTS idx_daily_totals_resort ON user_daily_totals(resort_id, local_date);
+
+INSERT INTO user_daily_totals (user_id, local_date, resort_id, run_count, points, vert, distance, top_speed)
+SELECT user_id, (start_time AT TIME ZONE COALESCE(timezone, 'UTC'))::date, resort_id,
+       COUNT(*), COALESCE(SUM(points), 0), COALESCE(SUM(elevation_drop), 0),
+       COALESCE(SUM(distance), 0), COALESCE(MAX(max_speed), 0)
+FROM runs
+WHERE is_deleted = false AND flagged = false
+GROUP BY 1, 2, 3
+ON CONFLICT DO NOTHING;
+`;
+
+const down = `
+DROP TABLE IF EXISTS user_daily_totals;
+ALTER TABLE users DROP COLUMN IF EXISTS leaderboard_visibility;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+// Groups (crews, clubs, families): private boards bigger than a friend list.
+// Each group has exactly one member with role 'owner', any number of admins,
+// and its own invite code in the same shape as a user's ("CRW-OWL-4821").
+
+const up = `
+CREATE TABLE IF NOT EXISTS groups (
+  id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name          VARCHAR(100) NOT NULL,
+  description   VARCHAR(500),
+  invite_code   VARCHAR(20) UNIQUE NOT NULL,
+  max_members   INTEGER NOT NULL DEFAULT 500,
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS group_members (
+  group_id    UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role        VARCHAR(10) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+  joined_at   TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (group_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_group_members_owner ON group_members(group_id) WHERE role = 'owner';
+
+DO $$ BEGIN
+  CREATE TRIGGER groups_updated_at BEFORE UPDATE ON groups
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+`;
+
+const down = `
+DROP TABLE IF EXISTS group_members;
+DROP TABLE IF EXISTS groups;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+// Head-to-head challenges between friends. A challenge is a window
+// (starts_at → ends_at), a kind of contest and the friends taking part;
+// standings are computed from runs until the challenge closes, when the
+// final values, ranks and winner are written here.
+
+const up = `
+CREATE TABLE IF NOT EXISTS challenges (
+  id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  creator_id    UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title         VARCHAR(100) NOT NULL,
+  type          VARCHAR(10) NOT NULL CHECK (type IN ('total', 'race', 'fastest')),
+  metric        VARCHAR(20) NOT NULL,
+  goal          DOUBLE PRECISION,
+  run_name      VARCHAR(255),
+  resort_id     UUID REFERENCES resorts(id) ON DELETE SET NULL,
+  starts_at     TIMESTAMPTZ NOT NULL,
+  ends_at       TIMESTAMPTZ NOT NULL,
+  status        VARCHAR(10) NOT NULL DEFAULT 'pending'
+                CHECK (status IN ('pending', 'active', 'completed', 'cancelled')),
+  winner_id     UUID REFERENCES users(id) ON DELETE SET NULL,
+  closed_at     TIMESTAMPTZ,
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (ends_at > starts_at)
+);
+
+CREATE TABLE IF NOT EXISTS challenge_participants (
+  challenge_id  UUID NOT NULL REFERENCES challenges(id) ON DELETE CASCADE,
+  user_id       UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status        VARCHAR(10) NOT NULL DEFAULT 'invited' CHECK (status IN ('invited', 'accepted', 'declined')),
+  final_value   DOUBLE PRECISION,
+  final_rank    INTEGER,
+  reached_at    TIMESTAMPTZ,
+  responded_at  TIMESTAMPTZ,
+  PRIMARY KEY (challenge_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_challenge_participants_user ON challenge_participants(user_id);
+CREATE INDEX IF NOT EXISTS idx_challenges_open ON challenges(ends_at) WHERE status IN ('pending', 'active');
+
+DO $$ BEGIN
+  CREATE TRIGGER challenges_updated_at BEFORE UPDATE ON challenges
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+`;
+
+const down = `
+DROP TABLE IF EXISTS challenge_participants;
+DROP TABLE IF EXISTS challenges;
+`;
+
+module.exports = { up, down };
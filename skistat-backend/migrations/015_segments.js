@@ -0,0 +1,58 @@
+// Segments: resort-defined descents with start and finish gates. Uploaded
+// tracks are matched against them and each pass is stored as an effort with
+// its elapsed time, which drives personal records and segment boards.
+
+const segmentService = require('../src/services/segmentService');
+
+const schema = `
+CREATE TABLE IF NOT EXISTS segments (
+  id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  slug           VARCHAR(100) UNIQUE NOT NULL,
+  resort_id      UUID NOT NULL REFERENCES resorts(id) ON DELETE CASCADE,
+  name           VARCHAR(255) NOT NULL,
+  difficulty     VARCHAR(20),
+  line           JSONB NOT NULL,
+  length_m       DOUBLE PRECISION NOT NULL,
+  gate_radius_m  INTEGER NOT NULL DEFAULT 30,
+  corridor_m     INTEGER NOT NULL DEFAULT 50,
+  created_at     TIMESTAMPTZ DEFAULT NOW(),
+  updated_at     TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_segments_resort ON segments(resort_id);
+
+DO $$ BEGIN
+  CREATE TRIGGER segments_updated_at BEFORE UPDATE ON segments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS segment_efforts (
+  id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  segment_id     UUID NOT NULL REFERENCES segments(id) ON DELETE CASCADE,
+  run_id         UUID NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+  user_id        UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  start_time     TIMESTAMPTZ NOT NULL,
+  elapsed_time   DOUBLE PRECISION NOT NULL,
+  distance       DOUBLE PRECISION,
+  max_speed      DOUBLE PRECISION,
+  average_speed  DOUBLE PRECISION,
+  created_at     TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (run_id, segment_id, start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_segment_efforts_board ON segment_efforts(segment_id, elapsed_time);
+CREATE INDEX IF NOT EXISTS idx_segment_efforts_user ON segment_efforts(user_id, segment_id, elapsed_time);
+`;
+
+async function up(client) {
+  await client.query(schema);
+  await segmentService.syncCatalog(client);
+}
+
+const down = `
+DROP TABLE IF EXISTS segment_efforts;
+DROP TABLE IF EXISTS segments;
+`;
+
+module.exports = { up, down };
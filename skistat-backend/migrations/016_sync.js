@@ -0,0 +1,110 @@
+// Delta sync: every change to a run, a profile or a friendship takes the next
+// value of one global sequence (sync_seq), so clients can ask for everything
+// after a cursor. Hard deletes leave a tombstone carrying its own sequence
+// value. runs.client_modified_at is when the device made the edit, used to
+// resolve conflicting edits from two devices.
+
+const up = `
+CREATE SEQUENCE IF NOT EXISTS sync_seq;
+
+-- Existing rows get distinct values from the volatile default
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS sync_seq BIGINT NOT NULL DEFAULT nextval('sync_seq');
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS client_modified_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sync_seq BIGINT NOT NULL DEFAULT nextval('sync_seq');
+ALTER TABLE friendships ADD COLUMN IF NOT EXISTS sync_seq BIGINT NOT NULL DEFAULT nextval('sync_seq');
+
+CREATE INDEX IF NOT EXISTS idx_runs_user_sync ON runs(user_id, sync_seq);
+
+CREATE TABLE IF NOT EXISTS sync_tombstones (
+  seq         BIGINT PRIMARY KEY DEFAULT nextval('sync_seq'),
+  user_id     UUID NOT NULL,
+  entity      VARCHAR(20) NOT NULL CHECK (entity IN ('run', 'friend')),
+  entity_id   UUID NOT NULL,
+  deleted_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_tombstones_user ON sync_tombstones(user_id, seq);
+CREATE INDEX IF NOT EXISTS idx_sync_tombstones_deleted ON sync_tombstones(deleted_at);
+
+CREATE OR REPLACE FUNCTION bump_sync_seq()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.sync_seq = nextval('sync_seq');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION run_tombstone()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO sync_tombstones (user_id, entity, entity_id) VALUES (OLD.user_id, 'run', OLD.id);
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Both sides of a friendship lose it
+CREATE OR REPLACE FUNCTION friendship_tombstone()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO sync_tombstones (user_id, entity, entity_id)
+  VALUES (OLD.user_id, 'friend', OLD.friend_id), (OLD.friend_id, 'friend', OLD.user_id);
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Filing a run into its ski day (session_id) is bookkeeping, not an edit:
+-- it must not change the version the upload just returned
+DO $$ BEGIN
+  CREATE TRIGGER runs_sync_seq BEFORE UPDATE ON runs
+    FOR EACH ROW WHEN ((to_jsonb(OLD) - 'session_id') IS DISTINCT FROM (to_jsonb(NEW) - 'session_id'))
+    EXECUTE FUNCTION bump_sync_seq();
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+  CREATE TRIGGER runs_tombstone AFTER DELETE ON runs
+    FOR EACH ROW EXECUTE FUNCTION run_tombstone();
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Only fields a client shows or edits; logins and token churn don't count
+DO $$ BEGIN
+  CREATE TRIGGER users_sync_seq BEFORE UPDATE OF email, display_name, home_resort, avatar_url, invite_code,
+      use_metric, weight_kg, haptics_enabled, battery_mode, auto_accept_friends, leaderboard_visibility,
+      notification_prefs, quiet_hours_start, quiet_hours_end, timezone ON users
+    FOR EACH ROW EXECUTE FUNCTION bump_sync_seq();
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+  CREATE TRIGGER friendships_sync_seq BEFORE UPDATE ON friendships
+    FOR EACH ROW EXECUTE FUNCTION bump_sync_seq();
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+  CREATE TRIGGER friendships_tombstone AFTER DELETE ON friendships
+    FOR EACH ROW EXECUTE FUNCTION friendship_tombstone();
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+`;
+
+const down = `
+DROP TRIGGER IF EXISTS friendships_tombstone ON friendships;
+DROP TRIGGER IF EXISTS friendships_sync_seq ON friendships;
+DROP TRIGGER IF EXISTS users_sync_seq ON users;
+DROP TRIGGER IF EXISTS runs_tombstone ON runs;
+DROP TRIGGER IF EXISTS runs_sync_seq ON runs;
+DROP FUNCTION IF EXISTS friendship_tombstone();
+DROP FUNCTION IF EXISTS run_tombstone();
+DROP FUNCTION IF EXISTS bump_sync_seq();
+DROP TABLE IF EXISTS sync_tombstones;
+DROP INDEX IF EXISTS idx_runs_user_sync;
+ALTER TABLE friendships DROP COLUMN IF EXISTS sync_seq;
+ALTER TABLE users DROP COLUMN IF EXISTS sync_seq;
+ALTER TABLE runs DROP COLUMN IF EXISTS client_modified_at;
+ALTER TABLE runs DROP COLUMN IF EXISTS sync_seq;
+DROP SEQUENCE IF EXISTS sync_seq;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// Idempotency keys: the first response to a POST carrying an Idempotency-Key
+// header is stored and replayed when the client retries the same request.
+
+const up = `
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id       UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  key           VARCHAR(255) NOT NULL,
+  scope         VARCHAR(100) NOT NULL,
+  request_hash  CHAR(64) NOT NULL,
+  status_code   INTEGER,
+  response      JSONB,
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, key, scope)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
+`;
+
+const down = `
+DROP TABLE IF EXISTS idempotency_keys;
+`;
+
+module.exports = { up, down };
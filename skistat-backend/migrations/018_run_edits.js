@@ -0,0 +1,24 @@
+// Run edits: an audit trail of every edit, delete and restore of a run, with
+// the old and new value of each changed field. Soft-deleted runs can be
+// restored until `npm run runs:purge` hard-deletes them.
+
+const up = `
+CREATE TABLE IF NOT EXISTS run_edits (
+  id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  run_id      UUID NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+  user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  action      VARCHAR(20) NOT NULL CHECK (action IN ('edit', 'delete', 'restore')),
+  changes     JSONB NOT NULL DEFAULT '{}',
+  created_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_run_edits_run ON run_edits(run_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_runs_deleted_at ON runs(deleted_at) WHERE is_deleted = true;
+`;
+
+const down = `
+DROP INDEX IF EXISTS idx_runs_deleted_at;
+DROP TABLE IF EXISTS run_edits;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+// Server-side scoring: difficulty becomes one of a fixed set of values and
+// each run records the scoring formula version its points came from
+// (services/scoringService.js). Existing runs keep their client-computed
+// points, with score_version NULL, until 027_rescore_runs recomputes them.
+
+const up = `
+UPDATE runs SET difficulty = CASE
+    WHEN LOWER(difficulty) IN ('green', 'green circle', 'easy', 'beginner') THEN 'green'
+    WHEN LOWER(difficulty) IN ('black', 'black diamond', 'advanced', 'difficult') THEN 'black'
+    WHEN LOWER(REPLACE(difficulty, '-', ' ')) IN ('double black', 'double black diamond', 'double diamond', 'expert') THEN 'double-black'
+    WHEN LOWER(REPLACE(difficulty, '-', ' ')) IN ('terrain park', 'park', 'freestyle') THEN 'terrain-park'
+    ELSE 'blue'
+  END
+WHERE difficulty IS NULL
+   OR difficulty NOT IN ('green', 'blue', 'black', 'double-black', 'terrain-park');
+
+ALTER TABLE runs ALTER COLUMN difficulty SET DEFAULT 'blue';
+ALTER TABLE runs ALTER COLUMN difficulty SET NOT NULL;
+
+DO $$ BEGIN
+  ALTER TABLE runs ADD CONSTRAINT runs_difficulty_check
+    CHECK (difficulty IN ('green', 'blue', 'black', 'double-black', 'terrain-park'));
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS score_version INTEGER;
+`;
+
+const down = `
+ALTER TABLE runs DROP COLUMN IF EXISTS score_version;
+ALTER TABLE runs DROP CONSTRAINT IF EXISTS runs_difficulty_check;
+ALTER TABLE runs ALTER COLUMN difficulty DROP NOT NULL;
+ALTER TABLE runs ALTER COLUMN difficulty SET DEFAULT 'Blue';
+`;
+
+module.exports = { up, down };
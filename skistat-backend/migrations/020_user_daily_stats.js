@@ -0,0 +1,48 @@
+// Personal stats: a daily rollup per user, local date, resort (NULL =
+// unmatched) and difficulty, with the best run of each row, so
+// GET /v1/stats reads a few rows per ski day instead of scanning runs. Kept
+// current by rollupService alongside user_daily_totals; like leaderboards it
+// leaves out deleted and flagged runs.
+
+const up = `
+CREATE TABLE IF NOT EXISTS user_daily_stats (
+  user_id               UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  local_date            DATE NOT NULL,
+  resort_id             UUID REFERENCES resorts(id) ON DELETE CASCADE,
+  difficulty            VARCHAR(50) NOT NULL,
+  run_count             INTEGER NOT NULL DEFAULT 0,
+  points                INTEGER NOT NULL DEFAULT 0,
+  vert                  DOUBLE PRECISION NOT NULL DEFAULT 0,
+  distance              DOUBLE PRECISION NOT NULL DEFAULT 0,
+  duration              DOUBLE PRECISION NOT NULL DEFAULT 0,
+  top_speed             DOUBLE PRECISION NOT NULL DEFAULT 0,
+  top_speed_run_id      UUID,
+  longest_run           DOUBLE PRECISION NOT NULL DEFAULT 0,
+  longest_run_id        UUID,
+  biggest_vert          DOUBLE PRECISION NOT NULL DEFAULT 0,
+  biggest_vert_run_id   UUID,
+  updated_at            TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_stats_key
+  ON user_daily_stats(user_id, local_date, COALESCE(resort_id, '00000000-0000-0000-0000-000000000000'::uuid), difficulty);
+
+INSERT INTO user_daily_stats (user_id, local_date, resort_id, difficulty, run_count, points, vert, distance, duration,
+                              top_speed, top_speed_run_id, longest_run, longest_run_id, biggest_vert, biggest_vert_run_id)
+SELECT user_id, (start_time AT TIME ZONE COALESCE(timezone, 'UTC'))::date, resort_id, difficulty,
+       COUNT(*), COALESCE(SUM(points), 0), COALESCE(SUM(elevation_drop), 0), COALESCE(SUM(distance), 0),
+       COALESCE(SUM(duration), 0),
+       COALESCE(MAX(max_speed), 0), (ARRAY_AGG(id ORDER BY max_speed DESC NULLS LAST))[1],
+       COALESCE(MAX(distance), 0), (ARRAY_AGG(id ORDER BY distance DESC NULLS LAST))[1],
+       COALESCE(MAX(elevation_drop), 0), (ARRAY_AGG(id ORDER BY elevation_drop DESC NULLS LAST))[1]
+FROM runs
+WHERE is_deleted = false AND flagged = false
+GROUP BY 1, 2, 3, 4
+ON CONFLICT DO NOTHING;
+`;
+
+const down = `
+DROP TABLE IF EXISTS user_daily_stats;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// Season recaps: a user can share their recap of a season as a public page at
+// /recap/:token. One token per user, season and hemisphere calendar; deleting
+// the row revokes the link.
+
+const up = `
+CREATE TABLE IF NOT EXISTS recap_shares (
+  token       VARCHAR(64) PRIMARY KEY,
+  user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  season      VARCHAR(10) NOT NULL,
+  hemisphere  VARCHAR(10) NOT NULL DEFAULT 'north' CHECK (hemisphere IN ('north', 'south')),
+  created_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_recap_shares_user_season ON recap_shares(user_id, season, hemisphere);
+`;
+
+const down = `
+DROP TABLE IF EXISTS recap_shares;
+`;
+
+module.exports = { up, down };
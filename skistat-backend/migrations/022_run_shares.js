@@ -0,0 +1,20 @@
+// Shared runs: an owner can publish a run as a public page at /r/:token. One
+// token per run; deleting the row revokes the link, and deleting the run
+// removes it.
+
+const up = `
+CREATE TABLE IF NOT EXISTS run_shares (
+  token       VARCHAR(64) PRIMARY KEY,
+  run_id      UUID NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+  user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_run_shares_run ON run_shares(run_id);
+`;
+
+const down = `
+DROP TABLE IF EXISTS run_shares;
+`;
+
+module.exports = { up, down };
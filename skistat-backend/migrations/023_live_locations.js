@@ -0,0 +1,39 @@
+// Live locations: while a user shares their position on the mountain, their
+// latest fix is kept in location_sessions (one row per user). A session ends
+// at midnight in the sharer's time zone; expired rows are never read and
+// `npm run runs:purge` deletes them. location_hidden lists the friends a user
+// has hidden their position from.
+
+const up = `
+CREATE TABLE IF NOT EXISTS location_sessions (
+  user_id      UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  timezone     VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  started_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at   TIMESTAMPTZ NOT NULL,
+  latitude     DOUBLE PRECISION NOT NULL,
+  longitude    DOUBLE PRECISION NOT NULL,
+  altitude     DOUBLE PRECISION,
+  accuracy     DOUBLE PRECISION,
+  speed        DOUBLE PRECISION,
+  heading      DOUBLE PRECISION,
+  resort_id    UUID REFERENCES resorts(id) ON DELETE SET NULL,
+  recorded_at  TIMESTAMPTZ NOT NULL,
+  updated_at   TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_location_sessions_expires ON location_sessions(expires_at);
+
+CREATE TABLE IF NOT EXISTS location_hidden (
+  user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  friend_id   UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, friend_id)
+);
+`;
+
+const down = `
+DROP TABLE IF EXISTS location_hidden;
+DROP TABLE IF EXISTS location_sessions;
+`;
+
+module.exports = { up, down };
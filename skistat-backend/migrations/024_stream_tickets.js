@@ -0,0 +1,21 @@
+// Stream tickets: EventSource and WebSocket clients can't always set an
+// Authorization header, so instead of putting their JWT in the URL (and in
+// every access log) they trade it for a short-lived, single-use ticket.
+// Only a hash of the ticket is stored.
+
+const up = `
+CREATE TABLE IF NOT EXISTS stream_tickets (
+  ticket_hash  CHAR(64) PRIMARY KEY,
+  user_id      UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  expires_at   TIMESTAMPTZ NOT NULL,
+  created_at   TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stream_tickets_expires ON stream_tickets(expires_at);
+`;
+
+const down = `
+DROP TABLE IF EXISTS stream_tickets;
+`;
+
+module.exports = { up, down };
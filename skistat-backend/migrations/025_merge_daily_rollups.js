@@ -0,0 +1,41 @@
+// One daily rollup: user_daily_stats (per user, day, resort and difficulty)
+// already holds everything user_daily_totals did, so leaderboards and group
+// activity sum it over difficulty and user_daily_totals goes away. The
+// indexes leaderboard windows filter on move across with it.
+
+const up = `
+CREATE INDEX IF NOT EXISTS idx_daily_stats_date ON user_daily_stats(local_date);
+CREATE INDEX IF NOT EXISTS idx_daily_stats_resort ON user_daily_stats(resort_id, local_date);
+
+DROP TABLE IF EXISTS user_daily_totals;
+`;
+
+const down = `
+CREATE TABLE IF NOT EXISTS user_daily_totals (
+  user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  local_date  DATE NOT NULL,
+  resort_id   UUID REFERENCES resorts(id) ON DELETE CASCADE,
+  run_count   INTEGER NOT NULL DEFAULT 0,
+  points      INTEGER NOT NULL DEFAULT 0,
+  vert        DOUBLE PRECISION NOT NULL DEFAULT 0,
+  distance    DOUBLE PRECISION NOT NULL DEFAULT 0,
+  top_speed   DOUBLE PRECISION NOT NULL DEFAULT 0,
+  updated_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_totals_key
+  ON user_daily_totals(user_id, local_date, COALESCE(resort_id, '00000000-0000-0000-0000-000000000000'::uuid));
+CREATE INDEX IF NOT EXISTS idx_daily_totals_date ON user_daily_totals(local_date);
+CREATE INDEX IF NOT EXISTS idx_daily_totals_resort ON user_daily_totals(resort_id, local_date);
+
+INSERT INTO user_daily_totals (user_id, local_date, resort_id, run_count, points, vert, distance, top_speed)
+SELECT user_id, local_date, resort_id, SUM(run_count), SUM(points), SUM(vert), SUM(distance), MAX(top_speed)
+FROM user_daily_stats
+GROUP BY 1, 2, 3
+ON CONFLICT DO NOTHING;
+
+DROP INDEX IF EXISTS idx_daily_stats_resort;
+DROP INDEX IF EXISTS idx_daily_stats_date;
+`;
+
+module.exports = { up, down };
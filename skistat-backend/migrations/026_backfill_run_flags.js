@@ -0,0 +1,203 @@
+// Flag runs uploaded before the anti-cheat checks (migration 004 marked them
+// all clean without looking), so implausible old runs drop off leaderboards
+// and out of stats. Every run is evaluated and the daily totals of the runs
+// whose flag changed are rebuilt.
+//
+// The checks, track parsing and rollup rebuild are copies of
+// antiCheatService, trackService.parse and rollupService.refresh as they were
+// when this was written, so replaying it on a fresh database gives the same
+// flags whatever those services do by then. Don't update them here; later
+// rule changes need their own migration.
+
+const BATCH = 100; // rows carry route_data
+
+const LIMITS = {
+  maxSpeed: 45,
+  averageSpeed: 30,
+  elevationDrop: 2800,
+  maxGrade: 1.0,
+  teleportSpeed: 70,
+  teleportMinJump: 150,
+  maxTeleports: 2,
+};
+
+const RESORT_VERTICALS = {
+  'vail': 1050,
+  'breckenridge': 1036,
+  'keystone': 945,
+  'copper mountain': 893,
+  'aspen snowmass': 1343,
+  'jackson hole': 1262,
+  'whistler blackcomb': 1609,
+  'park city': 960,
+  'big sky': 1326,
+  'zermatt': 2279,
+  'chamonix': 2807,
+};
+
+const RUN_DATE = `(start_time AT TIME ZONE COALESCE(timezone, 'UTC'))::date`;
+
+async function up(client) {
+  const resorts = await client.query('SELECT id, summit_elevation - base_elevation as vertical FROM resorts');
+  const verticals = new Map(resorts.rows.map(r => [r.id, r.vertical === null ? undefined : parseFloat(r.vertical)]));
+  let scanned = 0;
+  let flagged = 0;
+  let cleared = 0;
+  let after = '00000000-0000-0000-0000-000000000000';
+
+  for (;;) {
+    const batch = await client.query(
+      `SELECT id, user_id, resort_id, resort_name, distance, max_speed, average_speed, elevation_drop, duration,
+              route_data, flagged, is_deleted, ${RUN_DATE}::text as day
+       FROM runs WHERE id > $1 ORDER BY id LIMIT $2`,
+      [after, BATCH]
+    );
+    if (!batch.rows.length) break;
+    after = batch.rows[batch.rows.length - 1].id;
+    scanned += batch.rows.length;
+
+    const days = new Map();
+    for (const row of batch.rows) {
+      const reasons = evaluate(row, verticals.get(row.resort_id));
+      if ((reasons.length > 0) === row.flagged) continue;
+
+      if (reasons.length) flagged++;
+      else cleared++;
+      await client.query(
+        `UPDATE runs SET flagged = $2, flag_reasons = $3, flagged_at = CASE WHEN $2 THEN NOW() END
+         WHERE id = $1`,
+        [row.id, reasons.length > 0, JSON.stringify(reasons)]
+      );
+      if (!row.is_deleted) days.set(row.user_id, [...(days.get(row.user_id) || []), row.day]);
+    }
+    for (const [userId, dates] of days) await rebuildDays(client, userId, dates);
+  }
+  console.log(`    checked ${scanned} runs: ${flagged} flagged, ${cleared} cleared`);
+}
+
+// Flags are data, not schema; rolling back leaves them as they are
+async function down() {}
+
+// Reasons a stored run looks implausible; empty when it passes
+function evaluate(row, resortVertical) {
+  const run = {
+    distance: num(row.distance), maxSpeed: num(row.max_speed), averageSpeed: num(row.average_speed),
+    elevationDrop: num(row.elevation_drop), duration: num(row.duration),
+  };
+  const reasons = [];
+  const add = (code, message, value, limit) => reasons.push({ code, message, value: round(value), limit });
+
+  if (run.maxSpeed > LIMITS.maxSpeed) {
+    add('max_speed', 'Top speed is beyond what is physically plausible on skis', run.maxSpeed, LIMITS.maxSpeed);
+  }
+  if (run.averageSpeed > LIMITS.averageSpeed) {
+    add('average_speed', 'Average speed is implausibly high', run.averageSpeed, LIMITS.averageSpeed);
+  }
+  if (run.maxSpeed > 0 && run.averageSpeed > run.maxSpeed * 1.05) {
+    add('speed_inconsistent', 'Average speed is higher than top speed', run.averageSpeed, run.maxSpeed);
+  }
+
+  if (run.distance > 0 && run.duration <= 0) {
+    add('no_duration', 'Run has distance but no duration', run.duration, 0);
+  } else if (run.duration > 0 && run.distance / run.duration > LIMITS.averageSpeed) {
+    add('duration_distance', 'Distance could not be covered in the recorded time', run.distance / run.duration, LIMITS.averageSpeed);
+  }
+
+  const vertLimit = resortVertical || RESORT_VERTICALS[(row.resort_name || '').trim().toLowerCase()] || LIMITS.elevationDrop;
+  if (run.elevationDrop > vertLimit) {
+    add('elevation_drop', `Vertical drop exceeds the ${vertLimit} m available at this resort`, run.elevationDrop, vertLimit);
+  }
+  if (run.distance > 0 && run.elevationDrop > run.distance * LIMITS.maxGrade) {
+    add('elevation_grade', 'Vertical drop is larger than the distance travelled', run.elevationDrop, run.distance);
+  }
+
+  const jumps = teleports(trackPoints(row.route_data));
+  if (jumps.length > LIMITS.maxTeleports) {
+    add('gps_teleport', `Track contains ${jumps.length} impossible position jumps`, Math.max(...jumps), LIMITS.teleportMinJump);
+  }
+  return reasons;
+}
+
+// Distances (m) of the impossible jumps between consecutive fixes
+function teleports(points) {
+  const jumps = [];
+  for (let i = 1; i < points.length; i++) {
+    const d = haversineDistance(points[i - 1], points[i]);
+    const dt = (points[i].time - points[i - 1].time) / 1000;
+    if (d >= LIMITS.teleportMinJump && d / Math.max(dt, 0.001) > LIMITS.teleportSpeed) jumps.push(d);
+  }
+  return jumps;
+}
+
+// route_data as [{ lat, lon, time }], time-ordered without duplicate times
+function trackPoints(routeData) {
+  let raw = routeData;
+  if (typeof raw === 'string') {
+    try { raw = JSON.parse(raw); } catch (e) { return []; }
+  }
+  if (raw && !Array.isArray(raw)) raw = raw.points || raw.locations || [];
+  if (!Array.isArray(raw)) return [];
+
+  const points = [];
+  for (const p of raw) {
+    if (!p || typeof p !== 'object') continue;
+    const lat = Number(p.lat ?? p.latitude);
+    const lon = Number(p.lon ?? p.lng ?? p.longitude);
+    const time = parseTime(p.timestamp ?? p.time ?? p.t);
+    const valid = Number.isFinite(lat) && Number.isFinite(lon) &&
+      lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180 && !(lat === 0 && lon === 0);
+    if (valid && time !== null) points.push({ lat, lon, time });
+  }
+  points.sort((a, b) => a.time - b.time);
+  return points.filter((p, i) => i === 0 || p.time > points[i - 1].time);
+}
+
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(value)) {
+    const n = Number(value);
+    return n < 1e12 ? n * 1000 : n; // seconds vs. milliseconds
+  }
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function haversineDistance(a, b) {
+  const toRadians = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Rebuild a user's user_daily_stats rows for the given days
+async function rebuildDays(client, userId, dates) {
+  const days = [...new Set(dates.filter(Boolean))];
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`daily_totals:${userId}`]);
+  await client.query('DELETE FROM user_daily_stats WHERE user_id = $1 AND local_date = ANY($2::date[])', [userId, days]);
+  await client.query(
+    `INSERT INTO user_daily_stats (user_id, local_date, resort_id, difficulty, run_count, points, vert, distance, duration,
+                                   top_speed, top_speed_run_id, longest_run, longest_run_id, biggest_vert, biggest_vert_run_id)
+     SELECT user_id, ${RUN_DATE}, resort_id, difficulty, COUNT(*), COALESCE(SUM(points), 0),
+            COALESCE(SUM(elevation_drop), 0), COALESCE(SUM(distance), 0), COALESCE(SUM(duration), 0),
+            COALESCE(MAX(max_speed), 0), (ARRAY_AGG(id ORDER BY max_speed DESC NULLS LAST))[1],
+            COALESCE(MAX(distance), 0), (ARRAY_AGG(id ORDER BY distance DESC NULLS LAST))[1],
+            COALESCE(MAX(elevation_drop), 0), (ARRAY_AGG(id ORDER BY elevation_drop DESC NULLS LAST))[1]
+     FROM runs
+     WHERE user_id = $1 AND is_deleted = false AND flagged = false AND ${RUN_DATE} = ANY($2::date[])
+     GROUP BY user_id, ${RUN_DATE}, resort_id, difficulty`,
+    [userId, days]
+  );
+}
+
+function num(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { up, down };
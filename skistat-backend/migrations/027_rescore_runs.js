@@ -0,0 +1,124 @@
+// Score runs stored before server-side scoring (score_version NULL, still
+// carrying client points) with formula v1, and refresh the daily totals
+// whose points changed.
+//
+// The formula, difficulty names and rollup rebuild are copies of
+// scoringService v1 and rollupService.refresh as they were when this was
+// written, so replaying it on a fresh database scores runs the same way
+// whatever those services do by then. A new formula version needs its own
+// migration with its own copy.
+
+const BATCH = 500;
+const VERSION = 1;
+
+const DIFFICULTY_FACTORS = {
+  green: 0.8,
+  blue: 1,
+  black: 1.25,
+  'double-black': 1.5,
+  'terrain-park': 1,
+};
+
+const DIFFICULTY_ALIASES = {
+  green: ['green', 'green circle', 'easy', 'beginner'],
+  blue: ['blue', 'blue square', 'intermediate'],
+  black: ['black', 'black diamond', 'advanced', 'difficult'],
+  'double-black': ['double-black', 'double black', 'double black diamond', 'double diamond', 'expert'],
+  'terrain-park': ['terrain-park', 'terrain park', 'park', 'freestyle'],
+};
+
+const MAX_SCORED_SPEED = 40; // m/s
+
+const RUN_DATE = `(start_time AT TIME ZONE COALESCE(timezone, 'UTC'))::date`;
+
+async function up(client) {
+  let scanned = 0;
+  let changed = 0;
+  let after = '00000000-0000-0000-0000-000000000000';
+
+  for (;;) {
+    const batch = await client.query(
+      `SELECT id, user_id, distance, max_speed, elevation_drop, difficulty, points, is_deleted, ${RUN_DATE}::text as day
+       FROM runs
+       WHERE score_version IS NULL AND id > $1
+       ORDER BY id LIMIT $2`,
+      [after, BATCH]
+    );
+    if (!batch.rows.length) break;
+    after = batch.rows[batch.rows.length - 1].id;
+    scanned += batch.rows.length;
+
+    const ids = [];
+    const points = [];
+    const days = new Map();
+    for (const row of batch.rows) {
+      const score = scoreV1(row);
+      ids.push(row.id);
+      points.push(score);
+      if (score === parseInt(row.points)) continue;
+      changed++;
+      if (!row.is_deleted) days.set(row.user_id, [...(days.get(row.user_id) || []), row.day]);
+    }
+
+    await client.query(
+      `UPDATE runs SET points = v.points, score_version = $3
+       FROM unnest($1::uuid[], $2::int[]) as v(id, points)
+       WHERE runs.id = v.id`,
+      [ids, points, VERSION]
+    );
+    for (const [userId, dates] of days) await rebuildDays(client, userId, dates);
+  }
+  console.log(`    rescored ${scanned} runs with formula v${VERSION}: ${changed} changed points`);
+}
+
+// Points are data, not schema; rolling back leaves them as they are
+async function down() {}
+
+// v1: 1 point per 10 m of vertical, 1 per 200 m travelled and 1 per 2 m/s of
+// top speed, weighted by difficulty and by terrain
+function scoreV1(row) {
+  const vert = positive(row.elevation_drop);
+  const distance = positive(row.distance);
+  const speed = Math.min(positive(row.max_speed), MAX_SCORED_SPEED);
+  const base = vert / 10 + distance / 200 + speed / 2;
+
+  const gradient = distance > 0 ? vert / distance : 0;
+  const terrain = 1 + 0.25 * Math.min(1, Math.max(0, (gradient - 0.15) / 0.45));
+
+  return Math.round(base * DIFFICULTY_FACTORS[normalizeDifficulty(row.difficulty)] * terrain);
+}
+
+function normalizeDifficulty(value) {
+  if (typeof value !== 'string') return 'blue';
+  const name = value.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+  for (const [difficulty, aliases] of Object.entries(DIFFICULTY_ALIASES)) {
+    if (aliases.some(alias => alias.replace(/-/g, ' ') === name)) return difficulty;
+  }
+  return 'blue';
+}
+
+function positive(value) {
+  return Math.max(0, Number(value) || 0);
+}
+
+// Rebuild a user's user_daily_stats rows for the given days
+async function rebuildDays(client, userId, dates) {
+  const days = [...new Set(dates.filter(Boolean))];
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`daily_totals:${userId}`]);
+  await client.query('DELETE FROM user_daily_stats WHERE user_id = $1 AND local_date = ANY($2::date[])', [userId, days]);
+  await client.query(
+    `INSERT INTO user_daily_stats (user_id, local_date, resort_id, difficulty, run_count, points, vert, distance, duration,
+                                   top_speed, top_speed_run_id, longest_run, longest_run_id, biggest_vert, biggest_vert_run_id)
+     SELECT user_id, ${RUN_DATE}, resort_id, difficulty, COUNT(*), COALESCE(SUM(points), 0),
+            COALESCE(SUM(elevation_drop), 0), COALESCE(SUM(distance), 0), COALESCE(SUM(duration), 0),
+            COALESCE(MAX(max_speed), 0), (ARRAY_AGG(id ORDER BY max_speed DESC NULLS LAST))[1],
+            COALESCE(MAX(distance), 0), (ARRAY_AGG(id ORDER BY distance DESC NULLS LAST))[1],
+            COALESCE(MAX(elevation_drop), 0), (ARRAY_AGG(id ORDER BY elevation_drop DESC NULLS LAST))[1]
+     FROM runs
+     WHERE user_id = $1 AND is_deleted = false AND flagged = false AND ${RUN_DATE} = ANY($2::date[])
+     GROUP BY user_id, ${RUN_DATE}, resort_id, difficulty`,
+    [userId, days]
+  );
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// Sync cursors in commit order. sync_seq values are taken when a statement
+// runs but only become visible when its transaction commits, so a slow
+// transaction could commit a lower value after a client had already moved
+// past it. Every synced row now also records the transaction that wrote it
+// (sync_xid); syncService pages on (sync_xid, sync_seq) and only hands out
+// rows from transactions older than every one still running. Rows written
+// before this migration get xid 0, so existing cursors carry on from their
+// sync_seq.
+
+const up = `
+ALTER TABLE runs ADD COLUMN IF NOT EXISTS sync_xid xid8 NOT NULL DEFAULT '0';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sync_xid xid8 NOT NULL DEFAULT '0';
+ALTER TABLE friendships ADD COLUMN IF NOT EXISTS sync_xid xid8 NOT NULL DEFAULT '0';
+ALTER TABLE sync_tombstones ADD COLUMN IF NOT EXISTS sync_xid xid8 NOT NULL DEFAULT '0';
+
+ALTER TABLE runs ALTER COLUMN sync_xid SET DEFAULT pg_current_xact_id();
+ALTER TABLE users ALTER COLUMN sync_xid SET DEFAULT pg_current_xact_id();
+ALTER TABLE friendships ALTER COLUMN sync_xid SET DEFAULT pg_current_xact_id();
+ALTER TABLE sync_tombstones ALTER COLUMN sync_xid SET DEFAULT pg_current_xact_id();
+
+CREATE INDEX IF NOT EXISTS idx_runs_user_sync_xid ON runs(user_id, sync_xid, sync_seq);
+CREATE INDEX IF NOT EXISTS idx_sync_tombstones_user_xid ON sync_tombstones(user_id, sync_xid, seq);
+
+CREATE OR REPLACE FUNCTION bump_sync_seq()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.sync_seq = nextval('sync_seq');
+  NEW.sync_xid = pg_current_xact_id();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+`;
+
+const down = `
+CREATE OR REPLACE FUNCTION bump_sync_seq()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.sync_seq = nextval('sync_seq');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP INDEX IF EXISTS idx_sync_tombstones_user_xid;
+DROP INDEX IF EXISTS idx_runs_user_sync_xid;
+ALTER TABLE sync_tombstones DROP COLUMN IF EXISTS sync_xid;
+ALTER TABLE friendships DROP COLUMN IF EXISTS sync_xid;
+ALTER TABLE users DROP COLUMN IF EXISTS sync_xid;
+ALTER TABLE runs DROP COLUMN IF EXISTS sync_xid;
+`;
+
+module.exports = { up, down };
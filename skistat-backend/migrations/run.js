@@ -1,166 +1,207 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const { pool } = require('../config/database');
 
-const migration = `
-CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
-
-CREATE TABLE IF NOT EXISTS users (
-  id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  email           VARCHAR(255) UNIQUE,
-  password_hash   VARCHAR(255),
-  apple_user_id   VARCHAR(255) UNIQUE,
-  display_name    VARCHAR(100) NOT NULL DEFAULT 'Skier',
-  home_resort     VARCHAR(255),
-  invite_code     VARCHAR(20) UNIQUE NOT NULL,
-  use_metric      BOOLEAN DEFAULT false,
-  weight_kg       DOUBLE PRECISION DEFAULT 75.0,
-  haptics_enabled BOOLEAN DEFAULT true,
-  battery_mode    VARCHAR(20) DEFAULT 'precision',
-  created_at      TIMESTAMPTZ DEFAULT NOW(),
-  updated_at      TIMESTAMPTZ DEFAULT NOW(),
-  last_login_at   TIMESTAMPTZ,
-  is_active       BOOLEAN DEFAULT true,
-  is_banned       BOOLEAN DEFAULT false
-);
-
-CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-CREATE INDEX IF NOT EXISTS idx_users_apple_id ON users(apple_user_id);
-CREATE INDEX IF NOT EXISTS idx_users_invite_code ON users(invite_code);
-
-CREATE TABLE IF NOT EXISTS refresh_tokens (
-  id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  token       VARCHAR(500) NOT NULL,
-  device_info VARCHAR(255),
-  expires_at  TIMESTAMPTZ NOT NULL,
-  created_at  TIMESTAMPTZ DEFAULT NOW(),
-  revoked     BOOLEAN DEFAULT false
-);
-
-CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
-CREATE INDEX IF NOT EXISTS idx_refresh_tokens_token ON refresh_tokens(token);
-
-CREATE TABLE IF NOT EXISTS runs (
-  id              UUID PRIMARY KEY,
-  user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  run_name        VARCHAR(255),
-  resort_name     VARCHAR(255),
-  resort_latitude DOUBLE PRECISION,
-  resort_longitude DOUBLE PRECISION,
-  start_time      TIMESTAMPTZ NOT NULL,
-  end_time        TIMESTAMPTZ,
-  distance        DOUBLE PRECISION DEFAULT 0,
-  max_speed       DOUBLE PRECISION DEFAULT 0,
-  average_speed   DOUBLE PRECISION DEFAULT 0,
-  elevation_drop  DOUBLE PRECISION DEFAULT 0,
-  start_elevation DOUBLE PRECISION DEFAULT 0,
-  end_elevation   DOUBLE PRECISION DEFAULT 0,
-  duration        DOUBLE PRECISION DEFAULT 0,
-  points          INTEGER DEFAULT 0,
-  difficulty      VARCHAR(50) DEFAULT 'Blue',
-  calories        DOUBLE PRECISION DEFAULT 0,
-  avg_heart_rate  DOUBLE PRECISION DEFAULT 0,
-  max_heart_rate  DOUBLE PRECISION DEFAULT 0,
-  route_data      JSONB,
-  is_deleted      BOOLEAN DEFAULT false,
-  deleted_at      TIMESTAMPTZ,
-  created_at      TIMESTAMPTZ DEFAULT NOW(),
-  updated_at      TIMESTAMPTZ DEFAULT NOW()
-);
-
-CREATE INDEX IF NOT EXISTS idx_runs_user ON runs(user_id);
-CREATE INDEX IF NOT EXISTS idx_runs_user_start ON runs(user_id, start_time DESC);
-CREATE INDEX IF NOT EXISTS idx_runs_resort ON runs(resort_name);
-CREATE INDEX IF NOT EXISTS idx_runs_not_deleted ON runs(user_id) WHERE is_deleted = false;
-
-CREATE TABLE IF NOT EXISTS friendships (
-  id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  friend_id   UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  status      VARCHAR(20) DEFAULT 'pending',
-  created_at  TIMESTAMPTZ DEFAULT NOW(),
-  updated_at  TIMESTAMPTZ DEFAULT NOW(),
-  UNIQUE(user_id, friend_id)
-);
-
-CREATE INDEX IF NOT EXISTS idx_friendships_user ON friendships(user_id);
-CREATE INDEX IF NOT EXISTS idx_friendships_friend ON friendships(friend_id);
-CREATE INDEX IF NOT EXISTS idx_friendships_status ON friendships(status);
-
-CREATE TABLE IF NOT EXISTS user_achievements (
-  id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  achievement_id  VARCHAR(100) NOT NULL,
-  unlocked_at     TIMESTAMPTZ DEFAULT NOW(),
-  season          VARCHAR(20),
-  UNIQUE(user_id, achievement_id)
-);
-
-CREATE INDEX IF NOT EXISTS idx_achievements_user ON user_achievements(user_id);
-
-CREATE TABLE IF NOT EXISTS device_tokens (
-  id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  token       VARCHAR(500) NOT NULL,
-  platform    VARCHAR(20) DEFAULT 'ios',
-  created_at  TIMESTAMPTZ DEFAULT NOW(),
-  UNIQUE(user_id, token)
-);
-
-CREATE INDEX IF NOT EXISTS idx_device_tokens_user ON device_tokens(user_id);
-
-CREATE TABLE IF NOT EXISTS lift_reports (
-  id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  resort_name VARCHAR(255) NOT NULL,
-  lift_name   VARCHAR(255) NOT NULL,
-  wait_minutes INTEGER,
-  status      VARCHAR(20),
-  latitude    DOUBLE PRECISION,
-  longitude   DOUBLE PRECISION,
-  reported_at TIMESTAMPTZ DEFAULT NOW()
-);
-
-CREATE INDEX IF NOT EXISTS idx_lift_reports_resort ON lift_reports(resort_name, reported_at DESC);
-
-CREATE OR REPLACE FUNCTION update_updated_at()
-RETURNS TRIGGER AS $$
-BEGIN
-  NEW.updated_at = NOW();
-  RETURN NEW;
-END;
-$$ LANGUAGE plpgsql;
-
-DO $$ BEGIN
-  CREATE TRIGGER users_updated_at BEFORE UPDATE ON users
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
-EXCEPTION WHEN duplicate_object THEN NULL;
-END $$;
-
-DO $$ BEGIN
-  CREATE TRIGGER runs_updated_at BEFORE UPDATE ON runs
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
-EXCEPTION WHEN duplicate_object THEN NULL;
-END $$;
-
-DO $$ BEGIN
-  CREATE TRIGGER friendships_updated_at BEFORE UPDATE ON friendships
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
-EXCEPTION WHEN duplicate_object THEN NULL;
-END $$;
-`;
-
-async function runMigration() {
-  console.log('Running database migration...');
+// ==========================================
+// Versioned migrations
+//
+// Each file in this directory named NNN_description.js exports { up, down }.
+// Either may be a SQL string or an async function receiving a pg client.
+// Applied versions are tracked in schema_migrations; every migration runs in
+// its own transaction, and the whole run holds a Postgres advisory lock so two
+// deploys can't migrate at the same time.
+//
+//   node migrations/run.js               apply all pending migrations
+//   node migrations/run.js up --to 005   apply up to and including 005
+//   node migrations/run.js down          roll back the latest migration
+//   node migrations/run.js down --steps 3
+//   node migrations/run.js status        list applied and pending versions
+//   node migrations/run.js create add_widgets
+// ==========================================
+
+const MIGRATIONS_DIR = __dirname;
+const FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+const LOCK_ID = 740215; // arbitrary, shared by every instance of this app
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(FILE_PATTERN);
+      if (!match) return null;
+      return { version: match[1], name: match[2], file };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version.localeCompare(b.version))
+    .map((m, i, all) => {
+      if (i > 0 && all[i - 1].version === m.version) {
+        throw new Error(`Duplicate migration version ${m.version}`);
+      }
+      const mod = require(path.join(MIGRATIONS_DIR, m.file));
+      if (!mod.up) throw new Error(`Migration ${m.file} has no "up"`);
+      return { ...m, up: mod.up, down: mod.down };
+    });
+}
+
+async function ensureTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    VARCHAR(20) PRIMARY KEY,
+      name       VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(r => [r.version, r]));
+}
+
+async function execute(client, step) {
+  if (typeof step === 'function') return step(client);
+  return client.query(step);
+}
+
+async function withLock(fn) {
+  const client = await pool.connect();
   try {
-    await pool.query(migration);
-    console.log('Migration completed successfully.');
-  } catch (err) {
-    console.error('Migration failed:', err.message);
-    process.exit(1);
+    const { rows } = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [LOCK_ID]);
+    if (!rows[0].locked) {
+      console.log('Another migration is running, waiting for lock...');
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    }
+    try {
+      await ensureTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+    }
   } finally {
-    await pool.end();
+    client.release();
+  }
+}
+
+// ==========================================
+// COMMANDS
+// ==========================================
+
+async function up(client, migrations, { to } = {}) {
+  const applied = await appliedVersions(client);
+  const pending = migrations.filter(m => !applied.has(m.version) && (!to || m.version <= to));
+
+  if (pending.length === 0) {
+    console.log('Database is up to date.');
+    return;
+  }
+
+  for (const m of pending) {
+    console.log(`  ↑ ${m.version}_${m.name}`);
+    await client.query('BEGIN');
+    try {
+      await execute(client, m.up);
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [m.version, m.name]);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw new Error(`${m.file}: ${err.message}`);
+    }
+  }
+  console.log(`Applied ${pending.length} migration(s).`);
+}
+
+async function down(client, migrations, { steps = 1 } = {}) {
+  const applied = await appliedVersions(client);
+  const targets = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+
+  if (targets.length === 0) {
+    console.log('Nothing to roll back.');
+    return;
+  }
+
+  for (const m of targets) {
+    if (!m.down) throw new Error(`${m.file} cannot be rolled back (no "down")`);
+    console.log(`  ↓ ${m.version}_${m.name}`);
+    await client.query('BEGIN');
+    try {
+      await execute(client, m.down);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [m.version]);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw new Error(`${m.file}: ${err.message}`);
+    }
+  }
+  console.log(`Rolled back ${targets.length} migration(s).`);
+}
+
+async function status(client, migrations) {
+  const applied = await appliedVersions(client);
+  for (const m of migrations) {
+    const row = applied.get(m.version);
+    const state = row ? `applied ${row.applied_at.toISOString()}` : 'pending';
+    console.log(`  ${m.version}_${m.name}`.padEnd(50) + state);
+  }
+  const known = new Set(migrations.map(m => m.version));
+  for (const [version, row] of applied) {
+    if (!known.has(version)) console.log(`  ${version}_${row.name}`.padEnd(50) + 'applied (file missing)');
+  }
+}
+
+function create(name) {
+  if (!name || !/^[a-z0-9_]+$/.test(name)) {
+    throw new Error('Usage: node migrations/run.js create <snake_case_name>');
+  }
+  const migrations = loadMigrations();
+  const last = migrations.length ? parseInt(migrations[migrations.length - 1].version) : 0;
+  const file = `${String(last + 1).padStart(3, '0')}_${name}.js`;
+  fs.writeFileSync(
+    path.join(MIGRATIONS_DIR, file),
+    "const up = `\n`;\n\nconst down = `\n`;\n\nmodule.exports = { up, down };\n"
+  );
+  console.log(`Created migrations/${file}`);
+}
+
+// ==========================================
+// CLI
+// ==========================================
+
+function parseArgs(argv) {
+  const [command = 'up', ...rest] = argv;
+  const options = { positional: [] };
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--to') options.to = rest[++i];
+    else if (rest[i] === '--steps') options.steps = parseInt(rest[++i]);
+    else options.positional.push(rest[i]);
+  }
+  return { command, options };
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  if (command === 'create') {
+    create(options.positional[0]);
+    return;
   }
+
+  const migrations = loadMigrations();
+  const commands = { up, down, status };
+  if (!commands[command]) {
+    throw new Error(`Unknown command "${command}" (expected up, down, status or create)`);
+  }
+
+  console.log(`Running migrations: ${command}`);
+  await withLock(client => commands[command](client, migrations, options));
+}
+
+if (require.main === module) {
+  main()
+    .catch(err => {
+      console.error('Migration failed:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
 }
 
-runMigration();
+module.exports = { loadMigrations };
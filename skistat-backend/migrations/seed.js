@@ -0,0 +1,203 @@
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const { v5: uuidv5 } = require('uuid');
+const { pool, transaction } = require('../config/database');
+const sessionService = require('../src/services/sessionService');
+const achievementService = require('../src/services/achievementService');
+const resortService = require('../src/services/resortService');
+const rollupService = require('../src/services/rollupService');
+const scoringService = require('../src/services/scoringService');
+
+// ==========================================
+// Development seed data
+//
+// Deterministic: the same users, friendships, groups and runs (same IDs, same numbers)
+// are produced on every run. Re-running replaces the previous seed data.
+// All seeded accounts use the password "skistat123".
+// ==========================================
+
+const SEED_NAMESPACE = '6f1c3b0e-2d54-4a8e-9a51-5c1f6e0b7d42';
+const SEED_EMAIL_DOMAIN = 'seed.skistat.dev';
+const SEED_PASSWORD = 'skistat123';
+const SEASON_ANCHOR = Date.UTC(2025, 11, 13, 16, 0); // Sat 13 Dec 2025, 09:00 MST
+const TIMEZONE = 'America/Denver';
+
+const USERS = [
+  { handle: 'roy', displayName: 'Roy', homeResort: 'Vail', inviteCode: 'SKI-ROY-1001', visibility: 'public' },
+  { handle: 'maya', displayName: 'Maya', homeResort: 'Vail', inviteCode: 'SKI-ELK-1002', visibility: 'public' },
+  { handle: 'jonas', displayName: 'Jonas', homeResort: 'Breckenridge', inviteCode: 'SKI-FIR-1003', visibility: 'public' },
+  { handle: 'priya', displayName: 'Priya', homeResort: 'Keystone', inviteCode: 'SKI-OWL-1004', visibility: 'friends' },
+  { handle: 'sam', displayName: 'Sam', homeResort: 'Breckenridge', inviteCode: 'SKI-FOX-1005', visibility: 'public' },
+  { handle: 'lena', displayName: 'Lena', homeResort: 'Copper Mountain', inviteCode: 'SKI-SKY-1006', visibility: 'private' },
+];
+
+// [a, b] — a invited b, already accepted
+const FRIENDSHIPS = [
+  ['roy', 'maya'], ['roy', 'jonas'], ['roy', 'priya'],
+  ['maya', 'jonas'], ['jonas', 'sam'], ['priya', 'lena'],
+];
+
+// Owner first; everyone else joins as a member (admins listed separately)
+const GROUPS = [
+  { key: 'summit-crew', name: 'Summit Crew', inviteCode: 'CRW-ACE-2001', members: ['roy', 'maya', 'jonas', 'sam', 'lena'], admins: ['maya'] },
+  { key: 'keystone-family', name: 'Keystone Family', inviteCode: 'CRW-OAK-2002', members: ['priya', 'lena'], admins: [] },
+];
+
+const RESORTS = {
+  'Vail': { latitude: 39.6403, longitude: -106.3742, runs: ['Riva Ridge', 'Blue Sky', 'Prima', 'Simba', 'Born Free'] },
+  'Breckenridge': { latitude: 39.4817, longitude: -106.0384, runs: ['Four O\'Clock', 'Northstar', 'Mustang', 'Lehman'] },
+  'Keystone': { latitude: 39.6045, longitude: -105.9544, runs: ['Schoolmarm', 'Frenchman', 'Geronimo', 'Elk Run'] },
+  'Copper Mountain': { latitude: 39.5022, longitude: -106.1511, runs: ['Andy\'s Encore', 'Collage', 'Rosi\'s Run'] },
+};
+
+const DIFFICULTIES = ['green', 'blue', 'blue', 'black', 'double-black'];
+const DAYS_PER_USER = 6;
+const RUNS_PER_DAY = 7;
+
+// mulberry32 — small seeded PRNG so the dataset never changes between runs
+function prng(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const seedId = (key) => uuidv5(key, SEED_NAMESPACE);
+
+function buildRuns(user, userIndex) {
+  const random = prng(1000 + userIndex);
+  const runs = [];
+
+  for (let day = 0; day < DAYS_PER_USER; day++) {
+    const resortName = day % 3 === 2 ? Object.keys(RESORTS)[(userIndex + day) % 4] : user.homeResort;
+    const resort = RESORTS[resortName];
+    let clock = SEASON_ANCHOR + (day * 5 + userIndex) * 24 * 3600 * 1000;
+
+    for (let n = 0; n < RUNS_PER_DAY; n++) {
+      const difficulty = DIFFICULTIES[Math.floor(random() * DIFFICULTIES.length)];
+      const duration = Math.round(90 + random() * 240);           // s
+      const elevationDrop = Math.round(150 + random() * 550);     // m
+      const distance = Math.round(elevationDrop * (2.5 + random() * 2)); // m
+      const averageSpeed = +(distance / duration).toFixed(2);     // m/s
+      const maxSpeed = +(averageSpeed * (1.4 + random() * 0.5)).toFixed(2);
+      const startElevation = Math.round(3000 + random() * 400);
+      const startTime = new Date(clock);
+      const endTime = new Date(clock + duration * 1000);
+
+      runs.push({
+        id: seedId(`${user.handle}:run:${day}:${n}`),
+        runName: resort.runs[Math.floor(random() * resort.runs.length)],
+        resortName,
+        resortLatitude: resort.latitude,
+        resortLongitude: resort.longitude,
+        startTime,
+        endTime,
+        distance,
+        maxSpeed,
+        averageSpeed,
+        elevationDrop,
+        startElevation,
+        endElevation: startElevation - elevationDrop,
+        duration,
+        points: scoringService.points({ elevationDrop, distance, maxSpeed, difficulty }),
+        difficulty,
+        calories: Math.round(duration * 0.12),
+        avgHeartRate: Math.round(120 + random() * 30),
+        maxHeartRate: Math.round(155 + random() * 30),
+      });
+
+      // Lift ride + queue before the next run
+      clock = endTime.getTime() + (8 + random() * 12) * 60 * 1000;
+    }
+  }
+  return runs;
+}
+
+async function seed() {
+  if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+    throw new Error('Refusing to seed a production database (pass --force to override)');
+  }
+
+  const passwordHash = await bcrypt.hash(SEED_PASSWORD, 10);
+
+  const seeded = await transaction(async (client) => {
+    // Cascades to runs, friendships and everything else owned by these users
+    await client.query('DELETE FROM users WHERE email LIKE $1', [`%@${SEED_EMAIL_DOMAIN}`]);
+    await client.query('DELETE FROM groups WHERE id = ANY($1)', [GROUPS.map(g => seedId(`group:${g.key}`))]);
+
+    const ids = {};
+    for (const user of USERS) {
+      ids[user.handle] = seedId(`user:${user.handle}`);
+      await client.query(
+        `INSERT INTO users (id, email, password_hash, display_name, home_resort, invite_code, leaderboard_visibility, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [ids[user.handle], `${user.handle}@${SEED_EMAIL_DOMAIN}`, passwordHash, user.displayName,
+          user.homeResort, user.inviteCode, user.visibility, new Date(SEASON_ANCHOR - 30 * 24 * 3600 * 1000)]
+      );
+    }
+
+    for (const [a, b] of FRIENDSHIPS) {
+      await client.query(
+        `INSERT INTO friendships (id, user_id, friend_id, status) VALUES ($1, $2, $3, 'accepted')`,
+        [seedId(`friendship:${a}:${b}`), ids[a], ids[b]]
+      );
+    }
+
+    for (const group of GROUPS) {
+      const groupId = seedId(`group:${group.key}`);
+      await client.query(
+        `INSERT INTO groups (id, name, invite_code) VALUES ($1, $2, $3)`,
+        [groupId, group.name, group.inviteCode]
+      );
+      for (const [i, handle] of group.members.entries()) {
+        const role = i === 0 ? 'owner' : group.admins.includes(handle) ? 'admin' : 'member';
+        await client.query(
+          `INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, $3)`,
+          [groupId, ids[handle], role]
+        );
+      }
+    }
+
+    const runs = [];
+    for (const [i, user] of USERS.entries()) {
+      for (const run of buildRuns(user, i)) {
+        await client.query(
+          `INSERT INTO runs (id, client_id, user_id, run_name, resort_name, resort_latitude, resort_longitude, start_time, end_time, distance, max_speed, average_speed, elevation_drop, start_elevation, end_elevation, duration, points, score_version, difficulty, calories, avg_heart_rate, max_heart_rate, timezone)
+           VALUES ($1,$1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22)`,
+          [run.id, ids[user.handle], run.runName, run.resortName, run.resortLatitude, run.resortLongitude,
+            run.startTime, run.endTime, run.distance, run.maxSpeed, run.averageSpeed, run.elevationDrop,
+            run.startElevation, run.endElevation, run.duration, run.points, scoringService.version, run.difficulty, run.calories,
+            run.avgHeartRate, run.maxHeartRate, TIMEZONE]
+        );
+        runs.push({ userId: ids[user.handle], run });
+      }
+    }
+
+    return { users: USERS.length, friendships: FRIENDSHIPS.length, groups: GROUPS.length, runs };
+  });
+
+  // Group the runs into ski days the same way uploads do
+  for (const { userId, run } of seeded.runs) {
+    await sessionService.assignRun(userId, { ...run, timezone: TIMEZONE });
+  }
+  // ...link them to the resort catalog...
+  await resortService.backfillRuns();
+  // ...roll them up for the leaderboards and award achievements, without notifications
+  for (const user of USERS) {
+    await rollupService.rebuildUser(seedId(`user:${user.handle}`));
+    await achievementService.backfill(seedId(`user:${user.handle}`));
+  }
+
+  console.log(`Seeded ${seeded.users} users, ${seeded.friendships} friendships, ${seeded.groups} groups, ${seeded.runs.length} runs.`);
+  console.log(`Log in as any of ${USERS.map(u => `${u.handle}@${SEED_EMAIL_DOMAIN}`).join(', ')} / ${SEED_PASSWORD}`);
+}
+
+seed()
+  .catch(err => {
+    console.error('Seed failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,32 @@
+// Resort catalog. Synced into the `resorts` table by migration 010 and
+// `npm run resorts:backfill` (upsert by slug).
+//
+//   latitude/longitude  resort center, used for "nearby" and radius matching
+//   radius              m — runs within this distance of the center belong here
+//                       (ignored when a GeoJSON `boundary` polygon is given)
+//   aliases             other names skiers type; used by fuzzy matching
+//   base/summit         lift-served elevations, m
+
+module.exports = [
+  { slug: 'vail', name: 'Vail', country: 'US', region: 'Colorado', latitude: 39.6061, longitude: -106.3550, radius: 6000, timezone: 'America/Denver', base: 2475, summit: 3527, aliases: ['Vail Mountain', 'Vail Mountain Resort'] },
+  { slug: 'breckenridge', name: 'Breckenridge', country: 'US', region: 'Colorado', latitude: 39.4817, longitude: -106.0384, radius: 5000, timezone: 'America/Denver', base: 2926, summit: 3962, aliases: ['Breck', 'Breckenridge Ski Resort'] },
+  { slug: 'keystone', name: 'Keystone', country: 'US', region: 'Colorado', latitude: 39.6045, longitude: -105.9544, radius: 5000, timezone: 'America/Denver', base: 2828, summit: 3773, aliases: ['Keystone Resort'] },
+  { slug: 'copper-mountain', name: 'Copper Mountain', country: 'US', region: 'Colorado', latitude: 39.5022, longitude: -106.1511, radius: 4500, timezone: 'America/Denver', base: 2926, summit: 3819, aliases: ['Copper'] },
+  { slug: 'aspen-snowmass', name: 'Aspen Snowmass', country: 'US', region: 'Colorado', latitude: 39.2084, longitude: -106.9490, radius: 14000, timezone: 'America/Denver', base: 2473, summit: 3813, aliases: ['Snowmass', 'Aspen', 'Aspen Mountain', 'Aspen Highlands', 'Buttermilk'] },
+  { slug: 'steamboat', name: 'Steamboat', country: 'US', region: 'Colorado', latitude: 40.4572, longitude: -106.8045, radius: 5000, timezone: 'America/Denver', base: 2103, summit: 3221, aliases: ['Steamboat Springs', 'Steamboat Ski Resort'] },
+  { slug: 'telluride', name: 'Telluride', country: 'US', region: 'Colorado', latitude: 37.9375, longitude: -107.8123, radius: 5000, timezone: 'America/Denver', base: 2659, summit: 3831, aliases: ['Telluride Ski Resort'] },
+  { slug: 'jackson-hole', name: 'Jackson Hole', country: 'US', region: 'Wyoming', latitude: 43.5875, longitude: -110.8279, radius: 5000, timezone: 'America/Denver', base: 1924, summit: 3185, aliases: ['Jackson Hole Mountain Resort', 'JHMR'] },
+  { slug: 'big-sky', name: 'Big Sky', country: 'US', region: 'Montana', latitude: 45.2857, longitude: -111.4012, radius: 7000, timezone: 'America/Denver', base: 2072, summit: 3403, aliases: ['Big Sky Resort'] },
+  { slug: 'park-city', name: 'Park City', country: 'US', region: 'Utah', latitude: 40.6514, longitude: -111.5080, radius: 7000, timezone: 'America/Denver', base: 2080, summit: 3049, aliases: ['Park City Mountain', 'Canyons'] },
+  { slug: 'mammoth', name: 'Mammoth Mountain', country: 'US', region: 'California', latitude: 37.6308, longitude: -119.0326, radius: 5000, timezone: 'America/Los_Angeles', base: 2424, summit: 3369, aliases: ['Mammoth'] },
+  { slug: 'palisades-tahoe', name: 'Palisades Tahoe', country: 'US', region: 'California', latitude: 39.1970, longitude: -120.2357, radius: 6000, timezone: 'America/Los_Angeles', base: 1890, summit: 2760, aliases: ['Squaw Valley', 'Alpine Meadows', 'Palisades'] },
+  { slug: 'whistler-blackcomb', name: 'Whistler Blackcomb', country: 'CA', region: 'British Columbia', latitude: 50.1163, longitude: -122.9574, radius: 8000, timezone: 'America/Vancouver', base: 675, summit: 2284, aliases: ['Whistler', 'Blackcomb'] },
+  { slug: 'zermatt', name: 'Zermatt', country: 'CH', region: 'Valais', latitude: 46.0207, longitude: 7.7491, radius: 10000, timezone: 'Europe/Zurich', base: 1620, summit: 3899, aliases: ['Zermatt Matterhorn', 'Matterhorn Glacier Paradise'] },
+  { slug: 'verbier', name: 'Verbier', country: 'CH', region: 'Valais', latitude: 46.0964, longitude: 7.2286, radius: 7000, timezone: 'Europe/Zurich', base: 1500, summit: 3330, aliases: ['4 Vallées', 'Four Valleys'] },
+  { slug: 'chamonix', name: 'Chamonix', country: 'FR', region: 'Haute-Savoie', latitude: 45.9237, longitude: 6.8694, radius: 10000, timezone: 'Europe/Paris', base: 1035, summit: 3842, aliases: ['Chamonix Mont-Blanc', 'Vallée Blanche', 'Aiguille du Midi'] },
+  { slug: 'val-thorens', name: 'Val Thorens', country: 'FR', region: 'Savoie', latitude: 45.2981, longitude: 6.5800, radius: 5000, timezone: 'Europe/Paris', base: 2300, summit: 3230, aliases: ['Les 3 Vallées'] },
+  { slug: 'st-anton', name: 'St. Anton am Arlberg', country: 'AT', region: 'Tyrol', latitude: 47.1287, longitude: 10.2640, radius: 7000, timezone: 'Europe/Vienna', base: 1304, summit: 2811, aliases: ['St Anton', 'Sankt Anton', 'Ski Arlberg'] },
+  { slug: 'niseko', name: 'Niseko United', country: 'JP', region: 'Hokkaido', latitude: 42.8625, longitude: 140.6987, radius: 6000, timezone: 'Asia/Tokyo', base: 255, summit: 1308, aliases: ['Niseko', 'Grand Hirafu'] },
+  { slug: 'thredbo', name: 'Thredbo', country: 'AU', region: 'New South Wales', latitude: -36.5044, longitude: 148.3064, radius: 4000, timezone: 'Australia/Sydney', base: 1365, summit: 2037, aliases: ['Thredbo Resort'] },
+  { slug: 'coronet-peak', name: 'Coronet Peak', country: 'NZ', region: 'Otago', latitude: -45.0810, longitude: 168.7280, radius: 3000, timezone: 'Pacific/Auckland', base: 1168, summit: 1649, aliases: ['Coronet'] },
+];
@@ -0,0 +1,34 @@
+// Segment catalog: named descents timed from a start gate to a finish gate.
+// Synced into the `segments` table by migration 015 and
+// `npm run segments:match` (upsert by slug).
+//
+//   resort   catalog resort slug (src/data/resorts.js)
+//   line     [[lon, lat], ...] from start gate to finish gate (GeoJSON order)
+//   gate     m — a track point this close to the first/last vertex passes the gate
+//   corridor m — how far the track may stray from the line in between
+//
+// Lines are traced from trail maps and are approximate; widen `corridor`
+// rather than adding vertices when real tracks fall outside.
+
+module.exports = [
+  {
+    slug: 'vail-riva-ridge', resort: 'vail', name: 'Riva Ridge', difficulty: 'black', gate: 30, corridor: 45,
+    line: [[-106.3838, 39.6218], [-106.3812, 39.6262], [-106.3790, 39.6301], [-106.3771, 39.6347], [-106.3752, 39.6388], [-106.3741, 39.6412]],
+  },
+  {
+    slug: 'vail-born-free', resort: 'vail', name: 'Born Free', difficulty: 'blue', gate: 30, corridor: 50,
+    line: [[-106.3905, 39.6230], [-106.3880, 39.6275], [-106.3862, 39.6321], [-106.3840, 39.6368], [-106.3820, 39.6405]],
+  },
+  {
+    slug: 'breckenridge-four-oclock', resort: 'breckenridge', name: 'Four O\'Clock', difficulty: 'blue', gate: 30, corridor: 50,
+    line: [[-106.0772, 39.4905], [-106.0700, 39.4890], [-106.0620, 39.4868], [-106.0540, 39.4842], [-106.0465, 39.4818]],
+  },
+  {
+    slug: 'keystone-schoolmarm', resort: 'keystone', name: 'Schoolmarm', difficulty: 'green', gate: 30, corridor: 50,
+    line: [[-105.9437, 39.5870], [-105.9462, 39.5915], [-105.9495, 39.5962], [-105.9520, 39.6008], [-105.9546, 39.6046]],
+  },
+  {
+    slug: 'whistler-dave-murray-downhill', resort: 'whistler-blackcomb', name: 'Dave Murray Downhill', difficulty: 'black', gate: 35, corridor: 60,
+    line: [[-122.9745, 50.0885], [-122.9690, 50.0935], [-122.9640, 50.0990], [-122.9600, 50.1050], [-122.9565, 50.1105]],
+  },
+];
@@ -21,14 +21,16 @@ app.use(helmet({ contentSecurityPolicy: false }));
 app.use(cors({
   origin: '*', // In production, restrict to your app's domain
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
 }));
 
 // Body parsing
 app.use(express.json({ limit: '10mb' })); // Large for route data
 app.use(express.urlencoded({ extended: true }));
 
-// Logging
+// Logging — stream tickets and tokens in query strings are left out
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&](?:ticket|access_token)=)[^&]*/g, '$1[redacted]'));
 if (process.env.NODE_ENV !== 'test') {
   app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 }
@@ -40,6 +42,8 @@ const limiter = rateLimit({
   message: { error: true, message: 'Too many requests, please try again later' },
   standardHeaders: true,
   legacyHeaders: false,
+  // Location updates have their own per-user limit (routes/locations.js)
+  skip: req => req.method === 'POST' && /^\/locations\/?$/.test(req.path),
 });
 app.use('/v1/', limiter);
 
@@ -60,7 +64,21 @@ const authRoutes = require('./routes/auth');
 const profileRoutes = require('./routes/profile');
 const runsRoutes = require('./routes/runs');
 const friendsRoutes = require('./routes/friends');
+const groupsRoutes = require('./routes/groups');
+const challengesRoutes = require('./routes/challenges');
 const leaderboardRoutes = require('./routes/leaderboard');
+const sessionsRoutes = require('./routes/sessions');
+const devicesRoutes = require('./routes/devices');
+const achievementsRoutes = require('./routes/achievements');
+const liftsRoutes = require('./routes/lifts');
+const resortsRoutes = require('./routes/resorts');
+const segmentsRoutes = require('./routes/segments');
+const syncRoutes = require('./routes/sync');
+const statsRoutes = require('./routes/stats');
+const recapRoutes = require('./routes/recap');
+const locationsRoutes = require('./routes/locations');
+const realtimeRoutes = require('./routes/realtime');
+const sockets = require('./routes/sockets');
 
 // Public routes
 app.use('/', generalRoutes);
@@ -70,7 +88,20 @@ app.use('/v1/auth', authRoutes);
 app.use('/v1/profile', profileRoutes);
 app.use('/v1/runs', runsRoutes);
 app.use('/v1/friends', friendsRoutes);
+app.use('/v1/groups', groupsRoutes);
+app.use('/v1/challenges', challengesRoutes);
 app.use('/v1/leaderboard', leaderboardRoutes);
+app.use('/v1/sessions', sessionsRoutes);
+app.use('/v1/devices', devicesRoutes);
+app.use('/v1/achievements', achievementsRoutes);
+app.use('/v1/lifts', liftsRoutes);
+app.use('/v1/resorts', resortsRoutes);
+app.use('/v1/segments', segmentsRoutes);
+app.use('/v1/sync', syncRoutes);
+app.use('/v1/stats', statsRoutes);
+app.use('/v1/recap', recapRoutes);
+app.use('/v1/locations', locationsRoutes);
+app.use('/v1/realtime', realtimeRoutes);
 
 // ==========================================
 // ERROR HANDLING
@@ -94,7 +125,7 @@ app.use((err, req, res, next) => {
 // START SERVER
 // ==========================================
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
   🏔️  SkiStat API Server
   ━━━━━━━━━━━━━━━━━━━━━━
@@ -107,6 +138,8 @@ app.listen(PORT, () => {
   GET  /                          Health check
   GET  /health                    Detailed health
   GET  /invite/:code              Invite deep link
+  GET  /recap/:token              Shared season recap
+  GET  /r/:token                  Shared run page
   
   POST /v1/auth/apple             Sign In with Apple
   POST /v1/auth/register          Email + password register
@@ -117,24 +150,95 @@ app.listen(PORT, () => {
   
   GET  /v1/profile                Get profile
   PUT  /v1/profile                Update profile
+  GET  /v1/stats?groupBy=         Stats, bests, streaks
+  GET  /v1/recap/:season          Season recap
+  POST /v1/recap/:season/share    Share recap link
+  DEL  /v1/recap/:season/share    Revoke recap link
   
   POST /v1/runs                   Upload run
   POST /v1/runs/bulk              Bulk upload runs
-  GET  /v1/runs                   Get my runs
+  POST /v1/runs/import            Import GPX/TCX/FIT
+  GET  /v1/runs                   Search my runs
   GET  /v1/runs/:id               Get run detail
+  GET  /v1/runs/:id/export        Export GPX/TCX/GeoJSON
+  GET  /v1/runs/:id/flags         Anti-cheat flags
+  GET  /v1/runs/:id/history       Edit history
+  PATCH /v1/runs/:id              Edit run
   DEL  /v1/runs/:id               Delete run
+  POST /v1/runs/:id/restore       Restore deleted run
+  POST /v1/runs/:id/share         Share run link
+  DEL  /v1/runs/:id/share         Revoke run link
   
   GET  /v1/friends                List friends
   GET  /v1/friends/pending        Pending requests
-  POST /v1/friends/invite/:code   Add by invite code
+  GET  /v1/friends/blocked        Blocked users
+  GET  /v1/friends/locations      Friends' live locations
+  POST /v1/friends/invite/:code   Send request by invite code
+  POST /v1/friends/:id/accept     Accept request
+  POST /v1/friends/:id/decline    Decline request
+  POST /v1/friends/:id/cancel     Cancel outgoing request
+  POST /v1/friends/:id/block      Block user
+  POST /v1/friends/:id/unblock    Unblock user
   DEL  /v1/friends/:id            Remove friend
   GET  /v1/friends/:id/runs       Friend's runs
+  GET  /v1/friends/:id/achievements Friend's achievements
   
-  GET  /v1/leaderboard/season     Season points board
-  GET  /v1/leaderboard/speed      Speed board
-  GET  /v1/leaderboard/vert       Vertical board
-  GET  /v1/leaderboard/distance   Distance board
+  GET  /v1/groups                 My groups
+  POST /v1/groups                 Create group
+  POST /v1/groups/join/:code      Join by invite code
+  GET  /v1/groups/:id             Group detail + members
+  PUT  /v1/groups/:id             Update group
+  DEL  /v1/groups/:id             Delete group
+  POST /v1/groups/:id/leave       Leave group
+  POST /v1/groups/:id/invite-code New invite code
+  PUT  /v1/groups/:id/members/:userId  Change role
+  DEL  /v1/groups/:id/members/:userId  Remove member
+  GET  /v1/groups/:id/activity    Group activity summary
+
+  GET  /v1/challenges             My challenges
+  POST /v1/challenges             Challenge friends
+  GET  /v1/challenges/:id         Challenge detail
+  GET  /v1/challenges/:id/results Standings (live or final)
+  POST /v1/challenges/:id/accept  Accept challenge
+  POST /v1/challenges/:id/decline Decline challenge
+  DEL  /v1/challenges/:id         Cancel challenge
+
+  GET  /v1/leaderboard/:metric    season|vert|distance|speed|runs
+                                  ?scope=friends|group|resort|global
+
+  GET  /v1/sessions               List ski days
+  GET  /v1/sessions/:id           Ski day detail
+
+  POST /v1/devices                Register push token
+  DEL  /v1/devices                Remove push token
+
+  GET  /v1/achievements           Achievements + progress
+
+  POST /v1/lifts/reports          Report lift wait/status
+  GET  /v1/resorts                Resort search / nearby
+  GET  /v1/resorts/:resort/lifts  Estimated lift waits
+
+  GET  /v1/segments               Segment catalog
+  GET  /v1/segments/:id           Segment detail + my PR
+  GET  /v1/segments/:id/leaderboard  Fastest times (KOM)
+
+  GET  /v1/sync?cursor=           Changes since cursor
+
+  POST /v1/locations              Share my position
+  GET  /v1/locations              My sharing session
+  DEL  /v1/locations              Stop sharing
+  GET  /v1/locations/stream       Friends' positions (SSE)
+  WS   /v1/locations/live         Live location (WebSocket)
+  GET  /v1/locations/visibility   Who can see me
+  PUT  /v1/locations/visibility/:friendId  Show/hide from a friend
+
+  POST /v1/realtime/ticket        Single-use stream ticket
+  WS   /v1/realtime               Realtime events (WebSocket)
+  GET  /v1/realtime/stream        Realtime events (SSE)
   `);
 });
 
+// WebSocket endpoints (upgrade requests don't pass through express)
+sockets.attach(server);
+
 module.exports = app;
@@ -0,0 +1,36 @@
+require('dotenv').config();
+const { pool, query } = require('../../config/database');
+const achievementService = require('../services/achievementService');
+
+// ==========================================
+// Award achievements for historic runs
+//
+//   npm run achievements:backfill              every user
+//   npm run achievements:backfill -- <userId>  one user
+//
+// Idempotent: already-earned achievements are left alone, so it is safe to
+// re-run after adding a rule. No notifications are sent.
+// ==========================================
+
+async function backfill(userIds) {
+  if (!userIds.length) {
+    const result = await query(
+      'SELECT DISTINCT user_id FROM runs WHERE is_deleted = false AND flagged = false'
+    );
+    userIds = result.rows.map(r => r.user_id);
+  }
+
+  let awarded = 0;
+  for (const userId of userIds) {
+    const unlocked = await achievementService.backfill(userId);
+    awarded += unlocked.length;
+  }
+  console.log(`Backfilled achievements for ${userIds.length} users: ${awarded} awarded.`);
+}
+
+backfill(process.argv.slice(2))
+  .catch(err => {
+    console.error('Achievement backfill failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
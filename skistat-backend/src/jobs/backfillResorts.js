@@ -0,0 +1,26 @@
+require('dotenv').config();
+const { pool } = require('../../config/database');
+const resortService = require('../services/resortService');
+
+// ==========================================
+// Sync the resort catalog and link old runs to it
+//
+//   npm run resorts:backfill
+//
+// Upserts src/data/resorts.js into the resorts table, then matches every run
+// without a resort_id by coordinates or (fuzzy) resort name. Safe to re-run,
+// e.g. after adding resorts to the catalog.
+// ==========================================
+
+async function backfill() {
+  const synced = await resortService.syncCatalog();
+  const { scanned, matched } = await resortService.backfillRuns();
+  console.log(`Synced ${synced} resorts. Linked ${matched} of ${scanned} unmatched runs.`);
+}
+
+backfill()
+  .catch(err => {
+    console.error('Resort backfill failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,45 @@
+require('dotenv').config();
+const { pool } = require('../../config/database');
+const challengeService = require('../services/challengeService');
+
+// ==========================================
+// Close finished challenges
+//
+//   npm run challenges:close             once (schedule this, e.g. every 15 min)
+//   npm run challenges:close -- --watch  keep running locally, every 5 min
+//
+// Decides every challenge past its end (plus the upload grace period) and
+// every race someone has won: writes final standings and the winner, then
+// notifies the participants. Challenges nobody accepted are cancelled.
+// ==========================================
+
+const WATCH_INTERVAL = 5 * 60 * 1000; // ms
+
+async function closeDue() {
+  const due = await challengeService.due();
+  let completed = 0;
+  let cancelled = 0;
+  for (const challenge of due) {
+    const closed = await challengeService.close(challenge.id);
+    if (!closed) continue;
+    if (closed.status === 'completed') completed++;
+    else cancelled++;
+    console.log(`${closed.status === 'completed' ? 'Closed' : 'Cancelled'} "${closed.title}" (${closed.id})`);
+  }
+  console.log(`${completed} challenge(s) closed, ${cancelled} cancelled.`);
+}
+
+async function main() {
+  if (!process.argv.includes('--watch')) return closeDue();
+  for (;;) {
+    await closeDue().catch(err => console.error('Challenge close failed:', err.message));
+    await new Promise(resolve => setTimeout(resolve, WATCH_INTERVAL));
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('Challenge close failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
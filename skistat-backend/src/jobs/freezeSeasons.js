@@ -0,0 +1,44 @@
+require('dotenv').config();
+const { pool, query } = require('../../config/database');
+const leaderboardService = require('../services/leaderboardService');
+const seasonService = require('../services/seasonService');
+
+// ==========================================
+// Freeze end-of-season standings
+//
+//   npm run seasons:freeze
+//
+// Snapshots every finished season (both hemispheres) that isn't frozen yet.
+// Leaderboards also freeze a season the first time it's viewed after it ends;
+// run this on a schedule so snapshots exist before anyone deletes old runs.
+// ==========================================
+
+async function freezeAll() {
+  const result = await query(
+    'SELECT MIN(start_time) as first_run FROM runs WHERE is_deleted = false AND flagged = false'
+  );
+  if (!result.rows[0].first_run) {
+    console.log('No runs yet, nothing to freeze.');
+    return;
+  }
+
+  let frozen = 0;
+  for (const hemisphere of ['north', 'south']) {
+    let season = seasonService.forDate(result.rows[0].first_run, { hemisphere });
+    while (seasonService.isOver(season)) {
+      if (await leaderboardService.freeze(season)) {
+        console.log(`Froze ${hemisphere} season ${season.label}`);
+        frozen++;
+      }
+      season = seasonService.next(season);
+    }
+  }
+  console.log(`${frozen} season(s) frozen.`);
+}
+
+freezeAll()
+  .catch(err => {
+    console.error('Season freeze failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,47 @@
+require('dotenv').config();
+const { pool, query } = require('../../config/database');
+const segmentService = require('../services/segmentService');
+
+// ==========================================
+// Sync the segment catalog and re-match stored tracks
+//
+//   npm run segments:match
+//
+// Upserts src/data/segments.js into the segments table, then matches every
+// run with a stored track against it and replaces that run's efforts. Safe to
+// re-run, e.g. after adding a segment or moving a gate.
+// ==========================================
+
+const BATCH_SIZE = 200;
+
+async function rematch() {
+  const synced = await segmentService.syncCatalog();
+
+  let scanned = 0;
+  let efforts = 0;
+  let lastId = null;
+  for (;;) {
+    const result = await query(
+      `SELECT id, user_id, resort_id, route_data FROM runs
+       WHERE route_data IS NOT NULL AND is_deleted = false
+         AND ($1::uuid IS NULL OR id > $1)
+       ORDER BY id LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+    if (result.rows.length === 0) break;
+    for (const run of result.rows) {
+      efforts += (await segmentService.matchRun(run.user_id, run)).length;
+    }
+    scanned += result.rows.length;
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+
+  console.log(`Synced ${synced} segments. Matched ${efforts} efforts across ${scanned} runs.`);
+}
+
+rematch()
+  .catch(err => {
+    console.error('Segment match failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
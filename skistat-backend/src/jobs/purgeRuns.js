@@ -0,0 +1,43 @@
+require('dotenv').config();
+const { pool } = require('../../config/database');
+const runService = require('../services/runService');
+const syncService = require('../services/syncService');
+const locationService = require('../services/locationService');
+const { pruneIdempotencyKeys } = require('../middleware/idempotency');
+const { pruneStreamTickets } = require('../middleware/auth');
+
+// ==========================================
+// Purge deleted runs
+//
+//   npm run runs:purge              runs deleted more than 30 days ago
+//   npm run runs:purge -- --days 7  or pick the window
+//
+// Deleted runs can be restored until they're purged; the default window is
+// DELETED_RUN_RETENTION_DAYS (30). Also drops sync tombstones, idempotency
+// keys and stream tickets that have expired, and live location sessions
+// whose day is over. Schedule it daily.
+// ==========================================
+
+function daysArg() {
+  const i = process.argv.indexOf('--days');
+  if (i === -1) return undefined;
+  const days = parseInt(process.argv[i + 1]);
+  if (!(days >= 0)) throw new Error('--days must be a whole number of days');
+  return days;
+}
+
+async function purge() {
+  const runs = await runService.purge(daysArg());
+  const tombstones = await syncService.pruneTombstones();
+  const keys = await pruneIdempotencyKeys();
+  const tickets = await pruneStreamTickets();
+  const locations = await locationService.pruneExpired();
+  console.log(`Purged ${runs} deleted runs, ${tombstones} sync tombstones, ${keys} idempotency keys, ${tickets} stream tickets and ${locations} location sessions.`);
+}
+
+purge()
+  .catch(err => {
+    console.error('Run purge failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,28 @@
+require('dotenv').config();
+const { pool } = require('../../config/database');
+const runService = require('../services/runService');
+const scoringService = require('../services/scoringService');
+
+// ==========================================
+// Rescore runs with the current scoring formula
+//
+//   npm run runs:rescore
+//
+// Recomputes points for every run whose score_version isn't the current
+// formula version (services/scoringService.js), and refreshes the daily
+// totals leaderboards read from. Runs from before server-side scoring were
+// scored by migration 027_rescore_runs; this catches runs up after a formula
+// change. Safe to re-run, and runs already on the current version are skipped.
+// ==========================================
+
+async function rescore() {
+  const { scanned, changed } = await runService.rescore();
+  console.log(`Rescored ${scanned} runs with formula v${scoringService.version}: ${changed} changed points.`);
+}
+
+rescore()
+  .catch(err => {
+    console.error('Run rescore failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
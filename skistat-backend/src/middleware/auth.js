@@ -1,7 +1,11 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { query } = require('../../config/database');
 const { errorResponse } = require('../utils/helpers');
 
+// How long a stream ticket stays valid (s)
+const STREAM_TICKET_SECONDS = 60;
+
 // Verify JWT and attach user to request
 const authenticate = async (req, res, next) => {
   try {
@@ -64,4 +68,77 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
-module.exports = { authenticate, optionalAuth };
+// Streams (SSE) may authenticate with ?ticket= (see createStreamTicket)
+// instead, since EventSource can't set headers
+const authenticateStream = async (req, res, next) => {
+  if (req.headers.authorization || typeof req.query.ticket !== 'string') {
+    return authenticate(req, res, next);
+  }
+  try {
+    const user = await userForTicket(req.query.ticket);
+    if (!user) return errorResponse(res, 401, 'Invalid or expired ticket');
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error('Stream auth error:', err);
+    return errorResponse(res, 500, 'Authentication error');
+  }
+};
+
+// The user a token belongs to, or null if the token is invalid or the user
+// is gone or suspended. For connections that don't pass through express
+// (WebSocket upgrades).
+const userForToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  const result = await query('SELECT id, email, display_name, invite_code, is_banned FROM users WHERE id = $1', [decoded.userId]);
+  const user = result.rows[0];
+  return user && !user.is_banned ? user : null;
+};
+
+// A ticket that stands in for the user's JWT on one stream or WebSocket
+// connection, so the token never appears in a URL. Valid for
+// STREAM_TICKET_SECONDS and spent on first use; only its hash is stored.
+const createStreamTicket = async (userId) => {
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  const result = await query(
+    `INSERT INTO stream_tickets (ticket_hash, user_id, expires_at)
+     VALUES ($1, $2, NOW() + INTERVAL '${STREAM_TICKET_SECONDS} seconds')
+     RETURNING expires_at`,
+    [hashTicket(ticket), userId]
+  );
+  return { ticket, expiresAt: result.rows[0].expires_at };
+};
+
+// The user a ticket was issued to, or null if it's unknown, used, expired or
+// the user is suspended. Redeeming spends the ticket either way.
+const userForTicket = async (ticket) => {
+  const result = await query(
+    `WITH spent AS (DELETE FROM stream_tickets WHERE ticket_hash = $1 RETURNING user_id, expires_at)
+     SELECT u.id, u.email, u.display_name, u.invite_code, u.is_banned
+     FROM spent JOIN users u ON u.id = spent.user_id
+     WHERE spent.expires_at > NOW()`,
+    [hashTicket(ticket)]
+  );
+  const user = result.rows[0];
+  return user && !user.is_banned ? user : null;
+};
+
+// Delete expired tickets that were never used. Returns how many.
+const pruneStreamTickets = async () => {
+  const result = await query('DELETE FROM stream_tickets WHERE expires_at <= NOW()');
+  return result.rowCount;
+};
+
+function hashTicket(ticket) {
+  return crypto.createHash('sha256').update(ticket).digest('hex');
+}
+
+module.exports = {
+  authenticate, optionalAuth, authenticateStream, userForToken,
+  createStreamTicket, userForTicket, pruneStreamTickets,
+};
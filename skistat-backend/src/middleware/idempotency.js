@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { query } = require('../../config/database');
+const { errorResponse } = require('../utils/helpers');
+
+// A stored response is replayed for this long; a claim whose request never
+// finished (crash, dropped connection) is given up after STALE_MINUTES.
+const TTL_HOURS = 24;
+const STALE_MINUTES = 5;
+
+// Make a POST safe to retry. With an `Idempotency-Key` header, the first
+// response for that key (per user and route) is stored and replayed, with
+// `Idempotent-Replayed: true`, for repeats of the same request. Reusing a key
+// with a different body is a 422, and a repeat that arrives while the first
+// is still running a 409. 5xx responses aren't kept, so those can be retried.
+// Use after authenticate.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+  if (key.length > 255) return errorResponse(res, 400, 'Idempotency-Key must be at most 255 characters');
+
+  const scope = `${req.method} ${req.baseUrl}${req.path}`;
+  const hash = crypto.createHash('sha256').update(JSON.stringify(req.body ?? null)).digest('hex');
+
+  try {
+    const claimed = await query(
+      `INSERT INTO idempotency_keys (user_id, key, scope, request_hash) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, key, scope) DO UPDATE
+         SET request_hash = EXCLUDED.request_hash, status_code = NULL, response = NULL, created_at = NOW()
+         WHERE idempotency_keys.created_at < NOW() - INTERVAL '${TTL_HOURS} hours'
+            OR (idempotency_keys.response IS NULL AND idempotency_keys.created_at < NOW() - INTERVAL '${STALE_MINUTES} minutes')
+       RETURNING 1`,
+      [req.user.id, key, scope, hash]
+    );
+
+    if (claimed.rows.length === 0) {
+      const existing = await query(
+        'SELECT request_hash, status_code, response FROM idempotency_keys WHERE user_id = $1 AND key = $2 AND scope = $3',
+        [req.user.id, key, scope]
+      );
+      const stored = existing.rows[0];
+      if (!stored) return errorResponse(res, 409, 'Request with this Idempotency-Key is in progress');
+      if (stored.request_hash !== hash) return errorResponse(res, 422, 'Idempotency-Key was already used for a different request');
+      if (stored.response === null) return errorResponse(res, 409, 'Request with this Idempotency-Key is in progress');
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.status_code).json(stored.response);
+    }
+  } catch (err) {
+    console.error('Idempotency error:', err);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+
+  // Record the response before sending it, so an immediate retry replays it
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const record = res.statusCode >= 500
+      ? query('DELETE FROM idempotency_keys WHERE user_id = $1 AND key = $2 AND scope = $3', [req.user.id, key, scope])
+      : query(
+        'UPDATE idempotency_keys SET status_code = $4, response = $5 WHERE user_id = $1 AND key = $2 AND scope = $3',
+        [req.user.id, key, scope, res.statusCode, JSON.stringify(body)]
+      );
+    record
+      .catch(err => console.error('Idempotency record error:', err))
+      .finally(() => json(body));
+    return res;
+  };
+  next();
+};
+
+// Forget keys past their TTL (run by `npm run runs:purge`)
+const pruneIdempotencyKeys = async () => {
+  const result = await query(`DELETE FROM idempotency_keys WHERE created_at < NOW() - INTERVAL '${TTL_HOURS} hours'`);
+  return result.rowCount;
+};
+
+module.exports = { idempotent, pruneIdempotencyKeys };
@@ -0,0 +1,32 @@
+const rateLimit = require('express-rate-limit');
+const { MemoryStore } = require('express-rate-limit');
+
+const WINDOW_MS = 60 * 1000;
+const MAX_UPDATES = parseInt(process.env.LOCATION_RATE_LIMIT_MAX) || 30; // per window
+
+const MESSAGE = 'Too many location updates, please slow down';
+
+// One budget per user for location updates, however they arrive: POST
+// /v1/locations and `location` messages on the /v1/locations/live socket
+// count against the same store
+const store = new MemoryStore();
+
+// A sharing client sends a fix every few seconds, far more than the global
+// /v1/ limit allows, so REST updates get this budget instead
+const locationLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  max: MAX_UPDATES,
+  keyGenerator: req => String(req.user.id),
+  store,
+  message: { error: true, message: MESSAGE },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Count a socket update; false once the user's budget for the window is spent
+async function takeLocationUpdate(userId) {
+  const { totalHits } = await store.increment(String(userId));
+  return totalHits <= MAX_UPDATES;
+}
+
+module.exports = { locationLimiter, takeLocationUpdate, LOCATION_LIMIT_MESSAGE: MESSAGE };
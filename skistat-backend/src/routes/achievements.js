@@ -0,0 +1,37 @@
+const express = require('express');
+const { query: queryParam } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { authenticate } = require('../middleware/auth');
+const achievementService = require('../services/achievementService');
+const seasonService = require('../services/seasonService');
+const { errorResponse, successResponse } = require('../utils/helpers');
+
+const router = express.Router();
+
+// ==========================================
+// GET /v1/achievements — My achievements with progress
+// ?season=2025-26 (default: current season)
+// ==========================================
+router.get('/', authenticate,
+  queryParam('season').optional().matches(/^\d{4}-\d{2}$/).withMessage('Season must look like 2025-26'),
+  validate,
+  async (req, res) => {
+    try {
+      const season = req.query.season || seasonService.current().label;
+      if (!seasonService.byLabel(season)) return errorResponse(res, 400, `Unknown season "${season}"`);
+      const achievements = await achievementService.progress(req.user.id, season);
+
+      return successResponse(res, {
+        season,
+        unlockedCount: achievements.filter(a => a.unlocked).length,
+        total: achievements.length,
+        achievements,
+      });
+    } catch (err) {
+      console.error('Achievements error:', err);
+      return errorResponse(res, 500, 'Failed to fetch achievements');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const { body, param, query: queryParam } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { authenticate } = require('../middleware/auth');
+const challengeService = require('../services/challengeService');
+const resortService = require('../services/resortService');
+const { errorResponse, successResponse } = require('../utils/helpers');
+
+const router = express.Router();
+
+// ==========================================
+// GET /v1/challenges — My challenges
+// ?status=open (default) | closed | all
+// ==========================================
+router.get('/', authenticate,
+  queryParam('status').optional().isIn(['open', 'closed', 'all']),
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const rows = await challengeService.forUser(req.user.id, req.query.status || 'open', req.query.limit || 50);
+      return successResponse(res, { challenges: rows.map(r => challengeService.format(r)) });
+    } catch (err) {
+      console.error('Challenges list error:', err);
+      return errorResponse(res, 500, 'Failed to fetch challenges');
+    }
+  }
+);
+
+// ==========================================
+// POST /v1/challenges — Challenge friends
+//
+//   { title, type: 'total', metric: 'vert', startsAt, endsAt, friendIds }
+//   { title, type: 'race', metric: 'runs', goal: 50, ... }      first to 50 runs
+//   { title, type: 'fastest', metric: 'time', runName: 'Riva Ridge', resort?: 'vail', ... }
+// ==========================================
+router.post('/', authenticate,
+  body('title').isString().trim().isLength({ min: 1, max: 100 }),
+  body('type').custom(t => challengeService.isType(t)).withMessage('type must be total, race or fastest'),
+  body('metric').isString(),
+  body('goal').optional({ values: 'null' }).isFloat({ gt: 0 }).toFloat(),
+  body('runName').optional({ values: 'null' }).isString().trim().isLength({ min: 1, max: 255 }),
+  body('resort').optional({ values: 'null' }).isString(),
+  body('startsAt').isISO8601(),
+  body('endsAt').isISO8601(),
+  body('friendIds').isArray({ min: 1 }),
+  body('friendIds.*').isUUID(),
+  validate,
+  async (req, res) => {
+    try {
+      let resortId = null;
+      if (req.body.resort) {
+        const resort = await resortService.findBySlug(req.body.resort) || await resortService.match({ name: req.body.resort });
+        if (!resort) return errorResponse(res, 400, 'Unknown resort');
+        resortId = resort.id;
+      }
+
+      const challenge = await challengeService.create(req.user.id, {
+        title: req.body.title.replace(/[<>]/g, ''),
+        type: req.body.type,
+        metric: req.body.metric,
+        goal: req.body.goal,
+        runName: req.body.runName,
+        resortId,
+        startsAt: req.body.startsAt,
+        endsAt: req.body.endsAt,
+        friendIds: req.body.friendIds,
+      });
+
+      return successResponse(res, { challenge: challengeService.format({ ...challenge, my_status: 'accepted' }) }, 201);
+    } catch (err) {
+      if (err.status) return errorResponse(res, err.status, err.message);
+      console.error('Challenge create error:', err);
+      return errorResponse(res, 500, 'Failed to create challenge');
+    }
+  }
+);
+
+// ==========================================
+// GET /v1/challenges/:id — Challenge detail with participants
+// ==========================================
+router.get('/:id', authenticate, param('id').isUUID(), validate, async (req, res) => {
+  try {
+    const challenge = await challengeService.get(req.params.id, req.user.id);
+    if (!challenge) return errorResponse(res, 404, 'Challenge not found');
+
+    const participants = await challengeService.participants(challenge.id);
+    return successResponse(res, {
+      challenge: challengeService.format(challenge),
+      participants: participants.map(p => ({
+        userId: p.user_id,
+        displayName: p.display_name,
+        status: p.status,
+        isYou: p.user_id === req.user.id,
+        respondedAt: p.responded_at,
+      })),
+    });
+  } catch (err) {
+    console.error('Challenge detail error:', err);
+    return errorResponse(res, 500, 'Failed to fetch challenge');
+  }
+});
+
+// ==========================================
+// GET /v1/challenges/:id/results — Standings
+// Live while the challenge is open, final once it has closed
+// ==========================================
+router.get('/:id/results', authenticate, param('id').isUUID(), validate, async (req, res) => {
+  try {
+    const challenge = await challengeService.get(req.params.id, req.user.id);
+    if (!challenge) return errorResponse(res, 404, 'Challenge not found');
+
+    let standings;
+    if (challenge.status === 'completed') {
+      const participants = await challengeService.participants(challenge.id);
+      standings = participants
+        .filter(p => p.status === 'accepted')
+        .map(p => ({
+          userId: p.user_id,
+          displayName: p.display_name,
+          value: p.final_value,
+          rank: p.final_rank,
+          reachedAt: p.reached_at,
+        }));
+    } else if (challenge.status === 'cancelled') {
+      standings = [];
+    } else {
+      standings = await challengeService.standings(challenge);
+    }
+
+    return successResponse(res, {
+      challenge: challengeService.format(challenge),
+      final: challenge.status === 'completed' || challenge.status === 'cancelled',
+      standings: standings.map(s => ({
+        rank: s.rank,
+        userId: s.userId,
+        displayName: s.displayName,
+        isYou: s.userId === req.user.id,
+        value: s.value,
+        reachedAt: s.reachedAt || undefined,
+        isWinner: challenge.winner_id ? s.userId === challenge.winner_id : undefined,
+      })),
+    });
+  } catch (err) {
+    console.error('Challenge results error:', err);
+    return errorResponse(res, 500, 'Failed to fetch challenge results');
+  }
+});
+
+// ==========================================
+// POST /v1/challenges/:id/accept — Accept an invitation
+// ==========================================
+router.post('/:id/accept', authenticate, param('id').isUUID(), validate, async (req, res) => {
+  try {
+    const status = await challengeService.respond(req.params.id, req.user.id, true);
+    return successResponse(res, { message: 'Challenge accepted', status });
+  } catch (err) {
+    if (err.status) return errorResponse(res, err.status, err.message);
+    console.error('Challenge accept error:', err);
+    return errorResponse(res, 500, 'Failed to accept challenge');
+  }
+});
+
+// ==========================================
+// POST /v1/challenges/:id/decline — Decline an invitation
+// ==========================================
+router.post('/:id/decline', authenticate, param('id').isUUID(), validate, async (req, res) => {
+  try {
+    const status = await challengeService.respond(req.params.id, req.user.id, false);
+    return successResponse(res, { message: 'Challenge declined', status });
+  } catch (err) {
+    if (err.status) return errorResponse(res, err.status, err.message);
+    console.error('Challenge decline error:', err);
+    return errorResponse(res, 500, 'Failed to decline challenge');
+  }
+});
+
+// ==========================================
+// DELETE /v1/challenges/:id — Cancel a challenge I created
+// ==========================================
+router.delete('/:id', authenticate, param('id').isUUID(), validate, async (req, res) => {
+  try {
+    await challengeService.cancel(req.params.id, req.user.id);
+    return successResponse(res, { message: 'Challenge cancelled' });
+  } catch (err) {
+    if (err.status) return errorResponse(res, err.status, err.message);
+    console.error('Challenge cancel error:', err);
+    return errorResponse(res, 500, 'Failed to cancel challenge');
+  }
+});
+
+module.exports = router;
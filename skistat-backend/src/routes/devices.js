@@ -0,0 +1,67 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { authenticate } = require('../middleware/auth');
+const { query, transaction } = require('../../config/database');
+const { errorResponse, successResponse } = require('../utils/helpers');
+
+const router = express.Router();
+
+// ==========================================
+// POST /v1/devices — Register a push token
+// ==========================================
+router.post('/', authenticate,
+  body('token').isString().trim().isLength({ min: 8, max: 500 }).withMessage('Device token required'),
+  body('platform').optional().isIn(['ios', 'android']),
+  body('environment').optional().isIn(['production', 'sandbox']),
+  validate,
+  async (req, res) => {
+    try {
+      const { token, platform = 'ios', environment = null } = req.body;
+
+      await transaction(async (client) => {
+        // A token belongs to one device; if someone else signed in on it, move it
+        await client.query('DELETE FROM device_tokens WHERE token = $1 AND user_id != $2', [token, req.user.id]);
+        await client.query(
+          `INSERT INTO device_tokens (user_id, token, platform, environment)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (user_id, token) DO UPDATE SET platform = EXCLUDED.platform,
+             environment = EXCLUDED.environment, updated_at = NOW()`,
+          [req.user.id, token, platform, environment]
+        );
+      });
+
+      return successResponse(res, { message: 'Device registered' }, 201);
+    } catch (err) {
+      console.error('Device register error:', err);
+      return errorResponse(res, 500, 'Failed to register device');
+    }
+  }
+);
+
+// ==========================================
+// DELETE /v1/devices — Remove a push token (e.g. on logout)
+// ==========================================
+router.delete('/', authenticate,
+  body('token').isString().trim().notEmpty().withMessage('Device token required'),
+  validate,
+  async (req, res) => {
+    try {
+      const result = await query(
+        'DELETE FROM device_tokens WHERE user_id = $1 AND token = $2',
+        [req.user.id, req.body.token]
+      );
+
+      if (result.rowCount === 0) {
+        return errorResponse(res, 404, 'Device not found');
+      }
+
+      return successResponse(res, { message: 'Device removed' });
+    } catch (err) {
+      console.error('Device remove error:', err);
+      return errorResponse(res, 500, 'Failed to remove device');
+    }
+  }
+);
+
+module.exports = router;
@@ -1,14 +1,31 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query: queryParam } = require('express-validator');
 const { validate } = require('../middleware/validate');
 const { authenticate } = require('../middleware/auth');
-const { query } = require('../../config/database');
+const { query, transaction } = require('../../config/database');
+const friendService = require('../services/friendService');
+const notificationService = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
+const achievementService = require('../services/achievementService');
+const seasonService = require('../services/seasonService');
+const runService = require('../services/runService');
+const locationService = require('../services/locationService');
 const { errorResponse, successResponse } = require('../utils/helpers');
 
 const router = express.Router();
 
 const MAX_FRIENDS = 50;
 
+// What a friend sees of a run
+const FRIEND_RUN_FIELDS = ['id', 'runName', 'resortName', 'startTime', 'distance', 'maxSpeed',
+  'elevationDrop', 'duration', 'points', 'difficulty'];
+
+// A friend's runs sort and filter only on what FRIEND_RUN_FIELDS shows, so
+// health data (heart rate, calories) can't be inferred from the order,
+// the filters or a nextCursor
+const FRIEND_RUN_SORTS = ['startTime', 'distance', 'maxSpeed', 'elevationDrop', 'duration', 'points'];
+const FRIEND_RUN_FILTERS = ['from', 'to', 'since', 'resort', 'difficulty', 'minSpeed', 'minVert', 'minDistance'];
+
 // ==========================================
 // GET /v1/friends — List my friends
 // ==========================================
@@ -90,6 +107,47 @@ router.get('/pending', authenticate, async (req, res) => {
   }
 });
 
+// ==========================================
+// GET /v1/friends/blocked — Users I have blocked
+// ==========================================
+router.get('/blocked', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT u.id, u.display_name, f.updated_at as blocked_at
+       FROM friendships f
+       JOIN users u ON u.id = f.friend_id
+       WHERE f.user_id = $1 AND f.status = 'blocked'
+       ORDER BY f.updated_at DESC`,
+      [req.user.id]
+    );
+
+    return successResponse(res, {
+      blocked: result.rows.map(r => ({
+        id: r.id,
+        displayName: r.display_name,
+        blockedAt: r.blocked_at,
+      })),
+    });
+  } catch (err) {
+    console.error('Blocked list error:', err);
+    return errorResponse(res, 500, 'Failed to fetch blocked users');
+  }
+});
+
+// ==========================================
+// GET /v1/friends/locations — Where my friends are right now
+// Latest position of each friend sharing with me today, freshest first.
+// `age` is seconds since the fix and `freshness` live | recent | stale
+// ==========================================
+router.get('/locations', authenticate, async (req, res) => {
+  try {
+    return successResponse(res, { locations: await locationService.friendLocations(req.user.id) });
+  } catch (err) {
+    console.error('Friend locations error:', err);
+    return errorResponse(res, 500, 'Failed to fetch friend locations');
+  }
+});
+
 // ==========================================
 // POST /v1/friends/invite/:code — Send friend request by invite code
 // ==========================================
@@ -98,12 +156,13 @@ router.post('/invite/:code', authenticate, async (req, res) => {
     const code = req.params.code.toUpperCase().trim();
 
     // Find user by invite code
-    const userResult = await query('SELECT id, display_name FROM users WHERE invite_code = $1', [code]);
+    const userResult = await query('SELECT id, display_name, auto_accept_friends FROM users WHERE invite_code = $1', [code]);
     if (userResult.rows.length === 0) {
       return errorResponse(res, 404, 'No user found with that invite code');
     }
 
-    const friendId = userResult.rows[0].id;
+    const friend = userResult.rows[0];
+    const friendId = friend.id;
 
     // Can't friend yourself
     if (friendId === req.user.id) {
@@ -111,40 +170,71 @@ router.post('/invite/:code', authenticate, async (req, res) => {
     }
 
     // Check friend limit
-    const countResult = await query(
-      `SELECT COUNT(*) as count FROM friendships 
-       WHERE (user_id = $1 OR friend_id = $1) AND status = 'accepted'`,
-      [req.user.id]
-    );
-    if (parseInt(countResult.rows[0].count) >= MAX_FRIENDS) {
+    if (await friendService.countFriends(req.user.id) >= MAX_FRIENDS) {
       return errorResponse(res, 400, `Friend limit reached (${MAX_FRIENDS})`);
     }
 
+    // Blocks in either direction silently prevent requests
+    if (await friendService.isBlocked(req.user.id, friendId)) {
+      return errorResponse(res, 400, 'Unable to send request');
+    }
+
     // Check if friendship already exists
     const existing = await query(
-      `SELECT status FROM friendships 
+      `SELECT user_id, status FROM friendships 
        WHERE (user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1)`,
       [req.user.id, friendId]
     );
 
     if (existing.rows.length > 0) {
-      const status = existing.rows[0].status;
+      const { status, user_id: requesterId } = existing.rows[0];
       if (status === 'accepted') return errorResponse(res, 400, 'Already friends');
-      if (status === 'pending') return errorResponse(res, 400, 'Friend request already pending');
-      if (status === 'blocked') return errorResponse(res, 400, 'Unable to send request');
+      if (status === 'pending' && requesterId === req.user.id) {
+        return errorResponse(res, 400, 'Friend request already pending');
+      }
+      // They already asked us — inviting them back accepts their request
+      if (status === 'pending') {
+        if (await friendService.countFriends(friendId) >= MAX_FRIENDS) {
+          return errorResponse(res, 400, 'This user has reached their friend limit');
+        }
+        await query(
+          `UPDATE friendships SET status = 'accepted' WHERE user_id = $1 AND friend_id = $2`,
+          [friendId, req.user.id]
+        );
+        await notificationService.friendAccepted(friendId, req.user);
+        await realtimeService.friendAccepted(friendId, req.user);
+        return successResponse(res, {
+          message: 'Friend added!',
+          status: 'accepted',
+          friend: { id: friendId, displayName: friend.display_name },
+        }, 201);
+      }
     }
 
-    // Create friendship (auto-accept for now — can add pending flow later)
+    // Recipients can opt in to accepting every request automatically; one
+    // at their friend limit gets a request to deal with instead
+    const status = friend.auto_accept_friends && await friendService.countFriends(friendId) < MAX_FRIENDS
+      ? 'accepted'
+      : 'pending';
     await query(
-      `INSERT INTO friendships (user_id, friend_id, status) VALUES ($1, $2, 'accepted')`,
-      [req.user.id, friendId]
+      `INSERT INTO friendships (user_id, friend_id, status) VALUES ($1, $2, $3)`,
+      [req.user.id, friendId, status]
     );
 
+    if (status === 'accepted') {
+      await notificationService.friendAccepted(friendId, req.user);
+      await realtimeService.friendAccepted(friendId, req.user);
+    } else {
+      await notificationService.friendRequest(friendId, req.user);
+      await realtimeService.friendRequest(friendId, req.user);
+    }
+
     return successResponse(res, {
-      message: 'Friend added!',
+      message: status === 'accepted' ? 'Friend added!' : 'Friend request sent',
+      status,
       friend: {
         id: friendId,
-        displayName: userResult.rows[0].display_name,
+        displayName: friend.display_name,
       },
     }, 201);
   } catch (err) {
@@ -153,6 +243,137 @@ router.post('/invite/:code', authenticate, async (req, res) => {
   }
 });
 
+// ==========================================
+// POST /v1/friends/:id/accept — Accept a request from user :id
+// ==========================================
+router.post('/:id/accept', authenticate, param('id').isUUID(), validate, async (req, res) => {
+  try {
+    if (await friendService.countFriends(req.user.id) >= MAX_FRIENDS) {
+      return errorResponse(res, 400, `Friend limit reached (${MAX_FRIENDS})`);
+    }
+    if (await friendService.countFriends(req.params.id) >= MAX_FRIENDS) {
+      return errorResponse(res, 400, 'This user has reached their friend limit');
+    }
+
+    const result = await query(
+      `UPDATE friendships SET status = 'accepted'
+       WHERE user_id = $1 AND friend_id = $2 AND status = 'pending'
+       RETURNING id`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return errorResponse(res, 404, 'Friend request not found');
+    }
+
+    await notificationService.friendAccepted(req.params.id, req.user);
+    await realtimeService.friendAccepted(req.params.id, req.user);
+    return successResponse(res, { message: 'Friend request accepted' });
+  } catch (err) {
+    console.error('Friend accept error:', err);
+    return errorResponse(res, 500, 'Failed to accept friend request');
+  }
+});
+
+// ==========================================
+// POST /v1/friends/:id/decline — Decline a request from user :id
+// ==========================================
+router.post('/:id/decline', authenticate, param('id').isUUID(), validate, async (req, res) => {
+  try {
+    const result = await query(
+      `DELETE FROM friendships WHERE user_id = $1 AND friend_id = $2 AND status = 'pending'`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return errorResponse(res, 404, 'Friend request not found');
+    }
+
+    return successResponse(res, { message: 'Friend request declined' });
+  } catch (err) {
+    console.error('Friend decline error:', err);
+    return errorResponse(res, 500, 'Failed to decline friend request');
+  }
+});
+
+// ==========================================
+// POST /v1/friends/:id/cancel — Cancel my outgoing request to user :id
+// ==========================================
+router.post('/:id/cancel', authenticate, param('id').isUUID(), validate, async (req, res) => {
+  try {
+    const result = await query(
+      `DELETE FROM friendships WHERE user_id = $1 AND friend_id = $2 AND status = 'pending'`,
+      [req.user.id, req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return errorResponse(res, 404, 'Friend request not found');
+    }
+
+    return successResponse(res, { message: 'Friend request cancelled' });
+  } catch (err) {
+    console.error('Friend cancel error:', err);
+    return errorResponse(res, 500, 'Failed to cancel friend request');
+  }
+});
+
+// ==========================================
+// POST /v1/friends/:id/block — Block user :id
+// Removes any friendship or pending request between us
+// ==========================================
+router.post('/:id/block', authenticate, param('id').isUUID(), validate, async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return errorResponse(res, 400, "You can't block yourself");
+    }
+
+    const target = await query('SELECT id FROM users WHERE id = $1', [req.params.id]);
+    if (target.rows.length === 0) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    await transaction(async (client) => {
+      await client.query(
+        `DELETE FROM friendships
+         WHERE ((user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1))
+         AND status != 'blocked'`,
+        [req.user.id, req.params.id]
+      );
+      await client.query(
+        `INSERT INTO friendships (user_id, friend_id, status) VALUES ($1, $2, 'blocked')
+         ON CONFLICT (user_id, friend_id) DO UPDATE SET status = 'blocked'`,
+        [req.user.id, req.params.id]
+      );
+    });
+
+    return successResponse(res, { message: 'User blocked' });
+  } catch (err) {
+    console.error('Friend block error:', err);
+    return errorResponse(res, 500, 'Failed to block user');
+  }
+});
+
+// ==========================================
+// POST /v1/friends/:id/unblock — Unblock user :id
+// ==========================================
+router.post('/:id/unblock', authenticate, param('id').isUUID(), validate, async (req, res) => {
+  try {
+    const result = await query(
+      `DELETE FROM friendships WHERE user_id = $1 AND friend_id = $2 AND status = 'blocked'`,
+      [req.user.id, req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return errorResponse(res, 404, 'User is not blocked');
+    }
+
+    return successResponse(res, { message: 'User unblocked' });
+  } catch (err) {
+    console.error('Friend unblock error:', err);
+    return errorResponse(res, 500, 'Failed to unblock user');
+  }
+});
+
 // ==========================================
 // DELETE /v1/friends/:id — Remove friend
 // ==========================================
@@ -178,47 +399,31 @@ router.delete('/:id', authenticate, async (req, res) => {
 
 // ==========================================
 // GET /v1/friends/:id/runs — Get a friend's runs
+// Same filters, sorting, cursor and fields= as GET /v1/runs (see
+// runService.listOptions), less the health metrics; offset= pages as before
 // ==========================================
 router.get('/:id/runs', authenticate, async (req, res) => {
   try {
-    // Verify friendship
-    const friendship = await query(
-      `SELECT id FROM friendships 
-       WHERE ((user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1))
-       AND status = 'accepted'`,
-      [req.user.id, req.params.id]
-    );
-
-    if (friendship.rows.length === 0) {
+    // Verify friendship (a block removes it, so blocked users land here too)
+    if (!(await friendService.areFriends(req.user.id, req.params.id))) {
       return errorResponse(res, 403, 'Not friends with this user');
     }
 
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = parseInt(req.query.offset) || 0;
+    const { options, errors } = runService.listOptions(req.query, {
+      fields: FRIEND_RUN_FIELDS, sorts: FRIEND_RUN_SORTS, filters: FRIEND_RUN_FILTERS,
+    });
+    if (errors.length) return errorResponse(res, 400, errors.map(e => e.message).join('; '));
 
-    const result = await query(
-      `SELECT id, run_name, resort_name, start_time, distance, max_speed,
-              elevation_drop, duration, points, difficulty
-       FROM runs 
-       WHERE user_id = $1 AND is_deleted = false
-       ORDER BY start_time DESC
-       LIMIT $2 OFFSET $3`,
-      [req.params.id, limit, offset]
-    );
+    const page = await runService.list(req.params.id, options);
 
     return successResponse(res, {
-      runs: result.rows.map(r => ({
-        id: r.id,
-        runName: r.run_name,
-        resortName: r.resort_name,
-        startTime: r.start_time,
-        distance: r.distance,
-        maxSpeed: r.max_speed,
-        elevationDrop: r.elevation_drop,
-        duration: r.duration,
-        points: r.points,
-        difficulty: r.difficulty,
-      })),
+      runs: page.rows.map(r => runService.project(formatFriendRun(r), options.fields)),
+      pagination: {
+        limit: options.limit,
+        ...(options.cursor ? {} : { offset: options.offset, total: page.total }),
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+      },
     });
   } catch (err) {
     console.error('Friend runs error:', err);
@@ -226,4 +431,48 @@ router.get('/:id/runs', authenticate, async (req, res) => {
   }
 });
 
+// ==========================================
+// GET /v1/friends/:id/achievements — Friend's achievements
+// ==========================================
+router.get('/:id/achievements', authenticate,
+  queryParam('season').optional().matches(/^\d{4}-\d{2}$/).withMessage('Season must look like 2025-26'),
+  validate,
+  async (req, res) => {
+    try {
+      if (!(await friendService.areFriends(req.user.id, req.params.id))) {
+        return errorResponse(res, 403, 'Not friends with this user');
+      }
+
+      const season = req.query.season || seasonService.current().label;
+      if (!seasonService.byLabel(season)) return errorResponse(res, 400, `Unknown season "${season}"`);
+      const achievements = await achievementService.progress(req.params.id, season);
+
+      return successResponse(res, {
+        season,
+        unlockedCount: achievements.filter(a => a.unlocked).length,
+        total: achievements.length,
+        achievements,
+      });
+    } catch (err) {
+      console.error('Friend achievements error:', err);
+      return errorResponse(res, 500, 'Failed to fetch friend achievements');
+    }
+  }
+);
+
+function formatFriendRun(r) {
+  return {
+    id: r.id,
+    runName: r.run_name,
+    resortName: r.resort_name,
+    startTime: r.start_time,
+    distance: r.distance,
+    maxSpeed: r.max_speed,
+    elevationDrop: r.elevation_drop,
+    duration: r.duration,
+    points: r.points,
+    difficulty: r.difficulty,
+  };
+}
+
 module.exports = router;
@@ -1,6 +1,11 @@
 const express = require('express');
 const { query } = require('../../config/database');
-const { successResponse, errorResponse } = require('../utils/helpers');
+const groupService = require('../services/groupService');
+const recapService = require('../services/recapService');
+const runService = require('../services/runService');
+const trackFormatService = require('../services/trackFormatService');
+const { localDate } = require('../utils/time');
+const { successResponse, errorResponse, escapeXml } = require('../utils/helpers');
 
 const router = express.Router();
 
@@ -34,17 +39,29 @@ router.get('/health', async (req, res) => {
 
 // ==========================================
 // GET /invite/:code — Invite deep link handler
-// Redirects to app or App Store
+// Friend codes (SKI-…) and group codes (CRW-…). Redirects to app or App Store
 // ==========================================
 router.get('/invite/:code', async (req, res) => {
-  const code = req.params.code;
+  const code = escapeXml(req.params.code.toUpperCase().trim());
   
-  // Check if user exists with this code
-  const result = await query('SELECT display_name FROM users WHERE invite_code = $1', [code]);
-  const name = result.rows.length > 0 ? result.rows[0].display_name : null;
+  let headline = '<p>You\'ve been invited to SkiStat!</p>';
+  let deepLink = `skistat://invite/${code}`;
+  if (groupService.isGroupCode(code)) {
+    const group = await groupService.findByCode(code);
+    deepLink = `skistat://group/${code}`;
+    if (group) {
+      headline = `<p>You've been invited to join <strong>${escapeXml(group.name)}</strong> on SkiStat!</p>
+      <p>${group.member_count} ${parseInt(group.member_count) === 1 ? 'member' : 'members'}</p>`;
+    }
+  } else {
+    // Check if user exists with this code
+    const result = await query('SELECT display_name FROM users WHERE invite_code = $1', [code]);
+    if (result.rows.length > 0) {
+      headline = `<p><strong>${escapeXml(result.rows[0].display_name)}</strong> invited you to SkiStat!</p>`;
+    }
+  }
   
   // Try deep link first, fall back to App Store
-  const deepLink = `skistat://invite/${code}`;
   const appStoreLink = 'https://apps.apple.com/app/skistat/id0000000000'; // Replace with real ID
   
   res.send(`
@@ -63,7 +80,7 @@ router.get('/invite/:code', async (req, res) => {
     </head>
     <body>
       <h1>⛷️ SkiStat</h1>
-      ${name ? `<p><strong>${name}</strong> invited you to SkiStat!</p>` : '<p>You\'ve been invited to SkiStat!</p>'}
+      ${headline}
       <p class="code">${code}</p>
       <br>
       <a class="btn" href="${deepLink}" id="openApp">Open in SkiStat</a>
@@ -78,4 +95,185 @@ router.get('/invite/:code', async (req, res) => {
   `);
 });
 
+// ==========================================
+// GET /recap/:token — Shared season recap
+// Public page for a link made with POST /v1/recap/:season/share, in the
+// sharer's units
+// ==========================================
+router.get('/recap/:token', async (req, res) => {
+  try {
+    const shared = await recapService.findShared(req.params.token);
+    if (!shared) return res.status(404).send(sharePage('Recap not found', '<p>This recap link was revoked or never existed.</p>'));
+
+    const { user, recap } = shared;
+    const name = escapeXml(user.displayName);
+    const units = shareUnits(user.useMetric);
+    const t = recap.totals;
+    const stat = (value, label) => `<div class="stat"><div class="value">${value}</div><div class="label">${label}</div></div>`;
+    const lines = [];
+    if (recap.vertComparison.times > 0) {
+      lines.push(`That's ${recap.vertComparison.times}× ${escapeXml(recap.vertComparison.mountain)} of vertical.`);
+    }
+    if (recap.favoriteResort) {
+      lines.push(`Favorite resort: <strong>${escapeXml(recap.favoriteResort.name)}</strong> (${recap.favoriteResort.skiDays} days)`);
+    }
+    if (recap.bestDay) {
+      lines.push(`Best day: <strong>${escapeXml(recap.bestDay.date)}</strong>${recap.bestDay.resortName ? ` at ${escapeXml(recap.bestDay.resortName)}` : ''} — ${units.vert(recap.bestDay.vert)} in ${recap.bestDay.runs} runs`);
+    }
+    if (recap.fastestRun) {
+      lines.push(`Fastest run: <strong>${units.speed(recap.fastestRun.maxSpeed)}</strong>${recap.fastestRun.runName ? ` on ${escapeXml(recap.fastestRun.runName)}` : ''}`);
+    }
+    const seasonRank = recap.friendRankings && recap.friendRankings.season;
+    if (seasonRank) lines.push(`Finished <strong>#${seasonRank.rank}</strong> of ${seasonRank.of} friends on season points`);
+    if (recap.achievements.length) {
+      lines.push(`Unlocked: ${recap.achievements.map(a => escapeXml(a.name)).join(', ')}`);
+    }
+
+    return res.send(sharePage(`${name}'s ${escapeXml(recap.season.label)} season`, `
+      <p class="who">${name}'s ${escapeXml(recap.season.label)} season</p>
+      <div class="stats">
+        ${stat(units.vert(t.vert), 'vertical')}
+        ${stat(t.skiDays, t.skiDays === 1 ? 'ski day' : 'ski days')}
+        ${stat(t.runs, 'runs')}
+        ${stat(units.distance(t.distance), 'distance')}
+        ${stat(units.speed(t.topSpeed), 'top speed')}
+      </div>
+      ${lines.map(line => `<p>${line}</p>`).join('\n      ')}`));
+  } catch (err) {
+    console.error('Shared recap error:', err);
+    return res.status(500).send(sharePage('SkiStat', '<p>Something went wrong. Try again later.</p>'));
+  }
+});
+
+// ==========================================
+// GET /r/:token — Shared run
+// Public page for a link made with POST /v1/runs/:id/share: the route drawn
+// from its track and the run's numbers in the sharer's units, with Open Graph
+// and Twitter tags so the link unfurls in chats and feeds
+// ==========================================
+router.get('/r/:token', async (req, res) => {
+  try {
+    const shared = await runService.findShared(req.params.token);
+    if (!shared) return res.status(404).send(sharePage('Run not found', '<p>This run link was revoked or never existed.</p>'));
+
+    const { user, run, points } = shared;
+    const units = shareUnits(user.useMetric);
+    const name = user.displayName;
+    const title = run.runName ? `${name} skied ${run.runName}` : `${name}'s run`;
+    const place = [run.resortName, localDate(run.startTime, run.timezone)].filter(Boolean).join(' · ');
+    const summary = `${units.vert(run.elevationDrop)} down · ${units.distance(run.distance)} · top speed ${units.speed(run.maxSpeed)}`;
+    const pageUrl = `${req.protocol}://${req.get('host')}/r/${req.params.token}`;
+    const svg = trackFormatService.routeSvg(points);
+    const stat = (value, label) => `<div class="stat"><div class="value">${value}</div><div class="label">${label}</div></div>`;
+
+    const meta = [
+      ['og:type', 'website'], ['og:site_name', 'SkiStat'], ['og:url', pageUrl],
+      ['og:title', title], ['og:description', `${summary}${place ? ` — ${place}` : ''}`],
+      ...(svg ? [['og:image', `${pageUrl}/route.png`], ['og:image:type', 'image/png'],
+        ['og:image:width', '1200'], ['og:image:height', '630']] : []),
+    ].map(([property, content]) => `<meta property="${property}" content="${escapeXml(content)}">`);
+    meta.push(...[
+      ['twitter:card', svg ? 'summary_large_image' : 'summary'], ['twitter:title', title], ['twitter:description', summary],
+      ...(svg ? [['twitter:image', `${pageUrl}/route.png`]] : []),
+    ].map(([key, content]) => `<meta name="${key}" content="${escapeXml(content)}">`));
+
+    return res.send(sharePage(escapeXml(title), `
+      <p class="who">${escapeXml(title)}</p>
+      ${place ? `<p>${escapeXml(place)}</p>` : ''}
+      ${svg ? `<div class="route">${svg}</div>` : ''}
+      <div class="stats">
+        ${stat(units.vert(run.elevationDrop), 'vertical')}
+        ${stat(units.distance(run.distance), 'distance')}
+        ${stat(units.speed(run.maxSpeed), 'top speed')}
+        ${stat(units.speed(run.averageSpeed), 'avg speed')}
+        ${stat(formatDuration(run.duration), 'time')}
+        ${stat(run.points, 'points')}
+      </div>
+      <p>Difficulty: <strong>${escapeXml(run.difficulty)}</strong></p>`, meta.join('\n      ')));
+  } catch (err) {
+    console.error('Shared run error:', err);
+    return res.status(500).send(sharePage('SkiStat', '<p>Something went wrong. Try again later.</p>'));
+  }
+});
+
+// ==========================================
+// GET /r/:token/route.svg — Route image of a shared run
+// ==========================================
+router.get('/r/:token/route.svg', async (req, res) => {
+  try {
+    const shared = await runService.findShared(req.params.token);
+    const svg = shared && trackFormatService.routeSvg(shared.points);
+    if (!svg) return res.status(404).send('Not found');
+    res.set('Content-Type', 'image/svg+xml');
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.send(svg);
+  } catch (err) {
+    console.error('Shared run image error:', err);
+    return res.status(500).send('Something went wrong');
+  }
+});
+
+// ==========================================
+// GET /r/:token/route.png — Route image for link previews (og:image,
+// twitter:image); 1200 × 630, since most unfurlers don't render SVG
+// ==========================================
+router.get('/r/:token/route.png', async (req, res) => {
+  try {
+    const shared = await runService.findShared(req.params.token);
+    const png = shared && trackFormatService.routePng(shared.points);
+    if (!png) return res.status(404).send('Not found');
+    res.set('Content-Type', 'image/png');
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.send(png);
+  } catch (err) {
+    console.error('Shared run image error:', err);
+    return res.status(500).send('Something went wrong');
+  }
+});
+
+function shareUnits(metric) {
+  const round = (n) => Math.round(n).toLocaleString('en-US');
+  return metric
+    ? { vert: m => `${round(m)} m`, distance: m => `${(m / 1000).toFixed(1)} km`, speed: ms => `${round(ms * 3.6)} km/h` }
+    : { vert: m => `${round(m * 3.28084)} ft`, distance: m => `${(m / 1609.344).toFixed(1)} mi`, speed: ms => `${round(ms * 2.23694)} mph` };
+}
+
+// 1:05:12 or 4:37
+function formatDuration(seconds) {
+  const s = Math.round(seconds) || 0;
+  const pad = (n) => String(n).padStart(2, '0');
+  const h = Math.floor(s / 3600);
+  return h ? `${h}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}` : `${Math.floor(s / 60)}:${pad(s % 60)}`;
+}
+
+// `head` is extra markup for <head> (meta tags), already escaped
+function sharePage(title, body, head = '') {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${title} · SkiStat</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      ${head}
+      <style>
+        body { font-family: -apple-system, system-ui; text-align: center; padding: 60px 20px; background: #0a0a14; color: white; }
+        h1 { font-size: 28px; }
+        p { color: #888; font-size: 16px; }
+        p strong { color: white; }
+        .who { color: #00BCD4; font-size: 20px; }
+        .stats { display: flex; flex-wrap: wrap; justify-content: center; gap: 16px; margin: 30px 0; }
+        .stat { background: rgba(0,188,212,0.1); border-radius: 14px; padding: 16px 20px; min-width: 110px; }
+        .value { font-size: 24px; font-weight: bold; }
+        .label { color: #888; font-size: 13px; margin-top: 4px; }
+        .route svg { max-width: 100%; height: auto; margin-top: 10px; }
+      </style>
+    </head>
+    <body>
+      <h1>⛷️ SkiStat</h1>
+      ${body}
+    </body>
+    </html>
+  `;
+}
+
 module.exports = router;
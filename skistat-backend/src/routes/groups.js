@@ -0,0 +1,259 @@
+const express = require('express');
+const { body, param, query: queryParam } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { authenticate } = require('../middleware/auth');
+const { query } = require('../../config/database');
+const groupService = require('../services/groupService');
+const seasonService = require('../services/seasonService');
+const { errorResponse, successResponse } = require('../utils/helpers');
+
+const router = express.Router();
+
+// Loads req.group for members of :id; 404 for everyone else so group ids
+// can't be probed. With roles, also 403 unless the caller has one of them.
+const requireMember = (...roles) => async (req, res, next) => {
+  try {
+    const group = await groupService.get(req.params.id, req.user.id);
+    if (!group || !group.role) return errorResponse(res, 404, 'Group not found');
+    if (roles.length && !roles.includes(group.role)) {
+      return errorResponse(res, 403, `Only the group ${roles.join(' or ')} can do that`);
+    }
+    req.group = group;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+function formatGroup(req, g) {
+  return {
+    id: g.id,
+    name: g.name,
+    description: g.description,
+    memberCount: parseInt(g.member_count),
+    maxMembers: g.max_members,
+    role: g.role,
+    // Only owners and admins hand out invites
+    inviteCode: g.role === 'owner' || g.role === 'admin' ? g.invite_code : undefined,
+    inviteLink: g.role === 'owner' || g.role === 'admin' ? `${req.protocol}://${req.get('host')}/invite/${g.invite_code}` : undefined,
+    createdAt: g.created_at,
+  };
+}
+
+// ==========================================
+// GET /v1/groups — Groups I belong to
+// ==========================================
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const groups = await groupService.forUser(req.user.id);
+    return successResponse(res, { groups: groups.map(g => formatGroup(req, g)) });
+  } catch (err) {
+    console.error('Groups list error:', err);
+    return errorResponse(res, 500, 'Failed to fetch groups');
+  }
+});
+
+// ==========================================
+// POST /v1/groups — Create a group (you become its owner)
+// ==========================================
+router.post('/', authenticate,
+  body('name').isString().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }),
+  validate,
+  async (req, res) => {
+    try {
+      const group = await groupService.create(req.user.id, {
+        name: req.body.name.replace(/[<>]/g, ''),
+        description: req.body.description || null,
+      });
+      return successResponse(res, { group: formatGroup(req, group) }, 201);
+    } catch (err) {
+      console.error('Group create error:', err);
+      return errorResponse(res, 500, 'Failed to create group');
+    }
+  }
+);
+
+// ==========================================
+// POST /v1/groups/join/:code — Join a group by invite code
+// ==========================================
+router.post('/join/:code', authenticate, async (req, res) => {
+  try {
+    const group = await groupService.join(req.user.id, req.params.code);
+    return successResponse(res, { message: `Joined ${group.name}`, group: formatGroup(req, group) }, 201);
+  } catch (err) {
+    if (err.status) return errorResponse(res, err.status, err.message);
+    console.error('Group join error:', err);
+    return errorResponse(res, 500, 'Failed to join group');
+  }
+});
+
+// ==========================================
+// GET /v1/groups/:id — Group detail with members
+// ==========================================
+router.get('/:id', authenticate, param('id').isUUID(), validate, requireMember(), async (req, res) => {
+  try {
+    const members = await groupService.members(req.group.id);
+    return successResponse(res, {
+      group: formatGroup(req, req.group),
+      members: members.map(m => ({
+        userId: m.id,
+        displayName: m.display_name,
+        homeResort: m.home_resort,
+        role: m.role,
+        isYou: m.id === req.user.id,
+        joinedAt: m.joined_at,
+      })),
+    });
+  } catch (err) {
+    console.error('Group detail error:', err);
+    return errorResponse(res, 500, 'Failed to fetch group');
+  }
+});
+
+// ==========================================
+// PUT /v1/groups/:id — Rename / describe (owner or admin)
+// ==========================================
+router.put('/:id', authenticate,
+  param('id').isUUID(),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+  validate,
+  requireMember('owner', 'admin'),
+  async (req, res) => {
+    try {
+      const updated = await groupService.update(req.group.id, {
+        name: req.body.name && req.body.name.replace(/[<>]/g, ''),
+        description: req.body.description,
+      });
+      return successResponse(res, { group: formatGroup(req, { ...req.group, ...updated }) });
+    } catch (err) {
+      console.error('Group update error:', err);
+      return errorResponse(res, 500, 'Failed to update group');
+    }
+  }
+);
+
+// ==========================================
+// DELETE /v1/groups/:id — Delete the group (owner)
+// ==========================================
+router.delete('/:id', authenticate, param('id').isUUID(), validate, requireMember('owner'), async (req, res) => {
+  try {
+    await groupService.remove(req.group.id);
+    return successResponse(res, { message: 'Group deleted' });
+  } catch (err) {
+    console.error('Group delete error:', err);
+    return errorResponse(res, 500, 'Failed to delete group');
+  }
+});
+
+// ==========================================
+// POST /v1/groups/:id/leave — Leave a group
+// An owner's role passes to the longest-standing admin (or member)
+// ==========================================
+router.post('/:id/leave', authenticate, param('id').isUUID(), validate, async (req, res) => {
+  try {
+    const result = await groupService.leave(req.params.id, req.user.id);
+    if (!result.left) return errorResponse(res, 404, 'Group not found');
+    return successResponse(res, {
+      message: result.deleted ? 'Left group — it had no other members and was deleted' : 'Left group',
+      deleted: result.deleted,
+    });
+  } catch (err) {
+    console.error('Group leave error:', err);
+    return errorResponse(res, 500, 'Failed to leave group');
+  }
+});
+
+// ==========================================
+// POST /v1/groups/:id/invite-code — New invite code (owner or admin)
+// The old code and link stop working
+// ==========================================
+router.post('/:id/invite-code', authenticate, param('id').isUUID(), validate, requireMember('owner', 'admin'), async (req, res) => {
+  try {
+    const code = await groupService.regenerateCode(req.group.id);
+    return successResponse(res, { group: formatGroup(req, { ...req.group, invite_code: code }) });
+  } catch (err) {
+    console.error('Group invite code error:', err);
+    return errorResponse(res, 500, 'Failed to regenerate invite code');
+  }
+});
+
+// ==========================================
+// PUT /v1/groups/:id/members/:userId — Change a member's role (owner)
+// { role: 'admin' | 'member' | 'owner' } — 'owner' transfers ownership
+// ==========================================
+router.put('/:id/members/:userId', authenticate,
+  param('id').isUUID(),
+  param('userId').isUUID(),
+  body('role').custom(r => groupService.isRole(r)).withMessage('role must be owner, admin or member'),
+  validate,
+  requireMember('owner'),
+  async (req, res) => {
+    try {
+      const role = await groupService.setRole(req.group.id, req.user.id, req.params.userId, req.body.role);
+      return successResponse(res, { message: role === 'owner' ? 'Ownership transferred' : 'Role updated', role });
+    } catch (err) {
+      if (err.status) return errorResponse(res, err.status, err.message);
+      console.error('Group role error:', err);
+      return errorResponse(res, 500, 'Failed to change role');
+    }
+  }
+);
+
+// ==========================================
+// DELETE /v1/groups/:id/members/:userId — Remove a member (owner or admin)
+// ==========================================
+router.delete('/:id/members/:userId', authenticate,
+  param('id').isUUID(),
+  param('userId').isUUID(),
+  validate,
+  requireMember('owner', 'admin'),
+  async (req, res) => {
+    try {
+      if (req.params.userId === req.user.id) {
+        return errorResponse(res, 400, 'Use /leave to leave a group');
+      }
+      await groupService.removeMember(req.group.id, req.group.role, req.params.userId);
+      return successResponse(res, { message: 'Member removed' });
+    } catch (err) {
+      if (err.status) return errorResponse(res, err.status, err.message);
+      console.error('Group remove member error:', err);
+      return errorResponse(res, 500, 'Failed to remove member');
+    }
+  }
+);
+
+// ==========================================
+// GET /v1/groups/:id/activity — What the group has been up to
+// ?window=week (default) | day | month | season | all | custom&from=&to=
+// Boards: GET /v1/leaderboard/:metric?scope=group&group=:id
+// ==========================================
+router.get('/:id/activity', authenticate,
+  param('id').isUUID(),
+  queryParam('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  validate,
+  requireMember(),
+  async (req, res) => {
+    try {
+      const userResult = await query('SELECT timezone FROM users WHERE id = $1', [req.user.id]);
+      const window = seasonService.resolveWindow(req.query, {
+        defaultWindow: 'week',
+        timezone: (userResult.rows[0] && userResult.rows[0].timezone) || 'UTC',
+      });
+      const activity = await groupService.activity(req.group.id, window, req.user.id, req.query.limit || 20);
+
+      return successResponse(res, {
+        group: { id: req.group.id, name: req.group.name, memberCount: parseInt(req.group.member_count) },
+        window: seasonService.describe(window),
+        ...activity,
+      });
+    } catch (err) {
+      if (err.status) return errorResponse(res, err.status, err.message);
+      console.error('Group activity error:', err);
+      return errorResponse(res, 500, 'Failed to fetch group activity');
+    }
+  }
+);
+
+module.exports = router;
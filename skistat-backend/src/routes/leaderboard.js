@@ -1,173 +1,142 @@
 const express = require('express');
+const { param, query: queryParam } = require('express-validator');
+const { validate } = require('../middleware/validate');
 const { authenticate } = require('../middleware/auth');
 const { query } = require('../../config/database');
+const friendService = require('../services/friendService');
+const groupService = require('../services/groupService');
+const leaderboardService = require('../services/leaderboardService');
+const resortService = require('../services/resortService');
+const seasonService = require('../services/seasonService');
 const { errorResponse, successResponse } = require('../utils/helpers');
 
 const router = express.Router();
 
-// Helper: get friend IDs + self
-async function getFriendIds(userId) {
-  const result = await query(
-    `SELECT CASE WHEN user_id = $1 THEN friend_id ELSE user_id END as friend_id
-     FROM friendships
-     WHERE (user_id = $1 OR friend_id = $1) AND status = 'accepted'`,
-    [userId]
-  );
-  return [userId, ...result.rows.map(r => r.friend_id)];
-}
-
-// ==========================================
-// GET /v1/leaderboard/season — Season points
-// ==========================================
-router.get('/season', authenticate, async (req, res) => {
-  try {
-    const userIds = await getFriendIds(req.user.id);
-    const seasonStart = getSeasonStart();
-
-    const result = await query(
-      `SELECT u.id, u.display_name,
-              COUNT(r.id) as run_count,
-              COALESCE(SUM(r.points), 0) as total_points
-       FROM users u
-       LEFT JOIN runs r ON r.user_id = u.id AND r.is_deleted = false AND r.start_time >= $2
-       WHERE u.id = ANY($1)
-       GROUP BY u.id, u.display_name
-       ORDER BY total_points DESC`,
-      [userIds, seasonStart]
-    );
-
-    return successResponse(res, {
-      leaderboard: result.rows.map((r, i) => ({
-        rank: i + 1,
-        userId: r.id,
-        displayName: r.display_name,
-        isYou: r.id === req.user.id,
-        value: parseInt(r.total_points),
-        displayValue: `${parseInt(r.total_points)} pts`,
-        detail: `${parseInt(r.run_count)} runs`,
-      })),
-    });
-  } catch (err) {
-    console.error('Leaderboard error:', err);
-    return errorResponse(res, 500, 'Failed to fetch leaderboard');
-  }
-});
-
-// ==========================================
-// GET /v1/leaderboard/speed — Top speed (individual runs)
-// ==========================================
-router.get('/speed', authenticate, async (req, res) => {
-  try {
-    const userIds = await getFriendIds(req.user.id);
-
-    const result = await query(
-      `SELECT r.id as run_id, r.run_name, r.resort_name, r.max_speed, r.start_time,
-              u.id as user_id, u.display_name
-       FROM runs r
-       JOIN users u ON r.user_id = u.id
-       WHERE u.id = ANY($1) AND r.is_deleted = false
-       ORDER BY r.max_speed DESC
-       LIMIT 20`,
-      [userIds]
-    );
-
-    return successResponse(res, {
-      leaderboard: result.rows.map((r, i) => ({
-        rank: i + 1,
-        userId: r.user_id,
-        displayName: r.display_name,
-        isYou: r.user_id === req.user.id,
-        value: r.max_speed,
-        detail: `${r.run_name || 'Run'} · ${r.resort_name || ''}`,
-      })),
-    });
-  } catch (err) {
-    console.error('Speed leaderboard error:', err);
-    return errorResponse(res, 500, 'Failed to fetch leaderboard');
-  }
-});
-
-// ==========================================
-// GET /v1/leaderboard/vert — Total season vertical
-// ==========================================
-router.get('/vert', authenticate, async (req, res) => {
-  try {
-    const userIds = await getFriendIds(req.user.id);
-    const seasonStart = getSeasonStart();
-
-    const result = await query(
-      `SELECT u.id, u.display_name,
-              COALESCE(SUM(r.elevation_drop), 0) as total_vert,
-              COUNT(r.id) as run_count
-       FROM users u
-       LEFT JOIN runs r ON r.user_id = u.id AND r.is_deleted = false AND r.start_time >= $2
-       WHERE u.id = ANY($1)
-       GROUP BY u.id, u.display_name
-       ORDER BY total_vert DESC`,
-      [userIds, seasonStart]
-    );
-
-    return successResponse(res, {
-      leaderboard: result.rows.map((r, i) => ({
-        rank: i + 1,
-        userId: r.id,
-        displayName: r.display_name,
-        isYou: r.id === req.user.id,
-        value: parseFloat(r.total_vert),
-        detail: `${parseInt(r.run_count)} runs`,
-      })),
-    });
-  } catch (err) {
-    console.error('Vert leaderboard error:', err);
-    return errorResponse(res, 500, 'Failed to fetch leaderboard');
-  }
-});
-
 // ==========================================
-// GET /v1/leaderboard/distance — Total season distance
+// GET /v1/leaderboard/:metric — season | vert | distance | speed | runs
+//
+//   ?scope=friends (default) | group | resort | global
+//   ?group=<id>              group scope; members only
+//   ?resort=vail             resort scope; defaults to your home resort
+//   ?limit=50                top N (you're always included as `you`)
+//   ?season=2025-26, ?hemisphere=south,
+//   ?window=season|day|week|month|all|custom&from=&to=
+//
+// Resort and global boards only list skiers whose leaderboardVisibility is
+// "public". Day, week and month follow the caller's profile timezone.
 // ==========================================
-router.get('/distance', authenticate, async (req, res) => {
-  try {
-    const userIds = await getFriendIds(req.user.id);
-    const seasonStart = getSeasonStart();
-
-    const result = await query(
-      `SELECT u.id, u.display_name,
-              COALESCE(SUM(r.distance), 0) as total_distance,
-              COUNT(r.id) as run_count
-       FROM users u
-       LEFT JOIN runs r ON r.user_id = u.id AND r.is_deleted = false AND r.start_time >= $2
-       WHERE u.id = ANY($1)
-       GROUP BY u.id, u.display_name
-       ORDER BY total_distance DESC`,
-      [userIds, seasonStart]
-    );
-
-    return successResponse(res, {
-      leaderboard: result.rows.map((r, i) => ({
-        rank: i + 1,
-        userId: r.id,
-        displayName: r.display_name,
-        isYou: r.id === req.user.id,
-        value: parseFloat(r.total_distance),
-        detail: `${parseInt(r.run_count)} runs`,
-      })),
-    });
-  } catch (err) {
-    console.error('Distance leaderboard error:', err);
-    return errorResponse(res, 500, 'Failed to fetch leaderboard');
+router.get('/:metric', authenticate,
+  param('metric').custom(m => leaderboardService.isBoard(m)).withMessage('Unknown leaderboard'),
+  queryParam('scope').optional().isIn(['friends', 'group', 'resort', 'global']),
+  queryParam('group').if(queryParam('scope').equals('group')).isUUID().withMessage('group must be a group id'),
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  queryParam('hemisphere').optional().isIn(['north', 'south']),
+  validate,
+  async (req, res) => {
+    try {
+      const { metric } = req.params;
+      const scope = req.query.scope || 'friends';
+      const limit = req.query.limit || 50;
+
+      const userResult = await query('SELECT timezone, home_resort FROM users WHERE id = $1', [req.user.id]);
+      const user = userResult.rows[0] || {};
+
+      let resort = null;
+      if (scope === 'resort') {
+        resort = req.query.resort
+          ? await resortService.findBySlug(req.query.resort)
+          : await resortService.match({ name: user.home_resort });
+        if (!resort) {
+          return errorResponse(res, 400, req.query.resort ? 'Unknown resort' : 'Pass ?resort= or set a home resort in your profile');
+        }
+      }
+
+      // The friends speed board has always listed individual runs, all-time
+      const runsBoard = metric === 'speed' && scope === 'friends';
+      const window = seasonService.resolveWindow(req.query, {
+        defaultWindow: runsBoard ? 'all' : 'season',
+        hemisphere: req.query.hemisphere || 'north',
+        resort,
+        timezone: user.timezone || 'UTC',
+      });
+
+      let group = null;
+      if (scope === 'group') {
+        group = await groupService.get(req.query.group, req.user.id);
+        if (!group || !group.role) return errorResponse(res, 404, 'Group not found');
+      }
+
+      let userIds = [];
+      if (scope === 'friends') userIds = await friendService.getFriendIds(req.user.id);
+      if (scope === 'group') userIds = await groupService.memberIds(group.id);
+      if (runsBoard && !(window.type === 'season' && seasonService.isOver(window))) {
+        return await fastestRuns(req, res, userIds, window);
+      }
+
+      const board = await leaderboardService.rank({
+        board: metric, window, scope, userId: req.user.id, userIds,
+        resortId: resort ? resort.id : null, limit,
+      });
+      const entry = (r) => ({
+        rank: r.rank,
+        userId: r.userId,
+        displayName: r.displayName,
+        isYou: r.userId === req.user.id,
+        value: r.value,
+        ...(metric === 'season' || metric === 'points' ? { displayValue: `${Math.round(r.value)} pts` } : {}),
+        percentile: r.percentile,
+        detail: (metric === 'speed' && r.topSpeedDetail) || `${r.runCount} runs`,
+      });
+
+      return successResponse(res, {
+        metric,
+        scope,
+        group: group ? { id: group.id, name: group.name } : undefined,
+        resort: resort ? { id: resort.id, slug: resort.slug, name: resort.name } : undefined,
+        window: seasonService.describe(window),
+        frozen: board.frozen,
+        total: board.total,
+        leaderboard: board.entries.map(entry),
+        you: board.you ? entry(board.you) : null,
+      });
+    } catch (err) {
+      if (err.status) return errorResponse(res, err.status, err.message);
+      console.error('Leaderboard error:', err);
+      return errorResponse(res, 500, 'Failed to fetch leaderboard');
+    }
   }
-});
+);
 
-// ==========================================
-// HELPERS
-// ==========================================
+// Friends' 20 fastest individual runs in a window
+async function fastestRuns(req, res, friendIds, window) {
+  const params = [friendIds];
+  const windowFilter = seasonService.windowSql(window, params);
+  const result = await query(
+    `SELECT r.id as run_id, r.run_name, r.resort_name, r.max_speed, r.start_time,
+            u.id as user_id, u.display_name
+     FROM runs r
+     JOIN users u ON r.user_id = u.id
+     WHERE u.id = ANY($1) AND r.is_deleted = false AND r.flagged = false
+       AND (u.id = $${params.length + 1} OR u.leaderboard_visibility <> 'private')${windowFilter}
+     ORDER BY r.max_speed DESC
+     LIMIT 20`,
+    [...params, req.user.id]
+  );
 
-function getSeasonStart() {
-  const now = new Date();
-  const month = now.getMonth() + 1; // 1-indexed
-  const year = month >= 11 ? now.getFullYear() : now.getFullYear() - 1;
-  return new Date(year, 10, 1); // November 1
+  return successResponse(res, {
+    metric: 'speed',
+    scope: 'friends',
+    window: seasonService.describe(window),
+    frozen: false,
+    leaderboard: result.rows.map((r, i) => ({
+      rank: i + 1,
+      userId: r.user_id,
+      displayName: r.display_name,
+      isYou: r.user_id === req.user.id,
+      value: r.max_speed,
+      detail: `${r.run_name || 'Run'} · ${r.resort_name || ''}`,
+    })),
+  });
 }
 
 module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { authenticate } = require('../middleware/auth');
+const liftService = require('../services/liftService');
+const resortService = require('../services/resortService');
+const { errorResponse, successResponse } = require('../utils/helpers');
+
+const router = express.Router();
+
+// ==========================================
+// POST /v1/lifts/reports — Report a lift's wait time or status
+// ==========================================
+router.post('/reports', authenticate,
+  body('resortName').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Resort name required'),
+  body('liftName').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Lift name required'),
+  body('waitMinutes').optional({ values: 'null' }).isInt({ min: 0, max: 180 }).toInt(),
+  body('status').optional({ values: 'null' }).customSanitizer(v => String(v).trim().toLowerCase().replace(/[\s-]+/g, '_'))
+    .isIn(['open', 'closed', 'on_hold']).withMessage('Status must be open, closed or on_hold'),
+  body('latitude').optional({ values: 'null' }).isFloat({ min: -90, max: 90 }).toFloat(),
+  body('longitude').optional({ values: 'null' }).isFloat({ min: -180, max: 180 }).toFloat(),
+  body('waitMinutes').custom((value, { req }) => {
+    if ((value === undefined || value === null) && !req.body.status) {
+      throw new Error('Report a wait time, a status, or both');
+    }
+    return true;
+  }),
+  validate,
+  async (req, res) => {
+    try {
+      // Reports for a catalog resort are filed under its canonical name
+      const { resortName, latitude, longitude } = req.body;
+      const resort = await resortService.match({ latitude, longitude, name: resortName });
+      const report = await liftService.report(req.user.id, { ...req.body, resortName: resort ? resort.name : resortName });
+      return successResponse(res, { reportId: report.id, reportedAt: report.reported_at }, 201);
+    } catch (err) {
+      if (err.status === 429) {
+        res.set('Retry-After', String(err.retryAfter));
+        return errorResponse(res, 429, err.message);
+      }
+      console.error('Lift report error:', err);
+      return errorResponse(res, 500, 'Failed to save lift report');
+    }
+  }
+);
+
+module.exports = router;
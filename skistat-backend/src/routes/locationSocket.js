@@ -0,0 +1,59 @@
+const locationService = require('../services/locationService');
+const { takeLocationUpdate, LOCATION_LIMIT_MESSAGE } = require('../middleware/locationLimit');
+
+// ==========================================
+// WS /v1/locations/live — Live location over a WebSocket
+//
+// The server sends a `snapshot` ({ locations }) and then friends' `location`
+// and `location.stopped` events. The client sends:
+//
+//   { type: 'location', latitude, longitude, ... }   same body as POST /v1/locations
+//   { type: 'stop' }                                 stop sharing
+//
+// and gets { type: 'ack', session } or { type: 'error', message } back.
+// `location` messages share POST /v1/locations's per-user rate limit.
+// Mounted by sockets.js, which authenticates the connection.
+// ==========================================
+
+const PATH = '/v1/locations/live';
+
+function connection(ws, user) {
+  const send = (event) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+  };
+  const unsubscribe = locationService.subscribe(user.id, send);
+  ws.on('close', unsubscribe);
+
+  ws.on('message', async (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (err) {
+      return send({ type: 'error', message: 'Messages must be JSON' });
+    }
+
+    try {
+      if (message && message.type === 'location') {
+        if (!(await takeLocationUpdate(user.id))) return send({ type: 'error', message: LOCATION_LIMIT_MESSAGE });
+        const { type, ...body } = message;
+        const { update, errors } = locationService.parseUpdate(body);
+        if (errors.length) return send({ type: 'error', message: errors.map(e => e.message).join('; ') });
+        send({ type: 'ack', session: await locationService.update(user.id, update) });
+      } else if (message && message.type === 'stop') {
+        await locationService.stop(user.id);
+        send({ type: 'ack', session: null });
+      } else {
+        send({ type: 'error', message: 'type must be location or stop' });
+      }
+    } catch (err) {
+      console.error('Location socket message error:', err);
+      send({ type: 'error', message: 'Failed to update location' });
+    }
+  });
+
+  locationService.friendLocations(user.id)
+    .then(locations => send({ type: 'snapshot', locations }))
+    .catch(err => console.error('Location socket snapshot error:', err));
+}
+
+module.exports = { PATH, connection };
@@ -0,0 +1,114 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { authenticate, authenticateStream } = require('../middleware/auth');
+const { locationLimiter } = require('../middleware/locationLimit');
+const friendService = require('../services/friendService');
+const locationService = require('../services/locationService');
+const { errorResponse, successResponse } = require('../utils/helpers');
+const { openEventStream } = require('../utils/sse');
+
+const router = express.Router();
+
+// ==========================================
+// POST /v1/locations — Share my position (REST fallback)
+// Body: { latitude, longitude, altitude?, accuracy?, speed?, heading?,
+//         recordedAt?, timezone? }
+// Opens today's session on the first fix; clients on a WebSocket send the
+// same body as { type: 'location', ... } on /v1/locations/live instead.
+// Limited to LOCATION_RATE_LIMIT_MAX (30) updates a minute per user, shared
+// with socket updates
+// ==========================================
+router.post('/', authenticate, locationLimiter, async (req, res) => {
+  try {
+    const { update, errors } = locationService.parseUpdate(req.body);
+    if (errors.length) return errorResponse(res, 400, errors.map(e => e.message).join('; '));
+
+    const session = await locationService.update(req.user.id, update);
+    return successResponse(res, { session });
+  } catch (err) {
+    console.error('Location update error:', err);
+    return errorResponse(res, 500, 'Failed to update location');
+  }
+});
+
+// ==========================================
+// GET /v1/locations — My sharing session today (null if not sharing)
+// ==========================================
+router.get('/', authenticate, async (req, res) => {
+  try {
+    return successResponse(res, { session: await locationService.session(req.user.id) });
+  } catch (err) {
+    console.error('Location session error:', err);
+    return errorResponse(res, 500, 'Failed to fetch location session');
+  }
+});
+
+// ==========================================
+// DELETE /v1/locations — Stop sharing now
+// ==========================================
+router.delete('/', authenticate, async (req, res) => {
+  try {
+    if (!(await locationService.stop(req.user.id))) {
+      return errorResponse(res, 404, 'Not sharing your location');
+    }
+    return successResponse(res, { message: 'Stopped sharing location' });
+  } catch (err) {
+    console.error('Location stop error:', err);
+    return errorResponse(res, 500, 'Failed to stop sharing location');
+  }
+});
+
+// ==========================================
+// GET /v1/locations/stream — Friends' positions as Server-Sent Events
+// Token in the Authorization header, or a ?ticket= from
+// POST /v1/realtime/ticket. Starts with a `snapshot` event ({ locations }),
+// then `location` and `location.stopped`
+// ==========================================
+router.get('/stream', authenticateStream, async (req, res) => {
+  let unsubscribe = () => {};
+  const send = openEventStream(req, res, () => unsubscribe());
+  unsubscribe = locationService.subscribe(req.user.id, send);
+  try {
+    send({ type: 'snapshot', locations: await locationService.friendLocations(req.user.id) });
+  } catch (err) {
+    console.error('Location stream error:', err);
+    res.end();
+  }
+});
+
+// ==========================================
+// GET /v1/locations/visibility — Which friends can see my location
+// ==========================================
+router.get('/visibility', authenticate, async (req, res) => {
+  try {
+    return successResponse(res, { friends: await locationService.visibility(req.user.id) });
+  } catch (err) {
+    console.error('Location visibility error:', err);
+    return errorResponse(res, 500, 'Failed to fetch location visibility');
+  }
+});
+
+// ==========================================
+// PUT /v1/locations/visibility/:friendId — Show or hide my location
+// Body: { visible: true | false }
+// ==========================================
+router.put('/visibility/:friendId', authenticate,
+  param('friendId').isUUID(),
+  body('visible').isBoolean({ strict: true }),
+  validate,
+  async (req, res) => {
+    try {
+      if (!(await friendService.areFriends(req.user.id, req.params.friendId))) {
+        return errorResponse(res, 403, 'Not friends with this user');
+      }
+      await locationService.setVisible(req.user.id, req.params.friendId, req.body.visible);
+      return successResponse(res, { userId: req.params.friendId, visible: req.body.visible });
+    } catch (err) {
+      console.error('Location visibility update error:', err);
+      return errorResponse(res, 500, 'Failed to update location visibility');
+    }
+  }
+);
+
+module.exports = router;
@@ -3,7 +3,11 @@ const { body } = require('express-validator');
 const { validate } = require('../middleware/validate');
 const { authenticate } = require('../middleware/auth');
 const { query } = require('../../config/database');
+const notificationService = require('../services/notificationService');
 const { errorResponse, successResponse, sanitizeDisplayName } = require('../utils/helpers');
+const { isValidTimeZone } = require('../utils/time');
+
+const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 const router = express.Router();
 
@@ -14,7 +18,8 @@ router.get('/', authenticate, async (req, res) => {
   try {
     const result = await query(
       `SELECT id, email, display_name, home_resort, avatar_url, invite_code,
-              use_metric, weight_kg, haptics_enabled, battery_mode, created_at
+              use_metric, weight_kg, haptics_enabled, battery_mode, auto_accept_friends, leaderboard_visibility,
+              notification_prefs, quiet_hours_start, quiet_hours_end, timezone, created_at
        FROM users WHERE id = $1`,
       [req.user.id]
     );
@@ -33,7 +38,7 @@ router.get('/', authenticate, async (req, res) => {
          COALESCE(MAX(max_speed), 0) as top_speed,
          COALESCE(SUM(elevation_drop), 0) as total_vert,
          COALESCE(SUM(distance), 0) as total_distance,
-         COUNT(DISTINCT resort_name) as resort_count
+         COUNT(DISTINCT COALESCE(resort_id::text, LOWER(TRIM(resort_name)))) as resort_count
        FROM runs 
        WHERE user_id = $1 AND is_deleted = false`,
       [req.user.id]
@@ -57,6 +62,11 @@ router.get('/', authenticate, async (req, res) => {
         weightKg: user.weight_kg,
         hapticsEnabled: user.haptics_enabled,
         batteryMode: user.battery_mode,
+        autoAcceptFriends: user.auto_accept_friends,
+        leaderboardVisibility: user.leaderboard_visibility,
+        timezone: user.timezone,
+        notificationPreferences: notificationService.preferences(user.notification_prefs),
+        quietHours: { start: user.quiet_hours_start, end: user.quiet_hours_end },
         createdAt: user.created_at,
       },
       stats: {
@@ -85,11 +95,19 @@ router.put('/', authenticate,
   body('weightKg').optional().isFloat({ min: 30, max: 200 }),
   body('hapticsEnabled').optional().isBoolean(),
   body('batteryMode').optional().isIn(['precision', 'fullDay']),
+  body('autoAcceptFriends').optional().isBoolean(),
+  body('leaderboardVisibility').optional().isIn(['private', 'friends', 'public']),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Unknown time zone'),
+  body('notificationPreferences').optional().isObject(),
+  body(['notificationPreferences.friendRequests', 'notificationPreferences.leaderboard', 'notificationPreferences.achievements',
+    'notificationPreferences.challenges']).optional().isBoolean(),
+  body(['quietHoursStart', 'quietHoursEnd']).optional({ values: 'null' }).matches(HH_MM).withMessage('Use HH:MM'),
   validate,
   async (req, res) => {
     try {
       const updates = {};
-      const allowed = ['displayName', 'homeResort', 'useMetric', 'weightKg', 'hapticsEnabled', 'batteryMode'];
+      const allowed = ['displayName', 'homeResort', 'useMetric', 'weightKg', 'hapticsEnabled', 'batteryMode', 'autoAcceptFriends',
+        'leaderboardVisibility', 'timezone', 'quietHoursStart', 'quietHoursEnd', 'notificationPreferences'];
       const dbFields = {
         displayName: 'display_name',
         homeResort: 'home_resort',
@@ -97,6 +115,12 @@ router.put('/', authenticate,
         weightKg: 'weight_kg',
         hapticsEnabled: 'haptics_enabled',
         batteryMode: 'battery_mode',
+        autoAcceptFriends: 'auto_accept_friends',
+        leaderboardVisibility: 'leaderboard_visibility',
+        timezone: 'timezone',
+        quietHoursStart: 'quiet_hours_start',
+        quietHoursEnd: 'quiet_hours_end',
+        notificationPreferences: 'notification_prefs',
       };
 
       for (const field of allowed) {
@@ -104,6 +128,12 @@ router.put('/', authenticate,
           const dbField = dbFields[field];
           let value = req.body[field];
           if (field === 'displayName') value = sanitizeDisplayName(value);
+          if (field === 'notificationPreferences') {
+            const known = Object.keys(notificationService.preferences());
+            value = JSON.stringify(Object.fromEntries(
+              Object.entries(value).filter(([k]) => known.includes(k))
+            ));
+          }
           updates[dbField] = value;
         }
       }
@@ -112,7 +142,10 @@ router.put('/', authenticate,
         return errorResponse(res, 400, 'No fields to update');
       }
 
-      const setClauses = Object.keys(updates).map((k, i) => `${k} = $${i + 2}`);
+      // Preferences are merged into the stored object, everything else replaced
+      const setClauses = Object.keys(updates).map((k, i) => (k === 'notification_prefs'
+        ? `${k} = COALESCE(${k}, '{}'::jsonb) || $${i + 2}::jsonb`
+        : `${k} = $${i + 2}`));
       const values = [req.user.id, ...Object.values(updates)];
 
       await query(
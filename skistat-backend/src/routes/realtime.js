@@ -0,0 +1,46 @@
+const express = require('express');
+const { authenticate, authenticateStream, createStreamTicket } = require('../middleware/auth');
+const realtimeService = require('../services/realtimeService');
+const { errorResponse, successResponse } = require('../utils/helpers');
+const { openEventStream } = require('../utils/sse');
+
+const router = express.Router();
+
+// ==========================================
+// POST /v1/realtime/ticket — A single-use ticket for one stream or socket
+//
+// Pass it as ?ticket= to WS /v1/realtime, WS /v1/locations/live or either
+// event stream when the client can't set an Authorization header. Valid
+// for a minute; get a new one for each (re)connection.
+// ==========================================
+router.post('/ticket', authenticate, async (req, res) => {
+  try {
+    return successResponse(res, await createStreamTicket(req.user.id), 201);
+  } catch (err) {
+    console.error('Stream ticket error:', err);
+    return errorResponse(res, 500, 'Failed to create stream ticket');
+  }
+});
+
+// ==========================================
+// GET /v1/realtime/stream — Realtime events as Server-Sent Events
+//
+//   ?types=friend.runs,leaderboard.overtaken   only these (default: all)
+//
+// For clients that can't hold a WebSocket (WS /v1/realtime carries the same
+// events). Token in the Authorization header, or a ?ticket=. Starts with
+// a `ready` event, then one message per event, named by its type:
+// friend.runs, friend.request, friend.accepted, leaderboard.overtaken,
+// location and location.stopped
+// ==========================================
+router.get('/stream', authenticateStream, (req, res) => {
+  const { types, error } = realtimeService.parseTypes(req.query.types);
+  if (error) return errorResponse(res, 400, error);
+
+  let unsubscribe = () => {};
+  const send = openEventStream(req, res, () => unsubscribe());
+  unsubscribe = realtimeService.subscribe(req.user.id, send, { types });
+  send({ type: 'ready', types });
+});
+
+module.exports = router;
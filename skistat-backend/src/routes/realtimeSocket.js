@@ -0,0 +1,42 @@
+const realtimeService = require('../services/realtimeService');
+
+// ==========================================
+// WS /v1/realtime — Realtime events over a WebSocket
+//
+//   ?types=friend.runs,leaderboard.overtaken   only these (default: all)
+//
+// The server sends { type: 'ready', types } and then every event published
+// for the user (see realtimeService). Clients may send { type: 'ping' } to
+// get { type: 'pong' }. Mounted by sockets.js, which authenticates the
+// connection.
+// ==========================================
+
+const PATH = '/v1/realtime';
+
+function connection(ws, user, url) {
+  const send = (event) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+  };
+  const { types, error } = realtimeService.parseTypes(url.searchParams.get('types'));
+  if (error) {
+    send({ type: 'error', message: error });
+    return ws.close(1008, 'Invalid types');
+  }
+
+  const unsubscribe = realtimeService.subscribe(user.id, send, { types });
+  ws.on('close', unsubscribe);
+  ws.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (err) {
+      return send({ type: 'error', message: 'Messages must be JSON' });
+    }
+    if (message && message.type === 'ping') send({ type: 'pong' });
+    else send({ type: 'error', message: 'type must be ping' });
+  });
+
+  send({ type: 'ready', types });
+}
+
+module.exports = { PATH, connection };
@@ -0,0 +1,92 @@
+const express = require('express');
+const { query: queryParam } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { authenticate } = require('../middleware/auth');
+const recapService = require('../services/recapService');
+const { errorResponse, successResponse } = require('../utils/helpers');
+
+const router = express.Router();
+
+const shareUrl = (req, token) => `${req.protocol}://${req.get('host')}/recap/${token}`;
+
+// :season is a label ("2025-26", or "2026" with ?hemisphere=south)
+function resolveSeason(req, res) {
+  const season = recapService.season(req.params.season, req.query.hemisphere || 'north');
+  if (!season) errorResponse(res, 400, `Unknown season "${req.params.season}"`);
+  return season;
+}
+
+// ==========================================
+// GET /v1/recap/:season — My season in review
+//
+//   ?hemisphere=north (default) | south
+//
+// Totals, vert compared to famous mountains, favorite resort, best day,
+// fastest run, where you finished among your friends and the achievements
+// you unlocked. `share` is the public link, once you've shared it.
+// ==========================================
+router.get('/:season', authenticate,
+  queryParam('hemisphere').optional().isIn(['north', 'south']),
+  validate,
+  async (req, res) => {
+    try {
+      const season = resolveSeason(req, res);
+      if (!season) return;
+
+      const recap = await recapService.build(req.user.id, season);
+      const token = await recapService.sharedToken(req.user.id, season, req.query.hemisphere || 'north');
+      return successResponse(res, {
+        recap,
+        share: token ? { token, url: shareUrl(req, token) } : null,
+      });
+    } catch (err) {
+      console.error('Recap error:', err);
+      return errorResponse(res, 500, 'Failed to build recap');
+    }
+  }
+);
+
+// ==========================================
+// POST /v1/recap/:season/share — Get a public link to my recap
+// Sharing again returns the same link
+// ==========================================
+router.post('/:season/share', authenticate,
+  queryParam('hemisphere').optional().isIn(['north', 'south']),
+  validate,
+  async (req, res) => {
+    try {
+      const season = resolveSeason(req, res);
+      if (!season) return;
+
+      const share = await recapService.share(req.user.id, season, req.query.hemisphere || 'north');
+      return successResponse(res, { token: share.token, url: shareUrl(req, share.token), createdAt: share.created_at }, 201);
+    } catch (err) {
+      console.error('Recap share error:', err);
+      return errorResponse(res, 500, 'Failed to share recap');
+    }
+  }
+);
+
+// ==========================================
+// DELETE /v1/recap/:season/share — Revoke the public link
+// ==========================================
+router.delete('/:season/share', authenticate,
+  queryParam('hemisphere').optional().isIn(['north', 'south']),
+  validate,
+  async (req, res) => {
+    try {
+      const season = resolveSeason(req, res);
+      if (!season) return;
+
+      if (!(await recapService.unshare(req.user.id, season, req.query.hemisphere || 'north'))) {
+        return errorResponse(res, 404, 'Recap is not shared');
+      }
+      return successResponse(res, { message: 'Recap link revoked' });
+    } catch (err) {
+      console.error('Recap unshare error:', err);
+      return errorResponse(res, 500, 'Failed to revoke recap link');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const { query: queryParam } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { authenticate } = require('../middleware/auth');
+const liftService = require('../services/liftService');
+const resortService = require('../services/resortService');
+const { errorResponse, successResponse } = require('../utils/helpers');
+
+const router = express.Router();
+
+// ==========================================
+// GET /v1/resorts — Resort catalog
+// ?q=vail              search by name / alias
+// ?lat=&lon=&radius=   nearby (radius in m, default 50 km), nearest first
+// ==========================================
+router.get('/', authenticate,
+  queryParam('q').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  queryParam('lat').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+  queryParam('lon').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+  queryParam('radius').optional().isInt({ min: 1, max: 500000 }).toInt(),
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  queryParam('lat').custom((lat, { req }) => {
+    if ((lat === undefined) !== (req.query.lon === undefined)) throw new Error('lat and lon go together');
+    return true;
+  }),
+  validate,
+  async (req, res) => {
+    try {
+      const { q, lat, lon, radius, limit = 20 } = req.query;
+
+      let resorts;
+      if (lat !== undefined) {
+        resorts = await resortService.nearby(lat, lon, radius, q ? 100 : limit);
+        if (q) {
+          const matches = new Set((await resortService.search(q, 100)).map(r => r.id));
+          resorts = resorts.filter(r => matches.has(r.id)).slice(0, limit);
+        }
+      } else if (q) {
+        resorts = await resortService.search(q, limit);
+      } else {
+        resorts = (await resortService.all()).slice(0, limit);
+      }
+
+      return successResponse(res, { resorts });
+    } catch (err) {
+      console.error('Resorts error:', err);
+      return errorResponse(res, 500, 'Failed to fetch resorts');
+    }
+  }
+);
+
+// ==========================================
+// GET /v1/resorts/:resort/lifts — Estimated wait per lift
+// :resort is a catalog slug or a resort name
+// ==========================================
+router.get('/:resort/lifts', authenticate, async (req, res) => {
+  try {
+    const resort = await resortService.findBySlug(req.params.resort);
+    const resortName = resort ? resort.name : req.params.resort;
+    const lifts = await liftService.estimates(resortName);
+    return successResponse(res, { resort: resortName, lifts, generatedAt: new Date() });
+  } catch (err) {
+    console.error('Lift estimates error:', err);
+    return errorResponse(res, 500, 'Failed to fetch lift waits');
+  }
+});
+
+module.exports = router;
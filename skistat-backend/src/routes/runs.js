@@ -1,9 +1,17 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { query } = require('../../config/database');
+const runService = require('../services/runService');
+const trackService = require('../services/trackService');
+const trackFormatService = require('../services/trackFormatService');
+const segmentService = require('../services/segmentService');
 
 const router = express.Router();
 
+// Every key of a formatted run, for fields=
+const RUN_FIELDS = Object.keys(runService.format({}));
+
 function ok(res, data, status = 200) {
   return res.status(status).json({ error: false, ...data });
 }
@@ -11,56 +19,71 @@ function fail(res, message, status = 400) {
   return res.status(status).json({ error: true, message });
 }
 
-router.post('/', authenticate, async (req, res, next) => {
+// Single run: one payload, saved or rejected with the same per-run error
+// fields a bulk result carries (code, message, details, server)
+router.post('/', authenticate, idempotent, async (req, res, next) => {
   try {
-    const { id, clientId, startTime, endTime, runName, resortName, resortLatitude, resortLongitude, distance, maxSpeed, averageSpeed, elevationDrop, startElevation, endElevation, duration, points, difficulty, calories, avgHeartRate, maxHeartRate, routeData } = req.body;
-    const runId = id || clientId;
-    if (!runId) return fail(res, 'Run ID required');
-    if (!startTime) return fail(res, 'startTime required');
-    await query(
-      `INSERT INTO runs (id, client_id, user_id, run_name, resort_name, resort_latitude, resort_longitude, start_time, end_time, distance, max_speed, average_speed, elevation_drop, start_elevation, end_elevation, duration, points, difficulty, calories, avg_heart_rate, max_heart_rate, route_data)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22)
-       ON CONFLICT (id) DO UPDATE SET run_name=EXCLUDED.run_name, resort_name=EXCLUDED.resort_name, distance=EXCLUDED.distance, max_speed=EXCLUDED.max_speed, average_speed=EXCLUDED.average_speed, elevation_drop=EXCLUDED.elevation_drop, points=EXCLUDED.points, difficulty=EXCLUDED.difficulty, calories=EXCLUDED.calories, avg_heart_rate=EXCLUDED.avg_heart_rate, max_heart_rate=EXCLUDED.max_heart_rate, route_data=EXCLUDED.route_data, updated_at=NOW()`,
-      [runId, runId, req.user.id, runName||null, resortName||null, resortLatitude||null, resortLongitude||null, startTime, endTime||null, distance||0, maxSpeed||0, averageSpeed||0, elevationDrop||0, startElevation||0, endElevation||0, duration||0, points||0, difficulty||'blue', calories||0, avgHeartRate||0, maxHeartRate||0, routeData?JSON.stringify(routeData):null]
-    );
-    return ok(res, { runId, synced: true }, 201);
+    const { results: [result] } = await runService.upload(req.user.id, [req.body], { atomic: true });
+    if (result.status === 'error') {
+      const { index, status, ...error } = result;
+      return res.status(runService.errorStatus(result.code)).json({ error: true, ...error });
+    }
+    return ok(res, { runId: result.clientId, synced: true, status: result.status, version: result.version, conflict: result.conflict, metricsSource: result.metricsSource, metricsMismatch: result.metricsMismatch, flagged: result.flagged }, 201);
   } catch (err) { console.error('Run upload error:', err.message); next(err); }
 });
 
-router.post('/bulk', authenticate, async (req, res, next) => {
+// Bulk: { runs: [...], mode: 'partial' (default, save what can be saved) | 'atomic' (all or nothing) }
+router.post('/bulk', authenticate, idempotent, async (req, res, next) => {
   try {
-    const { runs } = req.body;
+    const { runs, mode = 'partial' } = req.body;
     if (!Array.isArray(runs) || !runs.length) return fail(res, 'Runs array required');
-    const results = [];
-    for (const run of runs) {
-      try {
-        const runId = run.id || run.clientId;
-        if (!runId) { results.push({ clientId: 'unknown', status: 'error', error: 'No ID' }); continue; }
-        await query(
-          `INSERT INTO runs (id, client_id, user_id, run_name, resort_name, resort_latitude, resort_longitude, start_time, end_time, distance, max_speed, average_speed, elevation_drop, start_elevation, end_elevation, duration, points, difficulty, calories, avg_heart_rate, max_heart_rate, route_data)
-           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22)
-           ON CONFLICT (id) DO UPDATE SET run_name=EXCLUDED.run_name, resort_name=EXCLUDED.resort_name, points=EXCLUDED.points, distance=EXCLUDED.distance, max_speed=EXCLUDED.max_speed, elevation_drop=EXCLUDED.elevation_drop, updated_at=NOW()`,
-          [runId, runId, req.user.id, run.runName||null, run.resortName||null, run.resortLatitude||null, run.resortLongitude||null, run.startTime, run.endTime||null, run.distance||0, run.maxSpeed||0, run.averageSpeed||0, run.elevationDrop||0, run.startElevation||0, run.endElevation||0, run.duration||0, run.points||0, run.difficulty||'blue', run.calories||0, run.avgHeartRate||0, run.maxHeartRate||0, run.routeData?JSON.stringify(run.routeData):null]
-        );
-        results.push({ clientId: runId, status: 'created' });
-      } catch (err) { results.push({ clientId: run.id||'unknown', status: 'error', error: err.message }); }
+    if (!['partial', 'atomic'].includes(mode)) return fail(res, 'mode must be partial or atomic');
+    let upload;
+    try {
+      upload = await runService.upload(req.user.id, runs, { atomic: mode === 'atomic' });
+    } catch (err) {
+      if (err.status) return fail(res, err.message, err.status);
+      throw err;
+    }
+    const errors = upload.results.filter(r => r.status === 'error');
+    if (!upload.saved) {
+      const status = Math.max(...errors.map(r => runService.errorStatus(r.code)));
+      return res.status(status).json({ error: true, message: 'No runs were saved', mode, results: upload.results });
     }
-    return ok(res, { results });
+    return ok(res, { mode, saved: upload.results.length - errors.length, failed: errors.length, results: upload.results });
   } catch (err) { next(err); }
 });
 
+router.post('/import', authenticate, express.raw({ type: () => true, limit: '25mb' }), async (req, res, next) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) return fail(res, 'Upload a GPX, TCX or FIT file as the request body');
+    const format = req.query.format ? String(req.query.format).toLowerCase() : undefined;
+    let runs;
+    try {
+      runs = await runService.importFile(req.user.id, req.body, { format, resortName: req.query.resort });
+    } catch (err) {
+      if (err.status) return fail(res, err.message, err.status);
+      throw err;
+    }
+    if (!runs.length) return fail(res, 'No descents found in file', 422);
+    return ok(res, { imported: runs.length, runs: runs.map(r => ({ runId: r.id, startTime: r.startTime, distance: r.distance, elevationDrop: r.elevationDrop, flagged: r.flagged })) }, 201);
+  } catch (err) { console.error('Run import error:', err.message); next(err); }
+});
+
 router.post('/batch', authenticate, async (req, res, next) => { req.url = '/bulk'; router.handle(req, res, next); });
 
+// Filter, sort and page with the query parameters listed at runService.listOptions.
+// Offset pages (page=) carry a total; pass pagination.nextCursor as cursor= to page
+// through a long history without one.
 router.get('/', authenticate, async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page)||1, limit = Math.min(parseInt(req.query.limit)||20,100), offset = (page-1)*limit;
-    let where = 'user_id=$1 AND is_deleted=false', params = [req.user.id], idx = 2;
-    if (req.query.resort) { where += ` AND resort_name=$${idx++}`; params.push(req.query.resort); }
-    if (req.query.since) { where += ` AND start_time>$${idx++}`; params.push(req.query.since); }
-    const countR = await query(`SELECT COUNT(*) FROM runs WHERE ${where}`, params);
-    const total = parseInt(countR.rows[0].count);
-    const runsR = await query(`SELECT id,run_name,resort_name,resort_latitude,resort_longitude,start_time,end_time,distance,max_speed,average_speed,elevation_drop,start_elevation,end_elevation,duration,points,difficulty,calories,avg_heart_rate,max_heart_rate,created_at,updated_at FROM runs WHERE ${where} ORDER BY start_time DESC LIMIT $${idx++} OFFSET $${idx}`, [...params, limit, offset]);
-    return res.json({ error:false, data: runsR.rows.map(formatRun), pagination:{page,limit,total,pages:Math.ceil(total/limit)} });
+    const { options, errors } = runService.listOptions(req.query, { fields: RUN_FIELDS });
+    if (errors.length) return res.status(400).json({ error: true, code: 'invalid', message: errors.map(e => e.message).join('; '), details: errors });
+    const page = await runService.list(req.user.id, options);
+    const pagination = options.cursor
+      ? { limit: options.limit, hasMore: page.hasMore, nextCursor: page.nextCursor }
+      : { page: Math.floor(options.offset / options.limit) + 1, limit: options.limit, total: page.total, pages: Math.ceil(page.total / options.limit), hasMore: page.hasMore, nextCursor: page.nextCursor };
+    return res.json({ error:false, data: page.rows.map(r => runService.project(runService.format(r), options.fields)), pagination });
   } catch (err) { next(err); }
 });
 
@@ -68,20 +91,93 @@ router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const r = await query('SELECT * FROM runs WHERE id=$1 AND user_id=$2 AND is_deleted=false', [req.params.id, req.user.id]);
     if (!r.rows.length) return fail(res, 'Run not found', 404);
-    return ok(res, formatRun(r.rows[0]));
+    return ok(res, { ...runService.format(r.rows[0]), segments: await segmentService.forRun(r.rows[0].id) });
   } catch (err) { next(err); }
 });
 
-router.delete('/:id', authenticate, async (req, res, next) => {
+router.get('/:id/export', authenticate, async (req, res, next) => {
   try {
-    const r = await query('UPDATE runs SET is_deleted=true,deleted_at=NOW() WHERE id=$1 AND user_id=$2 AND is_deleted=false RETURNING id', [req.params.id, req.user.id]);
+    const format = String(req.query.format || 'gpx').toLowerCase();
+    if (!['gpx', 'tcx', 'geojson'].includes(format)) return fail(res, 'format must be gpx, tcx or geojson');
+    const r = await query('SELECT * FROM runs WHERE id=$1 AND user_id=$2 AND is_deleted=false', [req.params.id, req.user.id]);
     if (!r.rows.length) return fail(res, 'Run not found', 404);
+    const file = trackFormatService.export(runService.format(r.rows[0]), trackService.parse(r.rows[0].route_data), format);
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    return res.send(file.body);
+  } catch (err) { next(err); }
+});
+
+router.get('/:id/flags', authenticate, async (req, res, next) => {
+  try {
+    const r = await query('SELECT id, flagged, flag_reasons, flagged_at, metrics_source, metrics_mismatch FROM runs WHERE id=$1 AND user_id=$2 AND is_deleted=false', [req.params.id, req.user.id]);
+    if (!r.rows.length) return fail(res, 'Run not found', 404);
+    const row = r.rows[0];
+    return ok(res, { runId: row.id, flagged: row.flagged === true, flaggedAt: row.flagged_at, reasons: row.flag_reasons || [], metricsSource: row.metrics_source, metricsMismatch: row.metrics_mismatch || [] });
+  } catch (err) { next(err); }
+});
+
+router.get('/:id/history', authenticate, async (req, res, next) => {
+  try {
+    const history = await runService.history(req.user.id, req.params.id);
+    if (!history) return fail(res, 'Run not found', 404);
+    return ok(res, { runId: req.params.id, history });
+  } catch (err) { next(err); }
+});
+
+// Edit: { runName, resort, difficulty, timezone } (any subset), plus optional baseVersion.
+// Invalid fields come back like an upload's per-run errors (code, message, details).
+router.patch('/:id', authenticate, async (req, res, next) => {
+  try {
+    const { changes, errors } = runService.editChanges(req.body);
+    if (errors.length) return res.status(400).json({ error: true, code: 'invalid', message: errors.map(e => e.message).join('; '), details: errors });
+    let row;
+    try {
+      row = await runService.edit(req.user.id, req.params.id, changes, { baseVersion: req.body.baseVersion ?? null });
+    } catch (err) {
+      if (err.code === 'version_conflict') return res.status(409).json({ error: true, code: err.code, message: err.message, server: err.server });
+      throw err;
+    }
+    if (!row) return fail(res, 'Run not found', 404);
+    return ok(res, runService.format(row));
+  } catch (err) { next(err); }
+});
+
+router.delete('/:id', authenticate, async (req, res, next) => {
+  try {
+    if (!await runService.remove(req.user.id, req.params.id)) return fail(res, 'Run not found', 404);
     return ok(res, { message: 'Run deleted' });
   } catch (err) { next(err); }
 });
 
-function formatRun(row) {
-  return { id:row.id, runName:row.run_name, resortName:row.resort_name, resortLatitude:row.resort_latitude, resortLongitude:row.resort_longitude, startTime:row.start_time, endTime:row.end_time, distance:parseFloat(row.distance), maxSpeed:parseFloat(row.max_speed), averageSpeed:parseFloat(row.average_speed), elevationDrop:parseFloat(row.elevation_drop), startElevation:parseFloat(row.start_elevation), endElevation:parseFloat(row.end_elevation), duration:parseFloat(row.duration), points:parseInt(row.points), difficulty:row.difficulty, calories:parseFloat(row.calories), avgHeartRate:parseFloat(row.avg_heart_rate), maxHeartRate:parseFloat(row.max_heart_rate), createdAt:row.created_at, updatedAt:row.updated_at };
-}
+router.post('/:id/restore', authenticate, async (req, res, next) => {
+  try {
+    let row;
+    try {
+      row = await runService.restore(req.user.id, req.params.id);
+    } catch (err) {
+      if (err.status) return fail(res, err.message, err.status);
+      throw err;
+    }
+    if (!row) return fail(res, 'Run not found', 404);
+    return ok(res, runService.format(row));
+  } catch (err) { next(err); }
+});
+
+// Public link to a run's page (/r/:token); sharing again returns the same link
+router.post('/:id/share', authenticate, async (req, res, next) => {
+  try {
+    const share = await runService.share(req.user.id, req.params.id);
+    if (!share) return fail(res, 'Run not found', 404);
+    return ok(res, { token: share.token, url: `${req.protocol}://${req.get('host')}/r/${share.token}`, createdAt: share.created_at }, 201);
+  } catch (err) { next(err); }
+});
+
+router.delete('/:id/share', authenticate, async (req, res, next) => {
+  try {
+    if (!await runService.unshare(req.user.id, req.params.id)) return fail(res, 'Run is not shared', 404);
+    return ok(res, { message: 'Run link revoked' });
+  } catch (err) { next(err); }
+});
 
 module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const { query: queryParam } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { authenticate } = require('../middleware/auth');
+const { query } = require('../../config/database');
+const friendService = require('../services/friendService');
+const groupService = require('../services/groupService');
+const resortService = require('../services/resortService');
+const seasonService = require('../services/seasonService');
+const segmentService = require('../services/segmentService');
+const { errorResponse, successResponse } = require('../utils/helpers');
+
+const router = express.Router();
+
+// ==========================================
+// GET /v1/segments — Segment catalog
+// ?resort=vail (slug or name)
+// ==========================================
+router.get('/', authenticate, async (req, res) => {
+  try {
+    let segments = await segmentService.all();
+    if (req.query.resort) {
+      const resort = await resortService.findBySlug(req.query.resort) || await resortService.match({ name: req.query.resort });
+      if (!resort) return errorResponse(res, 404, 'Resort not found');
+      segments = segments.filter(s => s.resortId === resort.id);
+    }
+    return successResponse(res, { segments });
+  } catch (err) {
+    console.error('Segments list error:', err);
+    return errorResponse(res, 500, 'Failed to fetch segments');
+  }
+});
+
+// ==========================================
+// GET /v1/segments/:id — Segment detail with my personal record
+// :id is the segment id or slug
+// ==========================================
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const segment = await segmentService.find(req.params.id);
+    if (!segment) return errorResponse(res, 404, 'Segment not found');
+
+    return successResponse(res, {
+      segment,
+      personalRecord: await segmentService.personalRecord(segment.id, req.user.id),
+    });
+  } catch (err) {
+    console.error('Segment detail error:', err);
+    return errorResponse(res, 500, 'Failed to fetch segment');
+  }
+});
+
+// ==========================================
+// GET /v1/segments/:id/leaderboard — Fastest skiers on a segment
+//
+//   ?scope=global (default) | friends | group&group=<id>
+//   ?window=all (default) | season | day | week | month | custom&from=&to=
+//   ?limit=50
+//
+// One entry per skier (their best time); rank 1 is king of the mountain.
+// The global board only lists skiers whose leaderboardVisibility is "public".
+// ==========================================
+router.get('/:id/leaderboard', authenticate,
+  queryParam('scope').optional().isIn(['global', 'friends', 'group']),
+  queryParam('group').if(queryParam('scope').equals('group')).isUUID().withMessage('group must be a group id'),
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const segment = await segmentService.find(req.params.id);
+      if (!segment) return errorResponse(res, 404, 'Segment not found');
+
+      const scope = req.query.scope || 'global';
+      let userIds = [];
+      if (scope === 'friends') userIds = await friendService.getFriendIds(req.user.id);
+      if (scope === 'group') {
+        const group = await groupService.get(req.query.group, req.user.id);
+        if (!group || !group.role) return errorResponse(res, 404, 'Group not found');
+        userIds = await groupService.memberIds(group.id);
+      }
+
+      const userResult = await query('SELECT timezone FROM users WHERE id = $1', [req.user.id]);
+      const resort = await resortService.findBySlug(segment.resortSlug);
+      const window = seasonService.resolveWindow(req.query, {
+        defaultWindow: 'all',
+        resort,
+        timezone: (userResult.rows[0] && userResult.rows[0].timezone) || 'UTC',
+      });
+
+      const board = await segmentService.leaderboard(segment.id, {
+        window, scope, userId: req.user.id, userIds, limit: req.query.limit || 50,
+      });
+      const entry = (e) => ({ ...e, isYou: e.userId === req.user.id });
+
+      return successResponse(res, {
+        segment: { id: segment.id, slug: segment.slug, name: segment.name, resortName: segment.resortName, length: segment.length },
+        scope,
+        window: seasonService.describe(window),
+        total: board.total,
+        kom: board.entries.length && board.entries[0].rank === 1 ? entry(board.entries[0]) : null,
+        leaderboard: board.entries.map(entry),
+        you: board.you ? entry(board.you) : null,
+      });
+    } catch (err) {
+      if (err.status) return errorResponse(res, err.status, err.message);
+      console.error('Segment leaderboard error:', err);
+      return errorResponse(res, 500, 'Failed to fetch segment leaderboard');
+    }
+  }
+);
+
+module.exports = router;
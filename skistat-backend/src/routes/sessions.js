@@ -0,0 +1,109 @@
+const express = require('express');
+const { param, query: queryParam } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { authenticate } = require('../middleware/auth');
+const { query } = require('../../config/database');
+const sessionService = require('../services/sessionService');
+const { errorResponse, successResponse } = require('../utils/helpers');
+
+const router = express.Router();
+
+const SESSION_COLUMNS = `id, client_session_id, resort_name, local_date::text AS local_date, timezone,
+  started_at, ended_at, run_count, total_vert, total_distance, top_speed, ski_time, lift_time, calories`;
+
+// ==========================================
+// GET /v1/sessions — List my ski days
+// ==========================================
+router.get('/', authenticate,
+  queryParam('from').optional().isISO8601(),
+  queryParam('to').optional().isISO8601(),
+  validate,
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const offset = parseInt(req.query.offset) || 0;
+
+      let where = 'user_id = $1';
+      const params = [req.user.id];
+      if (req.query.resort) {
+        params.push(req.query.resort.trim().toLowerCase());
+        where += ` AND resort_key = $${params.length}`;
+      }
+      if (req.query.from) {
+        params.push(req.query.from);
+        where += ` AND local_date >= $${params.length}`;
+      }
+      if (req.query.to) {
+        params.push(req.query.to);
+        where += ` AND local_date <= $${params.length}`;
+      }
+
+      const result = await query(
+        `SELECT ${SESSION_COLUMNS} FROM ski_sessions
+         WHERE ${where}
+         ORDER BY local_date DESC, started_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      return successResponse(res, { sessions: result.rows.map(r => sessionService.format(r)) });
+    } catch (err) {
+      console.error('Sessions list error:', err);
+      return errorResponse(res, 500, 'Failed to fetch sessions');
+    }
+  }
+);
+
+// ==========================================
+// GET /v1/sessions/:id — Ski day detail with its runs
+// ==========================================
+router.get('/:id', authenticate,
+  param('id').isUUID(),
+  validate,
+  async (req, res) => {
+    try {
+      const result = await query(
+        `SELECT ${SESSION_COLUMNS} FROM ski_sessions WHERE id = $1 AND user_id = $2`,
+        [req.params.id, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return errorResponse(res, 404, 'Session not found');
+      }
+
+      const runs = await query(
+        `SELECT id, run_name, start_time, end_time, distance, max_speed, elevation_drop,
+                duration, points, difficulty, calories, flagged
+         FROM runs
+         WHERE session_id = $1 AND is_deleted = false
+         ORDER BY start_time`,
+        [req.params.id]
+      );
+
+      return successResponse(res, {
+        session: {
+          ...sessionService.format(result.rows[0]),
+          runs: runs.rows.map(r => ({
+            id: r.id,
+            runName: r.run_name,
+            startTime: r.start_time,
+            endTime: r.end_time,
+            distance: parseFloat(r.distance),
+            maxSpeed: parseFloat(r.max_speed),
+            elevationDrop: parseFloat(r.elevation_drop),
+            duration: parseFloat(r.duration),
+            points: parseInt(r.points),
+            difficulty: r.difficulty,
+            calories: parseFloat(r.calories),
+            flagged: r.flagged,
+          })),
+        },
+      });
+    } catch (err) {
+      console.error('Session detail error:', err);
+      return errorResponse(res, 500, 'Failed to fetch session');
+    }
+  }
+);
+
+module.exports = router;
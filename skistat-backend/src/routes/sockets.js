@@ -0,0 +1,81 @@
+const { WebSocketServer } = require('ws');
+const { userForToken, userForTicket } = require('../middleware/auth');
+const locationSocket = require('./locationSocket');
+const realtimeSocket = require('./realtimeSocket');
+
+// ==========================================
+// WebSocket endpoints
+//
+// Upgrade requests don't pass through express: they're authenticated here
+// (Authorization: Bearer with the same JWT as every other endpoint, or a
+// single-use ?ticket= from POST /v1/realtime/ticket) and handed to the
+// endpoint's connection handler with the user.
+// Messages are JSON text frames both ways.
+// ==========================================
+
+const ENDPOINTS = {
+  [locationSocket.PATH]: locationSocket.connection,
+  [realtimeSocket.PATH]: realtimeSocket.connection,
+};
+
+const PING_INTERVAL = 30 * 1000;   // connections that miss a pong are dropped
+const MAX_MESSAGE = 16 * 1024;     // bytes
+
+// Accept upgrades to ENDPOINTS on the HTTP server `server`
+function attach(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const connection = ENDPOINTS[url.pathname];
+    if (!connection) return reject(socket, 404, 'Not Found');
+
+    // Until ws takes the socket over, a client resetting it mid-auth would
+    // otherwise be an unhandled 'error' and take the process down
+    const onError = () => socket.destroy();
+    socket.on('error', onError);
+
+    let user = null;
+    try {
+      const header = req.headers.authorization || '';
+      const ticket = url.searchParams.get('ticket');
+      if (header.startsWith('Bearer ')) user = await userForToken(header.split(' ')[1]);
+      else if (ticket) user = await userForTicket(ticket);
+    } catch (err) {
+      console.error('Socket auth error:', err);
+      return reject(socket, 500, 'Internal Server Error');
+    }
+    if (socket.destroyed) return;
+    if (!user) return reject(socket, 401, 'Unauthorized');
+
+    socket.removeListener('error', onError);
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.isAlive = true;
+      ws.on('pong', () => { ws.isAlive = true; });
+      ws.on('error', err => console.error('Socket error:', err.message));
+      connection(ws, user, url);
+    });
+  });
+
+  const ping = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, PING_INTERVAL);
+  ping.unref();
+  wss.on('close', () => clearInterval(ping));
+
+  return wss;
+}
+
+function reject(socket, status, reason) {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+module.exports = { attach };
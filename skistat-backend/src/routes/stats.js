@@ -0,0 +1,59 @@
+const express = require('express');
+const { query: queryParam } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { authenticate } = require('../middleware/auth');
+const { query } = require('../../config/database');
+const seasonService = require('../services/seasonService');
+const statsService = require('../services/statsService');
+const { localDate } = require('../utils/time');
+const { errorResponse, successResponse } = require('../utils/helpers');
+
+const router = express.Router();
+
+// ==========================================
+// GET /v1/stats — My stats over time
+//
+//   ?groupBy=day | week | month (default) | season | resort | difficulty
+//   ?season=2025-26, ?hemisphere=south,
+//   ?window=season|day|week|month|all|custom&from=&to=
+//
+// The window defaults to the current season (all time for groupBy=season).
+// Returns the window's totals, one bucket per groupBy value, the window
+// against the same dates last year, all-time personal bests and streaks.
+// ==========================================
+router.get('/', authenticate,
+  queryParam('groupBy').optional().custom(g => statsService.isGroupBy(g))
+    .withMessage('groupBy must be day, week, month, season, resort or difficulty'),
+  queryParam('hemisphere').optional().isIn(['north', 'south']),
+  validate,
+  async (req, res) => {
+    try {
+      const groupBy = req.query.groupBy || 'month';
+      const hemisphere = req.query.hemisphere || 'north';
+      const userResult = await query('SELECT timezone FROM users WHERE id = $1', [req.user.id]);
+      const timezone = (userResult.rows[0] && userResult.rows[0].timezone) || 'UTC';
+      const window = seasonService.resolveWindow(req.query, {
+        defaultWindow: groupBy === 'season' ? 'all' : 'season',
+        hemisphere,
+        timezone,
+      });
+      const today = localDate(new Date(), timezone);
+
+      return successResponse(res, {
+        groupBy,
+        window: seasonService.describe(window),
+        totals: await statsService.totals(req.user.id, window),
+        series: await statsService.series(req.user.id, groupBy, window, { hemisphere }),
+        yearOverYear: await statsService.yearOverYear(req.user.id, window, today),
+        personalBests: await statsService.personalBests(req.user.id),
+        streaks: await statsService.streaks(req.user.id, today),
+      });
+    } catch (err) {
+      if (err.status) return errorResponse(res, err.status, err.message);
+      console.error('Stats error:', err);
+      return errorResponse(res, 500, 'Failed to fetch stats');
+    }
+  }
+);
+
+module.exports = router;
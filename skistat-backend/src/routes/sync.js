@@ -0,0 +1,35 @@
+const express = require('express');
+const { query: queryParam } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { authenticate } = require('../middleware/auth');
+const syncService = require('../services/syncService');
+const { errorResponse, successResponse } = require('../utils/helpers');
+
+const router = express.Router();
+
+// ==========================================
+// GET /v1/sync — Changes since a cursor
+//
+//   ?cursor=<from the previous response>  (omit for a full sync)
+//   ?limit=200
+//
+// Returns created, updated and deleted runs, the profile if it changed and
+// friendship changes. Store `cursor` and call again while `hasMore`; on
+// `reset` drop local data and apply the response as a full sync.
+// ==========================================
+router.get('/', authenticate,
+  queryParam('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const changes = await syncService.changes(req.user.id, req.query.cursor, { limit: req.query.limit || undefined });
+      return successResponse(res, changes);
+    } catch (err) {
+      if (err.status) return errorResponse(res, err.status, err.message);
+      console.error('Sync error:', err);
+      return errorResponse(res, 500, 'Failed to sync');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const { query } = require('../../config/database');
+const definitions = require('./achievements/definitions');
+const seasonService = require('./seasonService');
+const notificationService = require('./notificationService');
+
+const LIFETIME = 'lifetime';
+
+// Stats a rule's `metric` can refer to, computed by computeStats()
+const METRICS = ['runCount', 'totalVert', 'totalDistance', 'topSpeed', 'resortCount',
+  'blackRuns', 'doubleBlackRuns', 'skiDays', 'longestStreak'];
+
+for (const rule of definitions) {
+  if (!METRICS.includes(rule.metric)) {
+    throw new Error(`Achievement ${rule.id} uses unknown metric "${rule.metric}"`);
+  }
+}
+
+class AchievementService {
+
+  // ==========================================
+  // STATS
+  // ==========================================
+
+  // Aggregate a user's non-flagged runs in a season-shaped window
+  // ({ from, until } local dates; null bounds are open).
+  async computeStats(userId, window = { from: null, until: null }) {
+    const params = [userId];
+    const windowFilter = seasonService.windowSql(window, params);
+    const totals = await query(
+      `SELECT COUNT(*) as run_count,
+              COALESCE(SUM(elevation_drop), 0) as total_vert,
+              COALESCE(SUM(distance), 0) as total_distance,
+              COALESCE(MAX(max_speed), 0) as top_speed,
+              COUNT(DISTINCT COALESCE(resort_id::text, LOWER(TRIM(resort_name)))) as resort_count,
+              COUNT(*) FILTER (WHERE LOWER(difficulty) IN ('black', 'double-black', 'double black')) as black_runs,
+              COUNT(*) FILTER (WHERE LOWER(difficulty) IN ('double-black', 'double black')) as double_black_runs,
+              MAX(start_time) as last_run_at
+       FROM runs r
+       WHERE r.user_id = $1 AND r.is_deleted = false AND r.flagged = false${windowFilter}`,
+      params
+    );
+
+    const days = await query(
+      `SELECT DISTINCT (r.start_time AT TIME ZONE COALESCE(r.timezone, 'UTC'))::date::text as day
+       FROM runs r
+       WHERE r.user_id = $1 AND r.is_deleted = false AND r.flagged = false${windowFilter}
+       ORDER BY day`,
+      params
+    );
+
+    const row = totals.rows[0];
+    return {
+      runCount: parseInt(row.run_count),
+      totalVert: parseFloat(row.total_vert),
+      totalDistance: parseFloat(row.total_distance),
+      topSpeed: parseFloat(row.top_speed),
+      resortCount: parseInt(row.resort_count),
+      blackRuns: parseInt(row.black_runs),
+      doubleBlackRuns: parseInt(row.double_black_runs),
+      skiDays: days.rows.length,
+      longestStreak: longestStreak(days.rows.map(r => r.day)),
+      lastRunAt: row.last_run_at,
+    };
+  }
+
+  // ==========================================
+  // EVALUATION
+  // ==========================================
+
+  // Award everything the user has earned in the seasons containing `dates`
+  // (default: now). Safe to call repeatedly — each achievement is stored at
+  // most once per season (or once ever for lifetime rules). Returns the newly
+  // unlocked rules.
+  async evaluate(userId, { dates = [new Date()], notify = true } = {}) {
+    const seasons = new Map(dates.map(d => seasonService.forDate(d)).map(s => [s.label, s]));
+    const lifetime = await this.computeStats(userId);
+
+    const unlocked = [];
+    for (const season of seasons.values()) {
+      const seasonStats = await this.computeStats(userId, season);
+      unlocked.push(...await this._award(userId, season.label, seasonStats, lifetime, { notify }));
+    }
+    return unlocked;
+  }
+
+  // Re-evaluate a user's whole history, season by season, without sending
+  // notifications. unlocked_at is set to the last run that counted.
+  async backfill(userId) {
+    const result = await query(
+      `SELECT MIN(start_time) as first_run FROM runs
+       WHERE user_id = $1 AND is_deleted = false AND flagged = false`,
+      [userId]
+    );
+    if (!result.rows[0].first_run) return [];
+
+    const unlocked = [];
+    let season = seasonService.forDate(result.rows[0].first_run);
+    const current = seasonService.current();
+    while (season.from <= current.from) {
+      const seasonStats = await this.computeStats(userId, season);
+      const lifetime = await this.computeStats(userId, { from: null, until: season.until });
+      if (seasonStats.runCount > 0) {
+        unlocked.push(...await this._award(userId, season.label, seasonStats, lifetime, { notify: false, backdate: true }));
+      }
+      season = seasonService.next(season);
+    }
+    return unlocked;
+  }
+
+  async _award(userId, seasonLabel, seasonStats, lifetimeStats, { notify, backdate = false }) {
+    const unlocked = [];
+    for (const rule of definitions) {
+      const stats = rule.scope === LIFETIME ? lifetimeStats : seasonStats;
+      if (stats[rule.metric] < rule.goal) continue;
+
+      const result = await query(
+        `INSERT INTO user_achievements (user_id, achievement_id, season, unlocked_at)
+         VALUES ($1, $2, $3, COALESCE($4, NOW()))
+         ON CONFLICT (user_id, achievement_id, season) DO NOTHING
+         RETURNING id`,
+        [userId, rule.id, rule.scope === LIFETIME ? LIFETIME : seasonLabel, backdate ? stats.lastRunAt : null]
+      );
+
+      if (result.rows.length > 0) {
+        unlocked.push(rule);
+        if (notify) await notificationService.achievementUnlocked(userId, rule);
+      }
+    }
+    return unlocked;
+  }
+
+  // ==========================================
+  // PROGRESS
+  // ==========================================
+
+  // Every rule with unlock state and progress for the given season
+  async progress(userId, seasonLabel = seasonService.current().label) {
+    const season = seasonService.byLabel(seasonLabel);
+    const [seasonStats, lifetime, rows] = await Promise.all([
+      this.computeStats(userId, season),
+      this.computeStats(userId),
+      query(
+        `SELECT achievement_id, season, unlocked_at FROM user_achievements
+         WHERE user_id = $1 AND season IN ($2, $3)`,
+        [userId, LIFETIME, season.label]
+      ),
+    ]);
+
+    const unlockedAt = {};
+    for (const row of rows.rows) unlockedAt[row.achievement_id] = row.unlocked_at;
+
+    return definitions.map(rule => {
+      const value = (rule.scope === LIFETIME ? lifetime : seasonStats)[rule.metric];
+      return {
+        id: rule.id,
+        name: rule.name,
+        description: rule.description,
+        scope: rule.scope,
+        season: rule.scope === LIFETIME ? null : season.label,
+        unlocked: unlockedAt[rule.id] !== undefined,
+        unlockedAt: unlockedAt[rule.id] || null,
+        progress: {
+          value: Math.round(value * 100) / 100,
+          goal: Math.round(rule.goal * 100) / 100,
+          percent: Math.min(100, Math.floor((value / rule.goal) * 100)),
+        },
+      };
+    });
+  }
+}
+
+// Longest run of consecutive calendar days in a sorted list of YYYY-MM-DD
+function longestStreak(days) {
+  let best = 0;
+  let current = 0;
+  let previous = null;
+  for (const day of days) {
+    const t = Date.parse(`${day}T00:00:00Z`);
+    current = previous !== null && t - previous === 24 * 3600 * 1000 ? current + 1 : 1;
+    best = Math.max(best, current);
+    previous = t;
+  }
+  return best;
+}
+
+module.exports = new AchievementService();
@@ -0,0 +1,86 @@
+// Achievement rules. Each rule compares one metric (see METRICS in
+// achievementService.js) against a goal:
+//
+//   id           stable key stored in user_achievements.achievement_id
+//   scope        'season' — can be earned again every season
+//                'lifetime' — earned once, counting every run ever
+//   metric       which computed stat to compare
+//   goal         unlock when metric >= goal (units: meters, m/s, days, count)
+//
+// Add a rule here and it is evaluated on the next upload; run the backfill job
+// (npm run achievements:backfill) to award it for historic runs.
+
+module.exports = [
+  {
+    id: 'first_run',
+    name: 'First Tracks',
+    description: 'Upload your first run',
+    scope: 'lifetime',
+    metric: 'runCount',
+    goal: 1,
+  },
+  {
+    id: 'season_vert_10k',
+    name: '10K Club',
+    description: 'Ski 10,000 m of vertical in one season',
+    scope: 'season',
+    metric: 'totalVert',
+    goal: 10000,
+  },
+  {
+    id: 'season_vert_50k',
+    name: 'Vert Machine',
+    description: 'Ski 50,000 m of vertical in one season',
+    scope: 'season',
+    metric: 'totalVert',
+    goal: 50000,
+  },
+  {
+    id: 'season_100_runs',
+    name: 'Century',
+    description: 'Log 100 runs in one season',
+    scope: 'season',
+    metric: 'runCount',
+    goal: 100,
+  },
+  {
+    id: 'first_black',
+    name: 'Into the Black',
+    description: 'Ski your first black run',
+    scope: 'lifetime',
+    metric: 'blackRuns',
+    goal: 1,
+  },
+  {
+    id: 'first_double_black',
+    name: 'Double Trouble',
+    description: 'Ski your first double-black run',
+    scope: 'lifetime',
+    metric: 'doubleBlackRuns',
+    goal: 1,
+  },
+  {
+    id: 'five_resorts',
+    name: 'Resort Hopper',
+    description: 'Ski at 5 different resorts',
+    scope: 'lifetime',
+    metric: 'resortCount',
+    goal: 5,
+  },
+  {
+    id: 'speed_80',
+    name: 'Need for Speed',
+    description: 'Hit a top speed over 80 km/h',
+    scope: 'lifetime',
+    metric: 'topSpeed',
+    goal: 80 / 3.6,
+  },
+  {
+    id: 'streak_7',
+    name: 'Week on the Hill',
+    description: 'Ski 7 days in a row',
+    scope: 'season',
+    metric: 'longestStreak',
+    goal: 7,
+  },
+];
@@ -0,0 +1,99 @@
+const { haversineDistance } = require('../utils/geo');
+
+// Plausibility limits. Units: meters, seconds, meters/second.
+const LIMITS = {
+  maxSpeed: 45,             // ~162 km/h — beyond any recreational descent
+  averageSpeed: 30,         // sustained over a whole run
+  elevationDrop: 2800,      // longest lift-served vertical anywhere (Vallée Blanche)
+  maxGrade: 1.0,            // vertical drop can't exceed distance travelled
+  teleportSpeed: 70,        // implied speed between two GPS fixes
+  teleportMinJump: 150,     // ignore jitter below this distance
+  maxTeleports: 2,          // a couple of bad fixes are normal
+};
+
+// Known resort verticals (summit minus base, m) for runs that weren't matched
+// to a catalog resort. Runs can't drop further than the mountain allows.
+const RESORT_VERTICALS = {
+  'vail': 1050,
+  'breckenridge': 1036,
+  'keystone': 945,
+  'copper mountain': 893,
+  'aspen snowmass': 1343,
+  'jackson hole': 1262,
+  'whistler blackcomb': 1609,
+  'park city': 960,
+  'big sky': 1326,
+  'zermatt': 2279,
+  'chamonix': 2807,
+};
+
+class AntiCheatService {
+
+  // Returns a list of reasons the run looks implausible; empty when it passes.
+  // `points` are the parsed track points (may be empty).
+  evaluate(run, points = []) {
+    const reasons = [];
+    const add = (code, message, value, limit) => reasons.push({ code, message, value: round(value), limit });
+
+    // Physical speed limits
+    if (run.maxSpeed > LIMITS.maxSpeed) {
+      add('max_speed', 'Top speed is beyond what is physically plausible on skis', run.maxSpeed, LIMITS.maxSpeed);
+    }
+    if (run.averageSpeed > LIMITS.averageSpeed) {
+      add('average_speed', 'Average speed is implausibly high', run.averageSpeed, LIMITS.averageSpeed);
+    }
+    if (run.maxSpeed > 0 && run.averageSpeed > run.maxSpeed * 1.05) {
+      add('speed_inconsistent', 'Average speed is higher than top speed', run.averageSpeed, run.maxSpeed);
+    }
+
+    // Duration vs. distance
+    if (run.distance > 0 && run.duration <= 0) {
+      add('no_duration', 'Run has distance but no duration', run.duration, 0);
+    } else if (run.duration > 0 && run.distance / run.duration > LIMITS.averageSpeed) {
+      add('duration_distance', 'Distance could not be covered in the recorded time', run.distance / run.duration, LIMITS.averageSpeed);
+    }
+
+    // Vertical
+    const vertLimit = this.elevationLimit(run);
+    if (run.elevationDrop > vertLimit) {
+      add('elevation_drop', `Vertical drop exceeds the ${vertLimit} m available at this resort`, run.elevationDrop, vertLimit);
+    }
+    if (run.distance > 0 && run.elevationDrop > run.distance * LIMITS.maxGrade) {
+      add('elevation_grade', 'Vertical drop is larger than the distance travelled', run.elevationDrop, run.distance);
+    }
+
+    // GPS teleports
+    const jumps = this.findTeleports(points);
+    if (jumps.length > LIMITS.maxTeleports) {
+      const worst = Math.max(...jumps.map(j => j.distance));
+      add('gps_teleport', `Track contains ${jumps.length} impossible position jumps`, worst, LIMITS.teleportMinJump);
+    }
+
+    return reasons;
+  }
+
+  // The matched catalog resort's vertical, else a known one by name
+  elevationLimit(run) {
+    if (run.resortVertical) return run.resortVertical;
+    const key = (run.resortName || '').trim().toLowerCase();
+    return RESORT_VERTICALS[key] || LIMITS.elevationDrop;
+  }
+
+  findTeleports(points) {
+    const jumps = [];
+    for (let i = 1; i < points.length; i++) {
+      const d = haversineDistance(points[i - 1], points[i]);
+      const dt = (points[i].time - points[i - 1].time) / 1000;
+      if (d >= LIMITS.teleportMinJump && d / Math.max(dt, 0.001) > LIMITS.teleportSpeed) {
+        jumps.push({ index: i, distance: d, seconds: dt });
+      }
+    }
+    return jumps;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = new AntiCheatService();
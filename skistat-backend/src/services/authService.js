@@ -2,6 +2,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const appleSignin = require('apple-signin-auth');
 const { query, transaction } = require('../../config/database');
+const groupService = require('./groupService');
 const { generateInviteCode, generateToken } = require('../utils/helpers');
 
 class AuthService {
@@ -159,6 +160,8 @@ class AuthService {
   // ==========================================
   
   async deleteAccount(userId) {
+    // Hand over any groups first so they don't lose their owner
+    await groupService.leaveAll(userId);
     await query('DELETE FROM users WHERE id = $1', [userId]);
   }
 
@@ -0,0 +1,393 @@
+const { query, transaction } = require('../../config/database');
+const friendService = require('./friendService');
+const notificationService = require('./notificationService');
+
+const LIMITS = {
+  maxParticipants: 10,          // including the creator
+  maxDuration: 90 * 24 * 3600,  // s
+  uploadGrace: 6 * 3600,        // s — runs synced this long after the end still count
+};
+
+// What a challenge is scored on
+//   total    most <metric> in the window
+//   race     first to <goal> <metric> (the others are ranked by how far they got)
+//   fastest  shortest time down the run named run_name (optionally at one resort)
+const TYPES = {
+  total: ['vert', 'distance', 'runs', 'points'],
+  race: ['vert', 'distance', 'runs', 'points'],
+  fastest: ['time'],
+};
+
+// Per-run contribution of each summed metric
+const METRIC_SQL = {
+  vert: 'r.elevation_drop',
+  distance: 'r.distance',
+  runs: '1',
+  points: 'r.points',
+};
+
+const OPEN = ['pending', 'active'];
+
+class ChallengeService {
+
+  isType(type) {
+    return Object.prototype.hasOwnProperty.call(TYPES, type);
+  }
+
+  metricsFor(type) {
+    return TYPES[type] || [];
+  }
+
+  // ==========================================
+  // LIFECYCLE
+  // ==========================================
+
+  // Create a challenge and invite friends. Every invitee must be an accepted
+  // friend of the creator (blocking removes friendships, so blocked users
+  // fail this too). Throws with status 400/403.
+  async create(creatorId, { title, type, metric, goal = null, runName = null, resortId = null, startsAt, endsAt, friendIds }) {
+    const invitees = [...new Set(friendIds)].filter(id => id !== creatorId);
+    if (!invitees.length) throw httpError(400, 'Invite at least one friend');
+    if (invitees.length + 1 > LIMITS.maxParticipants) {
+      throw httpError(400, `Challenges are limited to ${LIMITS.maxParticipants} skiers`);
+    }
+    if (!this.metricsFor(type).includes(metric)) throw httpError(400, `A ${type} challenge can't use ${metric}`);
+    if (type === 'race' && !(goal > 0)) throw httpError(400, 'A race needs a goal');
+    if (type === 'fastest' && !runName) throw httpError(400, 'A fastest challenge needs a runName');
+
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (end <= start) throw httpError(400, 'endsAt must be after startsAt');
+    if (end <= new Date()) throw httpError(400, 'endsAt must be in the future');
+    if ((end - start) / 1000 > LIMITS.maxDuration) {
+      throw httpError(400, `Challenges can last at most ${LIMITS.maxDuration / 86400} days`);
+    }
+
+    for (const friendId of invitees) {
+      if (!(await friendService.areFriends(creatorId, friendId))) {
+        throw httpError(403, 'You can only challenge your friends');
+      }
+    }
+
+    const challenge = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO challenges (creator_id, title, type, metric, goal, run_name, resort_id, starts_at, ends_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        [creatorId, title, type, metric, type === 'race' ? goal : null, type === 'fastest' ? runName.trim() : null,
+          type === 'fastest' ? resortId : null, start, end]
+      );
+      const row = result.rows[0];
+      await client.query(
+        `INSERT INTO challenge_participants (challenge_id, user_id, status, responded_at)
+         VALUES ($1, $2, 'accepted', NOW())`,
+        [row.id, creatorId]
+      );
+      await client.query(
+        `INSERT INTO challenge_participants (challenge_id, user_id)
+         SELECT $1, UNNEST($2::uuid[])`,
+        [row.id, invitees]
+      );
+      return row;
+    });
+
+    const creator = await query('SELECT id, display_name FROM users WHERE id = $1', [creatorId]);
+    for (const friendId of invitees) {
+      await notificationService.challengeInvite(friendId, creator.rows[0], challenge);
+    }
+    return challenge;
+  }
+
+  // Accept or decline an invitation. The first acceptance makes the challenge
+  // active; when nobody is left to accept, it's cancelled. Throws with status
+  // 400/404.
+  async respond(challengeId, userId, accept) {
+    return transaction(async (client) => {
+      const challenge = await this._lockOpen(client, challengeId);
+      if (new Date(challenge.ends_at) <= new Date()) throw httpError(400, 'This challenge has already ended');
+
+      const updated = await client.query(
+        `UPDATE challenge_participants SET status = $3, responded_at = NOW()
+         WHERE challenge_id = $1 AND user_id = $2 AND status = 'invited'
+         RETURNING user_id`,
+        [challengeId, userId, accept ? 'accepted' : 'declined']
+      );
+      if (updated.rows.length === 0) throw httpError(404, 'No pending invitation for this challenge');
+
+      const counts = await client.query(
+        `SELECT COUNT(*) FILTER (WHERE status = 'accepted') as accepted,
+                COUNT(*) FILTER (WHERE status = 'invited') as invited
+         FROM challenge_participants WHERE challenge_id = $1`,
+        [challengeId]
+      );
+      const accepted = parseInt(counts.rows[0].accepted);
+      const invited = parseInt(counts.rows[0].invited);
+
+      let status = challenge.status;
+      if (accepted >= 2) status = 'active';
+      else if (invited === 0) status = 'cancelled';
+      if (status !== challenge.status) {
+        await client.query(
+          `UPDATE challenges SET status = $2::varchar, closed_at = CASE WHEN $2::varchar = 'cancelled' THEN NOW() END WHERE id = $1`,
+          [challengeId, status]
+        );
+      }
+      return status;
+    });
+  }
+
+  // Creator calls it off before it's decided. Throws with status 400/403/404.
+  async cancel(challengeId, userId) {
+    return transaction(async (client) => {
+      const challenge = await this._lockOpen(client, challengeId);
+      if (challenge.creator_id !== userId) throw httpError(403, 'Only the creator can cancel a challenge');
+      await client.query(
+        `UPDATE challenges SET status = 'cancelled', closed_at = NOW() WHERE id = $1`,
+        [challengeId]
+      );
+    });
+  }
+
+  // Decide a challenge: write each participant's final value and rank, the
+  // winner (none on a tie for first) and mark it completed — or cancelled if
+  // nobody ever accepted. No-op if it's already closed. Returns the closed
+  // challenge with its standings, or null.
+  async close(challengeId) {
+    const closed = await transaction(async (client) => {
+      const challenge = await client.query(
+        `SELECT * FROM challenges WHERE id = $1 AND status = ANY($2) FOR UPDATE`,
+        [challengeId, OPEN]
+      );
+      if (challenge.rows.length === 0) return null;
+      const row = challenge.rows[0];
+
+      if (row.status === 'pending') {
+        await client.query(`UPDATE challenges SET status = 'cancelled', closed_at = NOW() WHERE id = $1`, [row.id]);
+        return { ...row, status: 'cancelled', standings: [] };
+      }
+
+      const standings = await this.standings(row, client);
+      for (const s of standings) {
+        await client.query(
+          `UPDATE challenge_participants SET final_value = $3, final_rank = $4, reached_at = $5
+           WHERE challenge_id = $1 AND user_id = $2`,
+          [row.id, s.userId, s.value, s.rank, s.reachedAt]
+        );
+      }
+      const winnerId = winnerOf(standings);
+      await client.query(
+        `UPDATE challenges SET status = 'completed', winner_id = $2, closed_at = NOW() WHERE id = $1`,
+        [row.id, winnerId]
+      );
+      return { ...row, status: 'completed', winner_id: winnerId, standings };
+    });
+
+    if (closed && closed.status === 'completed') {
+      const winner = closed.standings.find(s => s.userId === closed.winner_id) || null;
+      for (const s of closed.standings) {
+        await notificationService.challengeResult(s.userId, closed, s, winner);
+      }
+    }
+    return closed;
+  }
+
+  // Open challenges that can be decided now: past their end (plus the upload
+  // grace period), or races whose first finish is more than the grace period
+  // ago — a rival who got there earlier may still be syncing their runs
+  async due(now = new Date()) {
+    const result = await query(
+      `SELECT * FROM challenges
+       WHERE status = ANY($1)
+         AND (ends_at + make_interval(secs => $2) <= $3 OR (type = 'race' AND status = 'active' AND starts_at <= $3))`,
+      [OPEN, LIMITS.uploadGrace, now]
+    );
+
+    const due = [];
+    for (const row of result.rows) {
+      if (row.type === 'race' && new Date(row.ends_at).getTime() + LIMITS.uploadGrace * 1000 > now.getTime()) {
+        const reached = (await this.standings(row)).filter(s => s.reachedAt).map(s => new Date(s.reachedAt).getTime());
+        if (!reached.length || Math.min(...reached) + LIMITS.uploadGrace * 1000 > now.getTime()) continue;
+      }
+      due.push(row);
+    }
+    return due;
+  }
+
+  // ==========================================
+  // SCORING
+  // ==========================================
+
+  // Live standings of the accepted participants from their non-deleted,
+  // non-flagged runs that started inside the window.
+  // Returns [{ userId, displayName, value, rank, reachedAt, runId }], best first;
+  // rank is null for anyone without a qualifying run on a fastest challenge.
+  async standings(challenge, db = { query }) {
+    const params = [challenge.id, challenge.starts_at, challenge.ends_at];
+    const base = `FROM challenge_participants p
+       JOIN users u ON u.id = p.user_id
+       LEFT JOIN runs r ON r.user_id = p.user_id AND r.is_deleted = false AND r.flagged = false
+         AND r.start_time >= $2 AND r.start_time < $3`;
+
+    let rows;
+    if (challenge.type === 'fastest') {
+      params.push(challenge.run_name);
+      let resortFilter = '';
+      if (challenge.resort_id) {
+        params.push(challenge.resort_id);
+        resortFilter = ` AND r.resort_id = $${params.length}`;
+      }
+      const result = await db.query(
+        `SELECT DISTINCT ON (p.user_id) p.user_id, u.display_name,
+                r.duration as value, r.start_time as reached_at, r.id as run_id
+         ${base} AND LOWER(TRIM(r.run_name)) = LOWER($4) AND r.duration > 0${resortFilter}
+         WHERE p.challenge_id = $1 AND p.status = 'accepted'
+         ORDER BY p.user_id, r.duration ASC NULLS LAST`,
+        params
+      );
+      rows = result.rows;
+    } else {
+      const contribution = `COALESCE(${METRIC_SQL[challenge.metric]}, 0)`;
+      params.push(challenge.goal || 0);
+      const result = await db.query(
+        `WITH progress AS (
+           SELECT p.user_id, u.display_name, r.end_time,
+                  SUM(${contribution}) FILTER (WHERE r.id IS NOT NULL)
+                    OVER (PARTITION BY p.user_id ORDER BY r.start_time, r.id) as cumulative
+           ${base}
+           WHERE p.challenge_id = $1 AND p.status = 'accepted'
+         )
+         SELECT user_id, display_name, COALESCE(MAX(cumulative), 0) as value,
+                CASE WHEN $4::float8 > 0 THEN MIN(end_time) FILTER (WHERE cumulative >= $4::float8) END as reached_at,
+                NULL as run_id
+         FROM progress
+         GROUP BY user_id, display_name`,
+        params
+      );
+      rows = result.rows;
+    }
+
+    return rank(challenge, rows.map(r => ({
+      userId: r.user_id,
+      displayName: r.display_name,
+      value: r.value === null ? null : parseFloat(r.value),
+      reachedAt: challenge.type === 'total' ? null : r.reached_at,
+      runId: r.run_id,
+    })));
+  }
+
+  // ==========================================
+  // LOOKUPS
+  // ==========================================
+
+  // The challenge and the viewer's participation (null unless they were invited)
+  async get(challengeId, userId) {
+    const result = await query(
+      `SELECT c.*, p.status as my_status
+       FROM challenges c
+       JOIN challenge_participants p ON p.challenge_id = c.id AND p.user_id = $2
+       WHERE c.id = $1`,
+      [challengeId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async participants(challengeId) {
+    const result = await query(
+      `SELECT p.*, u.display_name
+       FROM challenge_participants p
+       JOIN users u ON u.id = p.user_id
+       WHERE p.challenge_id = $1
+       ORDER BY p.final_rank NULLS LAST, u.display_name`,
+      [challengeId]
+    );
+    return result.rows;
+  }
+
+  // status: 'open' (pending or active), 'closed' (completed or cancelled) or 'all'.
+  // Challenges the user declined are left out.
+  async forUser(userId, status = 'open', limit = 50) {
+    const statuses = status === 'open' ? OPEN : status === 'closed' ? ['completed', 'cancelled'] : [...OPEN, 'completed', 'cancelled'];
+    const result = await query(
+      `SELECT c.*, p.status as my_status, w.display_name as winner_name,
+              (SELECT COUNT(*) FROM challenge_participants WHERE challenge_id = c.id AND status = 'accepted') as accepted_count
+       FROM challenge_participants p
+       JOIN challenges c ON c.id = p.challenge_id
+       LEFT JOIN users w ON w.id = c.winner_id
+       WHERE p.user_id = $1 AND p.status <> 'declined' AND c.status = ANY($2)
+       ORDER BY c.ends_at DESC
+       LIMIT $3`,
+      [userId, statuses, limit]
+    );
+    return result.rows;
+  }
+
+  async _lockOpen(client, challengeId) {
+    const result = await client.query('SELECT * FROM challenges WHERE id = $1 FOR UPDATE', [challengeId]);
+    if (result.rows.length === 0) throw httpError(404, 'Challenge not found');
+    if (!OPEN.includes(result.rows[0].status)) throw httpError(400, `This challenge is ${result.rows[0].status}`);
+    return result.rows[0];
+  }
+
+  // ==========================================
+  // FORMATTING
+  // ==========================================
+
+  format(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      type: row.type,
+      metric: row.metric,
+      goal: row.goal,
+      runName: row.run_name,
+      resortId: row.resort_id,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      status: row.status,
+      creatorId: row.creator_id,
+      winnerId: row.winner_id,
+      winnerName: row.winner_name,
+      closedAt: row.closed_at,
+      myStatus: row.my_status,
+      acceptedCount: row.accepted_count !== undefined ? parseInt(row.accepted_count) : undefined,
+    };
+  }
+}
+
+// Best first. Totals: highest value. Races: whoever reached the goal first,
+// then the highest value. Fastest: lowest time; no time means no rank.
+function rank(challenge, rows) {
+  const compare = {
+    total: (a, b) => b.value - a.value,
+    race: (a, b) => (a.reachedAt && b.reachedAt ? new Date(a.reachedAt) - new Date(b.reachedAt)
+      : a.reachedAt ? -1 : b.reachedAt ? 1 : b.value - a.value),
+    fastest: (a, b) => (a.value === null) - (b.value === null) || a.value - b.value,
+  }[challenge.type];
+
+  const sorted = rows.sort((a, b) => compare(a, b) || a.displayName.localeCompare(b.displayName));
+  let previous = null;
+  sorted.forEach((row, i) => {
+    if (challenge.type === 'fastest' && row.value === null) {
+      row.rank = null;
+    } else {
+      row.rank = previous && compare(previous, row) === 0 ? previous.rank : i + 1;
+    }
+    previous = row;
+  });
+  return sorted;
+}
+
+// The sole first place with something to show for it; null on a tie or if
+// nobody scored
+function winnerOf(standings) {
+  const first = standings.filter(s => s.rank === 1);
+  if (first.length !== 1 || !(first[0].value > 0)) return null;
+  return first[0].userId;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = new ChallengeService();
@@ -0,0 +1,69 @@
+const { query } = require('../../config/database');
+
+// Friendship rows are directional: user_id sent the request (or, for
+// 'blocked', is the one who blocked) and friend_id received it.
+class FriendService {
+
+  // Accepted friends of a user, plus the user themselves
+  async getFriendIds(userId) {
+    const result = await query(
+      `SELECT CASE WHEN user_id = $1 THEN friend_id ELSE user_id END as friend_id
+       FROM friendships
+       WHERE (user_id = $1 OR friend_id = $1) AND status = 'accepted'`,
+      [userId]
+    );
+    return [userId, ...result.rows.map(r => r.friend_id)];
+  }
+
+  async areFriends(userId, otherId) {
+    const result = await query(
+      `SELECT 1 FROM friendships
+       WHERE ((user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1))
+       AND status = 'accepted'`,
+      [userId, otherId]
+    );
+    return result.rows.length > 0;
+  }
+
+  async countFriends(userId) {
+    const result = await query(
+      `SELECT COUNT(*) as count FROM friendships
+       WHERE (user_id = $1 OR friend_id = $1) AND status = 'accepted'`,
+      [userId]
+    );
+    return parseInt(result.rows[0].count);
+  }
+
+  // True if either user has blocked the other
+  async isBlocked(userId, otherId) {
+    const result = await query(
+      `SELECT 1 FROM friendships
+       WHERE ((user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1))
+       AND status = 'blocked'`,
+      [userId, otherId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Everyone the user has blocked or been blocked by
+  async getBlockedIds(userId) {
+    const result = await query(
+      `SELECT CASE WHEN user_id = $1 THEN friend_id ELSE user_id END as other_id
+       FROM friendships
+       WHERE (user_id = $1 OR friend_id = $1) AND status = 'blocked'`,
+      [userId]
+    );
+    return result.rows.map(r => r.other_id);
+  }
+
+  // SQL condition: neither the user in `userColumn` nor `viewer` (a column or
+  // $n parameter) has blocked the other. For queries that show other people
+  // to a viewer outside their friends — public, resort and group boards.
+  notBlockedSql(userColumn, viewer) {
+    return `NOT EXISTS (SELECT 1 FROM friendships blk WHERE blk.status = 'blocked'
+      AND ((blk.user_id = ${viewer} AND blk.friend_id = ${userColumn})
+        OR (blk.user_id = ${userColumn} AND blk.friend_id = ${viewer})))`;
+  }
+}
+
+module.exports = new FriendService();
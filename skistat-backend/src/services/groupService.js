@@ -0,0 +1,364 @@
+const { query, transaction } = require('../../config/database');
+const seasonService = require('./seasonService');
+const friendService = require('./friendService');
+const { generateInviteCode } = require('../utils/helpers');
+
+const CODE_PREFIX = 'CRW';
+const ROLES = ['owner', 'admin', 'member'];
+
+// Who can see whom inside a group — the same rule as the friends boards:
+// members set to 'private' are only visible to themselves.
+const VISIBLE = (alias, viewerParam) => `(${alias}.id = ${viewerParam} OR ${alias}.leaderboard_visibility <> 'private')`;
+
+class GroupService {
+
+  isRole(role) {
+    return ROLES.includes(role);
+  }
+
+  // Group codes share the SKI-XXX-1234 shape but use their own prefix, so
+  // /invite/:code can tell them apart from friend codes
+  isGroupCode(code) {
+    return String(code || '').toUpperCase().startsWith(`${CODE_PREFIX}-`);
+  }
+
+  // ==========================================
+  // GROUPS
+  // ==========================================
+
+  async create(userId, { name, description = null }) {
+    const code = await this._uniqueInviteCode();
+    return transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO groups (name, description, invite_code) VALUES ($1, $2, $3) RETURNING *`,
+        [name, description, code]
+      );
+      const group = result.rows[0];
+      await client.query(
+        `INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, 'owner')`,
+        [group.id, userId]
+      );
+      return { ...group, member_count: 1, role: 'owner' };
+    });
+  }
+
+  // The group with its member count and the viewer's role (null if not a member)
+  async get(groupId, userId) {
+    const result = await query(
+      `SELECT g.*, (SELECT COUNT(*) FROM group_members WHERE group_id = g.id) as member_count, m.role
+       FROM groups g
+       LEFT JOIN group_members m ON m.group_id = g.id AND m.user_id = $2
+       WHERE g.id = $1`,
+      [groupId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async forUser(userId) {
+    const result = await query(
+      `SELECT g.*, m.role, (SELECT COUNT(*) FROM group_members WHERE group_id = g.id) as member_count
+       FROM group_members m
+       JOIN groups g ON g.id = m.group_id
+       WHERE m.user_id = $1
+       ORDER BY g.name`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  async update(groupId, { name, description }) {
+    const result = await query(
+      `UPDATE groups SET name = COALESCE($2, name), description = COALESCE($3, description)
+       WHERE id = $1 RETURNING *`,
+      [groupId, name ?? null, description ?? null]
+    );
+    return result.rows[0] || null;
+  }
+
+  async remove(groupId) {
+    await query('DELETE FROM groups WHERE id = $1', [groupId]);
+  }
+
+  // Invalidate the old invite link
+  async regenerateCode(groupId) {
+    const code = await this._uniqueInviteCode();
+    await query('UPDATE groups SET invite_code = $2 WHERE id = $1', [groupId, code]);
+    return code;
+  }
+
+  async findByCode(code) {
+    const result = await query(
+      `SELECT g.*, (SELECT COUNT(*) FROM group_members WHERE group_id = g.id) as member_count
+       FROM groups g WHERE g.invite_code = $1`,
+      [String(code).toUpperCase().trim()]
+    );
+    return result.rows[0] || null;
+  }
+
+  // ==========================================
+  // MEMBERSHIP
+  // ==========================================
+
+  async role(groupId, userId) {
+    const result = await query(
+      'SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2',
+      [groupId, userId]
+    );
+    return result.rows.length ? result.rows[0].role : null;
+  }
+
+  async memberIds(groupId) {
+    const result = await query('SELECT user_id FROM group_members WHERE group_id = $1', [groupId]);
+    return result.rows.map(r => r.user_id);
+  }
+
+  // Members, owner and admins first
+  async members(groupId) {
+    const result = await query(
+      `SELECT u.id, u.display_name, u.home_resort, m.role, m.joined_at
+       FROM group_members m
+       JOIN users u ON u.id = m.user_id
+       WHERE m.group_id = $1
+       ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, u.display_name`,
+      [groupId]
+    );
+    return result.rows;
+  }
+
+  // Join by invite code. Throws with status 404 (unknown code) or 400 (already
+  // a member, group full). Returns the group.
+  async join(userId, code) {
+    const group = await this.findByCode(code);
+    if (!group) throw httpError(404, 'No group found with that invite code');
+
+    return transaction(async (client) => {
+      // Lock the group so two joins can't both take the last seat
+      await client.query('SELECT id FROM groups WHERE id = $1 FOR UPDATE', [group.id]);
+      const count = await client.query(
+        `SELECT COUNT(*) as count, BOOL_OR(user_id = $2) as is_member FROM group_members WHERE group_id = $1`,
+        [group.id, userId]
+      );
+      if (count.rows[0].is_member) throw httpError(400, 'Already a member of this group');
+      if (parseInt(count.rows[0].count) >= group.max_members) {
+        throw httpError(400, `This group is full (${group.max_members} members)`);
+      }
+
+      await client.query(
+        `INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, 'member')`,
+        [group.id, userId]
+      );
+      return { ...group, member_count: parseInt(count.rows[0].count) + 1, role: 'member' };
+    });
+  }
+
+  // Leave a group. An owner's role passes to the longest-standing admin, or
+  // failing that the longest-standing member; the last one out deletes the
+  // group. Returns { left, deleted }.
+  async leave(groupId, userId) {
+    return transaction(async (client) => {
+      await client.query('SELECT id FROM groups WHERE id = $1 FOR UPDATE', [groupId]);
+      const removed = await client.query(
+        'DELETE FROM group_members WHERE group_id = $1 AND user_id = $2 RETURNING role',
+        [groupId, userId]
+      );
+      if (removed.rows.length === 0) return { left: false, deleted: false };
+      if (removed.rows[0].role !== 'owner') return { left: true, deleted: false };
+
+      const heir = await client.query(
+        `SELECT user_id FROM group_members WHERE group_id = $1
+         ORDER BY CASE role WHEN 'admin' THEN 0 ELSE 1 END, joined_at
+         LIMIT 1`,
+        [groupId]
+      );
+      if (heir.rows.length === 0) {
+        await client.query('DELETE FROM groups WHERE id = $1', [groupId]);
+        return { left: true, deleted: true };
+      }
+      await client.query(
+        `UPDATE group_members SET role = 'owner' WHERE group_id = $1 AND user_id = $2`,
+        [groupId, heir.rows[0].user_id]
+      );
+      return { left: true, deleted: false };
+    });
+  }
+
+  // Leave every group (before an account is deleted), handing over ownership
+  async leaveAll(userId) {
+    const result = await query('SELECT group_id FROM group_members WHERE user_id = $1', [userId]);
+    for (const row of result.rows) {
+      await this.leave(row.group_id, userId);
+    }
+  }
+
+  // Change a member's role. Only the owner may do this; making someone
+  // 'owner' transfers ownership and the old owner becomes an admin.
+  async setRole(groupId, actorId, targetId, role) {
+    if (actorId === targetId) throw httpError(400, "You can't change your own role");
+
+    return transaction(async (client) => {
+      const target = await client.query(
+        'SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2 FOR UPDATE',
+        [groupId, targetId]
+      );
+      if (target.rows.length === 0) throw httpError(404, 'Member not found');
+
+      if (role === 'owner') {
+        await client.query(
+          `UPDATE group_members SET role = 'admin' WHERE group_id = $1 AND user_id = $2`,
+          [groupId, actorId]
+        );
+      }
+      await client.query(
+        'UPDATE group_members SET role = $3 WHERE group_id = $1 AND user_id = $2',
+        [groupId, targetId, role]
+      );
+      return role;
+    });
+  }
+
+  // Remove someone else. Owners can remove anyone; admins only plain members.
+  async removeMember(groupId, actorRole, targetId) {
+    const targetRole = await this.role(groupId, targetId);
+    if (!targetRole) throw httpError(404, 'Member not found');
+    if (targetRole === 'owner' || (actorRole === 'admin' && targetRole === 'admin')) {
+      throw httpError(403, 'Only the owner can remove admins');
+    }
+    await query('DELETE FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, targetId]);
+  }
+
+  // ==========================================
+  // ACTIVITY
+  // ==========================================
+
+  // What the group has been up to in a window (see seasonService.resolveWindow):
+  // combined totals, a per-day series, the top member per board and the
+  // latest runs. Members set to 'private' only count towards their own view,
+  // and members the viewer has blocked (or who blocked them) don't count.
+  async activity(groupId, window, viewerId, recentLimit = 20) {
+    const params = [groupId, viewerId];
+    let dayFilter = '';
+    if (window.from) {
+      params.push(window.from);
+      dayFilter += ` AND d.local_date >= $${params.length}::date`;
+    }
+    if (window.until) {
+      params.push(window.until);
+      dayFilter += ` AND d.local_date < $${params.length}::date`;
+    }
+
+    const days = query(
+      `SELECT d.local_date::text as day, d.user_id, u.display_name,
+              SUM(d.run_count) as run_count, SUM(d.points) as points, SUM(d.vert) as vert,
+              SUM(d.distance) as distance, MAX(d.top_speed) as top_speed
+       FROM user_daily_stats d
+       JOIN group_members m ON m.user_id = d.user_id AND m.group_id = $1
+       JOIN users u ON u.id = d.user_id
+       WHERE ${VISIBLE('u', '$2')} AND ${friendService.notBlockedSql('u.id', '$2')}${dayFilter}
+       GROUP BY d.local_date, d.user_id, u.display_name
+       ORDER BY d.local_date`,
+      params
+    );
+
+    const runParams = [groupId, viewerId, recentLimit];
+    const runFilter = seasonService.windowSql(window, runParams);
+    const recent = query(
+      `SELECT r.id, r.run_name, r.resort_name, r.start_time, r.elevation_drop, r.distance,
+              r.max_speed, r.points, u.id as user_id, u.display_name
+       FROM runs r
+       JOIN group_members m ON m.user_id = r.user_id AND m.group_id = $1
+       JOIN users u ON u.id = r.user_id
+       WHERE r.is_deleted = false AND r.flagged = false AND ${VISIBLE('u', '$2')}
+         AND ${friendService.notBlockedSql('u.id', '$2')}${runFilter}
+       ORDER BY r.start_time DESC
+       LIMIT $3`,
+      runParams
+    );
+
+    const [dayRows, runRows] = await Promise.all([days, recent]);
+    return summarize(dayRows.rows, runRows.rows);
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  async _uniqueInviteCode() {
+    for (let attempts = 0; attempts < 10; attempts++) {
+      const code = generateInviteCode(CODE_PREFIX);
+      const existing = await query('SELECT id FROM groups WHERE invite_code = $1', [code]);
+      if (existing.rows.length === 0) return code;
+    }
+    return `${CODE_PREFIX}-${Date.now().toString(36).toUpperCase().slice(-7)}`;
+  }
+}
+
+// Fold per-member-per-day rows into totals, a daily series and per-board leaders
+function summarize(dayRows, runRows) {
+  const totals = { activeMembers: 0, skiDays: dayRows.length, runCount: 0, points: 0, vert: 0, distance: 0, topSpeed: 0 };
+  const byDay = new Map();
+  const byMember = new Map();
+
+  for (const row of dayRows) {
+    const runCount = parseInt(row.run_count);
+    const points = parseFloat(row.points);
+    const vert = parseFloat(row.vert);
+    const distance = parseFloat(row.distance);
+    const topSpeed = parseFloat(row.top_speed);
+
+    totals.runCount += runCount;
+    totals.points += points;
+    totals.vert += vert;
+    totals.distance += distance;
+    totals.topSpeed = Math.max(totals.topSpeed, topSpeed);
+
+    const day = byDay.get(row.day) || { date: row.day, skiers: 0, runCount: 0, vert: 0, distance: 0 };
+    day.skiers++;
+    day.runCount += runCount;
+    day.vert += vert;
+    day.distance += distance;
+    byDay.set(row.day, day);
+
+    const member = byMember.get(row.user_id) || { userId: row.user_id, displayName: row.display_name, points: 0, vert: 0, distance: 0, speed: 0 };
+    member.points += points;
+    member.vert += vert;
+    member.distance += distance;
+    member.speed = Math.max(member.speed, topSpeed);
+    byMember.set(row.user_id, member);
+  }
+  totals.activeMembers = byMember.size;
+
+  const leaders = {};
+  for (const board of ['points', 'vert', 'distance', 'speed']) {
+    let best = null;
+    for (const member of byMember.values()) {
+      if (member[board] > 0 && (!best || member[board] > best[board])) best = member;
+    }
+    leaders[board] = best ? { userId: best.userId, displayName: best.displayName, value: best[board] } : null;
+  }
+
+  return {
+    totals,
+    days: [...byDay.values()],
+    leaders,
+    recentRuns: runRows.map(r => ({
+      id: r.id,
+      userId: r.user_id,
+      displayName: r.display_name,
+      runName: r.run_name,
+      resortName: r.resort_name,
+      startTime: r.start_time,
+      elevationDrop: r.elevation_drop,
+      distance: r.distance,
+      maxSpeed: r.max_speed,
+      points: r.points,
+    })),
+  };
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = new GroupService();
@@ -0,0 +1,244 @@
+const { query, transaction } = require('../../config/database');
+const seasonService = require('./seasonService');
+const friendService = require('./friendService');
+
+// Season boards that can be overtaken by a single upload
+const SEASON_METRICS = {
+  season: { column: 'points', label: 'season points' },
+  vert: { column: 'elevation_drop', label: 'vertical' },
+  distance: { column: 'distance', label: 'distance' },
+};
+
+// Boards by URL name → totals column (see rank())
+const BOARDS = {
+  season: 'points',
+  points: 'points',
+  vert: 'vert',
+  distance: 'distance',
+  speed: 'top_speed',
+  runs: 'run_count',
+};
+
+// Each user's totals from runs, the same shape as season_standings
+const STANDING_COLUMNS = `COUNT(r.id) as run_count,
+  COALESCE(SUM(r.points), 0) as points,
+  COALESCE(SUM(r.elevation_drop), 0) as vert,
+  COALESCE(SUM(r.distance), 0) as distance,
+  COALESCE(MAX(r.max_speed), 0) as top_speed`;
+
+class LeaderboardService {
+
+  isBoard(name) {
+    return Object.prototype.hasOwnProperty.call(BOARDS, name);
+  }
+
+  // ==========================================
+  // STANDINGS
+  // ==========================================
+
+  // SQL producing one totals row per user for a window, from the daily rollup
+  // (user_daily_stats) or, for finished seasons, the frozen snapshot — so
+  // deleting or flagging runs afterwards doesn't rewrite past results.
+  // Pushes its params; returns { frozen, sql }.
+  async totalsSource(window, params, resortId = window.resortId) {
+    if (window.type === 'season' && seasonService.isOver(window)) {
+      await this.freeze(window);
+      params.push(window.label, window.calendar);
+      return {
+        frozen: true,
+        sql: `SELECT user_id, run_count, points, vert, distance, top_speed, top_speed_detail
+              FROM season_standings WHERE season = $${params.length - 1} AND calendar = $${params.length}`,
+      };
+    }
+
+    let where = '';
+    if (window.from) {
+      params.push(window.from);
+      where += ` AND d.local_date >= $${params.length}::date`;
+    }
+    if (window.until) {
+      params.push(window.until);
+      where += ` AND d.local_date < $${params.length}::date`;
+    }
+    if (resortId) {
+      params.push(resortId);
+      where += ` AND d.resort_id = $${params.length}`;
+    }
+    return {
+      frozen: false,
+      sql: `SELECT d.user_id, SUM(d.run_count) as run_count, SUM(d.points) as points, SUM(d.vert) as vert,
+                   SUM(d.distance) as distance, MAX(d.top_speed) as top_speed, NULL::text as top_speed_detail
+            FROM user_daily_stats d WHERE true${where} GROUP BY d.user_id`,
+    };
+  }
+
+  // Totals per user within a window (see seasonService.resolveWindow).
+  // Returns { frozen, rows: [{ id, display_name, run_count, points, vert, distance, top_speed }] }
+  async standings(userIds, window) {
+    const params = [userIds];
+    const source = await this.totalsSource(window, params);
+    const result = await query(
+      `WITH totals AS (${source.sql})
+       SELECT u.id, u.display_name,
+              COALESCE(t.run_count, 0) as run_count, COALESCE(t.points, 0) as points,
+              COALESCE(t.vert, 0) as vert, COALESCE(t.distance, 0) as distance,
+              COALESCE(t.top_speed, 0) as top_speed
+       FROM users u
+       LEFT JOIN totals t ON t.user_id = u.id
+       WHERE u.id = ANY($1)`,
+      params
+    );
+    return { frozen: source.frozen, rows: result.rows };
+  }
+
+  // ==========================================
+  // RANKED BOARDS
+  // ==========================================
+
+  // Rank a board for one viewer.
+  //   scope 'friends'/'group'  — userIds (the viewer's friends or a group's
+  //                              members; all of them, even with no runs)
+  //   scope 'resort'/'global'  — everyone who opted in (leaderboard_visibility
+  //                              'public') with a non-zero total
+  // Skiers set to 'private' only ever see themselves, and nobody who blocked
+  // the viewer or was blocked by them is listed. The viewer is always
+  // ranked, so `you` is their position even outside the top `limit`.
+  // Returns { frozen, total, entries, you }; entries carry rank and percentile
+  // (share of ranked skiers strictly behind them, 0–100).
+  async rank({ board, window, scope, userId, userIds = [], resortId = null, limit = 50 }) {
+    const column = BOARDS[board];
+    const params = [userId];
+    const source = await this.totalsSource(window, params, resortId || window.resortId);
+
+    let audience;
+    if (scope === 'friends' || scope === 'group') {
+      params.push(userIds);
+      audience = `LEFT JOIN totals t ON t.user_id = u.id
+        WHERE u.id = ANY($${params.length}) AND (u.id = $1 OR u.leaderboard_visibility <> 'private')`;
+    } else {
+      audience = `JOIN totals t ON t.user_id = u.id
+        WHERE u.is_active = true AND t.${column} > 0 AND (u.id = $1 OR u.leaderboard_visibility = 'public')`;
+    }
+    audience += ` AND ${friendService.notBlockedSql('u.id', '$1')}`;
+    params.push(limit);
+
+    const result = await query(
+      `WITH totals AS (${source.sql}),
+       board AS (
+         SELECT u.id, u.display_name, COALESCE(t.run_count, 0) as run_count,
+                COALESCE(t.${column}, 0) as value, t.top_speed_detail
+         FROM users u
+         ${audience}
+       ),
+       ranked AS (
+         SELECT board.*,
+                RANK() OVER (ORDER BY value DESC) as rank,
+                PERCENT_RANK() OVER (ORDER BY value) as percent_rank,
+                COUNT(*) OVER () as total
+         FROM board
+       )
+       SELECT * FROM ranked
+       WHERE rank <= $${params.length} OR id = $1
+       ORDER BY rank, display_name`,
+      params
+    );
+
+    const rows = result.rows.map(r => ({
+      userId: r.id,
+      displayName: r.display_name,
+      rank: parseInt(r.rank),
+      value: parseFloat(r.value),
+      runCount: parseInt(r.run_count),
+      percentile: parseInt(r.total) > 1 ? Math.round(parseFloat(r.percent_rank) * 100) : 100,
+      topSpeedDetail: r.top_speed_detail,
+    }));
+    return {
+      frozen: source.frozen,
+      total: result.rows.length ? parseInt(result.rows[0].total) : 0,
+      entries: rows.filter(r => r.rank <= limit),
+      you: rows.find(r => r.userId === userId) || null,
+    };
+  }
+
+  // Snapshot every user's totals for a finished season. Runs once per season
+  // and calendar; later calls are no-ops.
+  async freeze(season) {
+    return transaction(async (client) => {
+      const header = await client.query(
+        `INSERT INTO season_snapshots (season, calendar, starts_on, ends_on)
+         VALUES ($1, $2, $3, $4::date - 1)
+         ON CONFLICT (season, calendar) DO NOTHING
+         RETURNING season`,
+        [season.label, season.calendar, season.from, season.until]
+      );
+      if (header.rows.length === 0) return false;
+
+      const params = [season.label, season.calendar];
+      let runFilter = seasonService.windowSql(season, params);
+      if (season.resortId) {
+        params.push(season.resortId);
+        runFilter += ` AND r.resort_id = $${params.length}`;
+      }
+      await client.query(
+        `WITH eligible AS (
+           SELECT r.* FROM runs r WHERE r.is_deleted = false AND r.flagged = false${runFilter}
+         ), fastest AS (
+           SELECT DISTINCT ON (user_id) user_id, id,
+                  CONCAT(COALESCE(run_name, 'Run'), ' · ', COALESCE(resort_name, '')) as detail
+           FROM eligible ORDER BY user_id, max_speed DESC
+         )
+         INSERT INTO season_standings (season, calendar, user_id, run_count, points, vert, distance, top_speed, top_speed_run_id, top_speed_detail)
+         SELECT $1, $2, r.user_id, ${STANDING_COLUMNS}, f.id, f.detail
+         FROM eligible r
+         JOIN fastest f ON f.user_id = r.user_id
+         GROUP BY r.user_id, f.id, f.detail`,
+        params
+      );
+      return true;
+    });
+  }
+
+  // ==========================================
+  // OVERTAKES
+  // ==========================================
+
+  // Current-season totals per board for the given users: { [userId]: { season, vert, distance } }
+  async seasonTotals(userIds) {
+    const { rows } = await this.standings(userIds, seasonService.current());
+    const totals = {};
+    for (const row of rows) {
+      totals[row.id] = {
+        season: parseFloat(row.points),
+        vert: parseFloat(row.vert),
+        distance: parseFloat(row.distance),
+      };
+    }
+    return totals;
+  }
+
+  // Given a user's totals from before an upload, find friends they have just
+  // passed. Returns [{ userId, board, label }] — one entry per friend per board.
+  async findOvertaken(userId, friendIds, before) {
+    const others = friendIds.filter(id => id !== userId);
+    if (!others.length || !before) return [];
+
+    const totals = await this.seasonTotals([userId, ...others]);
+    const after = totals[userId];
+    if (!after) return [];
+
+    const overtaken = [];
+    for (const [board, { label }] of Object.entries(SEASON_METRICS)) {
+      if (after[board] <= before[board]) continue;
+      for (const id of others) {
+        const theirs = totals[id] && totals[id][board];
+        if (theirs === undefined || theirs <= 0) continue;
+        if (before[board] <= theirs && after[board] > theirs) {
+          overtaken.push({ userId: id, board, label });
+        }
+      }
+    }
+    return overtaken;
+  }
+}
+
+module.exports = new LeaderboardService();
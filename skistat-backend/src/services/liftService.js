@@ -0,0 +1,120 @@
+const { query } = require('../../config/database');
+
+const LIMITS = {
+  reportInterval: 5 * 60,   // s — one report per user per lift per interval
+  window: 60 * 60,          // s — reports older than this are ignored
+  halfLife: 15 * 60,        // s — a report's weight halves every 15 minutes
+  outlierMads: 3,           // reject waits further than this many MADs from the median
+  minMad: 2,                // min — floor so identical reports don't reject a close one
+};
+
+const keyOf = (name) => (name || '').trim().toLowerCase();
+
+class LiftService {
+
+  // ==========================================
+  // REPORTS
+  // ==========================================
+
+  // Store a wait time and/or status report. Throws (status 429, retryAfter)
+  // when the user already reported this lift within LIMITS.reportInterval.
+  async report(userId, { resortName, liftName, waitMinutes = null, status = null, latitude = null, longitude = null }) {
+    const resortKey = keyOf(resortName);
+    const liftKey = keyOf(liftName);
+
+    const recent = await query(
+      `SELECT EXTRACT(EPOCH FROM (NOW() - reported_at)) as age FROM lift_reports
+       WHERE user_id = $1 AND resort_key = $2 AND lift_key = $3
+       ORDER BY reported_at DESC LIMIT 1`,
+      [userId, resortKey, liftKey]
+    );
+    if (recent.rows.length > 0 && parseFloat(recent.rows[0].age) < LIMITS.reportInterval) {
+      const err = new Error('You already reported this lift recently');
+      err.status = 429;
+      err.retryAfter = Math.ceil(LIMITS.reportInterval - parseFloat(recent.rows[0].age));
+      throw err;
+    }
+
+    const result = await query(
+      `INSERT INTO lift_reports (user_id, resort_name, lift_name, resort_key, lift_key, wait_minutes, status, latitude, longitude)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, reported_at`,
+      [userId, resortName.trim(), liftName.trim(), resortKey, liftKey, waitMinutes, status, latitude, longitude]
+    );
+    return result.rows[0];
+  }
+
+  // ==========================================
+  // ESTIMATES
+  // ==========================================
+
+  // Current estimate for every lift with a recent report at a resort
+  async estimates(resortName, now = new Date()) {
+    const result = await query(
+      `SELECT user_id, lift_name, lift_key, wait_minutes, status, reported_at
+       FROM lift_reports
+       WHERE resort_key = $1 AND reported_at > $2::timestamptz - make_interval(secs => $3)
+       ORDER BY reported_at DESC`,
+      [keyOf(resortName), now, LIMITS.window]
+    );
+
+    const byLift = new Map();
+    for (const row of result.rows) {
+      if (!byLift.has(row.lift_key)) byLift.set(row.lift_key, []);
+      byLift.get(row.lift_key).push(row);
+    }
+
+    return [...byLift.values()]
+      .map(reports => this.estimate(reports, now))
+      .sort((a, b) => a.liftName.localeCompare(b.liftName));
+  }
+
+  // Aggregate one lift's reports (newest first). Only each user's latest wait
+  // counts, outliers are dropped, and the rest are averaged with exponential
+  // time decay. Status comes from the newest report; a wait time on its own
+  // implies the lift is open.
+  estimate(reports, now = new Date()) {
+    const latest = reports[0];
+    const status = latest.status || 'open';
+
+    const seen = new Set();
+    const waits = [];
+    for (const r of reports) {
+      if (r.wait_minutes === null || r.wait_minutes === undefined || seen.has(r.user_id)) continue;
+      seen.add(r.user_id);
+      const age = Math.max(0, (now - new Date(r.reported_at)) / 1000);
+      waits.push({ value: r.wait_minutes, weight: Math.pow(0.5, age / LIMITS.halfLife) });
+    }
+
+    const kept = rejectOutliers(waits);
+    const totalWeight = kept.reduce((sum, w) => sum + w.weight, 0);
+    const waitMinutes = totalWeight > 0
+      ? Math.round(kept.reduce((sum, w) => sum + w.value * w.weight, 0) / totalWeight)
+      : null;
+
+    return {
+      liftName: latest.lift_name,
+      status,
+      waitMinutes: status === 'open' ? waitMinutes : null,
+      reportCount: kept.length,
+      // 0–1: how much fresh agreement the estimate rests on
+      confidence: Math.round(Math.min(1, totalWeight / 3) * 100) / 100,
+      lastReportedAt: latest.reported_at,
+    };
+  }
+}
+
+// Median absolute deviation filter; needs at least 3 values to judge
+function rejectOutliers(waits) {
+  if (waits.length < 3) return waits;
+  const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+  const m = median(waits.map(w => w.value));
+  const mad = Math.max(LIMITS.minMad, median(waits.map(w => Math.abs(w.value - m))));
+  return waits.filter(w => Math.abs(w.value - m) <= LIMITS.outlierMads * mad);
+}
+
+module.exports = new LiftService();
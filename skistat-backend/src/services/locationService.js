@@ -0,0 +1,268 @@
+const { query } = require('../../config/database');
+const { isValidCoordinate } = require('../utils/geo');
+const { isValidTimeZone, resolveTimeZone } = require('../utils/time');
+const resortService = require('./resortService');
+const realtimeService = require('./realtimeService');
+
+// How old a fix may be and still count as live or recent (s); older ones
+// are stale — the friend may have lost signal or put the phone away
+const LIVE_AGE = 2 * 60;
+const RECENT_AGE = 10 * 60;
+
+// Fixes recorded further in the future than this are rejected (ms)
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// Optional numeric fields of an update and their [min, max]
+const READINGS = {
+  altitude: [-500, 9000],
+  accuracy: [0, 10000],
+  speed: [0, 100],
+  heading: [0, 360],
+};
+
+// What format() reads: a session (s) and who it belongs to
+const LOCATION_COLUMNS = `s.*, u.display_name, u.avatar_url, rs.slug as resort_slug, rs.name as resort_name,
+  EXTRACT(EPOCH FROM NOW() - s.recorded_at) as age`;
+
+// Location events, as published through realtimeService
+const EVENT_TYPES = ['location', 'location.stopped'];
+
+// Live location sharing. A client streams its position (WebSocket, or REST
+// with the SSE stream for friends' positions); the first fix of the day opens
+// a session that ends at midnight in the sharer's time zone. Only accepted
+// friends see it, minus the ones the sharer has hidden it from. Every fix is
+// published through realtimeService to the friends who may see it.
+class LocationService {
+
+  // ==========================================
+  // UPDATES
+  // ==========================================
+
+  // A position update from the client as { update, errors } (errors in the
+  // same { field, message } form as runService.validate):
+  //   latitude, longitude   required
+  //   altitude              meters
+  //   accuracy              meters (horizontal)
+  //   speed                 m/s
+  //   heading               degrees from north
+  //   recordedAt            ISO 8601 (default now)
+  //   timezone              IANA zone the session's day ends in
+  parseUpdate(body) {
+    const errors = [];
+    const error = (field, message) => errors.push({ field, message });
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return { update: null, errors: [{ field: null, message: 'Body must be an object' }] };
+
+    const update = { latitude: Number(body.latitude), longitude: Number(body.longitude) };
+    if (body.latitude == null || body.longitude == null || !isValidCoordinate(update.latitude, update.longitude)) {
+      error('latitude', 'latitude and longitude must be valid coordinates');
+    }
+    for (const [field, [min, max]] of Object.entries(READINGS)) {
+      if (body[field] == null) {
+        update[field] = null;
+        continue;
+      }
+      const n = Number(body[field]);
+      if (Number.isFinite(n) && n >= min && n <= max) update[field] = n;
+      else error(field, `${field} must be a number from ${min} to ${max}`);
+    }
+
+    update.recordedAt = new Date();
+    if (body.recordedAt != null) {
+      const recordedAt = new Date(body.recordedAt);
+      if (isNaN(recordedAt.getTime())) error('recordedAt', 'recordedAt must be an ISO 8601 date');
+      else if (recordedAt.getTime() - Date.now() > MAX_CLOCK_SKEW) error('recordedAt', 'recordedAt is in the future');
+      else update.recordedAt = recordedAt;
+    }
+    if (body.timezone != null && !isValidTimeZone(body.timezone)) error('timezone', 'Unknown time zone');
+    update.timezone = body.timezone || null;
+
+    return { update: errors.length ? null : update, errors };
+  }
+
+  // Record a parsed update, opening a new session if there is none today.
+  // Fixes older than the one already stored are ignored. Returns the
+  // session: { startedAt, expiresAt, recordedAt, accepted }.
+  async update(userId, update) {
+    const user = await query('SELECT timezone FROM users WHERE id = $1', [userId]);
+    const timezone = resolveTimeZone(update.timezone || (user.rows[0] && user.rows[0].timezone), update.longitude);
+    const resort = await resortService.match({ latitude: update.latitude, longitude: update.longitude });
+
+    const result = await query(
+      `INSERT INTO location_sessions (user_id, timezone, expires_at, latitude, longitude, altitude, accuracy,
+                                      speed, heading, resort_id, recorded_at)
+       VALUES ($1, $2::text, (date_trunc('day', NOW() AT TIME ZONE $2::text) + INTERVAL '1 day') AT TIME ZONE $2::text,
+               $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (user_id) DO UPDATE SET
+         timezone = CASE WHEN location_sessions.expires_at <= NOW() THEN EXCLUDED.timezone ELSE location_sessions.timezone END,
+         started_at = CASE WHEN location_sessions.expires_at <= NOW() THEN NOW() ELSE location_sessions.started_at END,
+         expires_at = CASE WHEN location_sessions.expires_at <= NOW() THEN EXCLUDED.expires_at ELSE location_sessions.expires_at END,
+         latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude, altitude = EXCLUDED.altitude,
+         accuracy = EXCLUDED.accuracy, speed = EXCLUDED.speed, heading = EXCLUDED.heading,
+         resort_id = EXCLUDED.resort_id, recorded_at = EXCLUDED.recorded_at, updated_at = NOW()
+       WHERE location_sessions.expires_at <= NOW() OR EXCLUDED.recorded_at >= location_sessions.recorded_at
+       RETURNING started_at, expires_at, recorded_at`,
+      [userId, timezone, update.latitude, update.longitude, update.altitude, update.accuracy,
+        update.speed, update.heading, resort ? resort.id : null, update.recordedAt]
+    );
+
+    if (!result.rows.length) {
+      const current = await this.session(userId);
+      return { ...current, accepted: false };
+    }
+    const row = result.rows[0];
+    await this._broadcast(userId).catch(err => console.error('Location broadcast error:', err));
+    return { startedAt: row.started_at, expiresAt: row.expires_at, recordedAt: row.recorded_at, accepted: true };
+  }
+
+  // The user's own session today, or null
+  async session(userId) {
+    const result = await query(
+      'SELECT started_at, expires_at, recorded_at FROM location_sessions WHERE user_id = $1 AND expires_at > NOW()',
+      [userId]
+    );
+    const row = result.rows[0];
+    return row ? { startedAt: row.started_at, expiresAt: row.expires_at, recordedAt: row.recorded_at } : null;
+  }
+
+  // Stop sharing before the day is over; false if the user wasn't sharing
+  async stop(userId) {
+    const result = await query(
+      'DELETE FROM location_sessions WHERE user_id = $1 RETURNING expires_at > NOW() as active',
+      [userId]
+    );
+    if (!result.rows.length || !result.rows[0].active) return false;
+    await realtimeService.publish(await this._audience(userId), { type: 'location.stopped', userId });
+    return true;
+  }
+
+  // Delete sessions whose day is over. Returns how many.
+  async pruneExpired() {
+    const result = await query('DELETE FROM location_sessions WHERE expires_at <= NOW()');
+    return result.rowCount;
+  }
+
+  // ==========================================
+  // FRIENDS' LOCATIONS
+  // ==========================================
+
+  // Latest position of every friend sharing with the viewer, freshest first
+  async friendLocations(viewerId) {
+    const result = await query(
+      `SELECT ${LOCATION_COLUMNS}
+       FROM friendships f
+       JOIN location_sessions s ON s.user_id = CASE WHEN f.user_id = $1 THEN f.friend_id ELSE f.user_id END
+       JOIN users u ON u.id = s.user_id AND u.is_active = true
+       LEFT JOIN resorts rs ON rs.id = s.resort_id
+       WHERE (f.user_id = $1 OR f.friend_id = $1) AND f.status = 'accepted' AND s.expires_at > NOW()
+         AND NOT EXISTS (SELECT 1 FROM location_hidden h WHERE h.user_id = s.user_id AND h.friend_id = $1)
+       ORDER BY s.recorded_at DESC`,
+      [viewerId]
+    );
+    return result.rows.map(row => this.format(row));
+  }
+
+  // A user's current position, whoever may see it; null if not sharing
+  async _location(userId) {
+    const result = await query(
+      `SELECT ${LOCATION_COLUMNS}
+       FROM location_sessions s
+       JOIN users u ON u.id = s.user_id AND u.is_active = true
+       LEFT JOIN resorts rs ON rs.id = s.resort_id
+       WHERE s.user_id = $1 AND s.expires_at > NOW()`,
+      [userId]
+    );
+    return result.rows.length ? this.format(result.rows[0]) : null;
+  }
+
+  // ==========================================
+  // VISIBILITY
+  // ==========================================
+
+  // Every friend and whether they can see the user's location
+  async visibility(userId) {
+    const result = await query(
+      `SELECT u.id, u.display_name, (h.friend_id IS NULL) as visible
+       FROM friendships f
+       JOIN users u ON u.id = CASE WHEN f.user_id = $1 THEN f.friend_id ELSE f.user_id END
+       LEFT JOIN location_hidden h ON h.user_id = $1 AND h.friend_id = u.id
+       WHERE (f.user_id = $1 OR f.friend_id = $1) AND f.status = 'accepted'
+       ORDER BY u.display_name`,
+      [userId]
+    );
+    return result.rows.map(r => ({ userId: r.id, displayName: r.display_name, visible: r.visible }));
+  }
+
+  // Show or hide the user's location from one friend. Takes effect at once:
+  // a friend who loses sight gets location.stopped, one who gains it gets the
+  // current position. Callers check the two are friends.
+  async setVisible(userId, friendId, visible) {
+    if (visible) {
+      await query('DELETE FROM location_hidden WHERE user_id = $1 AND friend_id = $2', [userId, friendId]);
+      const location = await this._location(userId);
+      if (location) await realtimeService.publish([friendId], { type: 'location', location });
+    } else {
+      await query(
+        'INSERT INTO location_hidden (user_id, friend_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [userId, friendId]
+      );
+      await realtimeService.publish([friendId], { type: 'location.stopped', userId });
+    }
+  }
+
+  // ==========================================
+  // LIVE UPDATES
+  // ==========================================
+
+  // Push friends' location events to `listener` until the returned function
+  // is called. Events: { type: 'location', location } and
+  // { type: 'location.stopped', userId }.
+  subscribe(userId, listener) {
+    return realtimeService.subscribe(userId, listener, { types: EVENT_TYPES });
+  }
+
+  // Send the sharer's new position to every friend who may see it. The
+  // update is already saved, so callers log a failure here and go on.
+  async _broadcast(userId) {
+    const location = await this._location(userId);
+    if (location) await realtimeService.publish(await this._audience(userId), { type: 'location', location });
+  }
+
+  // Friends allowed to see the user's location
+  async _audience(userId) {
+    const result = await query(
+      `SELECT CASE WHEN f.user_id = $1 THEN f.friend_id ELSE f.user_id END as viewer_id
+       FROM friendships f
+       WHERE (f.user_id = $1 OR f.friend_id = $1) AND f.status = 'accepted'
+         AND NOT EXISTS (SELECT 1 FROM location_hidden h
+                         WHERE h.user_id = $1 AND h.friend_id = CASE WHEN f.user_id = $1 THEN f.friend_id ELSE f.user_id END)`,
+      [userId]
+    );
+    return result.rows.map(r => r.viewer_id);
+  }
+
+  // ==========================================
+  // FORMATTING
+  // ==========================================
+
+  // `age` is seconds since the fix; `freshness` is live, recent or stale
+  format(row) {
+    const age = Math.max(0, Math.round(parseFloat(row.age)));
+    return {
+      user: { id: row.user_id, displayName: row.display_name, avatarUrl: row.avatar_url || null },
+      latitude: row.latitude,
+      longitude: row.longitude,
+      altitude: row.altitude,
+      accuracy: row.accuracy,
+      speed: row.speed,
+      heading: row.heading,
+      resort: row.resort_id ? { id: row.resort_id, slug: row.resort_slug, name: row.resort_name } : null,
+      recordedAt: row.recorded_at,
+      age,
+      freshness: age <= LIVE_AGE ? 'live' : age <= RECENT_AGE ? 'recent' : 'stale',
+      stale: age > RECENT_AGE,
+      sharingUntil: row.expires_at,
+    };
+  }
+}
+
+module.exports = new LocationService();
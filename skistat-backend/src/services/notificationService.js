@@ -0,0 +1,180 @@
+const { query } = require('../../config/database');
+const ApnsTransport = require('./notifications/apnsTransport');
+const FcmTransport = require('./notifications/fcmTransport');
+const { MemoryTransport, FileTransport } = require('./notifications/localTransport');
+
+// Which profile preference switches each notification type
+const CATEGORIES = {
+  friend_request: 'friendRequests',
+  friend_accepted: 'friendRequests',
+  overtaken: 'leaderboard',
+  achievement: 'achievements',
+  challenge_invite: 'challenges',
+  challenge_result: 'challenges',
+};
+
+const DEFAULT_PREFERENCES = {
+  friendRequests: true,
+  leaderboard: true,
+  achievements: true,
+  challenges: true,
+};
+
+// Sends to APNs or FCM depending on the device's platform
+class PushTransport {
+  constructor() {
+    this.byPlatform = {};
+  }
+
+  send(device, message) {
+    const platform = device.platform === 'android' ? 'android' : 'ios';
+    if (!this.byPlatform[platform]) {
+      this.byPlatform[platform] = platform === 'android' ? new FcmTransport() : new ApnsTransport();
+    }
+    return this.byPlatform[platform].send(device, message);
+  }
+}
+
+// NOTIFICATION_TRANSPORT = push | file | memory
+// Defaults to push in production, memory everywhere else.
+function createTransport(name = process.env.NOTIFICATION_TRANSPORT) {
+  const selected = name || (process.env.NODE_ENV === 'production' ? 'push' : 'memory');
+  if (selected === 'push') return new PushTransport();
+  if (selected === 'file') return new FileTransport();
+  if (selected === 'memory') return new MemoryTransport();
+  throw new Error(`Unknown NOTIFICATION_TRANSPORT "${selected}"`);
+}
+
+class NotificationService {
+  constructor() {
+    this.transport = createTransport();
+  }
+
+  // Swap the transport (tests use a MemoryTransport)
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // Stored preferences merged over the defaults
+  preferences(stored) {
+    return { ...DEFAULT_PREFERENCES, ...(stored || {}) };
+  }
+
+  // ==========================================
+  // DELIVERY
+  // ==========================================
+
+  // Send a notification to all of a user's devices, honoring their
+  // preferences and quiet hours. Never throws — a failed push must not fail
+  // the request that triggered it.
+  async notify(userId, type, message) {
+    try {
+      const userResult = await query(
+        `SELECT notification_prefs, quiet_hours_start, quiet_hours_end, timezone
+         FROM users WHERE id = $1 AND is_active = true`,
+        [userId]
+      );
+      if (userResult.rows.length === 0) return { sent: 0, skipped: 'no_user' };
+      const user = userResult.rows[0];
+
+      const preferences = this.preferences(user.notification_prefs);
+      const category = CATEGORIES[type];
+      if (category && preferences[category] === false) return { sent: 0, skipped: 'preference' };
+
+      if (this.inQuietHours(user.quiet_hours_start, user.quiet_hours_end, user.timezone)) {
+        return { sent: 0, skipped: 'quiet_hours' };
+      }
+
+      const devices = await query('SELECT token, platform, environment FROM device_tokens WHERE user_id = $1', [userId]);
+      let sent = 0;
+      for (const device of devices.rows) {
+        const result = await this.transport.send(device, { ...message, data: { type, ...(message.data || {}) } });
+        if (result.ok) {
+          sent++;
+          await query('UPDATE device_tokens SET last_used_at = NOW() WHERE user_id = $1 AND token = $2', [userId, device.token]);
+        } else if (result.invalidToken) {
+          await query('DELETE FROM device_tokens WHERE user_id = $1 AND token = $2', [userId, device.token]);
+        } else {
+          console.error(`Push to ${device.platform} failed:`, result.error);
+        }
+      }
+      return { sent };
+    } catch (err) {
+      console.error('Notification error:', err);
+      return { sent: 0, skipped: 'error' };
+    }
+  }
+
+  // Quiet hours are "HH:MM" in the user's time zone and may wrap past midnight
+  inQuietHours(start, end, timezone, now = new Date()) {
+    if (!start || !end || start === end) return false;
+    let local;
+    try {
+      local = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone || 'UTC', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+      }).format(now);
+    } catch (e) {
+      return false;
+    }
+    return start < end ? local >= start && local < end : local >= start || local < end;
+  }
+
+  // ==========================================
+  // EVENTS
+  // ==========================================
+
+  friendRequest(recipientId, sender) {
+    return this.notify(recipientId, 'friend_request', {
+      title: 'New friend request',
+      body: `${sender.display_name} wants to be your friend on SkiStat`,
+      data: { userId: sender.id },
+    });
+  }
+
+  friendAccepted(recipientId, friend) {
+    return this.notify(recipientId, 'friend_accepted', {
+      title: 'Friend added',
+      body: `You and ${friend.display_name} are now friends`,
+      data: { userId: friend.id },
+    });
+  }
+
+  overtaken(recipientId, passer, board, label) {
+    return this.notify(recipientId, 'overtaken', {
+      title: 'You\'ve been passed!',
+      body: `${passer.display_name} just passed you on the ${label} leaderboard`,
+      data: { userId: passer.id, board },
+    });
+  }
+
+  achievementUnlocked(userId, achievement) {
+    return this.notify(userId, 'achievement', {
+      title: 'Achievement unlocked',
+      body: `${achievement.name} — ${achievement.description}`,
+      data: { achievementId: achievement.id },
+    });
+  }
+
+  challengeInvite(recipientId, creator, challenge) {
+    return this.notify(recipientId, 'challenge_invite', {
+      title: 'You\'ve been challenged!',
+      body: `${creator.display_name} challenged you: ${challenge.title}`,
+      data: { challengeId: challenge.id, userId: creator.id },
+    });
+  }
+
+  // standing: the recipient's final { rank }; winner: the winning standing or null (a draw)
+  challengeResult(recipientId, challenge, standing, winner) {
+    let body;
+    if (!winner) body = `${challenge.title} ended in a draw`;
+    else if (winner.userId === recipientId) body = `You won ${challenge.title}!`;
+    else body = `${winner.displayName} won ${challenge.title} — you finished #${standing.rank || '–'}`;
+    return this.notify(recipientId, 'challenge_result', {
+      title: 'Challenge finished',
+      body,
+      data: { challengeId: challenge.id },
+    });
+  }
+}
+
+module.exports = new NotificationService();
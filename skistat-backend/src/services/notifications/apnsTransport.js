@@ -0,0 +1,109 @@
+const fs = require('fs');
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+
+// Apple Push Notification service over HTTP/2 with token (.p8) auth.
+//
+//   APNS_KEY or APNS_KEY_PATH  — contents of / path to the AuthKey_XXXX.p8 file
+//   APNS_KEY_ID                — the key's ID
+//   APPLE_TEAM_ID              — Developer Team ID (shared with Sign In with Apple)
+//   APPLE_CLIENT_ID            — bundle ID, used as the apns-topic
+//   APNS_ENVIRONMENT           — "production" or "sandbox" (default: by NODE_ENV)
+
+const HOSTS = {
+  production: 'https://api.push.apple.com',
+  sandbox: 'https://api.sandbox.push.apple.com',
+};
+
+const TOKEN_TTL = 50 * 60 * 1000; // Apple rejects provider tokens older than an hour
+
+// Responses that mean the device token will never work again
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+class ApnsTransport {
+  constructor(options = {}) {
+    this.keyId = options.keyId || process.env.APNS_KEY_ID;
+    this.teamId = options.teamId || process.env.APPLE_TEAM_ID;
+    this.topic = options.topic || process.env.APPLE_CLIENT_ID;
+    this.key = options.key || process.env.APNS_KEY ||
+      (process.env.APNS_KEY_PATH ? fs.readFileSync(process.env.APNS_KEY_PATH, 'utf8') : null);
+    this.defaultEnvironment = options.environment || process.env.APNS_ENVIRONMENT ||
+      (process.env.NODE_ENV === 'production' ? 'production' : 'sandbox');
+    this.sessions = {};
+    this.providerToken = null;
+  }
+
+  _token() {
+    if (!this.key || !this.keyId || !this.teamId) {
+      throw new Error('APNs is not configured (APNS_KEY, APNS_KEY_ID, APPLE_TEAM_ID)');
+    }
+    if (!this.providerToken || Date.now() - this.providerToken.issuedAt > TOKEN_TTL) {
+      this.providerToken = {
+        value: jwt.sign({}, this.key, { algorithm: 'ES256', keyid: this.keyId, issuer: this.teamId }),
+        issuedAt: Date.now(),
+      };
+    }
+    return this.providerToken.value;
+  }
+
+  _session(environment) {
+    const existing = this.sessions[environment];
+    if (existing && !existing.closed && !existing.destroyed) return existing;
+
+    const session = http2.connect(HOSTS[environment] || HOSTS.production);
+    session.on('error', () => session.destroy());
+    session.on('goaway', () => session.close());
+    session.unref();
+    this.sessions[environment] = session;
+    return session;
+  }
+
+  // device: { token, environment? }, message: { title, body, data, badge? }
+  send(device, message) {
+    const payload = JSON.stringify({
+      aps: {
+        alert: { title: message.title, body: message.body },
+        sound: 'default',
+        ...(message.badge !== undefined ? { badge: message.badge } : {}),
+      },
+      ...(message.data || {}),
+    });
+
+    return new Promise((resolve) => {
+      let req;
+      try {
+        req = this._session(device.environment || this.defaultEnvironment).request({
+          ':method': 'POST',
+          ':path': `/3/device/${device.token}`,
+          authorization: `bearer ${this._token()}`,
+          'apns-topic': this.topic,
+          'apns-push-type': 'alert',
+          'apns-priority': '10',
+          'content-type': 'application/json',
+        });
+      } catch (err) {
+        return resolve({ ok: false, error: err.message });
+      }
+
+      let status = 0;
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('response', (headers) => { status = headers[':status']; });
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('error', (err) => resolve({ ok: false, error: err.message }));
+      req.on('end', () => {
+        if (status === 200) return resolve({ ok: true });
+        let reason = `HTTP ${status}`;
+        try { reason = JSON.parse(body).reason || reason; } catch (e) { /* empty body */ }
+        resolve({
+          ok: false,
+          error: reason,
+          invalidToken: status === 410 || INVALID_TOKEN_REASONS.includes(reason),
+        });
+      });
+      req.end(payload);
+    });
+  }
+}
+
+module.exports = ApnsTransport;
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+// Firebase Cloud Messaging, HTTP v1 API, authenticated with a service account.
+//
+//   FCM_SERVICE_ACCOUNT or FCM_SERVICE_ACCOUNT_PATH — service account JSON / path to it
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+class FcmTransport {
+  constructor(options = {}) {
+    const raw = options.serviceAccount || process.env.FCM_SERVICE_ACCOUNT ||
+      (process.env.FCM_SERVICE_ACCOUNT_PATH ? fs.readFileSync(process.env.FCM_SERVICE_ACCOUNT_PATH, 'utf8') : null);
+    this.account = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    this.accessToken = null;
+  }
+
+  async _accessToken() {
+    if (!this.account) throw new Error('FCM is not configured (FCM_SERVICE_ACCOUNT)');
+    if (this.accessToken && this.accessToken.expiresAt > Date.now() + 60 * 1000) {
+      return this.accessToken.value;
+    }
+
+    const assertion = jwt.sign({ scope: SCOPE }, this.account.private_key, {
+      algorithm: 'RS256',
+      issuer: this.account.client_email,
+      audience: TOKEN_URL,
+      expiresIn: '1h',
+    });
+
+    const res = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }),
+    });
+    if (!res.ok) throw new Error(`FCM auth failed: HTTP ${res.status}`);
+    const data = await res.json();
+
+    this.accessToken = { value: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+    return this.accessToken.value;
+  }
+
+  // device: { token }, message: { title, body, data }
+  async send(device, message) {
+    try {
+      const accessToken = await this._accessToken();
+      // FCM data payloads must be string → string
+      const data = Object.fromEntries(
+        Object.entries(message.data || {}).map(([k, v]) => [k, typeof v === 'string' ? v : JSON.stringify(v)])
+      );
+
+      const res = await fetch(`https://fcm.googleapis.com/v1/projects/${this.account.project_id}/messages:send`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          message: {
+            token: device.token,
+            notification: { title: message.title, body: message.body },
+            data,
+          },
+        }),
+      });
+
+      if (res.ok) return { ok: true };
+
+      let status = `HTTP ${res.status}`;
+      try {
+        const body = await res.json();
+        const details = (body.error && body.error.details) || [];
+        status = (details.find(d => d.errorCode) || {}).errorCode || (body.error && body.error.status) || status;
+      } catch (e) { /* non-JSON error body */ }
+
+      return { ok: false, error: status, invalidToken: res.status === 404 || status === 'UNREGISTERED' };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  }
+}
+
+module.exports = FcmTransport;
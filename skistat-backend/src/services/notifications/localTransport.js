@@ -0,0 +1,44 @@
+const fs = require('fs');
+
+// Transports for development and tests: nothing leaves the machine.
+
+// Messages MemoryTransport keeps; older ones are dropped so a long-running
+// server without real push (staging, NODE_ENV unset) doesn't grow forever
+const MAX_SENT = 1000;
+
+// Keeps the latest MAX_SENT messages in memory; tests can inspect and clear
+// `sent`.
+class MemoryTransport {
+  constructor(limit = MAX_SENT) {
+    this.sent = [];
+    this.limit = limit;
+  }
+
+  async send(device, message) {
+    this.sent.push({ device, message, sentAt: new Date() });
+    if (this.sent.length > this.limit) this.sent.shift();
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`[push:${device.platform}] ${message.title} — ${message.body}`);
+    }
+    return { ok: true };
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+// Appends each message as a JSON line to a file (NOTIFICATIONS_FILE)
+class FileTransport {
+  constructor(file = process.env.NOTIFICATIONS_FILE || 'notifications.log') {
+    this.file = file;
+  }
+
+  async send(device, message) {
+    const line = JSON.stringify({ sentAt: new Date().toISOString(), device, message });
+    await fs.promises.appendFile(this.file, `${line}\n`);
+    return { ok: true };
+  }
+}
+
+module.exports = { MemoryTransport, FileTransport };
@@ -0,0 +1,27 @@
+// Pub/sub within one process: what's published here is only heard here.
+// Enough for a single server; run several behind a load balancer with
+// PostgresPubSub instead.
+class MemoryPubSub {
+  constructor() {
+    this.handlers = new Set();
+    this.maxPayload = Infinity;
+  }
+
+  // Delivered on a later tick, like a message that went through Postgres
+  async publish(message) {
+    const copy = JSON.parse(JSON.stringify(message));
+    setImmediate(() => {
+      for (const handler of this.handlers) handler(copy);
+    });
+  }
+
+  subscribe(handler) {
+    this.handlers.add(handler);
+  }
+
+  async close() {
+    this.handlers.clear();
+  }
+}
+
+module.exports = MemoryPubSub;
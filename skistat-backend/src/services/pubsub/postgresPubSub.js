@@ -0,0 +1,84 @@
+const { Client } = require('pg');
+const { query } = require('../../../config/database');
+
+const DEFAULT_CHANNEL = 'skistat_events';
+
+// NOTIFY payloads must stay under 8000 bytes
+const MAX_PAYLOAD = 7900;
+
+// Reconnect delays after the LISTEN connection drops (ms)
+const RETRY_MIN = 1000;
+const RETRY_MAX = 30 * 1000;
+
+// Pub/sub across server instances with Postgres LISTEN/NOTIFY: every instance
+// listening on the channel hears what any of them publishes. Messages are
+// JSON; NOTIFY is fire-and-forget, so one published while an instance is
+// reconnecting is lost to it.
+class PostgresPubSub {
+  constructor(channel = process.env.REALTIME_CHANNEL || DEFAULT_CHANNEL) {
+    this.channel = channel;
+    this.handlers = new Set();
+    this.maxPayload = MAX_PAYLOAD;
+    this.client = null;
+    this.retryDelay = RETRY_MIN;
+    this.closed = false;
+  }
+
+  async publish(message) {
+    await query('SELECT pg_notify($1, $2)', [this.channel, JSON.stringify(message)]);
+  }
+
+  // The first subscriber opens the LISTEN connection
+  subscribe(handler) {
+    this.handlers.add(handler);
+    if (!this.client) this._connect();
+  }
+
+  async close() {
+    this.closed = true;
+    this.handlers.clear();
+    if (this.client) await this.client.end().catch(() => {});
+    this.client = null;
+  }
+
+  // A dedicated connection (LISTEN can't share pooled ones), reopened with
+  // backoff whenever it fails
+  _connect() {
+    const client = new Client({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+    this.client = client;
+
+    client.on('notification', (msg) => {
+      if (msg.channel !== this.channel) return;
+      let message;
+      try {
+        message = JSON.parse(msg.payload);
+      } catch (err) {
+        return console.error('Pub/sub message is not JSON:', msg.payload);
+      }
+      for (const handler of this.handlers) handler(message);
+    });
+
+    const retry = (err) => {
+      if (this.client !== client || this.closed) return;
+      console.error(`Pub/sub connection lost, retrying in ${this.retryDelay / 1000}s:`, err ? err.message : 'closed');
+      this.client = null;
+      client.end().catch(() => {});
+      setTimeout(() => {
+        if (!this.closed && !this.client) this._connect();
+      }, this.retryDelay).unref();
+      this.retryDelay = Math.min(this.retryDelay * 2, RETRY_MAX);
+    };
+    client.on('error', retry);
+    client.on('end', () => retry(null));
+
+    client.connect()
+      .then(() => client.query(`LISTEN ${client.escapeIdentifier(this.channel)}`))
+      .then(() => { this.retryDelay = RETRY_MIN; })
+      .catch(retry);
+  }
+}
+
+module.exports = PostgresPubSub;
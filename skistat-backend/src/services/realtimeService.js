@@ -0,0 +1,161 @@
+const MemoryPubSub = require('./pubsub/memoryPubSub');
+const PostgresPubSub = require('./pubsub/postgresPubSub');
+
+// Every event type a client can receive
+const EVENT_TYPES = ['friend.runs', 'friend.request', 'friend.accepted', 'leaderboard.overtaken',
+  'location', 'location.stopped'];
+
+// Newest runs an upload's friend.runs event carries
+const ACTIVITY_RUNS = 10;
+
+// REALTIME_PUBSUB = postgres | memory
+// Defaults to postgres in production, memory everywhere else.
+function createPubSub(name = process.env.REALTIME_PUBSUB) {
+  const selected = name || (process.env.NODE_ENV === 'production' ? 'postgres' : 'memory');
+  if (selected === 'postgres') return new PostgresPubSub();
+  if (selected === 'memory') return new MemoryPubSub();
+  throw new Error(`Unknown REALTIME_PUBSUB "${selected}"`);
+}
+
+// Events pushed to connected clients (the /v1/realtime WebSocket and SSE
+// stream, and the live location ones). Whoever causes an event publishes it
+// for a list of users; every server instance hears it through the pub/sub
+// and hands it to the listeners of those users connected to it.
+//
+// Each event is { type, at, ...data }. Like push notifications, publishing
+// never throws — a lost event must not fail the request that caused it.
+class RealtimeService {
+  constructor() {
+    this.pubsub = createPubSub();
+    this.listeners = new Map(); // userId → Set of { listener, types }
+    this.listening = false;
+  }
+
+  // Swap the pub/sub (tests use a MemoryPubSub)
+  setPubSub(pubsub) {
+    this.pubsub = pubsub;
+    this.listening = false;
+    if (this.listeners.size) this._listen();
+  }
+
+  // A comma-separated ?types= filter as { types, error }; types is null
+  // (every type) when the value is empty
+  parseTypes(value) {
+    if (!value) return { types: null, error: null };
+    const types = [...new Set(String(value).split(',').map(t => t.trim()))];
+    const unknown = types.filter(t => !EVENT_TYPES.includes(t));
+    if (unknown.length) return { types: null, error: `Unknown event types: ${unknown.join(', ')}` };
+    return { types, error: null };
+  }
+
+  // ==========================================
+  // DELIVERY
+  // ==========================================
+
+  async publish(userIds, event) {
+    const to = [...new Set(userIds.filter(Boolean).map(String))];
+    if (!to.length) return;
+    try {
+      for (const message of split({ to, event: { ...event, at: new Date().toISOString() } }, this.pubsub.maxPayload)) {
+        await this.pubsub.publish(message);
+      }
+    } catch (err) {
+      console.error('Realtime publish error:', err);
+    }
+  }
+
+  // Call `listener(event)` for each event published for the user until the
+  // returned function is called. `types` limits it to those event types.
+  subscribe(userId, listener, { types = null } = {}) {
+    const key = String(userId);
+    if (!this.listeners.has(key)) this.listeners.set(key, new Set());
+    const entry = { listener, types };
+    this.listeners.get(key).add(entry);
+    if (!this.listening) this._listen();
+
+    return () => {
+      const entries = this.listeners.get(key);
+      if (!entries) return;
+      entries.delete(entry);
+      if (!entries.size) this.listeners.delete(key);
+    };
+  }
+
+  _listen() {
+    this.listening = true;
+    this.pubsub.subscribe(message => this._deliver(message));
+  }
+
+  // A listener that throws must not stop the others
+  _deliver({ to, event }) {
+    for (const userId of to || []) {
+      for (const { listener, types } of this.listeners.get(userId) || []) {
+        if (types && !types.includes(event.type)) continue;
+        try {
+          listener(event);
+        } catch (err) {
+          console.error('Realtime listener error:', err);
+        }
+      }
+    }
+  }
+
+  // ==========================================
+  // EVENTS
+  // ==========================================
+
+  // A friend uploaded new runs: friends get the newest ACTIVITY_RUNS of them
+  friendRuns(friendIds, user, runs) {
+    const newest = [...runs].sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+    return this.publish(friendIds, {
+      type: 'friend.runs',
+      user: { id: user.id, displayName: user.display_name },
+      count: runs.length,
+      runs: newest.slice(0, ACTIVITY_RUNS).map(run => ({
+        id: run.id, runName: run.runName, resortName: run.resortName, startTime: run.startTime,
+        distance: run.distance, maxSpeed: run.maxSpeed, elevationDrop: run.elevationDrop,
+        duration: run.duration, points: run.points, difficulty: run.difficulty,
+      })),
+    });
+  }
+
+  overtaken(recipientId, passer, board, label) {
+    return this.publish([recipientId], {
+      type: 'leaderboard.overtaken',
+      user: { id: passer.id, displayName: passer.display_name },
+      board,
+      label,
+    });
+  }
+
+  friendRequest(recipientId, sender) {
+    return this.publish([recipientId], {
+      type: 'friend.request',
+      user: { id: sender.id, displayName: sender.display_name },
+    });
+  }
+
+  friendAccepted(recipientId, friend) {
+    return this.publish([recipientId], {
+      type: 'friend.accepted',
+      user: { id: friend.id, displayName: friend.display_name },
+    });
+  }
+}
+
+// Messages small enough for the pub/sub, splitting the recipients as needed.
+// One that can't shrink further is dropped with a log line.
+function split(message, maxPayload) {
+  if (Buffer.byteLength(JSON.stringify(message)) <= maxPayload) return [message];
+  if (message.to.length < 2) {
+    console.error(`Realtime event ${message.event.type} is too large to publish`);
+    return [];
+  }
+  const half = Math.ceil(message.to.length / 2);
+  return [
+    ...split({ ...message, to: message.to.slice(0, half) }, maxPayload),
+    ...split({ ...message, to: message.to.slice(half) }, maxPayload),
+  ];
+}
+
+module.exports = new RealtimeService();
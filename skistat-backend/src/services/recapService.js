@@ -0,0 +1,209 @@
+const { query } = require('../../config/database');
+const seasonService = require('./seasonService');
+const statsService = require('./statsService');
+const friendService = require('./friendService');
+const leaderboardService = require('./leaderboardService');
+const definitions = require('./achievements/definitions');
+const { generateToken } = require('../utils/helpers');
+
+// Season vert is compared to these, tallest first (meters)
+const MOUNTAINS = [
+  { name: 'Mount Everest', height: 8849 },
+  { name: 'Denali', height: 6190 },
+  { name: 'Kilimanjaro', height: 5895 },
+  { name: 'Mont Blanc', height: 4806 },
+  { name: 'the Matterhorn', height: 4478 },
+  { name: 'Mount Fuji', height: 3776 },
+];
+
+// Friend boards a recap ranks you on
+const FRIEND_BOARDS = ['season', 'vert', 'distance', 'speed', 'runs'];
+
+// A season in review ("Wrapped"): headline numbers from the daily stats
+// rollup, where you finished among your friends and what you unlocked. Built
+// on demand — a finished season's boards are frozen, so its recap settles
+// once the season is over.
+class RecapService {
+
+  // ==========================================
+  // RECAP
+  // ==========================================
+
+  // The season for a label on a hemisphere's calendar, or null
+  season(label, hemisphere = 'north') {
+    return seasonService.byLabel(label, { hemisphere });
+  }
+
+  async build(userId, season) {
+    const totals = await statsService.totals(userId, season);
+    const userIds = await friendService.getFriendIds(userId); // you + friends
+
+    return {
+      season: seasonService.describe(season),
+      finished: seasonService.isOver(season),
+      totals,
+      vertComparison: compareVert(totals.vert),
+      favoriteResort: await this._favoriteResort(userId, season),
+      bestDay: await this._bestDay(userId, season),
+      fastestRun: await this._fastestRun(userId, season),
+      friendRankings: userIds.length > 1 ? await this._friendRankings(userId, userIds, season) : null,
+      achievements: await this._achievements(userId, season),
+    };
+  }
+
+  // Most ski days at one catalog resort (ties: most vert)
+  async _favoriteResort(userId, season) {
+    const result = await query(
+      `SELECT rs.id, rs.slug, rs.name, COUNT(DISTINCT d.local_date) as ski_days,
+              SUM(d.run_count) as runs, SUM(d.vert) as vert
+       FROM user_daily_stats d
+       JOIN resorts rs ON rs.id = d.resort_id
+       WHERE d.user_id = $1 AND d.local_date >= $2::date AND d.local_date < $3::date
+       GROUP BY rs.id
+       ORDER BY ski_days DESC, vert DESC LIMIT 1`,
+      [userId, season.from, season.until]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    return {
+      id: row.id, slug: row.slug, name: row.name,
+      skiDays: parseInt(row.ski_days), runs: parseInt(row.runs), vert: parseFloat(row.vert),
+    };
+  }
+
+  // The day with the most vert
+  async _bestDay(userId, season) {
+    const result = await query(
+      `SELECT d.local_date::text as day, SUM(d.run_count) as runs, SUM(d.vert) as vert,
+              SUM(d.distance) as distance, MAX(d.top_speed) as top_speed,
+              (ARRAY_AGG(rs.name ORDER BY d.vert DESC) FILTER (WHERE rs.name IS NOT NULL))[1] as resort_name
+       FROM user_daily_stats d
+       LEFT JOIN resorts rs ON rs.id = d.resort_id
+       WHERE d.user_id = $1 AND d.local_date >= $2::date AND d.local_date < $3::date
+       GROUP BY d.local_date
+       ORDER BY vert DESC, d.local_date LIMIT 1`,
+      [userId, season.from, season.until]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    return {
+      date: row.day, resortName: row.resort_name, runs: parseInt(row.runs),
+      vert: parseFloat(row.vert), distance: parseFloat(row.distance), topSpeed: parseFloat(row.top_speed),
+    };
+  }
+
+  async _fastestRun(userId, season) {
+    const result = await query(
+      `SELECT r.id, r.run_name, r.resort_name, r.start_time, r.max_speed, r.difficulty
+       FROM user_daily_stats d
+       JOIN runs r ON r.id = d.top_speed_run_id
+       WHERE d.user_id = $1 AND d.local_date >= $2::date AND d.local_date < $3::date
+       ORDER BY d.top_speed DESC LIMIT 1`,
+      [userId, season.from, season.until]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    return {
+      id: row.id, runName: row.run_name, resortName: row.resort_name, startTime: row.start_time,
+      maxSpeed: parseFloat(row.max_speed), difficulty: row.difficulty,
+    };
+  }
+
+  // Your place among your friends on each season board:
+  // { board: { rank, of, percentile } }
+  async _friendRankings(userId, userIds, season) {
+    const rankings = {};
+    for (const board of FRIEND_BOARDS) {
+      const ranked = await leaderboardService.rank({
+        board, window: season, scope: 'friends', userId, userIds, limit: 1,
+      });
+      rankings[board] = ranked.you
+        ? { rank: ranked.you.rank, of: ranked.total, percentile: ranked.you.percentile }
+        : null;
+    }
+    return rankings;
+  }
+
+  // Achievements unlocked during the season, season and lifetime rules alike
+  async _achievements(userId, season) {
+    const result = await query(
+      `SELECT achievement_id, unlocked_at FROM user_achievements
+       WHERE user_id = $1 AND unlocked_at >= $2::date AND unlocked_at < $3::date
+       ORDER BY unlocked_at`,
+      [userId, season.from, season.until]
+    );
+    const rules = new Map(definitions.map(rule => [rule.id, rule]));
+    return result.rows
+      .filter(row => rules.has(row.achievement_id))
+      .map(row => {
+        const rule = rules.get(row.achievement_id);
+        return { id: rule.id, name: rule.name, description: rule.description, unlockedAt: row.unlocked_at };
+      });
+  }
+
+  // ==========================================
+  // SHARING
+  // ==========================================
+
+  // The public token for a user's recap, created on first share
+  async share(userId, season, hemisphere) {
+    const result = await query(
+      `INSERT INTO recap_shares (token, user_id, season, hemisphere) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, season, hemisphere) DO UPDATE SET token = recap_shares.token
+       RETURNING token, created_at`,
+      [generateToken(16), userId, season.label, hemisphere]
+    );
+    return result.rows[0];
+  }
+
+  async sharedToken(userId, season, hemisphere) {
+    const result = await query(
+      'SELECT token FROM recap_shares WHERE user_id = $1 AND season = $2 AND hemisphere = $3',
+      [userId, season.label, hemisphere]
+    );
+    return result.rows.length ? result.rows[0].token : null;
+  }
+
+  // Revoke a share; false if there wasn't one
+  async unshare(userId, season, hemisphere) {
+    const result = await query(
+      'DELETE FROM recap_shares WHERE user_id = $1 AND season = $2 AND hemisphere = $3',
+      [userId, season.label, hemisphere]
+    );
+    return result.rowCount > 0;
+  }
+
+  // { user, recap } for a public token, or null if it was revoked
+  // or the account is gone
+  async findShared(token) {
+    if (!/^[0-9a-f]{32}$/.test(String(token))) return null;
+    const result = await query(
+      `SELECT s.user_id, s.season, s.hemisphere, u.display_name, u.avatar_url, u.use_metric
+       FROM recap_shares s JOIN users u ON u.id = s.user_id
+       WHERE s.token = $1 AND u.is_active = true`,
+      [token]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    const season = this.season(row.season, row.hemisphere);
+    if (!season) return null;
+    return {
+      user: { displayName: row.display_name, avatarUrl: row.avatar_url, useMetric: row.use_metric !== false },
+      recap: await this.build(row.user_id, season),
+    };
+  }
+}
+
+// How many times the season's vert climbs the tallest mountain it covers at
+// least once (or the smallest one, if none)
+function compareVert(vert) {
+  const mountain = MOUNTAINS.find(m => vert >= m.height) || MOUNTAINS[MOUNTAINS.length - 1];
+  return {
+    mountain: mountain.name,
+    height: mountain.height,
+    times: Math.round((vert / mountain.height) * 10) / 10,
+    everests: Math.round((vert / MOUNTAINS[0].height) * 100) / 100,
+  };
+}
+
+module.exports = new RecapService();
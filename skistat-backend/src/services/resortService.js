@@ -0,0 +1,259 @@
+const { query } = require('../../config/database');
+const { haversineDistance, isValidCoordinate, pointInPolygon } = require('../utils/geo');
+const sessionService = require('./sessionService');
+const rollupService = require('./rollupService');
+const catalog = require('../data/resorts');
+
+const CACHE_TTL = 5 * 60 * 1000; // ms
+const MIN_NAME_SCORE = 0.75;     // fuzzy name matches below this are ignored
+const BACKFILL_BATCH = 500;
+
+// Words that don't tell resorts apart ("Vail Mountain Resort" → "vail")
+const STOPWORDS = new Set(['ski', 'resort', 'mountain', 'mtn', 'area', 'the', 'and', 'station', 'de', 'du', 'am']);
+
+class ResortService {
+  constructor() {
+    this.cache = null;
+  }
+
+  // ==========================================
+  // CATALOG
+  // ==========================================
+
+  // All resorts, cached in memory — the catalog is small and rarely changes
+  async all() {
+    if (!this.cache || Date.now() - this.cache.loadedAt > CACHE_TTL) {
+      const result = await query('SELECT * FROM resorts ORDER BY name');
+      this.cache = { loadedAt: Date.now(), resorts: result.rows.map(r => this.format(r)) };
+    }
+    return this.cache.resorts;
+  }
+
+  async findBySlug(slug) {
+    const resorts = await this.all();
+    return resorts.find(r => r.slug === String(slug).toLowerCase()) || null;
+  }
+
+  // Upsert src/data/resorts.js into the resorts table. `db` is anything with
+  // a pg-style query() (the pool or a migration's client).
+  async syncCatalog(db = { query }) {
+    for (const r of catalog) {
+      await db.query(
+        `INSERT INTO resorts (slug, name, aliases, country, region, latitude, longitude, radius_m, boundary, timezone, base_elevation, summit_elevation)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         ON CONFLICT (slug) DO UPDATE SET name = EXCLUDED.name, aliases = EXCLUDED.aliases,
+           country = EXCLUDED.country, region = EXCLUDED.region, latitude = EXCLUDED.latitude,
+           longitude = EXCLUDED.longitude, radius_m = EXCLUDED.radius_m, boundary = EXCLUDED.boundary,
+           timezone = EXCLUDED.timezone, base_elevation = EXCLUDED.base_elevation,
+           summit_elevation = EXCLUDED.summit_elevation`,
+        [r.slug, r.name, JSON.stringify(r.aliases || []), r.country, r.region, r.latitude, r.longitude,
+          r.radius || 5000, r.boundary ? JSON.stringify(r.boundary) : null, r.timezone, r.base, r.summit]
+      );
+    }
+    this.cache = null;
+    return catalog.length;
+  }
+
+  // ==========================================
+  // MATCHING
+  // ==========================================
+
+  // Find the resort for a run: by coordinates when we have them, otherwise by
+  // fuzzy-matching the free-text name. Returns the resort or null.
+  async match({ latitude, longitude, name } = {}) {
+    const resorts = await this.all();
+    return this.matchByLocation(resorts, latitude, longitude) || this.matchByName(resorts, name);
+  }
+
+  // The resort whose boundary (or radius) contains the point; the closest
+  // center wins when several overlap.
+  matchByLocation(resorts, latitude, longitude) {
+    const point = { lat: Number(latitude), lon: Number(longitude) };
+    if (!isValidCoordinate(point.lat, point.lon)) return null;
+
+    let best = null;
+    for (const resort of resorts) {
+      const distance = haversineDistance(point, { lat: resort.latitude, lon: resort.longitude });
+      const inside = resort.boundary ? pointInPolygon(point, resort.boundary) : distance <= resort.radius;
+      if (inside && (!best || distance < best.distance)) best = { resort, distance };
+    }
+    return best ? best.resort : null;
+  }
+
+  matchByName(resorts, name) {
+    let best = null;
+    for (const resort of resorts) {
+      const score = this.nameScore(resort, name);
+      if (score >= MIN_NAME_SCORE && (!best || score > best.score)) best = { resort, score };
+    }
+    return best ? best.resort : null;
+  }
+
+  // 0–1 similarity between a typed name and a resort's name or aliases
+  nameScore(resort, name) {
+    const typed = normalizeName(name);
+    if (!typed) return 0;
+    let best = 0;
+    for (const candidate of [resort.name, resort.slug, ...resort.aliases]) {
+      const normalized = normalizeName(candidate);
+      if (!normalized) continue;
+      if (normalized === typed) return 1;
+      best = Math.max(best, diceCoefficient(typed, normalized));
+    }
+    return best;
+  }
+
+  // ==========================================
+  // LOOKUPS
+  // ==========================================
+
+  // Resorts whose name or aliases resemble `text`, best first
+  async search(text, limit = 20) {
+    const needle = normalizeName(text);
+    if (!needle) return [];
+    const resorts = await this.all();
+    return resorts
+      .map(resort => {
+        const names = [resort.name, ...resort.aliases].map(normalizeName);
+        const prefix = names.some(n => n.startsWith(needle) || n.includes(` ${needle}`));
+        return { resort, score: prefix ? 1 : this.nameScore(resort, text) };
+      })
+      .filter(r => r.score >= 0.5)
+      .sort((a, b) => b.score - a.score || a.resort.name.localeCompare(b.resort.name))
+      .slice(0, limit)
+      .map(r => r.resort);
+  }
+
+  // Resorts within `radius` m of a point, nearest first, with `distance` (m)
+  async nearby(latitude, longitude, radius = 50000, limit = 20) {
+    const resorts = await this.all();
+    const point = { lat: latitude, lon: longitude };
+    return resorts
+      .map(resort => ({ ...resort, distance: Math.round(haversineDistance(point, { lat: resort.latitude, lon: resort.longitude })) }))
+      .filter(r => r.distance <= radius)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+
+  // ==========================================
+  // BACKFILL
+  // ==========================================
+
+  // Link existing runs without a resort_id, by coordinates first and then by
+  // fuzzy name. Matched runs get the canonical name (the old one is kept in
+  // reported_resort_name) and are re-filed into ski days and daily totals,
+  // since both are grouped by resort. Returns { scanned, matched }.
+  async backfillRuns() {
+    const resorts = await this.all();
+    let scanned = 0;
+    let matched = 0;
+    let after = '00000000-0000-0000-0000-000000000000';
+
+    for (;;) {
+      const batch = await query(
+        `SELECT r.id, r.user_id, r.resort_name, r.resort_latitude, r.resort_longitude,
+                r.route_data->0 as first_point, r.start_time, r.timezone, s.client_session_id
+         FROM runs r
+         LEFT JOIN ski_sessions s ON s.id = r.session_id
+         WHERE r.resort_id IS NULL AND r.is_deleted = false AND r.id > $1
+         ORDER BY r.id LIMIT $2`,
+        [after, BACKFILL_BATCH]
+      );
+      if (!batch.rows.length) break;
+      after = batch.rows[batch.rows.length - 1].id;
+      scanned += batch.rows.length;
+
+      for (const row of batch.rows) {
+        const start = firstPoint(row.first_point);
+        const resort = this.matchByLocation(resorts, start.lat, start.lon) ||
+          this.matchByLocation(resorts, row.resort_latitude, row.resort_longitude) ||
+          this.matchByName(resorts, row.resort_name);
+        if (!resort) continue;
+
+        await query(
+          `UPDATE runs SET resort_id = $1, resort_name = $2,
+             reported_resort_name = COALESCE(reported_resort_name, resort_name)
+           WHERE id = $3`,
+          [resort.id, resort.name, row.id]
+        );
+        matched++;
+        await rollupService.refresh(row.user_id, await rollupService.runDates(row.user_id, [row.id]));
+
+        if (!row.client_session_id) {
+          await sessionService.assignRun(row.user_id, {
+            id: row.id, resortName: resort.name, startTime: row.start_time, timezone: row.timezone || resort.timezone,
+          });
+        }
+      }
+    }
+    return { scanned, matched };
+  }
+
+  // ==========================================
+  // FORMATTING
+  // ==========================================
+
+  format(row) {
+    return {
+      id: row.id,
+      slug: row.slug,
+      name: row.name,
+      aliases: row.aliases || [],
+      country: row.country,
+      region: row.region,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      radius: row.radius_m,
+      boundary: row.boundary || null,
+      timezone: row.timezone,
+      seasonStart: row.season_start || null,
+      baseElevation: row.base_elevation,
+      summitElevation: row.summit_elevation,
+      vertical: row.summit_elevation !== null && row.base_elevation !== null
+        ? row.summit_elevation - row.base_elevation
+        : null,
+    };
+  }
+}
+
+// Lowercase, strip accents and punctuation, drop STOPWORDS
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !STOPWORDS.has(word))
+    .join(' ');
+}
+
+// Sørensen–Dice similarity over character bigrams
+function diceCoefficient(a, b) {
+  if (a.length < 2 || b.length < 2) return 0;
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const gram = a.slice(i, i + 2);
+    bigrams.set(gram, (bigrams.get(gram) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const gram = b.slice(i, i + 2);
+    const count = bigrams.get(gram) || 0;
+    if (count > 0) {
+      bigrams.set(gram, count - 1);
+      overlap++;
+    }
+  }
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+// route_data->0 in any of the shapes trackService.parse accepts
+function firstPoint(point) {
+  if (!point) return {};
+  return {
+    lat: Number(point.lat ?? point.latitude),
+    lon: Number(point.lon ?? point.lng ?? point.longitude),
+  };
+}
+
+module.exports = new ResortService();
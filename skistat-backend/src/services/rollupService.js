@@ -0,0 +1,65 @@
+const { query, transaction } = require('../../config/database');
+
+// Calendar date of a run in its own time zone (matches seasonService)
+const RUN_DATE = `(start_time AT TIME ZONE COALESCE(timezone, 'UTC'))::date`;
+
+class RollupService {
+
+  // ==========================================
+  // DAILY TOTALS (user_daily_stats)
+  // ==========================================
+
+  // Local dates of the given runs as stored right now. Call before and after
+  // changing runs so both the old and the new day get refreshed.
+  async runDates(userId, runIds) {
+    if (!runIds.length) return [];
+    const result = await query(
+      `SELECT DISTINCT ${RUN_DATE}::text as day FROM runs WHERE user_id = $1 AND id = ANY($2)`,
+      [userId, runIds]
+    );
+    return result.rows.map(r => r.day);
+  }
+
+  // Rebuild a user's rows for the given days from their non-deleted,
+  // non-flagged runs: totals per resort and difficulty with each row's best
+  // runs. Personal stats read them as they are; leaderboards and group
+  // activity sum them over difficulty.
+  async refresh(userId, dates) {
+    const days = [...new Set(dates.filter(Boolean))];
+    if (!days.length) return;
+
+    await transaction(async (client) => {
+      // Serialize refreshes of the same user so delete + insert can't interleave
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`daily_totals:${userId}`]);
+      await client.query(
+        'DELETE FROM user_daily_stats WHERE user_id = $1 AND local_date = ANY($2::date[])',
+        [userId, days]
+      );
+      await client.query(
+        `INSERT INTO user_daily_stats (user_id, local_date, resort_id, difficulty, run_count, points, vert, distance, duration,
+                                       top_speed, top_speed_run_id, longest_run, longest_run_id, biggest_vert, biggest_vert_run_id)
+         SELECT user_id, ${RUN_DATE}, resort_id, difficulty, COUNT(*), COALESCE(SUM(points), 0),
+                COALESCE(SUM(elevation_drop), 0), COALESCE(SUM(distance), 0), COALESCE(SUM(duration), 0),
+                COALESCE(MAX(max_speed), 0), (ARRAY_AGG(id ORDER BY max_speed DESC NULLS LAST))[1],
+                COALESCE(MAX(distance), 0), (ARRAY_AGG(id ORDER BY distance DESC NULLS LAST))[1],
+                COALESCE(MAX(elevation_drop), 0), (ARRAY_AGG(id ORDER BY elevation_drop DESC NULLS LAST))[1]
+         FROM runs
+         WHERE user_id = $1 AND is_deleted = false AND flagged = false AND ${RUN_DATE} = ANY($2::date[])
+         GROUP BY user_id, ${RUN_DATE}, resort_id, difficulty`,
+        [userId, days]
+      );
+    });
+  }
+
+  // Recompute every day a user has runs on (used by the seed and backfills)
+  async rebuildUser(userId) {
+    const result = await query(
+      `SELECT DISTINCT ${RUN_DATE}::text as day FROM runs WHERE user_id = $1
+       UNION SELECT local_date::text FROM user_daily_stats WHERE user_id = $1`,
+      [userId]
+    );
+    await this.refresh(userId, result.rows.map(r => r.day));
+  }
+}
+
+module.exports = new RollupService();
@@ -0,0 +1,1081 @@
+const { v5: uuidv5 } = require('uuid');
+const { query, transaction } = require('../../config/database');
+const { isValidTimeZone, resolveTimeZone } = require('../utils/time');
+const trackService = require('./trackService');
+const sessionService = require('./sessionService');
+const friendService = require('./friendService');
+const leaderboardService = require('./leaderboardService');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+const trackFormatService = require('./trackFormatService');
+const antiCheatService = require('./antiCheatService');
+const resortService = require('./resortService');
+const rollupService = require('./rollupService');
+const achievementService = require('./achievementService');
+const segmentService = require('./segmentService');
+const scoringService = require('./scoringService');
+const { generateToken } = require('../utils/helpers');
+
+// Imported runs get IDs derived from user + start time, so re-importing the
+// same file updates the existing runs instead of duplicating them.
+const IMPORT_NAMESPACE = '0d2f6a8e-5b1c-4f3e-9c7a-2e8b4d6f1a90';
+
+// Runs per bulk upload request, and rows per INSERT statement
+const BULK_LIMIT = 500;
+const INSERT_CHUNK = 100;
+
+// runs columns an upload writes, in upsertValues order. Re-syncing an ID
+// rewrites all of them except the identity columns.
+const UPSERT_COLUMNS = ['id', 'client_id', 'user_id', 'run_name', 'resort_name', 'resort_latitude', 'resort_longitude',
+  'start_time', 'end_time', 'distance', 'max_speed', 'average_speed', 'elevation_drop', 'start_elevation', 'end_elevation',
+  'duration', 'points', 'difficulty', 'calories', 'avg_heart_rate', 'max_heart_rate', 'route_data', 'reported_distance',
+  'reported_max_speed', 'reported_average_speed', 'reported_elevation_drop', 'metrics_source', 'metrics_mismatch',
+  'flagged', 'flag_reasons', 'flagged_at', 'timezone', 'resort_id', 'reported_resort_name', 'client_modified_at',
+  'score_version'];
+const UPDATE_SET = UPSERT_COLUMNS
+  .filter(c => !['id', 'client_id', 'user_id'].includes(c))
+  .map(c => `${c}=EXCLUDED.${c}`)
+  .join(', ');
+
+// Upload error codes and the status a single-run upload answers with
+const ERROR_STATUS = { invalid: 400, duplicate: 400, id_taken: 409, version_conflict: 409, error: 500 };
+
+// Deleted runs can be restored for this long, then `npm run runs:purge`
+// removes them for good
+const RESTORE_DAYS = parseInt(process.env.DELETED_RUN_RETENTION_DAYS) || 30;
+const PURGE_BATCH = 500;
+
+// Runs per batch when rescoring
+const RESCORE_BATCH = 500;
+
+const EDITABLE_FIELDS = ['runName', 'resort', 'difficulty', 'timezone'];
+
+// runs columns an edit can change, as named in the audit trail
+const AUDIT_FIELDS = {
+  run_name: 'runName', resort_id: 'resortId', resort_name: 'resortName', difficulty: 'difficulty',
+  timezone: 'timezone', flagged: 'flagged', points: 'points',
+};
+
+// What GET /v1/runs reads (everything format() needs, without route_data)
+const LIST_COLUMNS = `id, run_name, resort_id, resort_name, reported_resort_name, resort_latitude, resort_longitude,
+  start_time, end_time, distance, max_speed, average_speed, elevation_drop, start_elevation, end_elevation, duration,
+  points, score_version, difficulty, calories, avg_heart_rate, max_heart_rate, reported_distance, reported_max_speed,
+  reported_average_speed, reported_elevation_drop, metrics_source, metrics_mismatch, flagged, session_id, sync_seq,
+  client_modified_at, created_at, updated_at`;
+
+// Sort keys for run lists and the column each orders by; ties break on id
+const SORTS = {
+  startTime: 'start_time', distance: 'distance', maxSpeed: 'max_speed', averageSpeed: 'average_speed',
+  elevationDrop: 'elevation_drop', duration: 'duration', points: 'points', calories: 'calories',
+  avgHeartRate: 'avg_heart_rate', maxHeartRate: 'max_heart_rate',
+};
+
+// Minimum-value filters for run lists
+const MIN_FILTERS = { minSpeed: 'max_speed', minVert: 'elevation_drop', minDistance: 'distance' };
+
+// Every filter a run list understands
+const LIST_FILTERS = ['from', 'to', 'since', 'resort', 'difficulty', ...Object.keys(MIN_FILTERS), 'hasHeartRate'];
+
+const MAX_LIST_LIMIT = 100;
+const LOCAL_DATE = `(start_time AT TIME ZONE COALESCE(timezone, 'UTC'))::date`;
+
+const NUMERIC_FIELDS = ['distance', 'maxSpeed', 'averageSpeed', 'elevationDrop', 'startElevation', 'endElevation', 'duration',
+  'calories', 'avgHeartRate', 'maxHeartRate', 'resortLatitude', 'resortLongitude'];
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+class RunService {
+
+  // ==========================================
+  // PREPARE AN UPLOADED RUN
+  // ==========================================
+
+  // Normalizes a run payload from the client. When route_data carries a usable
+  // GPS track, distance, speeds and vertical are recomputed on the server and
+  // become the stored (leaderboard) values; the client's own numbers are kept
+  // alongside as reported_* for comparison. The run is matched to a catalog
+  // resort by where it starts, then run through the anti-cheat checks; flagged
+  // runs are kept but excluded from leaderboards. Points are always scored
+  // here (scoringService), never taken from the client.
+  async prepare(run) {
+    const reported = {
+      distance: num(run.distance),
+      maxSpeed: num(run.maxSpeed),
+      averageSpeed: num(run.averageSpeed),
+      elevationDrop: num(run.elevationDrop),
+    };
+
+    const prepared = {
+      id: run.id || run.clientId,
+      runName: run.runName || null,
+      resortId: null,
+      resortName: run.resortName || null,
+      reportedResortName: run.resortName || null,
+      resortLatitude: run.resortLatitude || null,
+      resortLongitude: run.resortLongitude || null,
+      startTime: run.startTime,
+      endTime: run.endTime || null,
+      timezone: resolveTimeZone(run.timezone, run.resortLongitude),
+      sessionId: run.sessionId || null,
+      baseVersion: Number.isSafeInteger(run.baseVersion) ? run.baseVersion : null,
+      modifiedAt: run.modifiedAt && !Number.isNaN(Date.parse(run.modifiedAt)) ? new Date(run.modifiedAt).toISOString() : null,
+      ...reported,
+      startElevation: num(run.startElevation),
+      endElevation: num(run.endElevation),
+      duration: num(run.duration),
+      difficulty: scoringService.normalizeDifficulty(run.difficulty) || 'blue',
+      calories: num(run.calories),
+      avgHeartRate: num(run.avgHeartRate),
+      maxHeartRate: num(run.maxHeartRate),
+      routeData: run.routeData ? JSON.stringify(run.routeData) : null,
+      reported,
+      metricsSource: 'client',
+      metricsMismatch: [],
+    };
+
+    const track = trackService.process(run.routeData, reported);
+    if (track) {
+      const m = track.metrics;
+      prepared.distance = round(m.distance);
+      prepared.maxSpeed = round(m.maxSpeed);
+      prepared.averageSpeed = round(m.averageSpeed);
+      if (m.elevationDrop !== null) {
+        prepared.elevationDrop = round(m.elevationDrop);
+        prepared.startElevation = round(m.startElevation);
+        prepared.endElevation = round(m.endElevation);
+      }
+      if (!prepared.duration) prepared.duration = round(m.duration);
+      prepared.metricsSource = 'server';
+      prepared.metricsMismatch = track.mismatches;
+    }
+
+    // Canonical resort: the track's first point, else the client's resort coordinates
+    const start = track ? track.points[0] : { lat: run.resortLatitude, lon: run.resortLongitude };
+    const resort = await resortService.match({ latitude: start.lat, longitude: start.lon, name: run.resortName });
+    if (resort) {
+      prepared.resortId = resort.id;
+      prepared.resortName = resort.name;
+      prepared.resortVertical = resort.vertical;
+      if (!isValidTimeZone(run.timezone)) prepared.timezone = resort.timezone;
+    }
+
+    prepared.flagReasons = antiCheatService.evaluate(prepared, track ? track.points : []);
+    prepared.flagged = prepared.flagReasons.length > 0;
+    prepared.points = scoringService.points(prepared);
+    prepared.scoreVersion = scoringService.version;
+
+    return prepared;
+  }
+
+  // ==========================================
+  // VALIDATE
+  // ==========================================
+
+  // Field errors for one uploaded payload as [{ field, message }], empty when
+  // it can be saved. Anything not checked here, prepare() tolerates.
+  validate(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return [{ field: null, message: 'Run must be an object' }];
+
+    const errors = [];
+    const error = (field, message) => errors.push({ field, message });
+    const id = body.id || body.clientId;
+    if (!id) error('id', 'Run ID required');
+    else if (!UUID.test(String(id))) error('id', 'Run ID must be a UUID');
+    if (!body.startTime) error('startTime', 'startTime required');
+    else if (!isDate(body.startTime)) error('startTime', 'startTime must be an ISO 8601 date');
+    if (body.endTime != null && !isDate(body.endTime)) error('endTime', 'endTime must be an ISO 8601 date');
+    else if (body.endTime != null && isDate(body.startTime) && Date.parse(body.endTime) < Date.parse(body.startTime)) {
+      error('endTime', 'endTime is before startTime');
+    }
+    for (const field of NUMERIC_FIELDS) {
+      if (body[field] != null && !Number.isFinite(Number(body[field]))) error(field, `${field} must be a number`);
+    }
+    if (body.routeData != null && !Array.isArray(body.routeData)) error('routeData', 'routeData must be an array of points');
+    if (body.baseVersion != null && !Number.isSafeInteger(body.baseVersion)) error('baseVersion', 'baseVersion must be an integer');
+    if (body.modifiedAt != null && !isDate(body.modifiedAt)) error('modifiedAt', 'modifiedAt must be an ISO 8601 date');
+    return errors;
+  }
+
+  // The changes a PATCH body asks for, as { changes, errors } (errors in the
+  // same { field, message } form as validate). Only runName, resort,
+  // difficulty and timezone are editable; baseVersion is read separately.
+  editChanges(body) {
+    const changes = {};
+    const errors = [];
+    const error = (field, message) => errors.push({ field, message });
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return { changes, errors: [{ field: null, message: 'Body must be an object' }] };
+
+    for (const field of Object.keys(body)) {
+      if (![...EDITABLE_FIELDS, 'baseVersion'].includes(field)) error(field, `${field} can't be edited`);
+    }
+    const text = (field, max) => {
+      if (body[field] === undefined) return;
+      if (body[field] !== null && (typeof body[field] !== 'string' || body[field].trim().length > max)) {
+        error(field, `${field} must be text of at most ${max} characters`);
+      } else {
+        changes[field] = body[field] === null ? null : body[field].trim() || null;
+      }
+    };
+    text('runName', 255);
+    text('resort', 255);
+    if (body.difficulty !== undefined) {
+      const difficulty = scoringService.normalizeDifficulty(body.difficulty);
+      if (difficulty) changes.difficulty = difficulty;
+      else error('difficulty', 'difficulty must be green, blue, black, double-black or terrain-park');
+    }
+    if (body.timezone !== undefined) {
+      if (isValidTimeZone(body.timezone)) changes.timezone = body.timezone;
+      else error('timezone', 'Unknown time zone');
+    }
+    if (body.baseVersion != null && !Number.isSafeInteger(body.baseVersion)) error('baseVersion', 'baseVersion must be an integer');
+    if (!errors.length && !Object.keys(changes).length) error(null, 'No fields to update');
+    return { changes, errors };
+  }
+
+  // ==========================================
+  // UPLOAD (INSERT OR UPDATE)
+  // ==========================================
+
+  // Validate, prepare and save uploaded run payloads — the single and bulk
+  // upload routes both come through here. Returns one result per payload, in
+  // order:
+  //
+  //   { index, clientId, status: 'created' | 'updated', version, conflict, points, metricsSource, metricsMismatch, flagged }
+  //   { index, clientId, status: 'error', code, message, details?, server? }
+  //
+  // (codes: see ERROR_STATUS). With `atomic`, one failure saves nothing:
+  // `saved` is false and the payloads that were fine come back 'skipped'.
+  // More than BULK_LIMIT payloads throws with `status = 400`.
+  async upload(userId, payloads, { atomic = false } = {}) {
+    if (payloads.length > BULK_LIMIT) throw badRequest(`At most ${BULK_LIMIT} runs per upload`);
+    const results = new Array(payloads.length);
+    const items = [];
+    const seen = new Set();
+    for (const [index, body] of payloads.entries()) {
+      const clientId = (body && (body.id || body.clientId)) || null;
+      const errors = this.validate(body);
+      if (errors.length) {
+        results[index] = runError(index, clientId, 'invalid', errors.map(e => e.message).join('; '), { details: errors });
+      } else if (seen.has(String(clientId).toLowerCase())) {
+        results[index] = runError(index, clientId, 'duplicate', 'Run ID appears more than once in this upload');
+      } else {
+        seen.add(String(clientId).toLowerCase());
+        items.push({ index, run: await this.prepare(body) });
+      }
+    }
+
+    if (atomic && items.length < payloads.length) {
+      for (const { index, run } of items) results[index] = { index, clientId: run.id, status: 'skipped' };
+      return { saved: false, results };
+    }
+    const saved = await this.saveMany(userId, items, { atomic });
+    for (const result of saved) results[result.index] = result;
+    return { saved: !atomic || saved.every(r => r.status !== 'error'), results };
+  }
+
+  // Insert prepared runs ([{ index, run }]), or update them if the client
+  // re-syncs the same IDs, in multi-row statements of INSERT_CHUNK. Stored
+  // copies are locked first so the ownership and version checks (see
+  // resolveConflict) hold until commit; an ID owned by another user is never
+  // overwritten. Atomic batches share one transaction; otherwise each chunk
+  // commits on its own and a chunk that fails is retried run by run.
+  //
+  // Then, outside the transaction, each saved run is filed into its ski day
+  // and timed on any segments it covers, daily totals are refreshed, friends
+  // who just got passed are told, connected friends see the new runs and
+  // achievements are awarded.
+  async saveMany(userId, items, { atomic = false } = {}) {
+    if (!items.length) return [];
+    const before = await this.seasonSnapshot(userId);
+    const previousDates = await rollupService.runDates(userId, items.map(i => i.run.id));
+
+    let results;
+    if (atomic) {
+      results = await transaction(async (client) => {
+        const written = [];
+        for (let i = 0; i < items.length; i += INSERT_CHUNK) {
+          written.push(...await this._writeChunk(client, userId, items.slice(i, i + INSERT_CHUNK)));
+        }
+        if (written.some(r => r.status === 'error')) throw Object.assign(new Error('Batch rolled back'), { results: written });
+        return written;
+      }).catch((err) => {
+        if (!err.results) throw err;
+        return err.results.map(r => (r.status === 'error' ? r : { index: r.index, clientId: r.clientId, status: 'skipped' }));
+      });
+    } else {
+      results = [];
+      for (let i = 0; i < items.length; i += INSERT_CHUNK) {
+        results.push(...await this._writePartial(userId, items.slice(i, i + INSERT_CHUNK)));
+      }
+    }
+
+    const saved = items.filter((item, i) => results[i].status === 'created' || results[i].status === 'updated');
+    for (const { run } of saved) {
+      await sessionService.assignRun(userId, run);
+      await this.matchSegments(userId, run);
+    }
+    if (saved.length) {
+      await rollupService.refresh(userId, [...previousDates, ...await rollupService.runDates(userId, saved.map(i => i.run.id))]);
+      await this.notifyOvertakes(userId, before);
+      await this.publishActivity(userId, items.filter((item, i) => results[i].status === 'created' && !item.run.flagged).map(i => i.run));
+      await this.checkAchievements(userId, saved.map(i => i.run.startTime));
+    }
+    return results;
+  }
+
+  // HTTP status for an upload error code
+  errorStatus(code) {
+    return ERROR_STATUS[code] || 500;
+  }
+
+  // One chunk in its own transaction; if it fails unexpectedly, each run on
+  // its own so one bad row can't sink the rest
+  async _writePartial(userId, items) {
+    try {
+      return await transaction(client => this._writeChunk(client, userId, items));
+    } catch (err) {
+      if (items.length > 1) {
+        const results = [];
+        for (const item of items) results.push(...await this._writePartial(userId, [item]));
+        return results;
+      }
+      console.error('Run save error:', err);
+      return [runError(items[0].index, items[0].run.id, 'error', 'Could not save run')];
+    }
+  }
+
+  async _writeChunk(db, userId, items) {
+    const stored = await db.query(
+      `SELECT id, user_id, sync_seq, is_deleted, client_modified_at, updated_at
+       FROM runs WHERE id = ANY($1::uuid[]) FOR UPDATE`,
+      [items.map(i => i.run.id)]
+    );
+    const current = new Map(stored.rows.map(r => [r.id, r]));
+
+    const results = new Map();
+    const writable = [];
+    for (const { index, run } of items) {
+      const row = current.get(run.id.toLowerCase());
+      if (row && row.user_id !== userId) {
+        results.set(index, runError(index, run.id, 'id_taken', 'Run ID belongs to another user'));
+        continue;
+      }
+      run.conflict = resolveConflict(run, row);
+      if (run.conflict === 'server' || run.conflict === 'deleted') {
+        const server = await db.query('SELECT * FROM runs WHERE id = $1', [run.id]);
+        const message = run.conflict === 'deleted' ? 'Run was deleted on another device' : 'Run was changed on another device';
+        results.set(index, runError(index, run.id, 'version_conflict', message, { server: this.format(server.rows[0]) }));
+        continue;
+      }
+      writable.push({ index, run });
+    }
+
+    if (writable.length) {
+      const now = new Date();
+      const params = [];
+      const rows = writable.map(({ run }) => {
+        const values = upsertValues(userId, run, now);
+        const placeholders = values.map((value, i) => `$${params.length + i + 1}`);
+        params.push(...values);
+        return `(${placeholders.join(',')})`;
+      });
+      const written = await db.query(
+        `INSERT INTO runs (${UPSERT_COLUMNS.join(', ')})
+         VALUES ${rows.join(',\n')}
+         ON CONFLICT (id) DO UPDATE SET ${UPDATE_SET}, updated_at=NOW()
+         WHERE runs.user_id = EXCLUDED.user_id
+         RETURNING id, sync_seq, (xmax = 0) as inserted`,
+        params
+      );
+      const byId = new Map(written.rows.map(r => [r.id, r]));
+      for (const { index, run } of writable) {
+        const row = byId.get(run.id.toLowerCase());
+        // Inserted by another user since the lock: the WHERE skipped it
+        if (!row) {
+          results.set(index, runError(index, run.id, 'id_taken', 'Run ID belongs to another user'));
+          continue;
+        }
+        run.version = Number(row.sync_seq);
+        results.set(index, {
+          index,
+          clientId: run.id,
+          status: row.inserted ? 'created' : 'updated',
+          version: run.version,
+          conflict: run.conflict || undefined,
+          points: run.points,
+          metricsSource: run.metricsSource,
+          metricsMismatch: run.metricsMismatch,
+          flagged: run.flagged,
+        });
+      }
+    }
+    return items.map(i => results.get(i.index));
+  }
+
+  // ==========================================
+  // EDIT, DELETE & RESTORE
+  // ==========================================
+
+  // Apply an edit to one of the user's runs. `changes` may hold runName,
+  // resort (catalog slug or name; null clears it), difficulty and timezone.
+  // What depends on them is recomputed — the canonical resort, the flags (the
+  // resort bounds the vertical check), points, the ski day, segment efforts
+  // and daily totals — and every changed value is recorded in run_edits.
+  // Returns the updated row, or null if there is no such run. A stale
+  // baseVersion throws `status = 409` with the stored run as err.server.
+  async edit(userId, runId, changes, { baseVersion = null } = {}) {
+    const previousDates = await rollupService.runDates(userId, [runId]);
+    const edited = await transaction(async (client) => {
+      const result = await client.query(
+        'SELECT * FROM runs WHERE id = $1 AND user_id = $2 AND is_deleted = false FOR UPDATE',
+        [runId, userId]
+      );
+      const row = result.rows[0];
+      if (!row) return null;
+      if (baseVersion !== null && Number(row.sync_seq) !== baseVersion) {
+        throw versionConflict('Run was changed on another device', this.format(row));
+      }
+
+      const next = {
+        run_name: changes.runName !== undefined ? changes.runName : row.run_name,
+        resort_id: row.resort_id,
+        resort_name: row.resort_name,
+        difficulty: changes.difficulty !== undefined ? changes.difficulty : row.difficulty,
+        timezone: changes.timezone !== undefined ? changes.timezone : row.timezone,
+      };
+      if (changes.resort !== undefined) {
+        const match = changes.resort
+          ? await resortService.findBySlug(changes.resort) || await resortService.match({ name: changes.resort })
+          : null;
+        next.resort_id = match ? match.id : null;
+        next.resort_name = match ? match.name : changes.resort;
+      }
+
+      const resort = next.resort_id ? (await resortService.all()).find(r => r.id === next.resort_id) : null;
+      const run = {
+        ...rowToRun(row),
+        resortName: next.resort_name,
+        resortVertical: resort ? resort.vertical : undefined,
+        difficulty: next.difficulty,
+      };
+      const flagReasons = antiCheatService.evaluate(run, trackService.parse(row.route_data));
+      next.flagged = flagReasons.length > 0;
+      next.points = scoringService.points(run);
+
+      const diff = {};
+      for (const [column, value] of Object.entries(next)) {
+        const before = column === 'points' ? parseInt(row.points) : row[column];
+        if ((before ?? null) !== (value ?? null)) diff[AUDIT_FIELDS[column]] = { from: before ?? null, to: value ?? null };
+      }
+      if (!Object.keys(diff).length) return { row, changed: false };
+
+      const saved = await client.query(
+        `UPDATE runs SET run_name = $3, resort_id = $4, resort_name = $5, difficulty = $6, timezone = $7,
+           flagged = $8, points = $9, score_version = $11, flag_reasons = $10,
+           flagged_at = CASE WHEN $8 THEN COALESCE(flagged_at, NOW()) END, client_modified_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND user_id = $2
+         RETURNING *`,
+        [runId, userId, next.run_name, next.resort_id, next.resort_name, next.difficulty, next.timezone,
+          next.flagged, next.points, JSON.stringify(flagReasons), scoringService.version]
+      );
+      await client.query(
+        `INSERT INTO run_edits (run_id, user_id, action, changes) VALUES ($1, $2, 'edit', $3)`,
+        [runId, userId, JSON.stringify(diff)]
+      );
+      return { row: saved.rows[0], changed: true };
+    });
+
+    if (!edited) return null;
+    if (edited.changed) await this._refile(userId, edited.row, previousDates);
+    return edited.row;
+  }
+
+  // Soft-delete a run; it can be restored for RESTORE_DAYS. Returns false if
+  // there is no such (undeleted) run.
+  async remove(userId, runId) {
+    const deleted = await transaction(async (client) => {
+      const result = await client.query(
+        'UPDATE runs SET is_deleted = true, deleted_at = NOW() WHERE id = $1 AND user_id = $2 AND is_deleted = false RETURNING id',
+        [runId, userId]
+      );
+      if (!result.rows.length) return false;
+      await client.query(`INSERT INTO run_edits (run_id, user_id, action) VALUES ($1, $2, 'delete')`, [runId, userId]);
+      return true;
+    });
+    if (!deleted) return false;
+    await sessionService.removeRun(userId, runId);
+    await rollupService.refresh(userId, await rollupService.runDates(userId, [runId]));
+    return true;
+  }
+
+  // Undo a delete. Returns the restored row, or null if there is no such
+  // run; throws `status = 400` if it isn't deleted and `status = 410` once
+  // RESTORE_DAYS have passed.
+  async restore(userId, runId) {
+    const restored = await transaction(async (client) => {
+      const result = await client.query(
+        'SELECT is_deleted, COALESCE(deleted_at, updated_at) as deleted_at FROM runs WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [runId, userId]
+      );
+      const row = result.rows[0];
+      if (!row) return null;
+      if (!row.is_deleted) throw badRequest('Run is not deleted');
+      if (Date.now() - new Date(row.deleted_at).getTime() > RESTORE_DAYS * 86400000) {
+        throw httpError(410, `Deleted runs can only be restored for ${RESTORE_DAYS} days`);
+      }
+
+      const saved = await client.query(
+        'UPDATE runs SET is_deleted = false, deleted_at = NULL WHERE id = $1 RETURNING *',
+        [runId]
+      );
+      await client.query(
+        `INSERT INTO run_edits (run_id, user_id, action, changes) VALUES ($1, $2, 'restore', $3)`,
+        [runId, userId, JSON.stringify({ deletedAt: row.deleted_at })]
+      );
+      return saved.rows[0];
+    });
+    if (restored) await this._refile(userId, restored, []);
+    return restored;
+  }
+
+  // A run's audit trail, oldest first, or null if there is no such run
+  // (deleted runs keep theirs until they are purged)
+  async history(userId, runId) {
+    const run = await query('SELECT 1 FROM runs WHERE id = $1 AND user_id = $2', [runId, userId]);
+    if (!run.rows.length) return null;
+    const result = await query(
+      'SELECT action, changes, created_at FROM run_edits WHERE run_id = $1 ORDER BY created_at',
+      [runId]
+    );
+    return result.rows.map(r => ({ action: r.action, changes: r.changes, at: r.created_at }));
+  }
+
+  // Hard-delete runs soft-deleted more than `days` ago, in batches. Their
+  // segment efforts and audit trail go with them, and the tombstones left by
+  // the delete trigger tell the user's other devices. Returns how many.
+  async purge(days = RESTORE_DAYS) {
+    let purged = 0;
+    for (;;) {
+      const result = await query(
+        `DELETE FROM runs WHERE id IN (
+           SELECT id FROM runs
+           WHERE is_deleted = true AND COALESCE(deleted_at, updated_at) < NOW() - make_interval(days => $1)
+           LIMIT $2
+         )`,
+        [days, PURGE_BATCH]
+      );
+      purged += result.rowCount;
+      if (result.rowCount < PURGE_BATCH) return purged;
+    }
+  }
+
+  // File an edited or restored run again: ski day, segment efforts, daily
+  // totals (old and new days) and achievements
+  async _refile(userId, row, previousDates) {
+    const session = row.session_id
+      ? await query('SELECT client_session_id FROM ski_sessions WHERE id = $1', [row.session_id])
+      : { rows: [] };
+    const run = { ...rowToRun(row), sessionId: session.rows.length ? session.rows[0].client_session_id : null };
+    await sessionService.assignRun(userId, run);
+    await this.matchSegments(userId, run);
+    await rollupService.refresh(userId, [...previousDates, ...await rollupService.runDates(userId, [row.id])]);
+    await this.checkAchievements(userId, [run.startTime]);
+  }
+
+  // ==========================================
+  // RESCORING
+  // ==========================================
+
+  // Recompute the points of every run not scored with the current formula
+  // version (including deleted runs, which may be restored), then refresh the
+  // daily totals of the days whose points changed. Frozen season standings
+  // are left as they were. Returns { scanned, changed }.
+  async rescore() {
+    const version = scoringService.version;
+    let scanned = 0;
+    let changed = 0;
+    let after = '00000000-0000-0000-0000-000000000000';
+
+    for (;;) {
+      const batch = await query(
+        `SELECT id, user_id, distance, max_speed, elevation_drop, difficulty, points, is_deleted,
+                (start_time AT TIME ZONE COALESCE(timezone, 'UTC'))::date::text as day
+         FROM runs
+         WHERE score_version IS DISTINCT FROM $1 AND id > $2
+         ORDER BY id LIMIT $3`,
+        [version, after, RESCORE_BATCH]
+      );
+      if (!batch.rows.length) break;
+      after = batch.rows[batch.rows.length - 1].id;
+      scanned += batch.rows.length;
+
+      const ids = [];
+      const points = [];
+      const days = new Map();
+      for (const row of batch.rows) {
+        const score = scoringService.points({
+          distance: row.distance, maxSpeed: row.max_speed, elevationDrop: row.elevation_drop, difficulty: row.difficulty,
+        });
+        ids.push(row.id);
+        points.push(score);
+        if (score === parseInt(row.points)) continue;
+        changed++;
+        if (!row.is_deleted) days.set(row.user_id, [...(days.get(row.user_id) || []), row.day]);
+      }
+
+      await query(
+        `UPDATE runs SET points = v.points, score_version = $3
+         FROM unnest($1::uuid[], $2::int[]) as v(id, points)
+         WHERE runs.id = v.id`,
+        [ids, points, version]
+      );
+      for (const [userId, dates] of days) await rollupService.refresh(userId, dates);
+    }
+    return { scanned, changed };
+  }
+
+  // ==========================================
+  // OVERTAKE NOTIFICATIONS
+  // ==========================================
+
+  // Season totals before an upload; pass to notifyOvertakes afterwards
+  async seasonSnapshot(userId) {
+    const totals = await leaderboardService.seasonTotals([userId]);
+    return totals[userId];
+  }
+
+  async notifyOvertakes(userId, before) {
+    try {
+      const friendIds = await friendService.getFriendIds(userId);
+      const overtaken = await leaderboardService.findOvertaken(userId, friendIds, before);
+      if (!overtaken.length) return;
+
+      const user = await query('SELECT id, display_name FROM users WHERE id = $1', [userId]);
+      for (const { userId: friendId, board, label } of overtaken) {
+        await notificationService.overtaken(friendId, user.rows[0], board, label);
+        await realtimeService.overtaken(friendId, user.rows[0], board, label);
+      }
+    } catch (err) {
+      console.error('Overtake notification error:', err);
+    }
+  }
+
+  // ==========================================
+  // FRIEND ACTIVITY
+  // ==========================================
+
+  // Push newly uploaded runs (not re-syncs or flagged runs) to the user's
+  // friends in realtime. Like notifyOvertakes, never fails the upload.
+  async publishActivity(userId, runs) {
+    if (!runs.length) return;
+    try {
+      const friendIds = (await friendService.getFriendIds(userId)).filter(id => id !== userId);
+      if (!friendIds.length) return;
+      const user = await query('SELECT id, display_name FROM users WHERE id = $1', [userId]);
+      await realtimeService.friendRuns(friendIds, user.rows[0], runs);
+    } catch (err) {
+      console.error('Friend activity error:', err);
+    }
+  }
+
+  // ==========================================
+  // SEGMENTS
+  // ==========================================
+
+  // Time the run on every segment its track covers. Never throws — a
+  // matching failure must not fail the upload; `npm run segments:match`
+  // catches up later.
+  async matchSegments(userId, run) {
+    try {
+      return await segmentService.matchRun(userId, run);
+    } catch (err) {
+      console.error('Segment matching error:', err);
+      return [];
+    }
+  }
+
+  // ==========================================
+  // ACHIEVEMENTS
+  // ==========================================
+
+  // Evaluate achievements for the seasons the uploaded runs fall in. Like
+  // notifyOvertakes, a failure here must not fail the upload.
+  async checkAchievements(userId, dates) {
+    try {
+      return await achievementService.evaluate(userId, { dates });
+    } catch (err) {
+      console.error('Achievement evaluation error:', err);
+      return [];
+    }
+  }
+
+  // ==========================================
+  // FILE IMPORT (GPX / TCX / FIT)
+  // ==========================================
+
+  // Split an uploaded activity file into descents and save each as a run.
+  // Unreadable files throw with `status = 400`.
+  async importFile(userId, buffer, { format, resortName } = {}) {
+    let points;
+    try {
+      points = trackFormatService.parse(buffer, format);
+    } catch (err) {
+      throw badRequest(`Could not read file: ${err.message}`);
+    }
+    if (points.length < 2) throw badRequest('No track points found in file');
+
+    const items = [];
+    for (const segment of trackService.splitDescents(points)) {
+      items.push({ index: items.length, run: await this.prepare(this._runFromSegment(userId, segment, resortName)) });
+    }
+    const results = await this.saveMany(userId, items, { atomic: true });
+    const failed = results.find(r => r.status === 'error');
+    if (failed) {
+      const err = new Error(failed.message);
+      err.status = this.errorStatus(failed.code);
+      throw err;
+    }
+    return items.map(i => i.run);
+  }
+
+  _runFromSegment(userId, segment, resortName) {
+    const first = segment[0];
+    const last = segment[segment.length - 1];
+    const heartRates = segment.map(p => p.heartRate).filter(hr => hr > 0);
+
+    return {
+      id: uuidv5(`${userId}:${first.time}`, IMPORT_NAMESPACE),
+      resortName: resortName || null,
+      resortLatitude: first.lat,
+      resortLongitude: first.lon,
+      startTime: new Date(first.time).toISOString(),
+      endTime: new Date(last.time).toISOString(),
+      duration: (last.time - first.time) / 1000,
+      avgHeartRate: heartRates.length ? heartRates.reduce((a, b) => a + b, 0) / heartRates.length : 0,
+      maxHeartRate: heartRates.length ? Math.max(...heartRates) : 0,
+      routeData: segment.map(p => ({
+        latitude: p.lat,
+        longitude: p.lon,
+        altitude: p.alt,
+        timestamp: new Date(p.time).toISOString(),
+        ...(p.heartRate ? { heartRate: p.heartRate } : {}),
+      })),
+    };
+  }
+
+  // ==========================================
+  // LIST & SEARCH
+  // ==========================================
+
+  // Query parameters of a run list (GET /v1/runs, /v1/friends/:id/runs) as
+  // { options, errors }, errors in the same { field, message } form as
+  // validate. `fields` are the keys a projection may name; `sorts` and
+  // `filters` narrow the ones below (default: all), so a list of someone
+  // else's runs can't sort or filter — and page by cursor — on what it
+  // doesn't show.
+  //
+  //   from, to            YYYY-MM-DD (the run's local day) or a timestamp, inclusive
+  //   since               timestamp, exclusive
+  //   resort              catalog slug or resort name
+  //   difficulty          one or more, comma-separated
+  //   minSpeed, minVert, minDistance   m/s and meters
+  //   hasHeartRate        true | false
+  //   sort, order         a SORTS key (default startTime), asc | desc (default)
+  //   limit               page size, at most 100 (default 20)
+  //   cursor              nextCursor of the previous page, or page / offset
+  //   fields              comma-separated keys to return (id always comes back)
+  listOptions(params, { fields, sorts = Object.keys(SORTS), filters: allowed = LIST_FILTERS }) {
+    const errors = [];
+    const error = (field, message) => errors.push({ field, message });
+    const value = (name) => (params[name] === undefined || params[name] === '' ? undefined : String(params[name]));
+    const options = { filters: {}, sort: 'startTime', order: 'desc', limit: 20, offset: 0, cursor: null, fields: null };
+    const { filters } = options;
+
+    for (const name of LIST_FILTERS) {
+      if (!allowed.includes(name) && value(name) !== undefined) error(name, `${name} is not available for this list`);
+    }
+
+    for (const name of ['from', 'to']) {
+      const v = value(name);
+      if (v === undefined) continue;
+      if (/^\d{4}-\d{2}-\d{2}$/.test(v) && isDate(v)) filters[name] = { date: v };
+      else if (isDate(v)) filters[name] = { time: new Date(v).toISOString() };
+      else error(name, `${name} must be a date (YYYY-MM-DD) or ISO 8601 timestamp`);
+    }
+    if (value('since') !== undefined) {
+      if (isDate(value('since'))) filters.since = new Date(value('since')).toISOString();
+      else error('since', 'since must be an ISO 8601 timestamp');
+    }
+    if (value('resort') !== undefined) filters.resort = value('resort');
+    if (value('difficulty') !== undefined) {
+      const names = value('difficulty').split(',');
+      const difficulties = names.map(d => scoringService.normalizeDifficulty(d));
+      if (difficulties.includes(null)) error('difficulty', 'difficulty must be green, blue, black, double-black or terrain-park');
+      else filters.difficulty = [...new Set(difficulties)];
+    }
+    for (const name of Object.keys(MIN_FILTERS)) {
+      if (value(name) === undefined) continue;
+      const n = Number(value(name));
+      if (Number.isFinite(n) && n >= 0) filters[name] = n;
+      else error(name, `${name} must be a number of at least 0`);
+    }
+    if (value('hasHeartRate') !== undefined) {
+      if (['true', 'false'].includes(value('hasHeartRate'))) filters.hasHeartRate = value('hasHeartRate') === 'true';
+      else error('hasHeartRate', 'hasHeartRate must be true or false');
+    }
+
+    if (value('sort') !== undefined) {
+      if (sorts.includes(value('sort'))) options.sort = value('sort');
+      else error('sort', `sort must be one of ${sorts.join(', ')}`);
+    }
+    if (value('order') !== undefined) {
+      if (['asc', 'desc'].includes(value('order'))) options.order = value('order');
+      else error('order', 'order must be asc or desc');
+    }
+    if (value('limit') !== undefined) {
+      const limit = Number(value('limit'));
+      if (Number.isInteger(limit) && limit >= 1) options.limit = Math.min(limit, MAX_LIST_LIMIT);
+      else error('limit', 'limit must be a positive integer');
+    }
+    if (value('cursor') !== undefined) {
+      options.cursor = decodeListCursor(value('cursor'), options.sort, options.order);
+      if (!options.cursor) error('cursor', 'cursor is invalid or was made for a different sort');
+    } else if (value('offset') !== undefined) {
+      const offset = Number(value('offset'));
+      if (Number.isInteger(offset) && offset >= 0) options.offset = offset;
+      else error('offset', 'offset must be a whole number');
+    } else if (value('page') !== undefined) {
+      const page = Number(value('page'));
+      if (Number.isInteger(page) && page >= 1) options.offset = (page - 1) * options.limit;
+      else error('page', 'page must be a positive integer');
+    }
+    if (value('fields') !== undefined) {
+      const names = value('fields').split(',').map(f => f.trim()).filter(Boolean);
+      const unknown = names.filter(f => !fields.includes(f));
+      if (unknown.length) error('fields', `Unknown fields: ${unknown.join(', ')}`);
+      else options.fields = ['id', ...names.filter(f => f !== 'id')];
+    }
+    return { options, errors };
+  }
+
+  // One page of a user's runs for listOptions' options. Returns
+  // { rows, total, hasMore, nextCursor }; total is only counted for offset
+  // pages (null when paging by cursor).
+  async list(userId, { filters, sort, order, limit, offset, cursor }) {
+    const params = [userId];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    const where = ['user_id = $1', 'is_deleted = false'];
+    if (filters.resort) {
+      const p = param(filters.resort);
+      where.push(`(resort_name = ${p} OR resort_id = (SELECT id FROM resorts WHERE slug = LOWER(${p})))`);
+    }
+    if (filters.since) where.push(`start_time > ${param(filters.since)}`);
+    if (filters.from) where.push(filters.from.date ? `${LOCAL_DATE} >= ${param(filters.from.date)}::date` : `start_time >= ${param(filters.from.time)}`);
+    if (filters.to) where.push(filters.to.date ? `${LOCAL_DATE} <= ${param(filters.to.date)}::date` : `start_time <= ${param(filters.to.time)}`);
+    if (filters.difficulty) where.push(`difficulty = ANY(${param(filters.difficulty)})`);
+    for (const [name, column] of Object.entries(MIN_FILTERS)) {
+      if (filters[name] !== undefined) where.push(`${column} >= ${param(filters[name])}`);
+    }
+    if (filters.hasHeartRate !== undefined) where.push(filters.hasHeartRate ? 'avg_heart_rate > 0' : 'COALESCE(avg_heart_rate, 0) = 0');
+
+    let total = null;
+    if (!cursor) {
+      const count = await query(`SELECT COUNT(*) FROM runs WHERE ${where.join(' AND ')}`, params);
+      total = parseInt(count.rows[0].count);
+    }
+
+    const key = sortExpression(sort);
+    const dir = order === 'asc' ? 'ASC' : 'DESC';
+    if (cursor) {
+      // Metric columns are float8; comparing as numeric would round the key
+      const value = `${param(cursor.value)}::${sort === 'startTime' ? 'timestamptz' : 'float8'}`;
+      where.push(`(${key}, id) ${order === 'asc' ? '>' : '<'} (${value}, ${param(cursor.id)}::uuid)`);
+    }
+    const result = await query(
+      `SELECT ${LIST_COLUMNS} FROM runs WHERE ${where.join(' AND ')}
+       ORDER BY ${key} ${dir}, id ${dir}
+       LIMIT ${param(limit + 1)} OFFSET ${param(cursor ? 0 : offset)}`,
+      params
+    );
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    return { rows, total, hasMore, nextCursor: hasMore ? encodeListCursor(last, sort, order) : null };
+  }
+
+  // Keep only `fields` (from listOptions) of a formatted run
+  project(run, fields) {
+    if (!fields) return run;
+    return Object.fromEntries(fields.map(f => [f, run[f]]));
+  }
+
+  // ==========================================
+  // SHARING
+  // ==========================================
+
+  // The public token for one of the user's runs, created on first share.
+  // Null if there is no such run.
+  async share(userId, runId) {
+    const result = await query(
+      `INSERT INTO run_shares (token, run_id, user_id)
+       SELECT $1, r.id, r.user_id FROM runs r WHERE r.id = $2 AND r.user_id = $3 AND r.is_deleted = false
+       ON CONFLICT (run_id) DO UPDATE SET token = run_shares.token
+       RETURNING token, created_at`,
+      [generateToken(16), runId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Revoke a share; false if the run wasn't shared
+  async unshare(userId, runId) {
+    const result = await query('DELETE FROM run_shares WHERE run_id = $1 AND user_id = $2', [runId, userId]);
+    return result.rowCount > 0;
+  }
+
+  // { user, run, points } for a public token, or null if it was revoked or
+  // the run or account is gone. Only what the page shows leaves here — the
+  // owner's name and units, the run's headline numbers and its track.
+  async findShared(token) {
+    if (!/^[0-9a-f]{32}$/.test(String(token))) return null;
+    const result = await query(
+      `SELECT r.run_name, r.resort_name, r.start_time, r.timezone, r.distance, r.max_speed, r.average_speed,
+              r.elevation_drop, r.duration, r.points, r.difficulty, r.route_data, u.display_name, u.use_metric
+       FROM run_shares s
+       JOIN runs r ON r.id = s.run_id AND r.is_deleted = false
+       JOIN users u ON u.id = s.user_id
+       WHERE s.token = $1 AND u.is_active = true`,
+      [token]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    return {
+      user: { displayName: row.display_name, useMetric: row.use_metric !== false },
+      run: {
+        runName: row.run_name, resortName: row.resort_name, startTime: row.start_time, timezone: row.timezone || 'UTC',
+        distance: parseFloat(row.distance), maxSpeed: parseFloat(row.max_speed), averageSpeed: parseFloat(row.average_speed),
+        elevationDrop: parseFloat(row.elevation_drop), duration: parseFloat(row.duration), points: parseInt(row.points),
+        difficulty: row.difficulty,
+      },
+      points: trackService.parse(row.route_data),
+    };
+  }
+
+  // ==========================================
+  // FORMAT
+  // ==========================================
+
+  // API shape of a runs row (route_data is never included). `version`
+  // changes on every write; clients send it back as baseVersion.
+  format(row) {
+    return { id:row.id, runName:row.run_name, resortId:row.resort_id||null, resortName:row.resort_name, reportedResortName:row.reported_resort_name||null, resortLatitude:row.resort_latitude, resortLongitude:row.resort_longitude, startTime:row.start_time, endTime:row.end_time, distance:parseFloat(row.distance), maxSpeed:parseFloat(row.max_speed), averageSpeed:parseFloat(row.average_speed), elevationDrop:parseFloat(row.elevation_drop), startElevation:parseFloat(row.start_elevation), endElevation:parseFloat(row.end_elevation), duration:parseFloat(row.duration), points:parseInt(row.points), scoreVersion:row.score_version ?? null, difficulty:row.difficulty, calories:parseFloat(row.calories), avgHeartRate:parseFloat(row.avg_heart_rate), maxHeartRate:parseFloat(row.max_heart_rate), metricsSource:row.metrics_source, metricsMismatch:row.metrics_mismatch||[], flagged:row.flagged===true, sessionId:row.session_id, reported:{ distance:parseFloat(row.reported_distance), maxSpeed:parseFloat(row.reported_max_speed), averageSpeed:parseFloat(row.reported_average_speed), elevationDrop:parseFloat(row.reported_elevation_drop) }, version:Number(row.sync_seq), modifiedAt:row.client_modified_at||row.updated_at, createdAt:row.created_at, updatedAt:row.updated_at };
+  }
+}
+
+function badRequest(message) {
+  return httpError(400, message);
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function versionConflict(message, server) {
+  const err = httpError(409, message);
+  err.code = 'version_conflict';
+  err.server = server;
+  return err;
+}
+
+// A runs row in the shape of a prepared run (see prepare), for re-filing
+function rowToRun(row) {
+  return {
+    id: row.id,
+    runName: row.run_name,
+    resortId: row.resort_id,
+    resortName: row.resort_name,
+    resortLatitude: row.resort_latitude,
+    resortLongitude: row.resort_longitude,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    timezone: row.timezone || 'UTC',
+    distance: num(row.distance),
+    maxSpeed: num(row.max_speed),
+    averageSpeed: num(row.average_speed),
+    elevationDrop: num(row.elevation_drop),
+    duration: num(row.duration),
+    difficulty: row.difficulty,
+    routeData: row.route_data,
+  };
+}
+
+// Two devices can edit the same run offline. A client that edited a copy
+// sends the `version` it started from (baseVersion) and when the edit was
+// made (modifiedAt). No baseVersion, or nothing written since: no conflict
+// (null). Otherwise the later edit wins — 'client' or 'server' — and a run
+// deleted meanwhile stays deleted ('deleted').
+function resolveConflict(run, current) {
+  if (run.baseVersion === null || !current || Number(current.sync_seq) === run.baseVersion) return null;
+  if (current.is_deleted) return 'deleted';
+  const stored = current.client_modified_at || current.updated_at;
+  return run.modifiedAt && new Date(run.modifiedAt) > new Date(stored) ? 'client' : 'server';
+}
+
+// Parameters for one row of UPSERT_COLUMNS
+function upsertValues(userId, run, now) {
+  return [run.id, run.id, userId, run.runName, run.resortName, run.resortLatitude, run.resortLongitude,
+    run.startTime, run.endTime, run.distance, run.maxSpeed, run.averageSpeed, run.elevationDrop, run.startElevation, run.endElevation,
+    run.duration, run.points, run.difficulty, run.calories, run.avgHeartRate, run.maxHeartRate, run.routeData, run.reported.distance,
+    run.reported.maxSpeed, run.reported.averageSpeed, run.reported.elevationDrop, run.metricsSource, JSON.stringify(run.metricsMismatch),
+    run.flagged, JSON.stringify(run.flagReasons), run.flagged ? now : null, run.timezone, run.resortId, run.reportedResortName,
+    run.modifiedAt || now, run.scoreVersion];
+}
+
+// Start times sort as they are; metrics can be NULL on old runs and sort as 0
+function sortExpression(sort) {
+  return sort === 'startTime' ? 'start_time' : `COALESCE(${SORTS[sort]}, 0)`;
+}
+
+// A list cursor is the sort value and id of the last run on a page, with the
+// sort it belongs to, as base64url JSON
+function encodeListCursor(row, sort, order) {
+  const raw = row[SORTS[sort]];
+  const value = sort === 'startTime' ? new Date(raw).toISOString() : String(raw ?? 0);
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id: row.id })).toString('base64url');
+}
+
+// { value, id }, or null if the cursor is garbled or from another sort
+function decodeListCursor(cursor, sort, order) {
+  try {
+    const { s, o, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (s !== sort || o !== order || typeof v !== 'string' || !UUID.test(String(id))) return null;
+    if (sort === 'startTime' ? !isDate(v) : !Number.isFinite(Number(v))) return null;
+    return { value: v, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+function runError(index, clientId, code, message, extra = {}) {
+  return { index, clientId, status: 'error', code, message, ...extra };
+}
+
+function isDate(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+function round(value, places = 2) {
+  const f = 10 ** places;
+  return Math.round(value * f) / f;
+}
+
+module.exports = new RunService();
@@ -0,0 +1,88 @@
+// Points for a run are computed on the server; whatever the client sends is
+// ignored. Each formula has a version, stored on the run as score_version, so
+// changing the formula means adding a new version here and a migration that
+// rescores stored runs with its own copy of the new formula (see
+// migrations/027_rescore_runs.js). Old versions stay so stored points can be
+// explained.
+
+const DIFFICULTY_FACTORS = {
+  green: 0.8,
+  blue: 1,
+  black: 1.25,
+  'double-black': 1.5,
+  'terrain-park': 1,
+};
+
+const DIFFICULTIES = Object.keys(DIFFICULTY_FACTORS);
+
+// Names the clients and imported data use for each difficulty
+const DIFFICULTY_ALIASES = {
+  green: ['green', 'green circle', 'easy', 'beginner'],
+  blue: ['blue', 'blue square', 'intermediate'],
+  black: ['black', 'black diamond', 'advanced', 'difficult'],
+  'double-black': ['double-black', 'double black', 'double black diamond', 'double diamond', 'expert'],
+  'terrain-park': ['terrain-park', 'terrain park', 'park', 'freestyle'],
+};
+
+// Speeds above the anti-cheat limit are flagged anyway; don't let them pay
+const MAX_SCORED_SPEED = 40; // m/s
+
+const FORMULAS = {
+  // v1: 1 point per 10 m of vertical, 1 per 200 m travelled and 1 per 2 m/s
+  // of top speed, weighted by difficulty and by terrain — runs averaging
+  // steeper than 15% earn up to 25% more, reached at 60%.
+  1(run) {
+    const vert = positive(run.elevationDrop);
+    const distance = positive(run.distance);
+    const speed = Math.min(positive(run.maxSpeed), MAX_SCORED_SPEED);
+    const base = vert / 10 + distance / 200 + speed / 2;
+
+    const gradient = distance > 0 ? vert / distance : 0;
+    const terrain = 1 + 0.25 * clamp((gradient - 0.15) / 0.45, 0, 1);
+
+    return Math.round(base * DIFFICULTY_FACTORS[run.difficulty] * terrain);
+  },
+};
+
+const VERSION = 1;
+
+class ScoringService {
+
+  get version() {
+    return VERSION;
+  }
+
+  isDifficulty(value) {
+    return DIFFICULTIES.includes(value);
+  }
+
+  // One of DIFFICULTIES, or null if `value` isn't a difficulty we know
+  // ("Blue", "Black Diamond", "double black", "Park"...)
+  normalizeDifficulty(value) {
+    if (typeof value !== 'string') return null;
+    const name = value.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+    for (const [difficulty, aliases] of Object.entries(DIFFICULTY_ALIASES)) {
+      if (aliases.some(alias => alias.replace(/-/g, ' ') === name)) return difficulty;
+    }
+    return null;
+  }
+
+  // `run` has elevationDrop (m), distance (m), maxSpeed (m/s) and difficulty;
+  // flagged runs keep their points but never count on boards. Scored with the
+  // current formula unless `version` says otherwise.
+  points(run, version = VERSION) {
+    const formula = FORMULAS[version];
+    if (!formula) throw new Error(`Unknown scoring version ${version}`);
+    return formula({ ...run, difficulty: this.normalizeDifficulty(run.difficulty) || 'blue' });
+  }
+}
+
+function positive(value) {
+  return Math.max(0, Number(value) || 0);
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+module.exports = new ScoringService();
@@ -0,0 +1,166 @@
+const { addDays, isIsoDate, localDate } = require('../utils/time');
+
+// Season calendars. A season starts on `start` (MM-DD) and lasts until the
+// same date a year later, so every day belongs to exactly one season.
+//
+//   north  Nov 1 → Oct 31, labelled "2025-26"
+//   south  calendar year (the ski season itself runs June–October), "2026"
+//
+// Either start can be moved with SEASON_START_NORTH / SEASON_START_SOUTH, and a
+// resort can override its hemisphere's with resorts.season_start.
+const HEMISPHERES = {
+  north: { start: process.env.SEASON_START_NORTH || '11-01' },
+  south: { start: process.env.SEASON_START_SOUTH || '01-01' },
+};
+
+const WINDOWS = ['season', 'day', 'week', 'month', 'custom', 'all'];
+const MAX_CUSTOM_DAYS = 400;
+
+// Calendar date of a run in its own time zone — what season/window filters compare
+const runDateSql = (alias = 'r') => `(${alias}.start_time AT TIME ZONE COALESCE(${alias}.timezone, 'UTC'))::date`;
+
+class SeasonService {
+
+  // ==========================================
+  // CALENDARS
+  // ==========================================
+
+  // { calendar, hemisphere, start, timezone, resortId } for a hemisphere or a
+  // catalog resort (see resortService.format)
+  calendar({ hemisphere = 'north', resort = null } = {}) {
+    if (resort) {
+      const resortHemisphere = resort.latitude < 0 ? 'south' : 'north';
+      return {
+        calendar: `resort:${resort.slug}`,
+        hemisphere: resortHemisphere,
+        start: resort.seasonStart || HEMISPHERES[resortHemisphere].start,
+        timezone: resort.timezone,
+        resortId: resort.id,
+      };
+    }
+    if (!HEMISPHERES[hemisphere]) throw badRequest('hemisphere must be north or south');
+    return { calendar: hemisphere, hemisphere, start: HEMISPHERES[hemisphere].start, timezone: 'UTC', resortId: null };
+  }
+
+  // ==========================================
+  // SEASONS
+  // ==========================================
+
+  // The season containing an instant (or a YYYY-MM-DD date)
+  forDate(date, options) {
+    const cal = this.calendar(options);
+    const day = isIsoDate(date) ? date : localDate(date, cal.timezone);
+    const year = parseInt(day.slice(0, 4));
+    return this._build(day.slice(5) >= cal.start ? year : year - 1, cal);
+  }
+
+  current(options, now = new Date()) {
+    return this.forDate(now, options);
+  }
+
+  // "2025-26" (or "2026" for calendar-year seasons); null if the label doesn't
+  // fit the calendar
+  byLabel(label, options) {
+    const cal = this.calendar(options);
+    const match = /^(\d{4})(?:-(\d{2}))?$/.exec(label || '');
+    if (!match) return null;
+    const season = this._build(parseInt(match[1]), cal);
+    return season.label === label ? season : null;
+  }
+
+  next(season) {
+    return this._build(season.startYear + 1, season.cal);
+  }
+
+  // Finished in every time zone, so its standings can no longer change
+  isOver(season, now = new Date()) {
+    return addDays(season.until, 1) <= localDate(now, 'UTC');
+  }
+
+  _build(startYear, cal) {
+    const spansYears = cal.start !== '01-01';
+    return {
+      type: 'season',
+      label: spansYears ? `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}` : String(startYear),
+      calendar: cal.calendar,
+      resortId: cal.resortId,
+      startYear,
+      from: `${startYear}-${cal.start}`,
+      until: `${startYear + 1}-${cal.start}`, // exclusive
+      cal,
+    };
+  }
+
+  // ==========================================
+  // LEADERBOARD WINDOWS
+  // ==========================================
+
+  // Turn ?season= / ?window=&from=&to= into { type, label, from, until } with
+  // YYYY-MM-DD bounds (until exclusive; null = open). Day, week and month are
+  // the current calendar period in `timezone`. Throws with status 400.
+  resolveWindow(params = {}, { defaultWindow = 'season', timezone = 'UTC', ...calendar } = {}, now = new Date()) {
+    const type = params.window || (params.season ? 'season' : defaultWindow);
+    if (!WINDOWS.includes(type)) throw badRequest(`window must be one of ${WINDOWS.join(', ')}`);
+    if (params.season && type !== 'season') throw badRequest('season can only be combined with window=season');
+
+    if (type === 'season') {
+      const season = params.season ? this.byLabel(params.season, calendar) : this.current(calendar, now);
+      if (!season) throw badRequest(`Unknown season "${params.season}"`);
+      return season;
+    }
+
+    const today = localDate(now, timezone);
+    if (type === 'all') return { type, label: 'all', from: null, until: null };
+    if (type === 'day') return { type, label: today, from: today, until: addDays(today, 1) };
+    if (type === 'week') {
+      const weekday = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7; // Monday = 0
+      const from = addDays(today, -weekday);
+      return { type, label: from, from, until: addDays(from, 7) };
+    }
+    if (type === 'month') {
+      const from = `${today.slice(0, 7)}-01`;
+      const next = new Date(`${from}T00:00:00Z`);
+      next.setUTCMonth(next.getUTCMonth() + 1);
+      return { type, label: today.slice(0, 7), from, until: next.toISOString().slice(0, 10) };
+    }
+
+    // custom
+    if (!isIsoDate(params.from) || !isIsoDate(params.to)) throw badRequest('window=custom needs from and to as YYYY-MM-DD');
+    if (params.from > params.to) throw badRequest('from must not be after to');
+    const until = addDays(params.to, 1);
+    if (addDays(params.from, MAX_CUSTOM_DAYS) < until) throw badRequest(`Custom windows are limited to ${MAX_CUSTOM_DAYS} days`);
+    return { type, label: `${params.from}..${params.to}`, from: params.from, until };
+  }
+
+  // SQL condition limiting runs (alias `r`) to a window; pushes its params
+  windowSql(window, params, alias = 'r') {
+    let sql = '';
+    if (window.from) {
+      params.push(window.from);
+      sql += ` AND ${runDateSql(alias)} >= $${params.length}::date`;
+    }
+    if (window.until) {
+      params.push(window.until);
+      sql += ` AND ${runDateSql(alias)} < $${params.length}::date`;
+    }
+    return sql;
+  }
+
+  // How a window is shown to clients (inclusive `to`)
+  describe(window) {
+    return {
+      type: window.type,
+      label: window.label,
+      from: window.from,
+      to: window.until ? addDays(window.until, -1) : null,
+    };
+  }
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+module.exports = new SeasonService();
@@ -0,0 +1,370 @@
+const { query, transaction } = require('../../config/database');
+const { haversineDistance, distanceToPolyline } = require('../utils/geo');
+const trackService = require('./trackService');
+const seasonService = require('./seasonService');
+const friendService = require('./friendService');
+const catalog = require('../data/segments');
+
+const CACHE_TTL = 5 * 60 * 1000;  // ms
+const MIN_SPEED_INTERVAL = 1;     // s — as in trackService
+const MAX_OFF_LINE = 0.1;         // share of track points allowed outside the corridor
+const COVERAGE_STEP = 50;         // m — spacing of the line samples the track must pass
+
+class SegmentService {
+  constructor() {
+    this.cache = null;
+  }
+
+  // ==========================================
+  // CATALOG
+  // ==========================================
+
+  async all() {
+    if (!this.cache || Date.now() - this.cache.loadedAt > CACHE_TTL) {
+      const result = await query(
+        `SELECT s.*, r.slug as resort_slug, r.name as resort_name
+         FROM segments s JOIN resorts r ON r.id = s.resort_id
+         ORDER BY r.name, s.name`
+      );
+      this.cache = { loadedAt: Date.now(), segments: result.rows.map(s => this.format(s)) };
+    }
+    return this.cache.segments;
+  }
+
+  // By id or slug
+  async find(key) {
+    const segments = await this.all();
+    const needle = String(key).toLowerCase();
+    return segments.find(s => s.id === needle || s.slug === needle) || null;
+  }
+
+  // Upsert src/data/segments.js into the segments table. Segments whose
+  // resort isn't in the catalog are skipped. `db` is anything with a
+  // pg-style query() (the pool or a migration's client).
+  async syncCatalog(db = { query }) {
+    let synced = 0;
+    for (const s of catalog) {
+      const resort = await db.query('SELECT id FROM resorts WHERE slug = $1', [s.resort]);
+      if (resort.rows.length === 0) continue;
+      const line = s.line.map(([lon, lat]) => ({ lat, lon }));
+      await db.query(
+        `INSERT INTO segments (slug, resort_id, name, difficulty, line, length_m, gate_radius_m, corridor_m)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (slug) DO UPDATE SET resort_id = EXCLUDED.resort_id, name = EXCLUDED.name,
+           difficulty = EXCLUDED.difficulty, line = EXCLUDED.line, length_m = EXCLUDED.length_m,
+           gate_radius_m = EXCLUDED.gate_radius_m, corridor_m = EXCLUDED.corridor_m`,
+        [s.slug, resort.rows[0].id, s.name, s.difficulty || null, JSON.stringify(s.line),
+          Math.round(pathLength(line)), s.gate || 30, s.corridor || 50]
+      );
+      synced++;
+    }
+    this.cache = null;
+    return synced;
+  }
+
+  // ==========================================
+  // MATCHING
+  // ==========================================
+
+  // Every pass of a track (parsed points, see trackService.parse) through a
+  // segment: in at the start gate, along the line, out at the finish gate.
+  // Returns [{ startIndex, endIndex, startTime, elapsedTime, distance, maxSpeed, averageSpeed }].
+  matchTrack(points, segment) {
+    if (points.length < 2 || !overlaps(points, segment)) return [];
+    const start = segment.line[0];
+    const finish = segment.line[segment.line.length - 1];
+
+    const efforts = [];
+    let from = 0;
+    for (;;) {
+      let enter = gatePass(points, from, start, segment.gateRadius);
+      if (!enter) break;
+      const exit = gatePass(points, enter.end, finish, segment.gateRadius);
+      if (!exit) break;
+      // Waiting at the top (or hiking back up) passes the start gate again —
+      // time from the last pass before the finish
+      for (let next = gatePass(points, enter.end, start, segment.gateRadius); next && next.index < exit.index;
+        next = gatePass(points, next.end, start, segment.gateRadius)) {
+        enter = next;
+      }
+
+      const effort = this._effort(points, enter.index, exit.index, segment);
+      if (effort) efforts.push(effort);
+      from = effort ? exit.end : enter.end;
+    }
+    return efforts;
+  }
+
+  // Timing for points[s..e], or null if that stretch doesn't follow the line
+  _effort(points, s, e, segment) {
+    const stretch = points.slice(s, e + 1);
+    const elapsedTime = (points[e].time - points[s].time) / 1000;
+    if (elapsedTime <= 0) return null;
+
+    const offLine = stretch.filter(p => distanceToPolyline(p, segment.line) > segment.corridor).length;
+    if (offLine > stretch.length * MAX_OFF_LINE) return null;
+    // ...and the whole line was skied, not cut short between the gates
+    if (sampleLine(segment.line, COVERAGE_STEP).some(p => distanceToPolyline(p, stretch) > segment.corridor)) return null;
+
+    let distance = 0;
+    let maxSpeed = 0;
+    for (let i = 1; i < stretch.length; i++) {
+      const d = haversineDistance(stretch[i - 1], stretch[i]);
+      const dt = (stretch[i].time - stretch[i - 1].time) / 1000;
+      distance += d;
+      if (dt >= MIN_SPEED_INTERVAL) maxSpeed = Math.max(maxSpeed, d / dt);
+    }
+
+    return {
+      startIndex: s,
+      endIndex: e,
+      startTime: new Date(points[s].time).toISOString(),
+      elapsedTime: round(elapsedTime),
+      distance: round(distance),
+      maxSpeed: round(maxSpeed),
+      averageSpeed: round(distance / elapsedTime),
+    };
+  }
+
+  // Match a saved run's track and replace its stored efforts. `run` is a
+  // prepared run (see runService.prepare) or a runs row. Returns the efforts.
+  async matchRun(userId, run) {
+    const runId = run.id;
+    const resortId = run.resortId !== undefined ? run.resortId : run.resort_id;
+    const points = trackService.parse(run.routeData !== undefined ? run.routeData : run.route_data);
+
+    const candidates = (await this.all()).filter(s => !resortId || s.resortId === resortId);
+    const found = [];
+    for (const segment of candidates) {
+      for (const effort of this.matchTrack(points, segment)) found.push({ segment, ...effort });
+    }
+
+    await transaction(async (client) => {
+      await client.query('DELETE FROM segment_efforts WHERE run_id = $1', [runId]);
+      for (const e of found) {
+        await client.query(
+          `INSERT INTO segment_efforts (segment_id, run_id, user_id, start_time, elapsed_time, distance, max_speed, average_speed)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           ON CONFLICT (run_id, segment_id, start_time) DO NOTHING`,
+          [e.segment.id, runId, userId, e.startTime, e.elapsedTime, e.distance, e.maxSpeed, e.averageSpeed]
+        );
+      }
+    });
+    return found;
+  }
+
+  // ==========================================
+  // RECORDS & BOARDS
+  // ==========================================
+
+  // A run's efforts, each with the skier's personal record on that segment,
+  // where this effort ranks among their own (prRank) and where it would sit on
+  // the public board (boardRank). Efforts on flagged runs get no ranks.
+  async forRun(runId) {
+    const result = await query(
+      `WITH eligible AS (
+         SELECT e.* FROM segment_efforts e
+         JOIN runs r ON r.id = e.run_id
+         WHERE r.is_deleted = false AND r.flagged = false
+       )
+       SELECT e.*, s.slug, s.name, s.difficulty, owner_run.flagged,
+              (SELECT MIN(x.elapsed_time) FROM eligible x
+               WHERE x.user_id = e.user_id AND x.segment_id = e.segment_id) as pr_time,
+              (SELECT COUNT(*) + 1 FROM eligible x
+               WHERE x.user_id = e.user_id AND x.segment_id = e.segment_id AND x.elapsed_time < e.elapsed_time) as pr_rank,
+              (SELECT COUNT(DISTINCT x.user_id) + 1 FROM eligible x
+               JOIN users u ON u.id = x.user_id
+               WHERE x.segment_id = e.segment_id AND x.user_id <> e.user_id AND x.elapsed_time < e.elapsed_time
+                 AND u.is_active = true AND u.leaderboard_visibility = 'public'
+                 AND ${friendService.notBlockedSql('x.user_id', 'e.user_id')}) as board_rank
+       FROM segment_efforts e
+       JOIN segments s ON s.id = e.segment_id
+       JOIN runs owner_run ON owner_run.id = e.run_id
+       WHERE e.run_id = $1
+       ORDER BY e.start_time`,
+      [runId]
+    );
+
+    return result.rows.map(r => {
+      const ranked = r.flagged !== true;
+      return {
+        segmentId: r.segment_id,
+        slug: r.slug,
+        name: r.name,
+        difficulty: r.difficulty,
+        startTime: r.start_time,
+        elapsedTime: parseFloat(r.elapsed_time),
+        distance: parseFloat(r.distance),
+        maxSpeed: parseFloat(r.max_speed),
+        averageSpeed: parseFloat(r.average_speed),
+        personalRecord: r.pr_time !== null ? parseFloat(r.pr_time) : null,
+        isPersonalRecord: ranked && r.pr_time !== null && parseFloat(r.pr_time) === parseFloat(r.elapsed_time),
+        prRank: ranked ? parseInt(r.pr_rank) : null,
+        boardRank: ranked ? parseInt(r.board_rank) : null,
+      };
+    });
+  }
+
+  // A skier's best effort on a segment plus how many times they've ridden it
+  async personalRecord(segmentId, userId) {
+    const result = await query(
+      `SELECT e.elapsed_time, e.run_id, e.start_time, COUNT(*) OVER () as attempts
+       FROM segment_efforts e
+       JOIN runs r ON r.id = e.run_id
+       WHERE e.segment_id = $1 AND e.user_id = $2 AND r.is_deleted = false AND r.flagged = false
+       ORDER BY e.elapsed_time, e.start_time
+       LIMIT 1`,
+      [segmentId, userId]
+    );
+    if (result.rows.length === 0) return null;
+    const row = result.rows[0];
+    return {
+      elapsedTime: parseFloat(row.elapsed_time),
+      runId: row.run_id,
+      startTime: row.start_time,
+      attempts: parseInt(row.attempts),
+    };
+  }
+
+  // Fastest skiers on a segment — each skier's best effort in the window —
+  // with the same audience rules as leaderboardService.rank:
+  //   scope 'friends'/'group'  — userIds, minus anyone 'private'
+  //   scope 'global'           — everyone with leaderboard_visibility 'public'
+  // Users blocked by or blocking the viewer are left out, and the viewer is
+  // always ranked. Rank 1 is the "king of the mountain".
+  // Returns { total, entries, you }.
+  async leaderboard(segmentId, { window, scope = 'global', userId, userIds = [], limit = 50 }) {
+    const params = [segmentId, userId];
+    const windowFilter = window ? seasonService.windowSql(window, params) : '';
+
+    let audience;
+    if (scope === 'friends' || scope === 'group') {
+      params.push(userIds);
+      audience = `u.id = ANY($${params.length}) AND (u.id = $2 OR u.leaderboard_visibility <> 'private')`;
+    } else {
+      audience = `u.is_active = true AND (u.id = $2 OR u.leaderboard_visibility = 'public')`;
+    }
+    audience += ` AND ${friendService.notBlockedSql('u.id', '$2')}`;
+    params.push(limit);
+
+    const result = await query(
+      `WITH best AS (
+         SELECT DISTINCT ON (e.user_id) e.user_id, e.elapsed_time, e.run_id, e.start_time, e.max_speed, e.average_speed
+         FROM segment_efforts e
+         JOIN runs r ON r.id = e.run_id
+         WHERE e.segment_id = $1 AND r.is_deleted = false AND r.flagged = false${windowFilter}
+         ORDER BY e.user_id, e.elapsed_time, e.start_time
+       ),
+       ranked AS (
+         SELECT b.*, u.display_name,
+                RANK() OVER (ORDER BY b.elapsed_time) as rank,
+                COUNT(*) OVER () as total
+         FROM best b
+         JOIN users u ON u.id = b.user_id
+         WHERE ${audience}
+       )
+       SELECT * FROM ranked
+       WHERE rank <= $${params.length} OR user_id = $2
+       ORDER BY rank, start_time`,
+      params
+    );
+
+    const rows = result.rows.map(r => ({
+      rank: parseInt(r.rank),
+      userId: r.user_id,
+      displayName: r.display_name,
+      elapsedTime: parseFloat(r.elapsed_time),
+      maxSpeed: parseFloat(r.max_speed),
+      averageSpeed: parseFloat(r.average_speed),
+      runId: r.run_id,
+      startTime: r.start_time,
+    }));
+    return {
+      total: result.rows.length ? parseInt(result.rows[0].total) : 0,
+      entries: rows.filter(r => r.rank <= limit),
+      you: rows.find(r => r.userId === userId) || null,
+    };
+  }
+
+  // ==========================================
+  // FORMATTING
+  // ==========================================
+
+  format(row) {
+    const line = (row.line || []).map(([lon, lat]) => ({ lat, lon }));
+    return {
+      id: row.id,
+      slug: row.slug,
+      name: row.name,
+      difficulty: row.difficulty,
+      resortId: row.resort_id,
+      resortSlug: row.resort_slug,
+      resortName: row.resort_name,
+      line,
+      length: parseFloat(row.length_m),
+      gateRadius: row.gate_radius_m,
+      corridor: row.corridor_m,
+    };
+  }
+}
+
+// The next pass through a gate at or after `from`: { index } of the point
+// closest to the gate and { end }, the first index after leaving it
+function gatePass(points, from, gate, radius) {
+  let i = from;
+  while (i < points.length && haversineDistance(points[i], gate) > radius) i++;
+  if (i >= points.length) return null;
+
+  let index = i;
+  let closest = Infinity;
+  for (; i < points.length; i++) {
+    const d = haversineDistance(points[i], gate);
+    if (d > radius) break;
+    if (d < closest) {
+      closest = d;
+      index = i;
+    }
+  }
+  return { index, end: i };
+}
+
+// Cheap reject: track and segment bounding boxes don't come within a corridor
+function overlaps(points, segment) {
+  const margin = segment.corridor / 111320; // m → degrees latitude (generous for longitude)
+  const box = (pts) => pts.reduce((b, p) => ({
+    minLat: Math.min(b.minLat, p.lat), maxLat: Math.max(b.maxLat, p.lat),
+    minLon: Math.min(b.minLon, p.lon), maxLon: Math.max(b.maxLon, p.lon),
+  }), { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity });
+  const a = box(points);
+  const b = box(segment.line);
+  const lonMargin = margin / Math.max(0.1, Math.cos((a.minLat * Math.PI) / 180));
+  return a.minLat <= b.maxLat + margin && a.maxLat >= b.minLat - margin &&
+    a.minLon <= b.maxLon + lonMargin && a.maxLon >= b.minLon - lonMargin;
+}
+
+function pathLength(line) {
+  let length = 0;
+  for (let i = 1; i < line.length; i++) length += haversineDistance(line[i - 1], line[i]);
+  return length;
+}
+
+// Points every `step` m along a line, including every vertex
+function sampleLine(line, step) {
+  const samples = [line[0]];
+  for (let i = 1; i < line.length; i++) {
+    const a = line[i - 1];
+    const b = line[i];
+    const n = Math.ceil(haversineDistance(a, b) / step);
+    for (let k = 1; k <= n; k++) {
+      samples.push({ lat: a.lat + ((b.lat - a.lat) * k) / n, lon: a.lon + ((b.lon - a.lon) * k) / n });
+    }
+  }
+  return samples;
+}
+
+function round(value, places = 2) {
+  const f = 10 ** places;
+  return Math.round(value * f) / f;
+}
+
+module.exports = new SegmentService();
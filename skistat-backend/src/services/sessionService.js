@@ -0,0 +1,126 @@
+const { query } = require('../../config/database');
+const { localDate } = require('../utils/time');
+
+// Gaps between runs longer than this are breaks (lunch, après), not lift rides
+const MAX_LIFT_GAP = 45 * 60; // s
+
+class SessionService {
+
+  // ==========================================
+  // ASSIGN RUNS TO SESSIONS
+  // ==========================================
+
+  // Put a saved run into its ski day. `run` is a prepared run (see
+  // runService.prepare): the session is keyed by the client's session ID when
+  // given, otherwise by user + resort + local calendar day in run.timezone.
+  async assignRun(userId, run) {
+    const previous = await query('SELECT session_id FROM runs WHERE id = $1 AND user_id = $2', [run.id, userId]);
+    const oldSessionId = previous.rows.length ? previous.rows[0].session_id : null;
+
+    const sessionId = await this._upsertSession(userId, run);
+    await query('UPDATE runs SET session_id = $1 WHERE id = $2 AND user_id = $3', [sessionId, run.id, userId]);
+
+    const affected = oldSessionId && oldSessionId !== sessionId ? [sessionId, oldSessionId] : [sessionId];
+    await this.recompute(affected);
+    return sessionId;
+  }
+
+  async _upsertSession(userId, run) {
+    const resortName = run.resortName || null;
+    const resortKey = (resortName || '').trim().toLowerCase();
+    const date = localDate(run.startTime, run.timezone);
+
+    if (run.sessionId) {
+      const result = await query(
+        `INSERT INTO ski_sessions (user_id, client_session_id, resort_name, resort_key, local_date, timezone)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (user_id, client_session_id) DO UPDATE SET updated_at = NOW()
+         RETURNING id`,
+        [userId, String(run.sessionId), resortName, resortKey, date, run.timezone]
+      );
+      return result.rows[0].id;
+    }
+
+    const result = await query(
+      `INSERT INTO ski_sessions (user_id, resort_name, resort_key, local_date, timezone)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, resort_key, local_date) WHERE client_session_id IS NULL
+       DO UPDATE SET updated_at = NOW()
+       RETURNING id`,
+      [userId, resortName, resortKey, date, run.timezone]
+    );
+    return result.rows[0].id;
+  }
+
+  // ==========================================
+  // TOTALS
+  // ==========================================
+
+  // Recompute the denormalized totals of the given sessions from their
+  // remaining (non-deleted) runs. Sessions left without runs are removed.
+  async recompute(sessionIds) {
+    const ids = [...new Set(sessionIds.filter(Boolean))];
+    if (!ids.length) return;
+
+    await query(
+      `WITH gaps AS (
+         SELECT session_id, start_time, end_time, duration, elevation_drop, distance, max_speed, calories,
+                EXTRACT(EPOCH FROM start_time - LAG(COALESCE(end_time, start_time))
+                  OVER (PARTITION BY session_id ORDER BY start_time)) AS gap
+         FROM runs WHERE session_id = ANY($1) AND is_deleted = false
+       ), totals AS (
+         SELECT session_id, COUNT(*) AS run_count, SUM(elevation_drop) AS total_vert,
+                SUM(distance) AS total_distance, MAX(max_speed) AS top_speed, SUM(duration) AS ski_time,
+                SUM(CASE WHEN gap > 0 AND gap <= $2 THEN gap ELSE 0 END) AS lift_time,
+                SUM(calories) AS calories, MIN(start_time) AS started_at,
+                MAX(COALESCE(end_time, start_time)) AS ended_at
+         FROM gaps GROUP BY session_id
+       )
+       UPDATE ski_sessions s SET
+         run_count = t.run_count, total_vert = t.total_vert, total_distance = t.total_distance,
+         top_speed = t.top_speed, ski_time = t.ski_time, lift_time = t.lift_time,
+         calories = t.calories, started_at = t.started_at, ended_at = t.ended_at
+       FROM totals t WHERE t.session_id = s.id`,
+      [ids, MAX_LIFT_GAP]
+    );
+
+    await query(
+      `DELETE FROM ski_sessions s WHERE s.id = ANY($1)
+       AND NOT EXISTS (SELECT 1 FROM runs r WHERE r.session_id = s.id AND r.is_deleted = false)`,
+      [ids]
+    );
+  }
+
+  // Called after a run is soft-deleted
+  async removeRun(userId, runId) {
+    const result = await query('SELECT session_id FROM runs WHERE id = $1 AND user_id = $2', [runId, userId]);
+    if (result.rows.length) await this.recompute([result.rows[0].session_id]);
+  }
+
+  // ==========================================
+  // FORMATTING
+  // ==========================================
+
+  format(row) {
+    return {
+      id: row.id,
+      clientSessionId: row.client_session_id,
+      resortName: row.resort_name,
+      date: row.local_date, // selected as text to avoid server-zone shifts
+      timezone: row.timezone,
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      totals: {
+        runs: parseInt(row.run_count),
+        vert: parseFloat(row.total_vert),
+        distance: parseFloat(row.total_distance),
+        topSpeed: parseFloat(row.top_speed),
+        skiTime: parseFloat(row.ski_time),
+        liftTime: parseFloat(row.lift_time),
+        calories: parseFloat(row.calories),
+      },
+    };
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,231 @@
+const { query } = require('../../config/database');
+const seasonService = require('./seasonService');
+const { addDays } = require('../utils/time');
+
+const GROUP_BYS = ['day', 'week', 'month', 'season', 'resort', 'difficulty'];
+
+// Bucket key per groupBy over user_daily_stats (alias d). Seasons are folded
+// from days in JS, since season calendars live in seasonService.
+const GROUP_KEYS = {
+  day: 'd.local_date::text',
+  week: `date_trunc('week', d.local_date)::date::text`,
+  month: `to_char(d.local_date, 'YYYY-MM')`,
+  season: 'd.local_date::text',
+  resort: 'd.resort_id::text',
+  difficulty: 'd.difficulty',
+};
+
+const TOTALS = `COALESCE(SUM(d.run_count), 0) as runs, COALESCE(SUM(d.points), 0) as points,
+  COALESCE(SUM(d.vert), 0) as vert, COALESCE(SUM(d.distance), 0) as distance,
+  COALESCE(SUM(d.duration), 0) as duration, COALESCE(MAX(d.top_speed), 0) as top_speed,
+  COUNT(DISTINCT d.local_date) as ski_days`;
+
+const COMPARED = ['runs', 'points', 'vert', 'distance', 'topSpeed', 'averageSpeed', 'skiDays'];
+
+// Single-run bests: the user_daily_stats column and the one holding the run that set it
+const RUN_BESTS = {
+  topSpeed: { column: 'top_speed', runColumn: 'top_speed_run_id' },
+  longestRun: { column: 'longest_run', runColumn: 'longest_run_id' },
+  biggestVert: { column: 'biggest_vert', runColumn: 'biggest_vert_run_id' },
+};
+
+// Personal stats read from the user_daily_stats rollup (migration 020), which
+// rollupService keeps current as runs are saved, edited and deleted. Like
+// leaderboards, deleted and flagged runs never count.
+class StatsService {
+
+  isGroupBy(value) {
+    return GROUP_BYS.includes(value);
+  }
+
+  // ==========================================
+  // TOTALS & SERIES
+  // ==========================================
+
+  // Totals over a window (seasonService.resolveWindow shape)
+  async totals(userId, window) {
+    const params = [userId];
+    const result = await query(
+      `SELECT ${TOTALS} FROM user_daily_stats d WHERE d.user_id = $1${windowSql(window, params)}`,
+      params
+    );
+    return formatTotals(result.rows[0]);
+  }
+
+  // Totals per bucket: { key, label, ...totals }. Time buckets come oldest
+  // first, resorts and difficulties by vert. `hemisphere` picks the calendar
+  // for groupBy=season.
+  async series(userId, groupBy, window, { hemisphere = 'north' } = {}) {
+    const params = [userId];
+    const result = await query(
+      `SELECT ${GROUP_KEYS[groupBy]} as key, MAX(rs.name) as resort_name, ${TOTALS}
+       FROM user_daily_stats d
+       LEFT JOIN resorts rs ON rs.id = d.resort_id
+       WHERE d.user_id = $1${windowSql(window, params)}
+       GROUP BY 1 ORDER BY 1`,
+      params
+    );
+
+    if (groupBy === 'season') return foldSeasons(result.rows, hemisphere);
+    const buckets = result.rows.map(row => ({
+      key: row.key,
+      label: groupBy === 'resort' ? row.resort_name : row.key,
+      ...formatTotals(row),
+    }));
+    if (groupBy === 'resort' || groupBy === 'difficulty') buckets.sort((a, b) => b.vert - a.vert);
+    return buckets;
+  }
+
+  // ==========================================
+  // YEAR OVER YEAR
+  // ==========================================
+
+  // The window against the same dates a year earlier, with the change of each
+  // total in percent (null when last year was zero). A window still running
+  // is cut at `today` on both sides, so a season in progress is compared to
+  // last season up to the same day. Null for open windows (window=all).
+  async yearOverYear(userId, window, today) {
+    if (!window.from) return null;
+    const until = !window.until || window.until > addDays(today, 1) ? addDays(today, 1) : window.until;
+    if (until <= window.from) return null;
+
+    const current = { from: window.from, until };
+    const previous = { from: shiftYears(window.from, -1), until: shiftYears(until, -1) };
+    const now = await this.totals(userId, current);
+    const before = await this.totals(userId, previous);
+
+    const change = {};
+    for (const field of COMPARED) {
+      change[field] = before[field] ? Math.round(((now[field] - before[field]) / before[field]) * 1000) / 10 : null;
+    }
+    return {
+      current: { from: current.from, to: addDays(current.until, -1), ...now },
+      previous: { from: previous.from, to: addDays(previous.until, -1), ...before },
+      change,
+    };
+  }
+
+  // ==========================================
+  // PERSONAL BESTS & STREAKS
+  // ==========================================
+
+  // All-time bests: single runs (with the run that set them) and whole days
+  async personalBests(userId) {
+    const bests = {};
+    const runIds = [];
+    for (const [name, { column, runColumn }] of Object.entries(RUN_BESTS)) {
+      const result = await query(
+        `SELECT ${column} as value, ${runColumn} as run_id, local_date::text as day
+         FROM user_daily_stats WHERE user_id = $1 AND ${runColumn} IS NOT NULL
+         ORDER BY ${column} DESC, local_date LIMIT 1`,
+        [userId]
+      );
+      const row = result.rows[0];
+      bests[name] = row ? { value: parseFloat(row.value), date: row.day, runId: row.run_id } : null;
+      if (row) runIds.push(row.run_id);
+    }
+
+    const runs = new Map();
+    if (runIds.length) {
+      const result = await query(
+        'SELECT id, run_name, resort_name, start_time FROM runs WHERE user_id = $1 AND id = ANY($2)',
+        [userId, runIds]
+      );
+      for (const r of result.rows) runs.set(r.id, { id: r.id, runName: r.run_name, resortName: r.resort_name, startTime: r.start_time });
+    }
+    for (const name of Object.keys(RUN_BESTS)) {
+      if (!bests[name]) continue;
+      const { runId, ...best } = bests[name];
+      bests[name] = { ...best, run: runs.get(runId) || null };
+    }
+
+    const days = await this._days(userId);
+    const bestDay = (field) => days.reduce((best, d) => (!best || d[field] > best.value ? { value: d[field], date: d.date } : best), null);
+    bests.mostVertInDay = bestDay('vert');
+    bests.mostRunsInDay = bestDay('runs');
+    bests.longestDayDistance = bestDay('distance');
+    return bests;
+  }
+
+  // Consecutive ski days: { current, longest }, each { days, from, to }. The
+  // current streak is still alive if the last ski day was today or yesterday.
+  async streaks(userId, today) {
+    const days = await this._days(userId);
+    let longest = null;
+    let run = null;
+    for (const { date } of days) {
+      run = run && addDays(run.to, 1) === date ? { ...run, days: run.days + 1, to: date } : { days: 1, from: date, to: date };
+      if (!longest || run.days > longest.days) longest = run;
+    }
+    const current = run && run.to >= addDays(today, -1) ? run : { days: 0, from: null, to: null };
+    return { current, longest: longest || { days: 0, from: null, to: null } };
+  }
+
+  // Every ski day of a user, oldest first: { date, runs, vert, distance }
+  async _days(userId) {
+    const result = await query(
+      `SELECT local_date::text as day, SUM(run_count) as runs, SUM(vert) as vert, SUM(distance) as distance
+       FROM user_daily_stats WHERE user_id = $1
+       GROUP BY local_date ORDER BY local_date`,
+      [userId]
+    );
+    return result.rows.map(r => ({
+      date: r.day, runs: parseInt(r.runs), vert: parseFloat(r.vert), distance: parseFloat(r.distance),
+    }));
+  }
+}
+
+// Window bounds (YYYY-MM-DD, until exclusive) on local_date; pushes its params
+function windowSql(window, params) {
+  let sql = '';
+  if (window.from) {
+    params.push(window.from);
+    sql += ` AND d.local_date >= $${params.length}::date`;
+  }
+  if (window.until) {
+    params.push(window.until);
+    sql += ` AND d.local_date < $${params.length}::date`;
+  }
+  return sql;
+}
+
+function formatTotals(row) {
+  const distance = parseFloat(row.distance);
+  const duration = parseFloat(row.duration);
+  return {
+    runs: parseInt(row.runs),
+    points: parseInt(row.points),
+    vert: parseFloat(row.vert),
+    distance,
+    topSpeed: parseFloat(row.top_speed),
+    averageSpeed: duration > 0 ? Math.round((distance / duration) * 100) / 100 : 0,
+    skiDays: parseInt(row.ski_days),
+  };
+}
+
+// Day buckets summed into seasons of the hemisphere's calendar
+function foldSeasons(dayRows, hemisphere) {
+  const seasons = new Map();
+  for (const row of dayRows) {
+    const season = seasonService.forDate(row.key, { hemisphere });
+    const acc = seasons.get(season.label) || { runs: 0, points: 0, vert: 0, distance: 0, duration: 0, top_speed: 0, ski_days: 0 };
+    acc.runs += parseInt(row.runs);
+    acc.points += parseInt(row.points);
+    acc.vert += parseFloat(row.vert);
+    acc.distance += parseFloat(row.distance);
+    acc.duration += parseFloat(row.duration);
+    acc.top_speed = Math.max(acc.top_speed, parseFloat(row.top_speed));
+    acc.ski_days += parseInt(row.ski_days);
+    seasons.set(season.label, acc);
+  }
+  return [...seasons].map(([label, acc]) => ({ key: label, label, ...formatTotals(acc) }));
+}
+
+// Same month and day, `years` away (Feb 29 becomes Mar 1)
+function shiftYears(date, years) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCFullYear(d.getUTCFullYear() + years);
+  return d.toISOString().slice(0, 10);
+}
+
+module.exports = new StatsService();
@@ -0,0 +1,211 @@
+const { query } = require('../../config/database');
+const runService = require('./runService');
+const notificationService = require('./notificationService');
+
+// Tombstones are kept this long; a cursor older than that can't be trusted to
+// see every delete, so the client starts over (reset: true).
+const TOMBSTONE_RETENTION_DAYS = 90;
+const DEFAULT_LIMIT = 200;
+
+const RUN_COLUMNS = `id, run_name, resort_id, resort_name, reported_resort_name, resort_latitude, resort_longitude,
+  start_time, end_time, distance, max_speed, average_speed, elevation_drop, start_elevation, end_elevation, duration,
+  points, difficulty, calories, avg_heart_rate, max_heart_rate, reported_distance, reported_max_speed,
+  reported_average_speed, reported_elevation_drop, metrics_source, metrics_mismatch, flagged, session_id,
+  score_version, is_deleted, deleted_at, sync_seq, client_modified_at, created_at, updated_at`;
+
+// Every change to a run, profile or friendship takes the next value of the
+// sync_seq sequence (migration 016) and records the transaction that made it
+// (sync_xid, migration 028); hard deletes leave a tombstone with its own
+// values. Changes come back ordered by (sync_xid, sync_seq), a page at a
+// time, collapsed to the latest state of each item. Only changes from
+// transactions older than every one still running are handed out, so a slow
+// transaction can't commit behind a cursor. A cursor is the last
+// (sync_xid, sync_seq) a client has applied plus the time it was caught up.
+class SyncService {
+
+  // ==========================================
+  // CURSORS
+  // ==========================================
+
+  // Opaque to clients: { xid, seq, at } where `at` (ms) is when the client
+  // was last caught up — 0 while a first sync is still paging. Cursors from
+  // before sync_xid have no xid and resume at xid 0, where older rows sit.
+  encodeCursor({ xid, seq, at }) {
+    return Buffer.from(JSON.stringify({ x: String(xid), s: String(seq), t: at })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    if (!cursor) return null;
+    try {
+      const { x = '0', s, t } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (/^\d+$/.test(x) && /^\d+$/.test(s) && Number.isSafeInteger(t) && t >= 0) return { xid: x, seq: s, at: t };
+    } catch (err) {
+      // fall through
+    }
+    throw badRequest('Invalid sync cursor');
+  }
+
+  // ==========================================
+  // CHANGES
+  // ==========================================
+
+  // Everything that changed for a user after `cursor` (none: a full sync).
+  // Each run and friend appears at most once per page, in its latest state.
+  async changes(userId, cursor, { limit = DEFAULT_LIMIT } = {}) {
+    const since = this.decodeCursor(cursor);
+    const startedAt = Date.now();
+    if (since && since.at > 0 && startedAt - since.at > TOMBSTONE_RETENTION_DAYS * 86400000) {
+      return { ...await this.changes(userId, null, { limit }), reset: true };
+    }
+    const after = since || { xid: '0', seq: '0' };
+
+    // Every transaction below the horizon has finished, so nothing can still
+    // appear behind it; changes at or above it wait for the next call
+    const snapshot = await query('SELECT pg_snapshot_xmin(pg_current_snapshot())::text as horizon');
+    const params = [userId, after.xid, after.seq, snapshot.rows[0].horizon, limit + 1];
+    const newer = (xid, seq) => `(${xid}, ${seq}) > ($2::xid8, $3::bigint) AND ${xid} < $4::xid8`;
+
+    const runs = await query(
+      `SELECT ${RUN_COLUMNS}, sync_xid::text as sync_xid FROM runs
+       WHERE user_id = $1 AND ${newer('sync_xid', 'sync_seq')}
+       ORDER BY sync_xid, sync_seq LIMIT $5`,
+      params
+    );
+    const profile = await query(
+      `SELECT id, email, display_name, home_resort, avatar_url, invite_code,
+              use_metric, weight_kg, haptics_enabled, battery_mode, auto_accept_friends, leaderboard_visibility,
+              notification_prefs, quiet_hours_start, quiet_hours_end, timezone, created_at, updated_at, sync_seq,
+              sync_xid::text as sync_xid
+       FROM users WHERE id = $1 AND ${newer('sync_xid', 'sync_seq')}`,
+      params.slice(0, 4)
+    );
+    // A friend's entry also changes when they rename themselves or change
+    // their avatar, so its position is the later of the two rows'. Whoever
+    // was blocked never sees the block.
+    const friends = await query(
+      `SELECT f.user_id, f.status, f.updated_at, u.id as other_id, u.display_name, u.avatar_url,
+              k.sync_xid::text as sync_xid, k.sync_seq
+       FROM friendships f
+       JOIN users u ON u.id = CASE WHEN f.user_id = $1 THEN f.friend_id ELSE f.user_id END
+       CROSS JOIN LATERAL (
+         SELECT * FROM (VALUES (f.sync_xid, f.sync_seq), (u.sync_xid, u.sync_seq)) v(sync_xid, sync_seq)
+         ORDER BY sync_xid DESC, sync_seq DESC LIMIT 1
+       ) k
+       WHERE (f.user_id = $1 OR f.friend_id = $1)
+         AND NOT (f.status = 'blocked' AND f.friend_id = $1)
+         AND ${newer('k.sync_xid', 'k.sync_seq')}
+       ORDER BY k.sync_xid, k.sync_seq LIMIT $5`,
+      params
+    );
+    const tombstones = await query(
+      `SELECT seq as sync_seq, sync_xid::text as sync_xid, entity, entity_id, deleted_at FROM sync_tombstones
+       WHERE user_id = $1 AND ${newer('sync_xid', 'seq')}
+       ORDER BY sync_xid, seq LIMIT $5`,
+      params
+    );
+
+    // Each source returned up to limit + 1 rows, so the first `limit` of the
+    // merge are exactly the next `limit` changes overall
+    const merged = [
+      ...runs.rows.map(row => ({ kind: 'run', row })),
+      ...profile.rows.map(row => ({ kind: 'profile', row })),
+      ...friends.rows.map(row => ({ kind: 'friend', row })),
+      ...tombstones.rows.map(row => ({ kind: row.entity === 'run' ? 'runTombstone' : 'friendTombstone', row })),
+    ].sort((a, b) => compareKeys(a.row, b.row));
+    const hasMore = merged.length > limit;
+    const page = merged.slice(0, limit);
+
+    // Later changes to the same item replace earlier ones
+    const runState = new Map();
+    const friendState = new Map();
+    let profileRow = null;
+    for (const { kind, row } of page) {
+      if (kind === 'run') runState.set(row.id, row);
+      else if (kind === 'runTombstone') runState.set(row.entity_id, { id: row.entity_id, deleted: true, deleted_at: row.deleted_at });
+      else if (kind === 'friend') friendState.set(row.other_id, row);
+      else if (kind === 'friendTombstone') friendState.set(row.entity_id, null);
+      else profileRow = row;
+    }
+
+    const result = {
+      runs: { created: [], updated: [], deleted: [] },
+      profile: profileRow ? formatProfile(profileRow) : null,
+      friends: { changed: [], removed: [] },
+    };
+    for (const row of runState.values()) {
+      if (row.deleted || row.is_deleted) result.runs.deleted.push({ id: row.id, deletedAt: row.deleted_at });
+      else if (!since || since.at === 0 || new Date(row.created_at).getTime() > since.at) result.runs.created.push(runService.format(row));
+      else result.runs.updated.push(runService.format(row));
+    }
+    for (const [otherId, row] of friendState) {
+      if (row) result.friends.changed.push(formatFriend(userId, row));
+      else result.friends.removed.push(otherId);
+    }
+
+    const last = page.length ? page[page.length - 1].row : { sync_xid: after.xid, sync_seq: after.seq };
+    return {
+      cursor: this.encodeCursor({ xid: last.sync_xid, seq: last.sync_seq, at: hasMore ? (since ? since.at : 0) : startedAt }),
+      hasMore,
+      reset: false,
+      ...result,
+    };
+  }
+
+  // Drop tombstones past the retention window; cursors that old get a reset
+  async pruneTombstones() {
+    const result = await query(
+      'DELETE FROM sync_tombstones WHERE deleted_at < NOW() - make_interval(days => $1)',
+      [TOMBSTONE_RETENTION_DAYS]
+    );
+    return result.rowCount;
+  }
+}
+
+// Order of two changes by (sync_xid, sync_seq); pg returns both as strings
+function compareKeys(a, b) {
+  const diff = BigInt(a.sync_xid) - BigInt(b.sync_xid) || BigInt(a.sync_seq) - BigInt(b.sync_seq);
+  return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+}
+
+function formatProfile(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    displayName: row.display_name,
+    homeResort: row.home_resort,
+    avatarUrl: row.avatar_url,
+    inviteCode: row.invite_code,
+    useMetric: row.use_metric,
+    weightKg: row.weight_kg,
+    hapticsEnabled: row.haptics_enabled,
+    batteryMode: row.battery_mode,
+    autoAcceptFriends: row.auto_accept_friends,
+    leaderboardVisibility: row.leaderboard_visibility,
+    timezone: row.timezone,
+    notificationPreferences: notificationService.preferences(row.notification_prefs),
+    quietHours: { start: row.quiet_hours_start, end: row.quiet_hours_end },
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// status is accepted, pending or blocked (only ever seen by the blocker);
+// direction says who sent the request
+function formatFriend(userId, row) {
+  return {
+    userId: row.other_id,
+    displayName: row.display_name,
+    avatarUrl: row.avatar_url,
+    status: row.status,
+    direction: row.user_id === userId ? 'outgoing' : 'incoming',
+    updatedAt: row.updated_at,
+  };
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+module.exports = new SyncService();
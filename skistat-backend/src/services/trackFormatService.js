@@ -0,0 +1,268 @@
+const { isFit, parseFit } = require('../utils/fitParser');
+const { escapeXml } = require('../utils/helpers');
+const { isValidCoordinate } = require('../utils/geo');
+const { createRaster, strokePolyline, fillCircle, encodePng } = require('../utils/png');
+
+const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  tcx: { contentType: 'application/vnd.garmin.tcx+xml', extension: 'tcx' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+};
+
+const IMPORT_FORMATS = ['gpx', 'tcx', 'fit'];
+
+// Route previews draw at most this many points
+const SVG_MAX_POINTS = 500;
+
+// Route preview palette
+const ROUTE_COLORS = { background: '#12121f', line: '#00BCD4', start: '#34C759', finish: '#FF3B30' };
+
+class TrackFormatService {
+
+  // ==========================================
+  // IMPORT
+  // ==========================================
+
+  detectFormat(buffer) {
+    if (isFit(buffer)) return 'fit';
+    const head = buffer.toString('utf8', 0, Math.min(buffer.length, 2048));
+    if (/<gpx[\s>]/i.test(head)) return 'gpx';
+    if (/<TrainingCenterDatabase[\s>]/i.test(head)) return 'tcx';
+    return null;
+  }
+
+  // Parse an uploaded file into track points { lat, lon, alt, time, heartRate? }
+  parse(buffer, format = this.detectFormat(buffer)) {
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw new Error('Unsupported file format (expected GPX, TCX or FIT)');
+    }
+    let points;
+    if (format === 'fit') points = parseFit(buffer);
+    else if (format === 'gpx') points = this._parseGpx(buffer.toString('utf8'));
+    else points = this._parseTcx(buffer.toString('utf8'));
+
+    return points
+      .filter(p => isValidCoordinate(p.lat, p.lon) && Number.isFinite(p.time))
+      .sort((a, b) => a.time - b.time)
+      .filter((p, i, all) => i === 0 || p.time > all[i - 1].time);
+  }
+
+  _parseGpx(xml) {
+    const points = [];
+    const trkpt = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/gi;
+    let match;
+    while ((match = trkpt.exec(xml))) {
+      const attrs = match[1];
+      const body = match[2] || '';
+      const time = Date.parse(tag(body, 'time'));
+      const ele = tag(body, 'ele');
+      const hr = tag(body, '(?:\\w+:)?hr');
+      const point = {
+        lat: Number(attr(attrs, 'lat')),
+        lon: Number(attr(attrs, 'lon')),
+        alt: ele === null ? null : Number(ele),
+        time,
+      };
+      if (hr !== null) point.heartRate = Number(hr);
+      points.push(point);
+    }
+    return points;
+  }
+
+  _parseTcx(xml) {
+    const points = [];
+    const trackpoint = /<Trackpoint>([\s\S]*?)<\/Trackpoint>/gi;
+    let match;
+    while ((match = trackpoint.exec(xml))) {
+      const body = match[1];
+      const alt = tag(body, 'AltitudeMeters');
+      const hrBlock = tag(body, 'HeartRateBpm');
+      const point = {
+        lat: Number(tag(body, 'LatitudeDegrees')),
+        lon: Number(tag(body, 'LongitudeDegrees')),
+        alt: alt === null ? null : Number(alt),
+        time: Date.parse(tag(body, 'Time')),
+      };
+      if (hrBlock !== null && tag(hrBlock, 'Value') !== null) point.heartRate = Number(tag(hrBlock, 'Value'));
+      points.push(point);
+    }
+    return points;
+  }
+
+  // ==========================================
+  // EXPORT
+  // ==========================================
+
+  // `run` is a formatted run (camelCase), `points` parsed track points
+  export(run, points, format) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unsupported export format "${format}"`);
+
+    let body;
+    if (format === 'gpx') body = this._toGpx(run, points);
+    else if (format === 'tcx') body = this._toTcx(run, points);
+    else body = JSON.stringify(this._toGeoJson(run, points));
+
+    const name = (run.runName || 'run').replace(/[^\w-]+/g, '_').slice(0, 60);
+    return {
+      body,
+      contentType: spec.contentType,
+      filename: `${name}_${new Date(run.startTime).toISOString().slice(0, 10)}.${spec.extension}`,
+    };
+  }
+
+  _toGpx(run, points) {
+    const trkpts = points.map(p => {
+      const ele = p.alt === null ? '' : `<ele>${p.alt.toFixed(1)}</ele>`;
+      const hr = p.heartRate ? `<extensions><gpxtpx:TrackPointExtension><gpxtpx:hr>${Math.round(p.heartRate)}</gpxtpx:hr></gpxtpx:TrackPointExtension></extensions>` : '';
+      return `      <trkpt lat="${p.lat}" lon="${p.lon}">${ele}<time>${new Date(p.time).toISOString()}</time>${hr}</trkpt>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="SkiStat" xmlns="http://www.topografix.com/GPX/1/1"
+     xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+  <metadata>
+    <name>${escapeXml(run.runName || 'Run')}</name>
+    <time>${new Date(run.startTime).toISOString()}</time>
+  </metadata>
+  <trk>
+    <name>${escapeXml(run.runName || 'Run')}</name>
+    <desc>${escapeXml(run.resortName || '')}</desc>
+    <type>alpine_skiing</type>
+    <trkseg>
+${trkpts.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+  }
+
+  _toTcx(run, points) {
+    const start = new Date(run.startTime).toISOString();
+    const trackpoints = points.map(p => {
+      const alt = p.alt === null ? '' : `<AltitudeMeters>${p.alt.toFixed(1)}</AltitudeMeters>`;
+      const hr = p.heartRate ? `<HeartRateBpm><Value>${Math.round(p.heartRate)}</Value></HeartRateBpm>` : '';
+      return `          <Trackpoint><Time>${new Date(p.time).toISOString()}</Time><Position><LatitudeDegrees>${p.lat}</LatitudeDegrees><LongitudeDegrees>${p.lon}</LongitudeDegrees></Position>${alt}${hr}</Trackpoint>`;
+    });
+    const hrSummary = run.avgHeartRate > 0
+      ? `\n        <AverageHeartRateBpm><Value>${Math.round(run.avgHeartRate)}</Value></AverageHeartRateBpm>\n        <MaximumHeartRateBpm><Value>${Math.round(run.maxHeartRate)}</Value></MaximumHeartRateBpm>`
+      : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Activities>
+    <Activity Sport="Other">
+      <Id>${start}</Id>
+      <Lap StartTime="${start}">
+        <TotalTimeSeconds>${run.duration || 0}</TotalTimeSeconds>
+        <DistanceMeters>${run.distance || 0}</DistanceMeters>
+        <MaximumSpeed>${run.maxSpeed || 0}</MaximumSpeed>
+        <Calories>${Math.round(run.calories || 0)}</Calories>${hrSummary}
+        <Intensity>Active</Intensity>
+        <TriggerMethod>Manual</TriggerMethod>
+        <Track>
+${trackpoints.join('\n')}
+        </Track>
+      </Lap>
+      <Notes>${escapeXml([run.runName, run.resortName].filter(Boolean).join(' · '))}</Notes>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>
+`;
+  }
+
+  _toGeoJson(run, points) {
+    return {
+      type: 'Feature',
+      geometry: points.length ? {
+        type: 'LineString',
+        coordinates: points.map(p => (p.alt === null ? [p.lon, p.lat] : [p.lon, p.lat, p.alt])),
+      } : null,
+      properties: {
+        id: run.id,
+        runName: run.runName,
+        resortName: run.resortName,
+        startTime: run.startTime,
+        endTime: run.endTime,
+        distance: run.distance,
+        maxSpeed: run.maxSpeed,
+        averageSpeed: run.averageSpeed,
+        elevationDrop: run.elevationDrop,
+        duration: run.duration,
+        difficulty: run.difficulty,
+        points: run.points,
+        timestamps: points.map(p => new Date(p.time).toISOString()),
+      },
+    };
+  }
+
+  // ==========================================
+  // ROUTE PREVIEW (SVG, PNG)
+  // ==========================================
+
+  // The track drawn as a line on a width × height SVG, north up, with the
+  // start (green) and finish (red) marked. Longitude is scaled by cos(lat) so
+  // the shape isn't stretched. Null for fewer than two points.
+  routeSvg(points, { width = 600, height = 400, padding = 24 } = {}) {
+    const coords = projectRoute(points, width, height, padding);
+    if (!coords) return null;
+
+    const fixed = coords.map(([x, y]) => [x.toFixed(1), y.toFixed(1)]);
+    const path = fixed.map(([x, y], i) => `${i ? 'L' : 'M'}${x} ${y}`).join(' ');
+    const [sx, sy] = fixed[0];
+    const [ex, ey] = fixed[fixed.length - 1];
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+  <rect width="100%" height="100%" rx="16" fill="${ROUTE_COLORS.background}"/>
+  <path d="${path}" fill="none" stroke="${ROUTE_COLORS.line}" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/>
+  <circle cx="${sx}" cy="${sy}" r="7" fill="${ROUTE_COLORS.start}"/>
+  <circle cx="${ex}" cy="${ey}" r="7" fill="${ROUTE_COLORS.finish}"/>
+</svg>`;
+  }
+
+  // The same drawing as a PNG Buffer, for link previews — most unfurlers
+  // (iMessage, WhatsApp, Slack, X) don't render SVG. The default size is the
+  // 1.91:1 large-card ratio they crop to. Null for fewer than two points.
+  routePng(points, { width = 1200, height = 630, padding = 60 } = {}) {
+    const coords = projectRoute(points, width, height, padding);
+    if (!coords) return null;
+
+    const raster = createRaster(width, height, ROUTE_COLORS.background);
+    strokePolyline(raster, coords, 8, ROUTE_COLORS.line);
+    fillCircle(raster, coords[0], 14, ROUTE_COLORS.start);
+    fillCircle(raster, coords[coords.length - 1], 14, ROUTE_COLORS.finish);
+    return encodePng(raster);
+  }
+}
+
+// The track (downsampled to SVG_MAX_POINTS) as [x, y] pixel coordinates
+// centered in a width × height box, north up; null for fewer than two points
+function projectRoute(points, width, height, padding) {
+  if (points.length < 2) return null;
+  const step = Math.ceil(points.length / SVG_MAX_POINTS);
+  const drawn = points.filter((p, i) => i % step === 0 || i === points.length - 1);
+
+  const midLat = drawn.reduce((sum, p) => sum + p.lat, 0) / drawn.length;
+  const kx = Math.cos((midLat * Math.PI) / 180);
+  const xs = drawn.map(p => p.lon * kx);
+  const ys = drawn.map(p => -p.lat);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX;
+  const spanY = Math.max(...ys) - minY;
+  const scale = Math.min((width - 2 * padding) / (spanX || 1e-9), (height - 2 * padding) / (spanY || 1e-9));
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+  return drawn.map((p, i) => [offsetX + (xs[i] - minX) * scale, offsetY + (ys[i] - minY) * scale]);
+}
+
+function tag(xml, name) {
+  const match = xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+function attr(attrs, name) {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+  return match ? match[1] : null;
+}
+
+module.exports = new TrackFormatService();
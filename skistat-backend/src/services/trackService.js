@@ -0,0 +1,226 @@
+const { haversineDistance, isValidCoordinate } = require('../utils/geo');
+
+// Units used throughout: meters, seconds, meters/second.
+
+const MIN_TRACK_POINTS = 10;      // fewer than this and we trust the client's numbers
+const ALTITUDE_WINDOW = 5;        // samples, for median + moving-average smoothing
+const MIN_SPEED_INTERVAL = 1;     // s — ignore segments shorter than this for speed
+const DESCENT_HYSTERESIS = 15;    // m — altitude reversal needed to change direction
+const MIN_DESCENT_VERT = 40;      // m — shorter descents are traverses, not runs
+const MAX_POINT_GAP = 10 * 60;    // s — a gap this long always ends a descent
+
+// Reported vs. computed values further apart than this are flagged
+const MISMATCH_TOLERANCE = {
+  distance: { relative: 0.25, absolute: 50 },
+  maxSpeed: { relative: 0.25, absolute: 2 },
+  averageSpeed: { relative: 0.25, absolute: 1.5 },
+  elevationDrop: { relative: 0.25, absolute: 20 },
+};
+
+class TrackService {
+
+  // ==========================================
+  // PARSING
+  // ==========================================
+
+  // Accepts the shapes the clients send as route_data: an array of points, or
+  // an object wrapping one ({ points }, { locations }). Each point may use
+  // lat/latitude, lon/lng/longitude, alt/altitude/elevation and
+  // timestamp/time/t (ISO string, epoch seconds or epoch milliseconds).
+  parse(routeData) {
+    let raw = routeData;
+    if (typeof raw === 'string') {
+      try { raw = JSON.parse(raw); } catch (e) { return []; }
+    }
+    if (raw && !Array.isArray(raw)) raw = raw.points || raw.locations || [];
+    if (!Array.isArray(raw)) return [];
+
+    const points = [];
+    for (const p of raw) {
+      if (!p || typeof p !== 'object') continue;
+      const lat = Number(p.lat ?? p.latitude);
+      const lon = Number(p.lon ?? p.lng ?? p.longitude);
+      const time = this._parseTime(p.timestamp ?? p.time ?? p.t);
+      if (!isValidCoordinate(lat, lon) || time === null) continue;
+
+      const altValue = p.alt ?? p.altitude ?? p.elevation;
+      const alt = altValue === undefined || altValue === null ? null : Number(altValue);
+      const point = { lat, lon, alt: Number.isFinite(alt) ? alt : null, time };
+      if (p.heartRate !== undefined || p.hr !== undefined) {
+        const hr = Number(p.heartRate ?? p.hr);
+        if (Number.isFinite(hr)) point.heartRate = hr;
+      }
+      points.push(point);
+    }
+
+    points.sort((a, b) => a.time - b.time);
+    // Drop duplicate timestamps — they produce infinite speeds
+    return points.filter((p, i) => i === 0 || p.time > points[i - 1].time);
+  }
+
+  _parseTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(value)) {
+      const n = Number(value);
+      return n < 1e12 ? n * 1000 : n; // seconds vs. milliseconds
+    }
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : ms;
+  }
+
+  // ==========================================
+  // SMOOTHING
+  // ==========================================
+
+  // GPS altitude is noisy (±10 m between samples is common), which inflates
+  // vertical drop when summed. A median pass removes spikes, then a moving
+  // average evens out the jitter.
+  smoothAltitude(points, window = ALTITUDE_WINDOW) {
+    const alts = points.map(p => p.alt);
+    if (alts.some(a => a === null)) return alts;
+
+    const half = Math.floor(window / 2);
+    const slice = (arr, i) => arr.slice(Math.max(0, i - half), Math.min(arr.length, i + half + 1));
+
+    const median = alts.map((_, i) => {
+      const s = slice(alts, i).sort((a, b) => a - b);
+      return s[Math.floor(s.length / 2)];
+    });
+    return median.map((_, i) => {
+      const s = slice(median, i);
+      return s.reduce((sum, a) => sum + a, 0) / s.length;
+    });
+  }
+
+  // ==========================================
+  // METRICS
+  // ==========================================
+
+  computeMetrics(points) {
+    if (points.length < 2) return null;
+
+    let distance = 0;
+    const speeds = [];
+    for (let i = 1; i < points.length; i++) {
+      const d = haversineDistance(points[i - 1], points[i]);
+      const dt = (points[i].time - points[i - 1].time) / 1000;
+      distance += d;
+      if (dt >= MIN_SPEED_INTERVAL) speeds.push(d / dt);
+    }
+
+    // 3-sample median so a single bad fix can't set the top speed
+    const filtered = speeds.map((_, i) => {
+      const s = speeds.slice(Math.max(0, i - 1), i + 2).sort((a, b) => a - b);
+      return s[Math.floor(s.length / 2)];
+    });
+
+    const duration = (points[points.length - 1].time - points[0].time) / 1000;
+    const metrics = {
+      distance,
+      duration,
+      maxSpeed: filtered.length ? Math.max(...filtered) : 0,
+      averageSpeed: duration > 0 ? distance / duration : 0,
+      elevationDrop: null,
+      startElevation: null,
+      endElevation: null,
+    };
+
+    const alts = this.smoothAltitude(points);
+    if (alts.every(a => a !== null)) {
+      let drop = 0;
+      for (let i = 1; i < alts.length; i++) {
+        if (alts[i] < alts[i - 1]) drop += alts[i - 1] - alts[i];
+      }
+      metrics.elevationDrop = drop;
+      metrics.startElevation = alts[0];
+      metrics.endElevation = alts[alts.length - 1];
+    }
+
+    return metrics;
+  }
+
+  // Compare client-reported values against computed ones. Returns the list of
+  // fields that disagree beyond tolerance.
+  compare(reported, computed) {
+    const mismatches = [];
+    for (const [field, tol] of Object.entries(MISMATCH_TOLERANCE)) {
+      const a = Number(reported[field]);
+      const b = computed[field];
+      if (!Number.isFinite(a) || b === null || b === undefined) continue;
+      const diff = Math.abs(a - b);
+      if (diff > tol.absolute && diff > tol.relative * Math.max(Math.abs(a), Math.abs(b))) {
+        mismatches.push(field);
+      }
+    }
+    return mismatches;
+  }
+
+  // ==========================================
+  // SEGMENTATION
+  // ==========================================
+
+  // Split a whole-day recording into individual descents. Altitude is smoothed,
+  // then turning points are found with hysteresis so that small bumps on a run
+  // don't split it. Everything between a local maximum and the next local
+  // minimum with enough vertical is a descent; the climbs in between are lifts.
+  // Returns arrays of points, one per descent.
+  splitDescents(points) {
+    if (points.length < 2) return [];
+    const alts = this.smoothAltitude(points);
+    if (alts.some(a => a === null)) return [points];
+
+    const descents = [];
+    let peak = 0;          // index of the highest point since the last descent
+    let trough = 0;        // index of the lowest point since the peak
+    let descending = false;
+
+    const close = (start, end) => {
+      if (end > start && alts[start] - alts[end] >= MIN_DESCENT_VERT) {
+        descents.push(points.slice(start, end + 1));
+      }
+    };
+
+    for (let i = 1; i < points.length; i++) {
+      const gap = (points[i].time - points[i - 1].time) / 1000;
+      if (gap > MAX_POINT_GAP) {
+        if (descending) close(peak, trough);
+        peak = trough = i;
+        descending = false;
+        continue;
+      }
+
+      if (descending) {
+        if (alts[i] < alts[trough]) trough = i;
+        else if (alts[i] - alts[trough] > DESCENT_HYSTERESIS) {
+          close(peak, trough);
+          descending = false;
+          peak = trough = i;
+        }
+      } else {
+        if (alts[i] > alts[peak]) peak = i;
+        else if (alts[peak] - alts[i] > DESCENT_HYSTERESIS) {
+          descending = true;
+          trough = i;
+        }
+      }
+    }
+    if (descending) close(peak, trough);
+
+    return descents;
+  }
+
+  // Full pipeline for an uploaded run. Returns null when there is no usable
+  // track, otherwise the computed metrics and any mismatched fields.
+  process(routeData, reported = {}) {
+    if (!routeData) return null;
+    const points = this.parse(routeData);
+    if (points.length < MIN_TRACK_POINTS) return null;
+
+    const metrics = this.computeMetrics(points);
+    if (!metrics) return null;
+
+    return { points, metrics, mismatches: this.compare(reported, metrics) };
+  }
+}
+
+module.exports = new TrackService();
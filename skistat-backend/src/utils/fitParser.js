@@ -0,0 +1,149 @@
+// Minimal decoder for Garmin FIT activity files. Only "record" messages
+// (global message 20) are extracted — that's where the GPS track lives.
+// Protocol reference: FIT SDK, "Flexible and Interoperable Data Transfer".
+
+const FIT_EPOCH_OFFSET = 631065600; // seconds between 1970-01-01 and 1989-12-31
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+const RECORD_MESSAGE = 20;
+
+// Field numbers in the record message
+const FIELD = {
+  positionLat: 0,
+  positionLong: 1,
+  altitude: 2,
+  heartRate: 3,
+  speed: 6,
+  enhancedAltitude: 78,
+  timestamp: 253,
+};
+
+// Base-type sizes and "invalid" sentinels, keyed by the low 5 bits of the base type
+const BASE_TYPES = {
+  0x00: { size: 1, invalid: 0xFF, read: (b, o) => b.readUInt8(o) },           // enum
+  0x01: { size: 1, invalid: 0x7F, read: (b, o) => b.readInt8(o) },            // sint8
+  0x02: { size: 1, invalid: 0xFF, read: (b, o) => b.readUInt8(o) },           // uint8
+  0x03: { size: 2, invalid: 0x7FFF, read: (b, o, le) => le ? b.readInt16LE(o) : b.readInt16BE(o) },
+  0x04: { size: 2, invalid: 0xFFFF, read: (b, o, le) => le ? b.readUInt16LE(o) : b.readUInt16BE(o) },
+  0x05: { size: 4, invalid: 0x7FFFFFFF, read: (b, o, le) => le ? b.readInt32LE(o) : b.readInt32BE(o) },
+  0x06: { size: 4, invalid: 0xFFFFFFFF, read: (b, o, le) => le ? b.readUInt32LE(o) : b.readUInt32BE(o) },
+  0x0A: { size: 1, invalid: 0x00, read: (b, o) => b.readUInt8(o) },           // uint8z
+  0x0B: { size: 2, invalid: 0x0000, read: (b, o, le) => le ? b.readUInt16LE(o) : b.readUInt16BE(o) },
+  0x0C: { size: 4, invalid: 0x00000000, read: (b, o, le) => le ? b.readUInt32LE(o) : b.readUInt32BE(o) },
+};
+
+function isFit(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 12 && buffer.toString('ascii', 8, 12) === '.FIT';
+}
+
+function readValue(buffer, offset, field, littleEndian) {
+  const type = BASE_TYPES[field.baseType & 0x1F];
+  if (!type || type.size !== field.size) return null; // arrays, strings, etc.
+  const value = type.read(buffer, offset, littleEndian);
+  return value === type.invalid ? null : value;
+}
+
+// Returns track points: { lat, lon, alt, time (ms), heartRate?, speed? }
+function parseFit(buffer) {
+  if (!isFit(buffer)) throw new Error('Not a FIT file');
+
+  const headerSize = buffer.readUInt8(0);
+  const dataSize = buffer.readUInt32LE(4);
+  const end = Math.min(buffer.length, headerSize + dataSize);
+
+  const definitions = {};
+  const points = [];
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  while (offset < end) {
+    const header = buffer.readUInt8(offset++);
+
+    // Compressed timestamp header: data message with a 5-bit time offset
+    if (header & 0x80) {
+      const localType = (header >> 5) & 0x03;
+      const timeOffset = header & 0x1F;
+      const def = definitions[localType];
+      if (!def) throw new Error('FIT data message without definition');
+      if (lastTimestamp !== null) {
+        lastTimestamp += (timeOffset - (lastTimestamp & 0x1F)) & 0x1F;
+      }
+      offset = readData(buffer, offset, def, lastTimestamp, points, (t) => { lastTimestamp = t; });
+      continue;
+    }
+
+    const localType = header & 0x0F;
+
+    // Definition message
+    if (header & 0x40) {
+      const hasDeveloperFields = (header & 0x20) !== 0;
+      const littleEndian = buffer.readUInt8(offset + 1) === 0;
+      const globalNumber = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+      const fieldCount = buffer.readUInt8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({
+          number: buffer.readUInt8(offset),
+          size: buffer.readUInt8(offset + 1),
+          baseType: buffer.readUInt8(offset + 2),
+        });
+        offset += 3;
+      }
+
+      let developerSize = 0;
+      if (hasDeveloperFields) {
+        const devCount = buffer.readUInt8(offset++);
+        for (let i = 0; i < devCount; i++) {
+          developerSize += buffer.readUInt8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      definitions[localType] = { globalNumber, littleEndian, fields, developerSize };
+      continue;
+    }
+
+    // Normal data message
+    const def = definitions[localType];
+    if (!def) throw new Error('FIT data message without definition');
+    offset = readData(buffer, offset, def, null, points, (t) => { lastTimestamp = t; });
+  }
+
+  return points;
+}
+
+function readData(buffer, offset, def, compressedTimestamp, points, setTimestamp) {
+  const values = {};
+  for (const field of def.fields) {
+    values[field.number] = readValue(buffer, offset, field, def.littleEndian);
+    offset += field.size;
+  }
+  offset += def.developerSize;
+
+  if (values[FIELD.timestamp] !== undefined && values[FIELD.timestamp] !== null) {
+    setTimestamp(values[FIELD.timestamp]);
+  }
+
+  if (def.globalNumber === RECORD_MESSAGE) {
+    const timestamp = values[FIELD.timestamp] ?? compressedTimestamp;
+    const lat = values[FIELD.positionLat];
+    const lon = values[FIELD.positionLong];
+    if (timestamp !== null && timestamp !== undefined && lat !== null && lat !== undefined && lon !== null && lon !== undefined) {
+      const rawAlt = values[FIELD.enhancedAltitude] ?? values[FIELD.altitude];
+      const point = {
+        lat: lat * SEMICIRCLES_TO_DEGREES,
+        lon: lon * SEMICIRCLES_TO_DEGREES,
+        alt: rawAlt === null || rawAlt === undefined ? null : rawAlt / 5 - 500,
+        time: (timestamp + FIT_EPOCH_OFFSET) * 1000,
+      };
+      if (values[FIELD.heartRate] !== null && values[FIELD.heartRate] !== undefined) point.heartRate = values[FIELD.heartRate];
+      if (values[FIELD.speed] !== null && values[FIELD.speed] !== undefined) point.speed = values[FIELD.speed] / 1000;
+      points.push(point);
+    }
+  }
+
+  return offset;
+}
+
+module.exports = { isFit, parseFit };
@@ -0,0 +1,69 @@
+// Geodesy helpers. Distances are in meters, coordinates in decimal degrees.
+
+const EARTH_RADIUS_M = 6371008.8;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance between two { lat, lon } points
+function haversineDistance(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function isValidCoordinate(lat, lon) {
+  return Number.isFinite(lat) && Number.isFinite(lon) &&
+    lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180 &&
+    !(lat === 0 && lon === 0);
+}
+
+// Ray casting test against a GeoJSON Polygon ({ type, coordinates: [[[lon, lat], ...], ...holes] })
+function pointInPolygon(point, polygon) {
+  const rings = (polygon && polygon.coordinates) || [];
+  const inRing = (ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > point.lat) !== (yj > point.lat) &&
+          point.lon < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  };
+  if (!rings.length || !inRing(rings[0])) return false;
+  return !rings.slice(1).some(inRing);
+}
+
+// Shortest distance (m) from a point to a polyline of { lat, lon } points.
+// Uses a local flat projection around the point, which is accurate to well
+// under a meter over the few kilometers a ski run spans.
+function distanceToPolyline(point, line) {
+  const kx = EARTH_RADIUS_M * toRadians(1) * Math.cos(toRadians(point.lat));
+  const ky = EARTH_RADIUS_M * toRadians(1);
+  const project = (p) => ({ x: (p.lon - point.lon) * kx, y: (p.lat - point.lat) * ky });
+
+  let best = Infinity;
+  for (let i = 0; i < line.length; i++) {
+    const a = project(line[i]);
+    const b = i + 1 < line.length ? project(line[i + 1]) : a;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq));
+    best = Math.min(best, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return best;
+}
+
+module.exports = {
+  EARTH_RADIUS_M,
+  toRadians,
+  haversineDistance,
+  isValidCoordinate,
+  pointInPolygon,
+  distanceToPolyline,
+};
@@ -1,7 +1,7 @@
 const crypto = require('crypto');
 
-// Generate a unique invite code like "SKI-ROY-4827"
-function generateInviteCode() {
+// Generate an invite code like "SKI-ROY-4827" (groups use prefix "CRW")
+function generateInviteCode(prefix = 'SKI') {
   const words = [
     'ACE', 'ALP', 'ARC', 'ASH', 'AXE', 'BAY', 'BIG', 'BOW', 'CAP', 'COG',
     'CUB', 'DAM', 'DEN', 'DIP', 'DOC', 'ELK', 'ELM', 'ERA', 'EVE', 'FAR',
@@ -18,7 +18,7 @@ function generateInviteCode() {
   
   const word = words[Math.floor(Math.random() * words.length)];
   const num = Math.floor(1000 + Math.random() * 9000); // 4 digits
-  return `SKI-${word}-${num}`;
+  return `${prefix}-${word}-${num}`;
 }
 
 // Generate a secure random token
@@ -32,6 +32,16 @@ function sanitizeDisplayName(name) {
   return name.trim().substring(0, 100).replace(/[<>]/g, '');
 }
 
+// Escape text for inclusion in XML/HTML
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
 // Format error response
 function errorResponse(res, status, message, details = null) {
   const response = { error: true, message };
@@ -50,6 +60,7 @@ module.exports = {
   generateInviteCode,
   generateToken,
   sanitizeDisplayName,
+  escapeXml,
   errorResponse,
   successResponse,
 };
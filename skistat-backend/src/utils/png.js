@@ -0,0 +1,132 @@
+// Minimal RGB raster and PNG encoder, enough to draw a route preview for link
+// unfurlers that don't render SVG. Shapes are antialiased by coverage: each
+// pixel blends toward the shape's color by how much of it the shape covers.
+// Format reference: PNG specification (ISO/IEC 15948), chunks IHDR/IDAT/IEND.
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const COLOR_TYPE_RGB = 2;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let c = 0xFFFFFFFF;
+  for (const byte of buffer) c = CRC_TABLE[(c ^ byte) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// '#12121f' → [18, 18, 31]
+function parseColor(hex) {
+  const n = parseInt(hex.replace('#', ''), 16);
+  return [(n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF];
+}
+
+// A width × height image filled with `background`
+function createRaster(width, height, background) {
+  const data = Buffer.alloc(width * height * 3);
+  const [r, g, b] = parseColor(background);
+  for (let i = 0; i < data.length; i += 3) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+  }
+  return { width, height, data };
+}
+
+// Blend `color` into the raster through a per-pixel coverage mask (0–1)
+function paint(raster, mask, color) {
+  const rgb = parseColor(color);
+  for (let p = 0; p < mask.length; p++) {
+    const a = mask[p];
+    if (!a) continue;
+    for (let c = 0; c < 3; c++) {
+      const i = p * 3 + c;
+      raster.data[i] = Math.round(raster.data[i] + (rgb[c] - raster.data[i]) * a);
+    }
+  }
+}
+
+// Set mask pixels within `radius` of the segment (a, b) — a round-capped line
+function coverSegment(raster, mask, [ax, ay], [bx, by], radius) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const y0 = Math.max(0, Math.floor(Math.min(ay, by) - radius - 1));
+  const y1 = Math.min(raster.height - 1, Math.ceil(Math.max(ay, by) + radius + 1));
+
+  for (let y = y0; y <= y1; y++) {
+    // Only the stretch of the segment near this row can cover it, so a long
+    // diagonal costs its length, not its bounding box
+    let [t0, t1] = [0, 1];
+    if (dy) {
+      const ta = (y - radius - 1 - ay) / dy;
+      const tb = (y + radius + 2 - ay) / dy;
+      t0 = Math.max(0, Math.min(ta, tb));
+      t1 = Math.min(1, Math.max(ta, tb));
+      if (t0 > t1) continue;
+    }
+    const xa = ax + t0 * dx;
+    const xb = ax + t1 * dx;
+    const x0 = Math.max(0, Math.floor(Math.min(xa, xb) - radius - 1));
+    const x1 = Math.min(raster.width - 1, Math.ceil(Math.max(xa, xb) + radius + 1));
+    for (let x = x0; x <= x1; x++) {
+      const px = x + 0.5;
+      const py = y + 0.5;
+      const t = lengthSq ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+      const distance = Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+      const coverage = Math.max(0, Math.min(1, radius + 0.5 - distance));
+      const p = y * raster.width + x;
+      if (coverage > mask[p]) mask[p] = coverage;
+    }
+  }
+}
+
+// A line through `coords` ([[x, y], ...]) with round caps and joins
+function strokePolyline(raster, coords, lineWidth, color) {
+  const mask = new Float32Array(raster.width * raster.height);
+  for (let i = 1; i < coords.length; i++) coverSegment(raster, mask, coords[i - 1], coords[i], lineWidth / 2);
+  paint(raster, mask, color);
+}
+
+function fillCircle(raster, [cx, cy], radius, color) {
+  const mask = new Float32Array(raster.width * raster.height);
+  coverSegment(raster, mask, [cx, cy], [cx, cy], radius);
+  paint(raster, mask, color);
+}
+
+function chunk(type, payload) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(payload.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), payload]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// The raster as a PNG file (8-bit RGB, no filtering)
+function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = COLOR_TYPE_RGB;
+
+  // Each scanline starts with its filter type byte (0 = none)
+  const rowBytes = width * 3;
+  const scanlines = Buffer.alloc((rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) data.copy(scanlines, y * (rowBytes + 1) + 1, y * rowBytes, (y + 1) * rowBytes);
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(scanlines)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { createRaster, strokePolyline, fillCircle, encodePng };
@@ -0,0 +1,26 @@
+// Server-Sent Events helpers
+
+// A comment is sent this often so proxies don't close an idle stream
+const HEARTBEAT = 25 * 1000;
+
+// Turn `res` into an event stream. Returns send(event), which writes an
+// event { type, ... } as an `event: <type>` message; `onClose` runs once the
+// client goes away.
+function openEventStream(req, res, onClose = () => {}) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+  return (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+module.exports = { openEventStream };
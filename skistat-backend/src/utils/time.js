@@ -0,0 +1,57 @@
+// Time zone helpers. Runs carry an IANA zone when the client sends one; for
+// older clients we approximate from longitude so a day on the mountain isn't
+// split at UTC midnight.
+
+function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Nautical time zone for a longitude, e.g. -106.4 → "Etc/GMT+7" (UTC-7).
+// The Etc/GMT names have their sign inverted by POSIX convention.
+function timeZoneFromLongitude(lon) {
+  const n = Number(lon);
+  if (lon === null || lon === undefined || !Number.isFinite(n)) return 'UTC';
+  const offset = Math.max(-12, Math.min(14, Math.round(n / 15)));
+  if (offset === 0) return 'UTC';
+  return offset > 0 ? `Etc/GMT-${offset}` : `Etc/GMT+${-offset}`;
+}
+
+function resolveTimeZone(tz, lon) {
+  return isValidTimeZone(tz) ? tz : timeZoneFromLongitude(lon);
+}
+
+// Calendar date (YYYY-MM-DD) of an instant in the given zone
+function localDate(date, tz = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit',
+  }).formatToParts(new Date(date));
+  const get = (type) => parts.find(p => p.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+// Shift a YYYY-MM-DD date by whole days
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function isIsoDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+}
+
+module.exports = {
+  isValidTimeZone,
+  timeZoneFromLongitude,
+  resolveTimeZone,
+  localDate,
+  addDays,
+  isIsoDate,
+};
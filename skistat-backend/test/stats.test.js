@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const database = require('../config/database');
+const { up: dailyStatsSchema } = require('../migrations/020_user_daily_stats');
+
+const USER_ID = '11111111-1111-1111-1111-111111111111';
+const RUN_ID = '22222222-2222-2222-2222-222222222222';
+
+// Columns of user_daily_stats as migration 020 creates them
+const DAILY_STATS_COLUMNS = new Set(
+  [...dailyStatsSchema.match(/CREATE TABLE[^(]*\(([\s\S]*?)\n\);/)[1].matchAll(/^\s+([a-z_]+)\s/gm)].map(m => m[1])
+);
+
+// Stands in for Postgres: rejects user_daily_stats columns the table doesn't
+// have (as Postgres would) and answers each query the route makes
+function fakeQuery(text, params) {
+  if (/FROM user_daily_stats/.test(text)) {
+    const columns = [...text.matchAll(/\b(?:d\.)?([a-z_]+_run_id)\b|\bd\.([a-z_]+)\b/g)].map(m => m[1] || m[2]);
+    for (const column of columns) {
+      if (!DAILY_STATS_COLUMNS.has(column)) throw new Error(`column "${column}" does not exist`);
+    }
+  }
+
+  if (/FROM users WHERE id/.test(text)) {
+    return { rows: [{ id: params[0], email: 'sam@example.com', display_name: 'Sam', is_banned: false, timezone: 'UTC' }] };
+  }
+  if (/as run_id/.test(text)) return { rows: [{ value: '20.5', run_id: RUN_ID, day: '2026-01-10' }] };
+  if (/GROUP BY local_date/.test(text)) return { rows: [{ day: '2026-01-10', runs: '3', vert: '900', distance: '4200' }] };
+  if (/FROM user_daily_stats/.test(text) && /GROUP BY/.test(text)) return { rows: [] };
+  if (/FROM user_daily_stats/.test(text)) {
+    return { rows: [{ runs: '0', points: '0', vert: '0', distance: '0', duration: '0', top_speed: '0', ski_days: '0' }] };
+  }
+  if (/FROM runs/.test(text)) {
+    return { rows: [{ id: RUN_ID, run_name: 'Blue Bird', resort_name: 'Alta', start_time: '2026-01-10T10:00:00Z' }] };
+  }
+  throw new Error(`Unexpected query: ${text}`);
+}
+
+let server;
+let base;
+
+before(async () => {
+  database.pool.query = async (text, params) => fakeQuery(text, params);
+  const app = express();
+  app.use('/v1/stats', require('../src/routes/stats'));
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('GET /v1/stats returns personal bests with the runs that set them', async () => {
+  const token = jwt.sign({ userId: USER_ID }, process.env.JWT_SECRET);
+  const res = await fetch(`${base}/v1/stats`, { headers: { Authorization: `Bearer ${token}` } });
+  const body = await res.json();
+
+  assert.strictEqual(res.status, 200, body.message);
+  const run = { id: RUN_ID, runName: 'Blue Bird', resortName: 'Alta', startTime: '2026-01-10T10:00:00Z' };
+  for (const name of ['topSpeed', 'longestRun', 'biggestVert']) {
+    assert.deepStrictEqual(body.personalBests[name], { value: 20.5, date: '2026-01-10', run });
+  }
+  assert.deepStrictEqual(body.personalBests.mostVertInDay, { value: 900, date: '2026-01-10' });
+});